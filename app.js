@@ -1,24 +1,484 @@
 const NodeServer = require('@voliware/node-server');
+const Logger = require('@voliware/logger');
 const ChatServer = require('./chat/chatServer');
+const AccountManager = require('./chat/auth/accountManager');
+const SessionManager = require('./chat/auth/sessionManager');
+const AttachmentManager = require('./chat/attachments/attachmentManager');
+const WebhookManager = require('./chat/webhooks/webhookManager');
+const BotManager = require('./chat/bots/botManager');
+const ReminderBot = require('./chat/bots/reminderBot');
+const RoomStatsBot = require('./chat/bots/roomStatsBot');
+const HttpUtil = require('./chat/http/httpUtil');
+const MongoMessageStore = require('./chat/storage/mongoMessageStore');
+const MongoUserStore = require('./chat/storage/mongoUserStore');
+const MongoAuditStore = require('./chat/storage/mongoAuditStore');
+const MongoSessionStore = require('./chat/storage/mongoSessionStore');
+const MongoWebhookStore = require('./chat/storage/mongoWebhookStore');
+const MongoBotStore = require('./chat/storage/mongoBotStore');
+const DiskAttachmentStore = require('./chat/storage/diskAttachmentStore');
+const IpcClusterAdapter = require('./chat/cluster/ipcClusterAdapter');
+const RedisClusterAdapter = require('./chat/cluster/redisClusterAdapter');
+const TcpTransport = require('./chat/transports/tcpTransport');
+const UdpTransport = require('./chat/transports/udpTransport');
+const IrcTransport = require('./chat/transports/ircTransport');
+const Cluster = require('cluster');
+const Os = require('os');
 const Path = require('path');
+const Url = require('url');
 
 class App {
     constructor(){
         let self = this;
+        let mongoUrl = process.env.MONGODB_URL || "mongodb://localhost:27017";
 
         this.httpServer = new NodeServer.HttpServer({
             publicPath: Path.join(__dirname, "public")
         });
-        this.chatServer = new ChatServer({port: 5001});
+        this.messageStore = new MongoMessageStore({url: mongoUrl});
+        this.userStore = new MongoUserStore({url: mongoUrl});
+        this.auditStore = new MongoAuditStore({url: mongoUrl});
+        // sessions are kept in the database so every worker shares them
+        this.sessionStore = new MongoSessionStore({url: mongoUrl});
+        this.accountManager = new AccountManager({
+            userStore: this.userStore,
+            sessionManager: new SessionManager({store: this.sessionStore})
+        });
+        this.attachmentStore = new DiskAttachmentStore({
+            path: process.env.UPLOAD_PATH || Path.join(__dirname, "uploads")
+        });
+        this.attachmentManager = new AttachmentManager({store: this.attachmentStore});
+        // webhooks and bots are kept in the database so every worker shares them
+        this.webhookStore = new MongoWebhookStore({url: mongoUrl});
+        this.botStore = new MongoBotStore({url: mongoUrl});
+        this.cluster = App.createClusterAdapter();
+        this.chatServer = new ChatServer({
+            port: 5001,
+            allowGuests: process.env.ALLOW_GUESTS !== "false",
+            messageStore: this.messageStore,
+            accountManager: this.accountManager,
+            auditStore: this.auditStore,
+            attachmentManager: this.attachmentManager,
+            webhookManager: new WebhookManager({store: this.webhookStore}),
+            botManager: new BotManager({store: this.botStore, userStore: this.userStore}),
+            // ADMINS is a comma separated list of user ids
+            admins: (process.env.ADMINS || "").split(",").filter(Boolean),
+            cluster: this.cluster,
+            transports: App.createTransports(),
+            bots: App.createBots()
+        });
+        // IRC_PORT lets IRC clients join the same rooms
+        if(process.env.IRC_PORT){
+            this.chatServer.addTransport(new IrcTransport({
+                chatServer: this.chatServer,
+                port: parseInt(process.env.IRC_PORT, 10)
+            }));
+        }
 
         this.httpServer.addRoute("GET", "/rooms", function(request, response){
-            response.json(self.chatServer.roomManager.serialize())
+            response.json(self.chatServer.serializeRooms());
+        });
+
+        this.httpServer.addRoute("GET", "/rooms/:name/messages", function(request, response, params){
+            let query = Url.parse(request.url, true).query;
+            self.authenticate(request)
+                .then(function(user){
+                    let room = self.chatServer.getRoom(params.name);
+                    if(!room){
+                        throw HttpUtil.createError(ChatServer.error.roomNotFound, 404);
+                    }
+                    if(!room.isMember(user.id)){
+                        throw HttpUtil.createError(ChatServer.error.notInRoom, 403);
+                    }
+                    // a repeated parameter is parsed as an array
+                    let options = {
+                        before: typeof query.before === "string" ? query.before : null,
+                        limit: query.limit,
+                        thread: typeof query.thread === "string" ? query.thread : null
+                    };
+                    return self.chatServer.getRoomMessages(room.name, options);
+                })
+                .then(function(messages){
+                    HttpUtil.sendJson(response, 200, messages);
+                })
+                .catch(function(error){
+                    HttpUtil.sendError(response, error);
+                });
+        });
+
+        this.httpServer.addRoute("POST", "/users/register", function(request, response){
+            HttpUtil.readJson(request)
+                .then(function(body){
+                    return self.accountManager.register(body);
+                })
+                .then(function(session){
+                    HttpUtil.sendJson(response, 201, session);
+                })
+                .catch(function(error){
+                    HttpUtil.sendError(response, error);
+                });
+        });
+
+        this.httpServer.addRoute("POST", "/users/login", function(request, response){
+            HttpUtil.readJson(request)
+                .then(function(body){
+                    return self.accountManager.login(body);
+                })
+                .then(function(session){
+                    HttpUtil.sendJson(response, 200, session);
+                })
+                .catch(function(error){
+                    HttpUtil.sendError(response, error);
+                });
+        });
+
+        this.httpServer.addRoute("POST", "/users/logout", function(request, response){
+            self.accountManager.logout(HttpUtil.getBearerToken(request))
+                .then(function(){
+                    HttpUtil.sendJson(response, 200, {});
+                })
+                .catch(function(error){
+                    HttpUtil.sendError(response, error);
+                });
+        });
+
+        this.httpServer.addRoute("GET", "/users/me", function(request, response){
+            self.authenticate(request)
+                .then(function(user){
+                    HttpUtil.sendJson(response, 200, user);
+                })
+                .catch(function(error){
+                    HttpUtil.sendError(response, error);
+                });
+        });
+
+        this.httpServer.addRoute("GET", "/audit", function(request, response){
+            let query = Url.parse(request.url, true).query;
+            self.authenticateAdmin(request)
+                .then(function(){
+                    let filter = {
+                        room: query.room,
+                        action: query.action,
+                        actorId: query.actor,
+                        targetId: query.target
+                    };
+                    return self.chatServer.getAuditLog(filter, {before: query.before, limit: query.limit});
+                })
+                .then(function(entries){
+                    HttpUtil.sendJson(response, 200, entries);
+                })
+                .catch(function(error){
+                    HttpUtil.sendError(response, error);
+                });
+        });
+
+        this.httpServer.addRoute("POST", "/attachments", function(request, response){
+            self.authenticate(request)
+                .then(function(user){
+                    return self.chatServer.takeUpload(user)
+                        .then(function(){
+                            return user;
+                        });
+                })
+                .then(function(user){
+                    // leave room for the multipart headers around the file
+                    let maxLength = self.attachmentManager.maxSize + 16 * 1024;
+                    return HttpUtil.readMultipart(request, maxLength)
+                        .then(function(body){
+                            if(!body.files.length){
+                                throw HttpUtil.createError(AttachmentManager.error.noFile, 400);
+                            }
+                            return self.attachmentManager.upload(user, body.files[0]);
+                        });
+                })
+                .then(function(attachment){
+                    HttpUtil.sendJson(response, 201, attachment);
+                })
+                .catch(function(error){
+                    HttpUtil.sendError(response, error);
+                });
+        });
+
+        this.httpServer.addRoute("GET", "/attachments/:id", function(request, response, params){
+            self.authenticate(request, true)
+                .then(function(user){
+                    return self.chatServer.readAttachment(user, params.id);
+                })
+                .then(function(file){
+                    let inline = file.attachment.thumbnail;
+                    HttpUtil.sendFile(response, {name: file.attachment.name, type: file.type, data: file.data}, inline);
+                })
+                .catch(function(error){
+                    HttpUtil.sendError(response, error);
+                });
+        });
+
+        this.httpServer.addRoute("GET", "/attachments/:id/thumbnail", function(request, response, params){
+            self.authenticate(request, true)
+                .then(function(user){
+                    return self.chatServer.readAttachment(user, params.id, true);
+                })
+                .then(function(file){
+                    HttpUtil.sendFile(response, {name: file.attachment.name, type: file.type, data: file.data}, true);
+                })
+                .catch(function(error){
+                    HttpUtil.sendError(response, error);
+                });
+        });
+
+        this.httpServer.addRoute("POST", "/rooms/:name/messages", function(request, response, params){
+            let bot = null;
+            self.chatServer.botManager.authenticate(HttpUtil.getBearerToken(request))
+                .then(function(result){
+                    if(!result){
+                        throw HttpUtil.createError(BotManager.error.unauthorized, 401);
+                    }
+                    bot = result;
+                    return HttpUtil.readJson(request);
+                })
+                .then(function(body){
+                    return self.chatServer.postBotMessage(bot, params.name, body);
+                })
+                .then(function(message){
+                    HttpUtil.sendJson(response, 201, message);
+                })
+                .catch(function(error){
+                    HttpUtil.sendError(response, error);
+                });
+        });
+
+        this.httpServer.addRoute("GET", "/rooms/:name/webhooks", function(request, response, params){
+            self.authenticateRoomOwner(request, params.name)
+                .then(function(room){
+                    return self.chatServer.webhookManager.getRoomWebhooks(room.name);
+                })
+                .then(function(webhooks){
+                    HttpUtil.sendJson(response, 200, webhooks.map(WebhookManager.serialize));
+                })
+                .catch(function(error){
+                    HttpUtil.sendError(response, error);
+                });
+        });
+
+        this.httpServer.addRoute("POST", "/rooms/:name/webhooks", function(request, response, params){
+            self.authenticateRoomOwner(request, params.name)
+                .then(function(room){
+                    return HttpUtil.readJson(request)
+                        .then(function(body){
+                            return self.chatServer.webhookManager.addWebhook(room.name, body);
+                        });
+                })
+                .then(function(result){
+                    HttpUtil.sendJson(response, 201, result);
+                })
+                .catch(function(error){
+                    HttpUtil.sendError(response, error);
+                });
+        });
+
+        this.httpServer.addRoute("DELETE", "/rooms/:name/webhooks/:id", function(request, response, params){
+            self.authenticateRoomOwner(request, params.name)
+                .then(function(room){
+                    return self.chatServer.webhookManager.removeWebhook(room.name, params.id);
+                })
+                .then(function(){
+                    HttpUtil.sendJson(response, 200, {});
+                })
+                .catch(function(error){
+                    HttpUtil.sendError(response, error);
+                });
+        });
+
+        this.httpServer.addRoute("GET", "/bots", function(request, response){
+            self.authenticateAdmin(request)
+                .then(function(){
+                    return self.chatServer.botManager.serializeBots();
+                })
+                .then(function(bots){
+                    HttpUtil.sendJson(response, 200, bots);
+                })
+                .catch(function(error){
+                    HttpUtil.sendError(response, error);
+                });
+        });
+
+        this.httpServer.addRoute("POST", "/bots", function(request, response){
+            self.authenticateAdmin(request)
+                .then(function(){
+                    return HttpUtil.readJson(request);
+                })
+                .then(function(body){
+                    return self.chatServer.createBot(body);
+                })
+                .then(function(result){
+                    HttpUtil.sendJson(response, 201, result);
+                })
+                .catch(function(error){
+                    HttpUtil.sendError(response, error);
+                });
         });
 
-        this.httpServer.start();
-        this.chatServer.start();
+        this.httpServer.addRoute("DELETE", "/bots/:id", function(request, response, params){
+            self.authenticateAdmin(request)
+                .then(function(){
+                    return self.chatServer.botManager.deleteBot(params.id);
+                })
+                .then(function(){
+                    HttpUtil.sendJson(response, 200, {});
+                })
+                .catch(function(error){
+                    HttpUtil.sendError(response, error);
+                });
+        });
+
+        Promise.all([
+            this.messageStore.connect(), 
+            this.userStore.connect(), 
+            this.auditStore.connect(), 
+            this.sessionStore.connect(), 
+            this.webhookStore.connect(), 
+            this.botStore.connect(), 
+            this.attachmentStore.connect(),
+            this.cluster ? this.cluster.connect() : Promise.resolve()
+        ])
+            .then(function(){
+                self.httpServer.start();
+                self.chatServer.start();
+            })
+            .catch(function(error){
+                App.logger.error(error);
+                process.exit(1);
+            });
         return this;
     }
+
+    /**
+     * Authenticate the user of a request.
+     * Links and images cannot send headers, so they can put the token in the query.
+     * @param {IncomingMessage} request
+     * @param {boolean} [allowQuery=false] - whether the token can be in the query
+     * @return {Promise<object>} rejects with a 401 if the session is not valid
+     */
+    authenticate(request, allowQuery = false){
+        let token = HttpUtil.getBearerToken(request);
+        if(!token && allowQuery){
+            let query = Url.parse(request.url, true).query;
+            // a repeated parameter is parsed as an array
+            token = typeof query.token === "string" ? query.token : null;
+        }
+        return this.accountManager.authenticate(token)
+            .then(function(user){
+                if(!user){
+                    throw HttpUtil.createError(AccountManager.error.unauthorized, 401);
+                }
+                return user;
+            });
+    }
+
+    /**
+     * Authenticate the user of a request, who must be an admin
+     * @param {IncomingMessage} request
+     * @return {Promise<object>} the user
+     */
+    authenticateAdmin(request){
+        let self = this;
+        return this.authenticate(request)
+            .then(function(user){
+                if(!self.chatServer.isAdmin(user)){
+                    throw HttpUtil.createError(ChatServer.error.notAdmin, 403);
+                }
+                return user;
+            });
+    }
+
+    /**
+     * Authenticate the user of a request, who must own the room or be an admin
+     * @param {IncomingMessage} request
+     * @param {string} name - room name
+     * @return {Promise<ChatRoom>} the room
+     */
+    authenticateRoomOwner(request, name){
+        let self = this;
+        return this.authenticate(request)
+            .then(function(user){
+                let room = self.chatServer.getRoom(name);
+                if(!room){
+                    throw HttpUtil.createError(ChatServer.error.roomNotFound, 404);
+                }
+                if(!self.chatServer.hasRole(room, user, ChatServer.role.owner)){
+                    throw HttpUtil.createError(ChatServer.error.notRoomOwner, 403);
+                }
+                return room;
+            });
+    }
+
+    /**
+     * Create the transports clients can use besides WebSocket.
+     * TCP_PORT and UDP_PORT turn on line-delimited JSON over TCP and UDP.
+     * UDP clients cannot be shared between workers, so it is only used in a single process.
+     * @return {object[]}
+     */
+    static createTransports(){
+        let transports = [];
+        if(process.env.TCP_PORT){
+            transports.push(new TcpTransport({port: parseInt(process.env.TCP_PORT, 10)}));
+        }
+        if(process.env.UDP_PORT){
+            if(Cluster.isWorker){
+                App.logger.warning("UDP_PORT is ignored when running several workers");
+            }
+            else {
+                transports.push(new UdpTransport({port: parseInt(process.env.UDP_PORT, 10)}));
+            }
+        }
+        return transports;
+    }
+
+    /**
+     * Create the bots that run in this process.
+     * BOTS is a list of the reference bots to run, such as "reminder,stats".
+     * @return {Bot[]}
+     */
+    static createBots(){
+        let bots = [];
+        let names = (process.env.BOTS || "").split(",").filter(Boolean);
+        if(names.includes("reminder")){
+            bots.push(new ReminderBot());
+        }
+        if(names.includes("stats")){
+            bots.push(new RoomStatsBot());
+        }
+        return bots;
+    }
+
+    /**
+     * Create the adapter that connects this process to the others.
+     * Redis is used if REDIS_URL is set, so processes can run on different machines.
+     * Otherwise, workers forked by this file talk over IPC.
+     * @return {ClusterAdapter|null} null when running alone
+     */
+    static createClusterAdapter(){
+        if(process.env.REDIS_URL){
+            return new RedisClusterAdapter({url: process.env.REDIS_URL});
+        }
+        if(Cluster.isWorker){
+            return new IpcClusterAdapter();
+        }
+        return null;
+    }
 }
+App.logger = new Logger("App");
 
-let app = new App();
\ No newline at end of file
+// WORKERS forks that many processes, which share the ports
+let workers = parseInt(process.env.WORKERS || 1, 10);
+if(process.env.WORKERS === "auto"){
+    workers = Os.cpus().length;
+}
+if(Cluster.isMaster && workers > 1){
+    IpcClusterAdapter.relay(Cluster);
+    for(let i = 0; i < workers; i++){
+        Cluster.fork();
+    }
+}
+else {
+    let app = new App();
+}
\ No newline at end of file
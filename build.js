@@ -4,8 +4,13 @@ const version = require('./package.json').version;
 // js
 const jsInput = [
     './node_modules/@voliware/template2/dist/template2-bundle.min.js',
+    './public/js/messagePack.js',
+    './public/js/protocol.js',
     './public/js/webSocketClient.js',
     './public/js/chat.js',
+    './public/js/conversation.js',
+    './public/js/thread.js',
+    './public/js/login.js',
     './public/js/app.js'
 ];
 const jsOutput = "./public/js/app.min.js"
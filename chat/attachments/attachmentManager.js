@@ -0,0 +1,276 @@
+const Crypto = require('crypto');
+const Path = require('path');
+const Logger = require('@voliware/logger');
+const Thumbnailer = require('./thumbnailer');
+const HttpUtil = require('../http/httpUtil');
+
+/**
+ * Attachment Manager.
+ * Validates uploaded files, creates thumbnails of images,
+ * and keeps both in an AttachmentStore.
+ * Uploads that are never sent to a room expire.
+ * Failed operations reject with an Error whose message 
+ * is one of AttachmentManager.error and whose status is an HTTP status code.
+ */
+class AttachmentManager {
+
+	/**
+	 * Constructor
+	 * @param {object} options
+	 * @param {AttachmentStore} options.store
+	 * @param {Thumbnailer} [options.thumbnailer] - defaults to a Thumbnailer
+	 * @param {number} [options.maxSize=10485760] - max file size in bytes
+	 * @param {string[]} [options.allowedTypes=AttachmentManager.allowedTypes] - allowed MIME types
+	 * @param {number} [options.expireAfter=3600000] - time in ms until an upload that was never sent expires
+	 * @param {number} [options.expireInterval=600000] - how often to delete expired uploads in ms
+	 * @return {AttachmentManager}
+	 */
+	constructor(options){
+		this.store = options.store;
+		this.thumbnailer = options.thumbnailer || new Thumbnailer();
+		this.maxSize = options.maxSize || 10 * 1024 * 1024;
+		this.allowedTypes = new Set(options.allowedTypes || AttachmentManager.allowedTypes);
+		this.expireAfter = options.expireAfter || 60 * 60 * 1000;
+		this.expireInterval = options.expireInterval || 10 * 60 * 1000;
+		this.interval = null;
+		this.logger = new Logger("AttachmentManager");
+		return this;
+	}
+
+	/**
+	 * Start deleting expired uploads
+	 * @return {AttachmentManager}
+	 */
+	start(){
+		let self = this;
+		this.stop();
+		this.interval = setInterval(function(){
+			self.deleteExpired()
+				.catch(function(error){
+					self.logger.error(error);
+				});
+		}, this.expireInterval);
+		return this;
+	}
+
+	/**
+	 * Stop deleting expired uploads
+	 * @return {AttachmentManager}
+	 */
+	stop(){
+		clearInterval(this.interval);
+		this.interval = null;
+		return this;
+	}
+
+	/**
+	 * Get the type of an image from its first bytes
+	 * @param {Buffer} data
+	 * @return {string|null} the MIME type, or null if it is not a known image
+	 */
+	static getImageType(data){
+		for(let type in AttachmentManager.imageSignatures){
+			let signature = AttachmentManager.imageSignatures[type];
+			let matches = signature.every(function(byte, index){
+				return byte === null || data[index] === byte;
+			});
+			if(matches){
+				return type;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Clean a file name so it is safe to show and to use in headers
+	 * @param {string} name
+	 * @return {string}
+	 */
+	static cleanName(name){
+		name = Path.basename(String(name || "")).replace(/[\u0000-\u001f"\\\/]/g, "").trim();
+		return name.substring(0, AttachmentManager.maxNameLength) || "file";
+	}
+
+	/**
+	 * Strip private properties from an attachment
+	 * @param {object} attachment
+	 * @return {object}
+	 */
+	static serialize(attachment){
+		return {
+			id: attachment.id,
+			name: attachment.name,
+			type: attachment.type,
+			size: attachment.size,
+			thumbnail: attachment.thumbnail
+		};
+	}
+
+	/**
+	 * Upload a file.
+	 * Images must really be the type they claim to be,
+	 * and get a thumbnail if one can be made.
+	 * @param {object} user - the uploader
+	 * @param {object} file
+	 * @param {string} file.filename
+	 * @param {string} file.type - MIME type
+	 * @param {Buffer} file.data
+	 * @return {Promise<object>} the serialized attachment
+	 */
+	upload(user, file){
+		let self = this;
+		let type = String(file.type || "").toLowerCase();
+		if(!file.data.length){
+			return Promise.reject(HttpUtil.createError(AttachmentManager.error.empty, 400));
+		}
+		if(file.data.length > this.maxSize){
+			return Promise.reject(HttpUtil.createError(AttachmentManager.error.tooLarge, 413));
+		}
+		if(!this.allowedTypes.has(type)){
+			return Promise.reject(HttpUtil.createError(AttachmentManager.error.typeNotAllowed, 415));
+		}
+		let isImage = type in AttachmentManager.imageSignatures;
+		if(isImage && AttachmentManager.getImageType(file.data) !== type){
+			return Promise.reject(HttpUtil.createError(AttachmentManager.error.typeMismatch, 415));
+		}
+		let thumbnail = isImage ? this.createThumbnail(file.data) : Promise.resolve(null);
+		return thumbnail
+			.then(function(thumbnail){
+				let attachment = {
+					id: Crypto.randomBytes(16).toString('hex'),
+					name: AttachmentManager.cleanName(file.filename),
+					type: type,
+					size: file.data.length,
+					uploaderId: user.id,
+					thumbnail: thumbnail !== null,
+					created: Date.now(),
+					rooms: []
+				};
+				return self.store.saveAttachment(attachment, file.data, thumbnail);
+			})
+			.then(function(attachment){
+				return AttachmentManager.serialize(attachment);
+			});
+	}
+
+	/**
+	 * Create a thumbnail of an image.
+	 * Images that cannot be decoded have no thumbnail,
+	 * and neither does any image if thumbnails cannot be made.
+	 * @param {Buffer} data
+	 * @return {Promise<Buffer|null>}
+	 */
+	createThumbnail(data){
+		let self = this;
+		return this.thumbnailer.create(data)
+			.catch(function(error){
+				self.logger.error(error);
+				return null;
+			});
+	}
+
+	/**
+	 * Get an attachment's metadata
+	 * @param {string} id
+	 * @return {Promise<object>} rejects if it does not exist
+	 */
+	getAttachment(id){
+		return this.store.getAttachment(id)
+			.then(function(attachment){
+				if(!attachment){
+					throw HttpUtil.createError(AttachmentManager.error.notFound, 404);
+				}
+				return attachment;
+			});
+	}
+
+	/**
+	 * Get an attachment and its file or thumbnail
+	 * @param {string} id
+	 * @param {boolean} [thumbnail=false]
+	 * @return {Promise<{attachment: object, type: string, data: Buffer}>} rejects if either does not exist
+	 */
+	readFile(id, thumbnail = false){
+		let self = this;
+		let attachment = null;
+		return this.getAttachment(id)
+			.then(function(result){
+				attachment = result;
+				return self.store.readFile(id, thumbnail);
+			})
+			.then(function(data){
+				if(!data){
+					throw HttpUtil.createError(AttachmentManager.error.notFound, 404);
+				}
+				return {
+					attachment: attachment,
+					type: thumbnail ? Thumbnailer.type : attachment.type,
+					data: data
+				};
+			});
+	}
+
+	/**
+	 * Record that an attachment was sent to a room,
+	 * so that it does not expire and members of the room can read it
+	 * @param {string} id
+	 * @param {string} room
+	 * @return {Promise<boolean>} false if it does not exist
+	 */
+	addRoom(id, room){
+		return this.store.addRoom(id, room);
+	}
+
+	/**
+	 * Delete an attachment
+	 * @param {string} id
+	 * @return {Promise<boolean>} false if it did not exist
+	 */
+	deleteAttachment(id){
+		return this.store.deleteAttachment(id);
+	}
+
+	/**
+	 * Delete uploads that were not sent to a room before they expired
+	 * @return {Promise<number>} how many were deleted
+	 */
+	deleteExpired(){
+		let self = this;
+		return this.store.getUnattached(Date.now() - this.expireAfter)
+			.then(function(attachments){
+				return Promise.all(attachments.map(function(attachment){
+					return self.store.deleteAttachment(attachment.id);
+				}));
+			})
+			.then(function(results){
+				return results.filter(Boolean).length;
+			});
+	}
+}
+AttachmentManager.maxNameLength = 128;
+AttachmentManager.allowedTypes = [
+	"image/png",
+	"image/jpeg",
+	"image/gif",
+	"image/webp",
+	"application/pdf",
+	"application/zip",
+	"text/plain"
+];
+// null matches any byte
+AttachmentManager.imageSignatures = {
+	"image/png": [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+	"image/jpeg": [0xff, 0xd8, 0xff],
+	"image/gif": [0x47, 0x49, 0x46, 0x38],
+	"image/webp": [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50]
+};
+AttachmentManager.error = {
+	empty: "File is empty",
+	tooLarge: "File is too large",
+	typeNotAllowed: "File type is not allowed",
+	typeMismatch: "File is not the type it claims to be",
+	notFound: "Attachment does not exist",
+	noFile: "No file was uploaded"
+};
+
+module.exports = AttachmentManager;
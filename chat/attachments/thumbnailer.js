@@ -0,0 +1,66 @@
+/**
+ * Thumbnailer.
+ * Creates small PNG previews of uploaded images.
+ * Images are decoded with sharp, which is an optional dependency,
+ * and is only loaded once the first thumbnail is made.
+ * Without it, images simply have no thumbnails.
+ */
+class Thumbnailer {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @param {number} [options.size=240] - max width and height in pixels
+	 * @return {Thumbnailer}
+	 */
+	constructor(options = {}){
+		let defaults = {
+			size: 240
+		};
+		Object.extend(defaults, options);
+		this.size = defaults.size;
+		return this;
+	}
+
+	/**
+	 * Create a thumbnail of an image.
+	 * The image is rotated by its EXIF orientation,
+	 * then shrunk to fit, but never enlarged.
+	 * Only the first frame of animated images is used.
+	 * @param {Buffer} data
+	 * @return {Promise<Buffer|null>} null if sharp is not installed
+	 */
+	create(data){
+		let sharp = Thumbnailer.loadSharp();
+		if(!sharp){
+			return Promise.resolve(null);
+		}
+		return sharp(data)
+			.rotate()
+			.resize(this.size, this.size, {fit: "inside", withoutEnlargement: true})
+			.png()
+			.toBuffer();
+	}
+
+	/**
+	 * Load sharp the first time it is needed
+	 * @return {function|null} null if it is not installed
+	 */
+	static loadSharp(){
+		if(typeof Thumbnailer.sharp === "undefined"){
+			try {
+				Thumbnailer.sharp = require('sharp');
+			}
+			catch(error){
+				if(error.code !== "MODULE_NOT_FOUND"){
+					throw error;
+				}
+				Thumbnailer.sharp = null;
+			}
+		}
+		return Thumbnailer.sharp;
+	}
+}
+Thumbnailer.type = "image/png";
+
+module.exports = Thumbnailer;
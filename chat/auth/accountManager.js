@@ -0,0 +1,229 @@
+const Crypto = require('crypto');
+const Password = require('./password');
+const SessionManager = require('./sessionManager');
+const HttpUtil = require('../http/httpUtil');
+
+/**
+ * Account Manager.
+ * Registers users, logs them in and out,
+ * and authenticates session tokens.
+ * Failed operations reject with an Error whose message 
+ * is one of AccountManager.error and whose status is an HTTP status code.
+ */
+class AccountManager {
+
+	/**
+	 * Constructor
+	 * @param {object} options
+	 * @param {UserStore} options.userStore
+	 * @param {SessionManager} [options.sessionManager]
+	 * @return {AccountManager}
+	 */
+	constructor(options){
+		this.userStore = options.userStore;
+		this.sessionManager = options.sessionManager || new SessionManager();
+		// functions that check if a name is reserved, such as by a bot
+		this.nameChecks = [];
+		return this;
+	}
+
+	/**
+	 * Add a check for names that users cannot register or rename to.
+	 * The check is called with a name, and returns whether it is reserved,
+	 * or a Promise of it.
+	 * @param {function} check
+	 * @return {AccountManager}
+	 */
+	addNameCheck(check){
+		this.nameChecks.push(check);
+		return this;
+	}
+
+	/**
+	 * Check if a name is reserved by any of the name checks
+	 * @param {string} name
+	 * @return {Promise<boolean>}
+	 */
+	isNameReserved(name){
+		return Promise.all(this.nameChecks.map(function(check){
+				return check(name);
+			}))
+			.then(function(results){
+				return results.some(Boolean);
+			});
+	}
+
+	/**
+	 * Check if a name can be used
+	 * @param {string} name
+	 * @return {boolean}
+	 */
+	static isValidName(name){
+		return typeof name === "string" && AccountManager.namePattern.test(name);
+	}
+
+	/**
+	 * Strip private properties from a user
+	 * @param {object} user
+	 * @return {object}
+	 */
+	static serializeUser(user){
+		return {
+			id: user.id,
+			name: user.name,
+			email: user.email,
+			avatar: user.avatar || ""
+		};
+	}
+
+	/**
+	 * Register a new user and log them in.
+	 * Reserved names are taken.
+	 * @param {object} data
+	 * @param {string} data.name
+	 * @param {string} data.email
+	 * @param {string} data.password
+	 * @return {Promise<{user: object, token: string}>}
+	 */
+	register(data){
+		let self = this;
+		if(!AccountManager.isValidName(data.name)){
+			return Promise.reject(HttpUtil.createError(AccountManager.error.invalidName, 400));
+		}
+		if(typeof data.email !== "string" || !AccountManager.emailPattern.test(data.email)){
+			return Promise.reject(HttpUtil.createError(AccountManager.error.invalidEmail, 400));
+		}
+		if(typeof data.password !== "string" || data.password.length < AccountManager.minPasswordLength){
+			return Promise.reject(HttpUtil.createError(AccountManager.error.invalidPassword, 400));
+		}
+		return this.isNameReserved(data.name)
+			.then(function(reserved){
+				if(reserved){
+					throw HttpUtil.createError(AccountManager.error.nameTaken, 409);
+				}
+				return Password.hash(data.password);
+			})
+			.then(function(passwordHash){
+				return self.userStore.createUser({
+					id: Crypto.randomBytes(12).toString('hex'),
+					name: data.name,
+					email: data.email,
+					avatar: "",
+					passwordHash: passwordHash,
+					created: Date.now()
+				});
+			})
+			.then(function(user){
+				if(!user){
+					throw HttpUtil.createError(AccountManager.error.nameTaken, 409);
+				}
+				return self.createSession(user);
+			});
+	}
+
+	/**
+	 * Log a user in
+	 * @param {object} data
+	 * @param {string} data.name
+	 * @param {string} data.password
+	 * @return {Promise<{user: object, token: string}>}
+	 */
+	login(data){
+		let self = this;
+		let user = null;
+		return this.userStore.getUserByName(data.name)
+			.then(function(result){
+				user = result;
+				return user ? Password.verify(data.password, user.passwordHash) : false;
+			})
+			.then(function(valid){
+				if(!valid){
+					throw HttpUtil.createError(AccountManager.error.badCredentials, 401);
+				}
+				return self.createSession(user);
+			});
+	}
+
+	/**
+	 * Log a session out
+	 * @param {string} token
+	 * @return {Promise}
+	 */
+	logout(token){
+		if(typeof token !== "string" || !token.length){
+			return Promise.resolve();
+		}
+		return this.sessionManager.deleteSession(token);
+	}
+
+	/**
+	 * Get the user that owns a session token
+	 * @param {string} token
+	 * @return {Promise<object|null>} the serialized user, or null if the token is invalid
+	 */
+	authenticate(token){
+		if(typeof token !== "string" || !token.length){
+			return Promise.resolve(null);
+		}
+		let self = this;
+		return this.sessionManager.getSessionUserId(token)
+			.then(function(userId){
+				return userId ? self.userStore.getUser(userId) : null;
+			})
+			.then(function(user){
+				return user ? AccountManager.serializeUser(user) : null;
+			});
+	}
+
+	/**
+	 * Rename a user.
+	 * Reserved names are taken.
+	 * @param {string} id
+	 * @param {string} name
+	 * @return {Promise<object>} the serialized user
+	 */
+	rename(id, name){
+		let self = this;
+		if(!AccountManager.isValidName(name)){
+			return Promise.reject(HttpUtil.createError(AccountManager.error.invalidName, 400));
+		}
+		return this.isNameReserved(name)
+			.then(function(reserved){
+				return reserved ? null : self.userStore.updateUser(id, {name: name});
+			})
+			.then(function(user){
+				if(!user){
+					throw HttpUtil.createError(AccountManager.error.nameTaken, 409);
+				}
+				return AccountManager.serializeUser(user);
+			});
+	}
+
+	/**
+	 * Create a session for a user
+	 * @param {object} user
+	 * @return {Promise<{user: object, token: string}>}
+	 */
+	createSession(user){
+		return this.sessionManager.createSession(user.id)
+			.then(function(token){
+				return {
+					user: AccountManager.serializeUser(user),
+					token: token
+				};
+			});
+	}
+}
+AccountManager.namePattern = /^[A-Za-z0-9_\-]{3,24}$/;
+AccountManager.emailPattern = /^[^\s@]+@[^\s@]+$/;
+AccountManager.minPasswordLength = 8;
+AccountManager.error = {
+	invalidName: "Name must be 3 to 24 letters, numbers, dashes or underscores",
+	invalidEmail: "Email is invalid",
+	invalidPassword: "Password must be at least 8 characters",
+	nameTaken: "Name is taken",
+	badCredentials: "Name or password is incorrect",
+	unauthorized: "Not logged in"
+};
+
+module.exports = AccountManager;
\ No newline at end of file
@@ -0,0 +1,66 @@
+const Crypto = require('crypto');
+
+/**
+ * Password hashing.
+ * Passwords are hashed with scrypt and a random salt.
+ * Hashes are stored as "salt:hash", both hex encoded.
+ */
+class Password {
+
+	/**
+	 * Hash a password with a new random salt
+	 * @param {string} password
+	 * @return {Promise<string>}
+	 */
+	static hash(password){
+		let salt = Crypto.randomBytes(Password.saltLength).toString('hex');
+		return Password.derive(password, salt)
+			.then(function(hash){
+				return salt + ":" + hash.toString('hex');
+			});
+	}
+
+	/**
+	 * Verify a password against a stored hash
+	 * @param {string} password
+	 * @param {string} stored - a hash from Password.hash()
+	 * @return {Promise<boolean>}
+	 */
+	static verify(password, stored){
+		if(typeof password !== "string" || typeof stored !== "string"){
+			return Promise.resolve(false);
+		}
+		let parts = stored.split(":");
+		if(parts.length !== 2){
+			return Promise.resolve(false);
+		}
+		let expected = Buffer.from(parts[1], 'hex');
+		return Password.derive(password, parts[0])
+			.then(function(hash){
+				return hash.length === expected.length && Crypto.timingSafeEqual(hash, expected);
+			});
+	}
+
+	/**
+	 * Derive a key from a password and salt
+	 * @param {string} password
+	 * @param {string} salt
+	 * @return {Promise<Buffer>}
+	 */
+	static derive(password, salt){
+		return new Promise(function(resolve, reject){
+			Crypto.scrypt(password, salt, Password.keyLength, function(error, key){
+				if(error){
+					reject(error);
+				}
+				else {
+					resolve(key);
+				}
+			});
+		});
+	}
+}
+Password.saltLength = 16;
+Password.keyLength = 64;
+
+module.exports = Password;
\ No newline at end of file
@@ -0,0 +1,92 @@
+const Crypto = require('crypto');
+const MemorySessionStore = require('../storage/memorySessionStore');
+
+/**
+ * Session Manager.
+ * Issues random session tokens for users and keeps them in a SessionStore.
+ * Processes that share a store share sessions, so a user who logged in
+ * through one process is authenticated by every other.
+ * Only a hash of each token is stored, so the store cannot be used to log in.
+ * Sessions expire after a period of time.
+ */
+class SessionManager {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @param {SessionStore} [options.store] - defaults to a MemorySessionStore
+	 * @param {number} [options.sessionLength=604800000] - how long a session lasts in ms
+	 * @return {SessionManager}
+	 */
+	constructor(options = {}){
+		let defaults = {
+			sessionLength: 7 * 24 * 60 * 60 * 1000
+		};
+		Object.extend(defaults, options);
+		this.sessionLength = defaults.sessionLength;
+		this.store = options.store || new MemorySessionStore();
+		return this;
+	}
+
+	/**
+	 * Hash a session token into the id it is stored under
+	 * @param {string} token
+	 * @return {string}
+	 */
+	static hashToken(token){
+		return Crypto.createHash('sha256').update(token).digest('hex');
+	}
+
+	/**
+	 * Create a session for a user
+	 * @param {string} userId
+	 * @return {Promise<string>} the session token
+	 */
+	createSession(userId){
+		let token = Crypto.randomBytes(SessionManager.tokenLength).toString('hex');
+		return this.store.saveSession({
+				id: SessionManager.hashToken(token),
+				userId: userId,
+				expires: Date.now() + this.sessionLength
+			})
+			.then(function(){
+				return token;
+			});
+	}
+
+	/**
+	 * Get the user id of a session.
+	 * Expired sessions are deleted.
+	 * @param {string} token
+	 * @return {Promise<string|null>}
+	 */
+	getSessionUserId(token){
+		let self = this;
+		let id = SessionManager.hashToken(token);
+		return this.store.getSession(id)
+			.then(function(session){
+				if(!session){
+					return null;
+				}
+				if(session.expires <= Date.now()){
+					return self.store.deleteSession(id)
+						.then(function(){
+							return null;
+						});
+				}
+				return session.userId;
+			});
+	}
+
+	/**
+	 * Delete a session
+	 * @param {string} token
+	 * @return {Promise}
+	 */
+	deleteSession(token){
+		return this.store.deleteSession(SessionManager.hashToken(token));
+	}
+}
+SessionManager.tokenLength = 32;
+
+module.exports = SessionManager;
@@ -0,0 +1,315 @@
+const Logger = require('@voliware/logger');
+const ChatServer = require('../chatServer');
+
+/**
+ * Bot.
+ * Base class for a bot that runs in the same process as a ChatServer.
+ * Once registered with ChatServer.registerBot, the bot joins its rooms as a pseudo-client,
+ * and its hooks are called with what happens in them.
+ * What it does goes through the same routes as a user, so bans, mutes and filters apply,
+ * but it has its own rate limits, and can only use the routes it has permission for.
+ * Hooks may return a Promise. Errors thrown by hooks are logged.
+ * A bot is a user with bot set to true, and its messages are marked as from a bot.
+ * In a cluster, each node registers its own copy of a bot,
+ * which sees messages from every node.
+ */
+class Bot {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @param {string} [options.name] - unique name of the bot
+	 * @param {string} [options.avatar=""]
+	 * @param {string[]} [options.rooms=["General"]] - names of the rooms the bot joins when registered
+	 * @param {string[]} [options.permissions=Bot.defaultPermissions] - what the bot can do, see ChatServer.botPermission
+	 * @param {object} [options.rateLimits] - action to {capacity, interval}, see RateLimiter
+	 * @param {object[]} [options.commands] - slash commands the bot answers with onCommand,
+	 * with a name, syntax, description and permission, see CommandRegistry
+	 * @return {Bot}
+	 */
+	constructor(options = {}){
+		let defaults = {
+			name: "",
+			avatar: "",
+			rateLimits: {
+				message: {capacity: 10, interval: 10000},
+				join: {capacity: 5, interval: 30000},
+				command: {capacity: 10, interval: 10000}
+			}
+		};
+		Object.extend(defaults, options);
+		this.name = defaults.name;
+		this.avatar = defaults.avatar;
+		this.rateLimits = defaults.rateLimits;
+		this.rooms = options.rooms || [ChatServer.generalChatName];
+		this.permissions = new Set(options.permissions || Bot.defaultPermissions);
+		this.commands = options.commands || [];
+		this.server = null;
+		this.client = null;
+		this.user = null;
+		// id to timer of scheduled messages
+		this.timers = new Map();
+		this.lastTimerId = 0;
+		this.logger = new Logger("Bot", {context: this.name});
+		return this;
+	}
+
+	/**
+	 * Check if the bot has a permission
+	 * @param {string} permission - one of ChatServer.botPermission
+	 * @return {boolean}
+	 */
+	hasPermission(permission){
+		return this.permissions.has(permission);
+	}
+
+	/**
+	 * Attach the bot to its server and client once it is registered
+	 * @param {ChatServer} server
+	 * @param {BotClient} client
+	 * @return {Bot}
+	 */
+	attach(server, client){
+		this.server = server;
+		this.client = client;
+		this.user = client.user;
+		return this;
+	}
+
+	/**
+	 * Detach the bot from its client once it is unregistered.
+	 * Scheduled messages are cancelled.
+	 * @return {Bot}
+	 */
+	detach(){
+		for(let id of Array.from(this.timers.keys())){
+			this.cancel(id);
+		}
+		this.server = null;
+		this.client = null;
+		return this;
+	}
+
+	/**
+	 * Check if the bot is in a room
+	 * @param {string} room - room name
+	 * @return {boolean}
+	 */
+	isInRoom(room){
+		if(!this.server){
+			return false;
+		}
+		let chatRoom = this.server.getRoom(room);
+		return Boolean(chatRoom && chatRoom.hasClient(this.client.id));
+	}
+
+	/**
+	 * Receive a message from the server and call the hook for it.
+	 * The bot's own messages are ignored.
+	 * @param {object} message
+	 * @return {Bot}
+	 */
+	receive(message){
+		let self = this;
+		let data = message.data || {};
+		let hook = null;
+		if(message.status === 0){
+			hook = function(){
+				return self.onError(message);
+			};
+		}
+		else if(message.route === ChatServer.route.roomMessage && data.senderId !== this.user.id){
+			hook = function(){
+				return self.onMessage(data);
+			};
+		}
+		else if(message.route === ChatServer.route.roomUserJoined){
+			hook = function(){
+				return self.onJoin(data.room, data.user);
+			};
+		}
+		else if(message.route === ChatServer.route.roomUserLeft){
+			hook = function(){
+				return self.onLeave(data.room, data.id);
+			};
+		}
+		if(hook){
+			Promise.resolve()
+				.then(hook)
+				.catch(function(error){
+					self.logger.error(error);
+				});
+		}
+		return this;
+	}
+
+	/**
+	 * Called with each message sent to a room the bot is in
+	 * @param {object} message - the room message
+	 * @return {Promise|undefined}
+	 */
+	onMessage(message){
+	}
+
+	/**
+	 * Called when a user joins a room the bot is in
+	 * @param {string} room - room name
+	 * @param {object} user
+	 * @return {Promise|undefined}
+	 */
+	onJoin(room, user){
+	}
+
+	/**
+	 * Called when a user leaves a room the bot is in
+	 * @param {string} room - room name
+	 * @param {string} userId
+	 * @return {Promise|undefined}
+	 */
+	onLeave(room, userId){
+	}
+
+	/**
+	 * Called when a user runs one of the bot's commands.
+	 * The result is sent back to the user.
+	 * A string result is sent as {text}, which clients show as it is.
+	 * Throw an error from ChatServer.createCommandError to send the user an error.
+	 * @param {string} name - command name
+	 * @param {object} args - argument name to value
+	 * @param {object} context
+	 * @param {object} context.user - the user who ran the command
+	 * @param {string|null} context.room - the room the command was run from
+	 * @return {*|Promise<*>}
+	 */
+	onCommand(name, args, context){
+		return null;
+	}
+
+	/**
+	 * Called when the server rejects something the bot did,
+	 * such as a message while the bot is rate limited
+	 * @param {object} message - the error response
+	 * @return {Promise|undefined}
+	 */
+	onError(message){
+	}
+
+	/**
+	 * Submit a message to the server, as a client would send one
+	 * @param {object} message - with a route
+	 * @return {Bot}
+	 */
+	submit(message){
+		if(this.client){
+			this.client.submit(message);
+		}
+		return this;
+	}
+
+	/**
+	 * Send a message to a room
+	 * @param {string} room - room name
+	 * @param {string} text
+	 * @param {object} [options]
+	 * @param {boolean} [options.action=false] - whether the message is an action, like /me
+	 * @param {string} [options.parentId] - id of the message to reply to in its thread
+	 * @return {Bot}
+	 */
+	say(room, text, options = {}){
+		let message = {route: ChatServer.route.roomMessage, room: room, text: text};
+		if(options.action){
+			message.action = true;
+		}
+		if(options.parentId){
+			message.parentId = options.parentId;
+		}
+		return this.submit(message);
+	}
+
+	/**
+	 * Reply to a message in the room it was sent to.
+	 * Replies to messages in a thread stay in the thread.
+	 * @param {object} message - a room message
+	 * @param {string} text
+	 * @return {Bot}
+	 */
+	reply(message, text){
+		return this.say(message.room, text, {parentId: message.parentId});
+	}
+
+	/**
+	 * React to a message
+	 * @param {object} message - a room message
+	 * @param {string} emoji
+	 * @param {boolean} [add=true] - false to remove the reaction
+	 * @return {Bot}
+	 */
+	react(message, emoji, add = true){
+		return this.submit({
+			route: ChatServer.route.roomMessageReact,
+			room: message.room,
+			id: message.id,
+			emoji: emoji,
+			add: add
+		});
+	}
+
+	/**
+	 * Send a message to a room later
+	 * @param {number} delay - ms
+	 * @param {string} room - room name
+	 * @param {string} text
+	 * @param {object} [options] - see say
+	 * @return {number} id of the scheduled message, to cancel it
+	 */
+	schedule(delay, room, text, options){
+		let self = this;
+		let id = ++this.lastTimerId;
+		this.timers.set(id, setTimeout(function(){
+			self.timers.delete(id);
+			self.say(room, text, options);
+		}, delay));
+		return id;
+	}
+
+	/**
+	 * Cancel a scheduled message
+	 * @param {number} id
+	 * @return {boolean} false if it was already sent or cancelled
+	 */
+	cancel(id){
+		let timer = this.timers.get(id);
+		if(!timer){
+			return false;
+		}
+		clearTimeout(timer);
+		this.timers.delete(id);
+		return true;
+	}
+
+	/**
+	 * Join a room
+	 * @param {string} room - room name
+	 * @param {string} [password]
+	 * @return {Bot}
+	 */
+	join(room, password){
+		return this.submit({route: ChatServer.route.roomJoin, room: room, password: password});
+	}
+
+	/**
+	 * Leave a room
+	 * @param {string} room - room name
+	 * @return {Bot}
+	 */
+	leave(room){
+		return this.submit({route: ChatServer.route.roomLeave, room: room});
+	}
+}
+Bot.defaultPermissions = [
+	ChatServer.botPermission.message,
+	ChatServer.botPermission.react,
+	ChatServer.botPermission.join
+];
+
+module.exports = Bot;
@@ -0,0 +1,91 @@
+const EventEmitter = require('events').EventEmitter;
+const TokenBucket = require('../limits/tokenBucket');
+
+/**
+ * Bot Client.
+ * The pseudo-client of a Bot registered with a ChatServer.
+ * It looks like any other client to the server, so a bot joins rooms,
+ * and everything it does goes through the same routes and checks as a user.
+ * Messages the server sends it are passed to the bot,
+ * and messages the bot submits are emitted as "message".
+ * It has its own rate limits instead of the server's.
+ * Its id is made from the bot's name, so copies of a bot on several nodes are one user.
+ * @extends {EventEmitter}
+ */
+class BotClient extends EventEmitter {
+
+	/**
+	 * Constructor
+	 * @param {Bot} bot
+	 * @return {BotClient}
+	 */
+	constructor(bot){
+		super();
+		this.id = "bot:" + bot.name.toLowerCase();
+		this.ip = "";
+		this.binary = false;
+		this.bot = bot;
+		this.isClosed = false;
+		// action to token bucket
+		this.buckets = new Map();
+		for(let action in bot.rateLimits){
+			this.buckets.set(action, new TokenBucket(bot.rateLimits[action]));
+		}
+		return this;
+	}
+
+	/**
+	 * Try to take an action
+	 * @param {string} action
+	 * @return {number} 0 if the action is allowed, otherwise ms until it will be
+	 */
+	take(action){
+		let bucket = this.buckets.get(action);
+		if(!bucket){
+			return 0;
+		}
+		let wait = bucket.getWait();
+		if(!wait){
+			bucket.take();
+		}
+		return wait;
+	}
+
+	/**
+	 * Submit a message to the server, as a client would send one
+	 * @param {object} message - with a route
+	 * @return {BotClient}
+	 */
+	submit(message){
+		if(!this.isClosed){
+			this.emit('message', message);
+		}
+		return this;
+	}
+
+	/**
+	 * Receive a message from the server, and pass it to the bot
+	 * @param {string} data - a JSON message
+	 * @return {BotClient}
+	 */
+	send(data){
+		if(!this.isClosed){
+			this.bot.receive(JSON.parse(data));
+		}
+		return this;
+	}
+
+	/**
+	 * Disconnect the client, emitting "disconnect" once
+	 * @return {BotClient}
+	 */
+	disconnect(){
+		if(!this.isClosed){
+			this.isClosed = true;
+			this.emit('disconnect');
+		}
+		return this;
+	}
+}
+
+module.exports = BotClient;
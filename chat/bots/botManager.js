@@ -0,0 +1,163 @@
+const Crypto = require('crypto');
+const AccountManager = require('../auth/accountManager');
+const SessionManager = require('../auth/sessionManager');
+const HttpUtil = require('../http/httpUtil');
+const MemoryBotStore = require('../storage/memoryBotStore');
+
+/**
+ * Bot Manager.
+ * Creates bots that post into rooms over HTTP,
+ * and authenticates their tokens.
+ * Bots are kept in a BotStore, so processes that share a store share bots.
+ * Only a hash of each token is stored, like session tokens.
+ * Bots cannot take the names of registered users.
+ * Failed operations reject with an Error whose message
+ * is one of BotManager.error and whose status is an HTTP status code.
+ */
+class BotManager {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @param {BotStore} [options.store] - defaults to a MemoryBotStore
+	 * @param {UserStore} [options.userStore] - the users whose names bots cannot take
+	 * @return {BotManager}
+	 */
+	constructor(options = {}){
+		this.store = options.store || new MemoryBotStore();
+		this.userStore = options.userStore || null;
+		return this;
+	}
+
+	/**
+	 * Strip private properties from a bot
+	 * @param {object} bot
+	 * @return {object}
+	 */
+	static serialize(bot){
+		return {
+			id: bot.id,
+			name: bot.name,
+			rooms: bot.rooms,
+			bot: true,
+			created: bot.created
+		};
+	}
+
+	/**
+	 * Check if a bot can post in a room
+	 * @param {object} bot
+	 * @param {string} room - room name
+	 * @return {boolean}
+	 */
+	static canPost(bot, room){
+		return !bot.rooms.length || bot.rooms.includes(room);
+	}
+
+	/**
+	 * Create a bot
+	 * @param {object} data
+	 * @param {string} data.name
+	 * @param {string[]} [data.rooms] - names of the rooms the bot can post in, all rooms if empty
+	 * @return {Promise<{bot: object, token: string}>} the serialized bot, and its token
+	 */
+	createBot(data){
+		let self = this;
+		if(!AccountManager.isValidName(data.name)){
+			return Promise.reject(HttpUtil.createError(BotManager.error.invalidName, 400));
+		}
+		let rooms = [];
+		if(typeof data.rooms !== "undefined"){
+			let valid = Array.isArray(data.rooms) && data.rooms.every(function(room){
+				return typeof room === "string" && room.length > 0;
+			});
+			if(!valid){
+				return Promise.reject(HttpUtil.createError(BotManager.error.invalidRooms, 400));
+			}
+			rooms = Array.from(new Set(data.rooms));
+		}
+		let token = Crypto.randomBytes(BotManager.tokenLength).toString('hex');
+		let getUser = this.userStore ? this.userStore.getUserByName(data.name) : Promise.resolve(null);
+		return getUser
+			.then(function(user){
+				if(user){
+					return null;
+				}
+				return self.store.createBot({
+					id: "bot-" + Crypto.randomBytes(8).toString('hex'),
+					name: data.name,
+					rooms: rooms,
+					tokenHash: SessionManager.hashToken(token),
+					created: Date.now()
+				});
+			})
+			.then(function(bot){
+				if(!bot){
+					throw HttpUtil.createError(BotManager.error.nameTaken, 409);
+				}
+				return {bot: BotManager.serialize(bot), token: token};
+			});
+	}
+
+	/**
+	 * Delete a bot, which revokes its token
+	 * @param {string} id
+	 * @return {Promise}
+	 */
+	deleteBot(id){
+		return this.store.deleteBot(id)
+			.then(function(deleted){
+				if(!deleted){
+					throw HttpUtil.createError(BotManager.error.botNotFound, 404);
+				}
+			});
+	}
+
+	/**
+	 * Get a bot by name, ignoring case
+	 * @param {string} name
+	 * @return {Promise<object|null>} the serialized bot
+	 */
+	getBotByName(name){
+		return this.store.getBotByName(name)
+			.then(function(bot){
+				return bot ? BotManager.serialize(bot) : null;
+			});
+	}
+
+	/**
+	 * Serialize all bots
+	 * @return {Promise<object[]>}
+	 */
+	serializeBots(){
+		return this.store.getBots()
+			.then(function(bots){
+				return bots.map(BotManager.serialize);
+			});
+	}
+
+	/**
+	 * Get the bot that owns a token
+	 * @param {string} token
+	 * @return {Promise<object|null>} the serialized bot, or null if the token is invalid
+	 */
+	authenticate(token){
+		if(typeof token !== "string" || !token.length){
+			return Promise.resolve(null);
+		}
+		return this.store.getBotByTokenHash(SessionManager.hashToken(token))
+			.then(function(bot){
+				return bot ? BotManager.serialize(bot) : null;
+			});
+	}
+}
+BotManager.tokenLength = 32;
+BotManager.error = {
+	invalidName: "Bot name is invalid",
+	invalidRooms: "Bot rooms are invalid",
+	nameTaken: "Bot name is taken",
+	botNotFound: "Bot does not exist",
+	unauthorized: "Bot token is invalid"
+};
+
+module.exports = BotManager;
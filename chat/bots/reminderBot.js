@@ -0,0 +1,116 @@
+const Bot = require('./bot');
+const ChatServer = require('../chatServer');
+const CommandRegistry = require('../commands/commandRegistry');
+
+/**
+ * Reminder Bot.
+ * Reminds users of something later, in the room they asked from,
+ * such as "/remind 10m stand up".
+ * Reminders are kept in memory, so they are lost when the server restarts.
+ * @extends {Bot}
+ */
+class ReminderBot extends Bot {
+
+	/**
+	 * Constructor
+	 * @param {object} [options] - see Bot
+	 * @param {string} [options.name="Reminder"]
+	 * @param {number} [options.maxDelay=604800000] - max time in ms a reminder can be set for
+	 * @param {number} [options.maxPerUser=10] - max reminders each user can have waiting
+	 * @return {ReminderBot}
+	 */
+	constructor(options = {}){
+		super(Object.assign({name: "Reminder", commands: ReminderBot.commands}, options));
+		let defaults = {
+			maxDelay: 7 * 24 * 60 * 60 * 1000,
+			maxPerUser: 10
+		};
+		Object.extend(defaults, options);
+		this.maxDelay = defaults.maxDelay;
+		this.maxPerUser = defaults.maxPerUser;
+		// user id to ids of the user's scheduled reminders
+		this.reminders = new Map();
+		return this;
+	}
+
+	/**
+	 * Parse a delay, such as "30s", "10m", "2h" or "1d"
+	 * @param {string} text
+	 * @return {number} ms, 0 if it is not valid
+	 */
+	static parseDelay(text){
+		let match = /^(\d+)([smhd])$/i.exec(text);
+		if(!match){
+			return 0;
+		}
+		return parseInt(match[1], 10) * ReminderBot.units[match[2].toLowerCase()];
+	}
+
+	/**
+	 * Get the ids of a user's reminders that have not been sent yet
+	 * @param {string} userId
+	 * @return {number[]}
+	 */
+	getReminders(userId){
+		let self = this;
+		let ids = (this.reminders.get(userId) || []).filter(function(id){
+			return self.timers.has(id);
+		});
+		if(ids.length){
+			this.reminders.set(userId, ids);
+		}
+		else {
+			this.reminders.delete(userId);
+		}
+		return ids;
+	}
+
+	/**
+	 * Set a reminder.
+	 * The bot joins the room first if it is not in it.
+	 * @param {string} name - command name
+	 * @param {object} args
+	 * @param {string} args.delay - such as "10m"
+	 * @param {string} args.text
+	 * @param {object} context - see Bot.onCommand
+	 * @return {string}
+	 */
+	onCommand(name, args, context){
+		let delay = ReminderBot.parseDelay(args.delay);
+		if(!delay || delay > this.maxDelay){
+			throw ChatServer.createCommandError(ReminderBot.error.invalidDelay);
+		}
+		let ids = this.getReminders(context.user.id);
+		if(ids.length >= this.maxPerUser){
+			throw ChatServer.createCommandError(ReminderBot.error.tooManyReminders);
+		}
+		if(!this.isInRoom(context.room)){
+			this.join(context.room);
+		}
+		let text = "@" + context.user.name + " reminder: " + args.text;
+		ids.push(this.schedule(delay, context.room, text));
+		this.reminders.set(context.user.id, ids);
+		return "I will remind you in " + args.delay;
+	}
+}
+ReminderBot.commands = [
+	{
+		name: "remind",
+		syntax: "<delay> <text...>",
+		description: "Remind you of something later, such as /remind 10m stand up",
+		permission: CommandRegistry.permission.member
+	}
+];
+// delay unit to ms
+ReminderBot.units = {
+	s: 1000,
+	m: 60 * 1000,
+	h: 60 * 60 * 1000,
+	d: 24 * 60 * 60 * 1000
+};
+ReminderBot.error = {
+	invalidDelay: "Delay is invalid, use a number and s, m, h or d, up to a week",
+	tooManyReminders: "You have too many reminders"
+};
+
+module.exports = ReminderBot;
@@ -0,0 +1,121 @@
+const Bot = require('./bot');
+const CommandRegistry = require('../commands/commandRegistry');
+
+/**
+ * Room Stats Bot.
+ * Counts messages, joins and leaves in the rooms it is in,
+ * and tells users about them with "/stats".
+ * Running "/stats" in a room the bot is not in makes it join and start counting.
+ * Stats are kept in memory, from when the bot joined the room.
+ * @extends {Bot}
+ */
+class RoomStatsBot extends Bot {
+
+	/**
+	 * Constructor
+	 * @param {object} [options] - see Bot
+	 * @param {string} [options.name="Stats"]
+	 * @param {number} [options.topUsers=3] - how many of the most active users to list
+	 * @return {RoomStatsBot}
+	 */
+	constructor(options = {}){
+		super(Object.assign({name: "Stats", commands: RoomStatsBot.commands}, options));
+		let defaults = {
+			topUsers: 3
+		};
+		Object.extend(defaults, options);
+		this.topUsers = defaults.topUsers;
+		// room name to stats
+		this.stats = new Map();
+		return this;
+	}
+
+	/**
+	 * Get the stats of a room, starting them if there are none
+	 * @param {string} room - room name
+	 * @return {object}
+	 */
+	getStats(room){
+		let stats = this.stats.get(room);
+		if(!stats){
+			stats = {
+				since: Date.now(),
+				messages: 0,
+				joins: 0,
+				leaves: 0,
+				// user id to {name, messages}
+				users: new Map()
+			};
+			this.stats.set(room, stats);
+		}
+		return stats;
+	}
+
+	/**
+	 * Count a message
+	 * @param {object} message
+	 * @return {undefined}
+	 */
+	onMessage(message){
+		let stats = this.getStats(message.room);
+		let user = stats.users.get(message.senderId) || {name: message.sender, messages: 0};
+		user.name = message.sender;
+		user.messages++;
+		stats.users.set(message.senderId, user);
+		stats.messages++;
+	}
+
+	/**
+	 * Count a join
+	 * @param {string} room
+	 * @return {undefined}
+	 */
+	onJoin(room){
+		this.getStats(room).joins++;
+	}
+
+	/**
+	 * Count a leave
+	 * @param {string} room
+	 * @return {undefined}
+	 */
+	onLeave(room){
+		this.getStats(room).leaves++;
+	}
+
+	/**
+	 * Describe the stats of the room the command was run from
+	 * @param {string} name - command name
+	 * @param {object} args
+	 * @param {object} context - see Bot.onCommand
+	 * @return {string}
+	 */
+	onCommand(name, args, context){
+		if(!this.isInRoom(context.room)){
+			this.join(context.room);
+			return "Counting messages in " + context.room + " from now on";
+		}
+		let stats = this.getStats(context.room);
+		let users = Array.from(stats.users.values()).sort(function(a, b){
+			return b.messages - a.messages;
+		});
+		let text = stats.messages + " messages from " + users.length + " users, "
+			+ stats.joins + " joins and " + stats.leaves + " leaves in " + context.room
+			+ " since " + new Date(stats.since).toISOString();
+		if(users.length){
+			text += ". Most active: " + users.slice(0, this.topUsers).map(function(user){
+				return user.name + " (" + user.messages + ")";
+			}).join(", ");
+		}
+		return text;
+	}
+}
+RoomStatsBot.commands = [
+	{
+		name: "stats",
+		description: "Show how active the room has been",
+		permission: CommandRegistry.permission.member
+	}
+];
+
+module.exports = RoomStatsBot;
@@ -0,0 +1,666 @@
+const NodeServer = require('@voliware/node-server');
+const Password = require('./auth/password');
+
+/**
+ * Chat Room.
+ * A Room that keeps track of its own members
+ * so that chat traffic can be broadcast to them.
+ * @extends {NodeServer.Room}
+ */
+class ChatRoom extends NodeServer.Room {
+
+	/**
+	 * Constructor
+	 * @param {object} options
+	 * @param {string} options.name
+	 * @param {string} [options.owner=""] - user id of the owner
+	 * @param {string} [options.topic=""]
+	 * @param {number} [options.maxClients=0] - 0 for no max
+	 * @param {string} [options.passwordHash=""] - a hash from Password.hash(), empty for no password
+	 * @param {boolean} [options.inviteOnly=false] - whether only invited clients can join
+	 * @param {ProtocolCodec} [options.codec] - encodes broadcasts for each client, or they are sent as JSON
+	 * @param {function} [options.onBroadcast] - called with the room and each message broadcast to it,
+	 * so it can reach members on other nodes
+	 * @return {ChatRoom}
+	 */
+	constructor(options){
+		let defaults = {
+			name: "",
+			owner: "",
+			topic: "",
+			maxClients: 0,
+			passwordHash: "",
+			inviteOnly: false
+		};
+		Object.extend(defaults, options);
+		super(defaults);
+		this.name = defaults.name;
+		this.owner = defaults.owner;
+		this.topic = defaults.topic;
+		this.maxClients = defaults.maxClients;
+		this.passwordHash = defaults.passwordHash;
+		this.inviteOnly = defaults.inviteOnly;
+		this.codec = options.codec || null;
+		this.onBroadcast = options.onBroadcast || null;
+		this.invites = new Set();
+		this.moderators = new Set();
+		this.bans = new Set();
+		this.ipBans = new Set();
+		this.mutes = new Map();
+		this.members = new Map();
+		// node id to the users in the room on that node
+		this.remoteUsers = new Map();
+		this.typing = new Map();
+		this.readMarkers = new Map();
+		this.filters = new Map();
+		this.filterOptions = new Map();
+		return this;
+	}
+
+	/**
+	 * Check if a user owns the room
+	 * @param {string} id - user id
+	 * @return {boolean}
+	 */
+	isOwner(id){
+		return this.owner === id;
+	}
+
+	/**
+	 * Make a user a moderator of the room
+	 * @param {string} id - user id
+	 * @return {ChatRoom}
+	 */
+	addModerator(id){
+		this.moderators.add(id);
+		return this;
+	}
+
+	/**
+	 * Take away a user's moderator role
+	 * @param {string} id - user id
+	 * @return {ChatRoom}
+	 */
+	removeModerator(id){
+		this.moderators.delete(id);
+		return this;
+	}
+
+	/**
+	 * Check if a user is a moderator of the room
+	 * @param {string} id - user id
+	 * @return {boolean}
+	 */
+	isModerator(id){
+		return this.moderators.has(id);
+	}
+
+	/**
+	 * Check if the room has reached its max clients.
+	 * Clients are counted by user, so a user already
+	 * in the room can always join with another client.
+	 * @param {string} [userId]
+	 * @return {boolean}
+	 */
+	isFull(userId){
+		if(this.maxClients <= 0 || (userId && this.isMember(userId))){
+			return false;
+		}
+		return this.getUsers().size >= this.maxClients;
+	}
+
+	/**
+	 * Check if the room requires a password
+	 * @return {boolean}
+	 */
+	isLocked(){
+		return this.passwordHash !== "";
+	}
+
+	/**
+	 * Set or remove the room password
+	 * @param {string} [password=""] - empty to remove the password
+	 * @return {Promise}
+	 */
+	setPassword(password = ""){
+		let self = this;
+		if(password === ""){
+			this.passwordHash = "";
+			return Promise.resolve();
+		}
+		return Password.hash(password)
+			.then(function(hash){
+				self.passwordHash = hash;
+			});
+	}
+
+	/**
+	 * Check a password against the room password
+	 * @param {string} [password=""]
+	 * @return {Promise<boolean>}
+	 */
+	checkPassword(password = ""){
+		if(!this.isLocked()){
+			return Promise.resolve(true);
+		}
+		return Password.verify(password, this.passwordHash);
+	}
+
+	/**
+	 * Invite a user to the room
+	 * @param {string} id - user id
+	 * @return {ChatRoom}
+	 */
+	invite(id){
+		this.invites.add(id);
+		return this;
+	}
+
+	/**
+	 * Revoke an invite to the room
+	 * @param {string} id - user id
+	 * @return {ChatRoom}
+	 */
+	revokeInvite(id){
+		this.invites.delete(id);
+		return this;
+	}
+
+	/**
+	 * Check if a user has been invited to the room
+	 * @param {string} id - user id
+	 * @return {boolean}
+	 */
+	isInvited(id){
+		return this.invites.has(id);
+	}
+
+	/**
+	 * Ban a user from the room
+	 * @param {string} id - user id
+	 * @return {ChatRoom}
+	 */
+	ban(id){
+		this.bans.add(id);
+		return this;
+	}
+
+	/**
+	 * Lift a user's ban from the room
+	 * @param {string} id - user id
+	 * @return {ChatRoom}
+	 */
+	unban(id){
+		this.bans.delete(id);
+		return this;
+	}
+
+	/**
+	 * Check if a user is banned from the room
+	 * @param {string} id - user id
+	 * @return {boolean}
+	 */
+	isBanned(id){
+		return this.bans.has(id);
+	}
+
+	/**
+	 * Ban an IP address from the room
+	 * @param {string} ip
+	 * @return {ChatRoom}
+	 */
+	banIp(ip){
+		this.ipBans.add(ip);
+		return this;
+	}
+
+	/**
+	 * Lift a ban on an IP address
+	 * @param {string} ip
+	 * @return {ChatRoom}
+	 */
+	unbanIp(ip){
+		this.ipBans.delete(ip);
+		return this;
+	}
+
+	/**
+	 * Check if an IP address is banned from the room
+	 * @param {string} ip
+	 * @return {boolean}
+	 */
+	isIpBanned(ip){
+		return this.ipBans.has(ip);
+	}
+
+	/**
+	 * Mute a user in the room until a time
+	 * @param {string} id - user id
+	 * @param {number} until - timestamp in ms
+	 * @return {ChatRoom}
+	 */
+	mute(id, until){
+		this.mutes.set(id, until);
+		return this;
+	}
+
+	/**
+	 * Unmute a user in the room
+	 * @param {string} id - user id
+	 * @return {boolean} whether the user was muted
+	 */
+	unmute(id){
+		return this.mutes.delete(id);
+	}
+
+	/**
+	 * Check if a user is muted in the room.
+	 * Expired mutes are removed.
+	 * @param {string} id - user id
+	 * @return {boolean}
+	 */
+	isMuted(id){
+		let until = this.mutes.get(id);
+		if(typeof until === "undefined"){
+			return false;
+		}
+		if(until <= Date.now()){
+			this.mutes.delete(id);
+			return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Turn a message filter on or off in the room
+	 * @param {string} name - filter name
+	 * @param {boolean} enabled
+	 * @return {ChatRoom}
+	 */
+	setFilterEnabled(name, enabled){
+		this.filters.set(name, enabled);
+		return this;
+	}
+
+	/**
+	 * Check if a message filter is on in the room
+	 * @param {string} name - filter name
+	 * @param {boolean} defaultEnabled - whether the filter is on if the room has not set it
+	 * @return {boolean}
+	 */
+	isFilterEnabled(name, defaultEnabled){
+		return this.filters.has(name) ? this.filters.get(name) : defaultEnabled;
+	}
+
+	/**
+	 * Set the room's options for a message filter
+	 * @param {string} name - filter name
+	 * @param {object} options
+	 * @return {ChatRoom}
+	 */
+	setFilterOptions(name, options){
+		this.filterOptions.set(name, options);
+		return this;
+	}
+
+	/**
+	 * Get the room's options for a message filter
+	 * @param {string} name - filter name
+	 * @return {object}
+	 */
+	getFilterOptions(name){
+		return this.filterOptions.get(name) || {};
+	}
+
+	/**
+	 * Check if a user may join the room.
+	 * Banned users can never join.
+	 * Owners and invited users can always join.
+	 * Otherwise, invite-only rooms reject the user,
+	 * and locked rooms require the password.
+	 * @param {string} id - user id
+	 * @param {string} [password=""]
+	 * @return {Promise<boolean>}
+	 */
+	canJoin(id, password = ""){
+		if(this.isBanned(id)){
+			return Promise.resolve(false);
+		}
+		if(this.isOwner(id) || this.isInvited(id)){
+			return Promise.resolve(true);
+		}
+		if(this.inviteOnly){
+			return Promise.resolve(false);
+		}
+		return this.checkPassword(password);
+	}
+
+	/**
+	 * Add a client to the room
+	 * @param {string} id
+	 * @param {Client} client
+	 * @return {ChatRoom}
+	 */
+	addClient(id, client){
+		super.addClient(id, client);
+		this.members.set(id, client);
+		return this;
+	}
+
+	/**
+	 * Remove a client from the room
+	 * @param {string} id
+	 * @return {ChatRoom}
+	 */
+	removeClient(id){
+		super.removeClient(id);
+		this.members.delete(id);
+		return this;
+	}
+
+	/**
+	 * Check if a client is in the room
+	 * @param {string} id
+	 * @return {boolean}
+	 */
+	hasClient(id){
+		return this.members.has(id);
+	}
+
+	/**
+	 * Check if a user is in the room with any client on this node
+	 * @param {string} userId
+	 * @return {boolean}
+	 */
+	hasUser(userId){
+		for(let client of this.members.values()){
+			if(client.user.id === userId){
+				return true;
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * Check if a user is in the room on this node or any other
+	 * @param {string} userId
+	 * @return {boolean}
+	 */
+	isMember(userId){
+		if(this.hasUser(userId)){
+			return true;
+		}
+		for(let nodeUsers of this.remoteUsers.values()){
+			if(nodeUsers.has(userId)){
+				return true;
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * Get every user in the room on this node.
+	 * A user with several clients in the room is only included once.
+	 * @return {Map<string, object>} user id to user
+	 */
+	getLocalUsers(){
+		let users = new Map();
+		for(let client of this.members.values()){
+			users.set(client.user.id, client.user);
+		}
+		return users;
+	}
+
+	/**
+	 * Get every user in the room, including users on other nodes.
+	 * A user in the room on several nodes is only included once.
+	 * @return {Map<string, object>} user id to user
+	 */
+	getUsers(){
+		let users = this.getLocalUsers();
+		for(let nodeUsers of this.remoteUsers.values()){
+			for(let [id, user] of nodeUsers){
+				if(!users.has(id)){
+					users.set(id, user);
+				}
+			}
+		}
+		return users;
+	}
+
+	/**
+	 * Add a user that is in the room on another node
+	 * @param {string} node - node id
+	 * @param {object} user
+	 * @return {ChatRoom}
+	 */
+	addRemoteUser(node, user){
+		if(!this.remoteUsers.has(node)){
+			this.remoteUsers.set(node, new Map());
+		}
+		this.remoteUsers.get(node).set(user.id, user);
+		return this;
+	}
+
+	/**
+	 * Remove a user that was in the room on another node
+	 * @param {string} node - node id
+	 * @param {string} userId
+	 * @return {ChatRoom}
+	 */
+	removeRemoteUser(node, userId){
+		let nodeUsers = this.remoteUsers.get(node);
+		if(nodeUsers){
+			nodeUsers.delete(userId);
+			if(!nodeUsers.size){
+				this.remoteUsers.delete(node);
+			}
+		}
+		return this;
+	}
+
+	/**
+	 * Replace the users in the room on another node
+	 * @param {string} node - node id
+	 * @param {object[]} users - empty if the node has left
+	 * @return {ChatRoom}
+	 */
+	setRemoteUsers(node, users){
+		let nodeUsers = new Map();
+		for(let user of users){
+			nodeUsers.set(user.id, user);
+		}
+		if(nodeUsers.size){
+			this.remoteUsers.set(node, nodeUsers);
+		}
+		else {
+			this.remoteUsers.delete(node);
+		}
+		return this;
+	}
+
+	/**
+	 * Remove every client from the room.
+	 * Typing users are forgotten.
+	 * @return {ChatRoom}
+	 */
+	empty(){
+		for(let id of Array.from(this.members.keys())){
+			this.removeClient(id);
+		}
+		for(let userId of Array.from(this.typing.keys())){
+			this.stopTyping(userId);
+		}
+		return this;
+	}
+
+	/**
+	 * Mark a user as typing.
+	 * If the user does not type again within the timeout,
+	 * they stop typing and the callback is called.
+	 * @param {string} userId
+	 * @param {number} timeout - ms
+	 * @param {function} onExpire
+	 * @return {ChatRoom}
+	 */
+	startTyping(userId, timeout, onExpire){
+		let self = this;
+		clearTimeout(this.typing.get(userId));
+		this.typing.set(userId, setTimeout(function(){
+			self.typing.delete(userId);
+			onExpire();
+		}, timeout));
+		return this;
+	}
+
+	/**
+	 * Mark a user as no longer typing
+	 * @param {string} userId
+	 * @return {boolean} whether the user was typing
+	 */
+	stopTyping(userId){
+		if(!this.typing.has(userId)){
+			return false;
+		}
+		clearTimeout(this.typing.get(userId));
+		this.typing.delete(userId);
+		return true;
+	}
+
+	/**
+	 * Check if a user is typing
+	 * @param {string} userId
+	 * @return {boolean}
+	 */
+	isTyping(userId){
+		return this.typing.has(userId);
+	}
+
+	/**
+	 * Move a user's read marker to a message.
+	 * Markers only move forward.
+	 * @param {object} user
+	 * @param {string} messageId
+	 * @param {number} timestamp - timestamp of the message
+	 * @return {boolean} whether the marker moved
+	 */
+	setReadMarker(user, messageId, timestamp){
+		let marker = this.readMarkers.get(user.id);
+		if(marker && marker.timestamp >= timestamp){
+			return false;
+		}
+		this.readMarkers.set(user.id, {
+			userId: user.id,
+			name: user.name,
+			messageId: messageId,
+			timestamp: timestamp
+		});
+		return true;
+	}
+
+	/**
+	 * Get a user's read marker
+	 * @param {string} userId
+	 * @return {object|undefined}
+	 */
+	getReadMarker(userId){
+		return this.readMarkers.get(userId);
+	}
+
+	/**
+	 * Serialize every read marker in the room
+	 * @return {object[]}
+	 */
+	serializeReadMarkers(){
+		return Array.from(this.readMarkers.values());
+	}
+
+	/**
+	 * Send a JSON message to every client in the room,
+	 * including clients on other nodes.
+	 * @param {object} message
+	 * @param {string} [exceptId] - id of a client to not send to
+	 * @return {ChatRoom}
+	 */
+	broadcastJson(message, exceptId){
+		this.sendJson(message, exceptId);
+		if(this.onBroadcast){
+			this.onBroadcast(this, message);
+		}
+		return this;
+	}
+
+	/**
+	 * Send a JSON message to every client in the room on this node.
+	 * It is encoded once for each protocol the clients use.
+	 * @param {object} message
+	 * @param {string} [exceptId] - id of a client to not send to
+	 * @return {ChatRoom}
+	 */
+	sendJson(message, exceptId){
+		let frames = new Map();
+		for(let [id, client] of this.members){
+			if(id === exceptId){
+				continue;
+			}
+			if(this.codec){
+				client.send(this.codec.encode(message, client.protocol || null, frames));
+			}
+			else {
+				if(!frames.has("")){
+					frames.set("", JSON.stringify(message));
+				}
+				client.send(frames.get(""));
+			}
+		}
+		return this;
+	}
+
+	/**
+	 * Serialize a user in the room's roster.
+	 * Bots are marked, so clients can tell them apart.
+	 * @param {object} user
+	 * @param {string} [status="online"]
+	 * @return {object}
+	 */
+	static serializeUser(user, status = "online"){
+		let data = {
+			id: user.id,
+			name: user.name,
+			avatar: user.avatar,
+			status: status
+		};
+		if(user.bot){
+			data.bot = true;
+		}
+		return data;
+	}
+
+	/**
+	 * Serialize the room.
+	 * The roster lists each user once.
+	 * The password hash, invites, bans and mutes are never serialized.
+	 * @param {function} [getStatus] - gets the status of a user id
+	 * @return {object}
+	 */
+	serialize(getStatus){
+		let clients = [];
+		for(let [id, user] of this.getUsers()){
+			clients.push(ChatRoom.serializeUser(user, getStatus ? getStatus(id) : undefined));
+		}
+		return {
+			id: this.name,
+			name: this.name,
+			owner: this.owner,
+			topic: this.topic,
+			maxClients: this.maxClients,
+			clientCount: clients.length,
+			locked: this.isLocked(),
+			inviteOnly: this.inviteOnly,
+			moderators: Array.from(this.moderators),
+			clients: clients
+		};
+	}
+}
+
+module.exports = ChatRoom;
\ No newline at end of file
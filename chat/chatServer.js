@@ -1,4 +1,29 @@
 const NodeServer = require('@voliware/node-server');
+const Crypto = require('crypto');
+const ChatRoom = require('./chatRoom');
+const MemoryMessageStore = require('./storage/memoryMessageStore');
+const MemoryUserStore = require('./storage/memoryUserStore');
+const MemoryAuditStore = require('./storage/memoryAuditStore');
+const MemoryAttachmentStore = require('./storage/memoryAttachmentStore');
+const AccountManager = require('./auth/accountManager');
+const AttachmentManager = require('./attachments/attachmentManager');
+const WebhookManager = require('./webhooks/webhookManager');
+const BotManager = require('./bots/botManager');
+const BotClient = require('./bots/botClient');
+const PresenceManager = require('./presence/presenceManager');
+const HeartbeatMonitor = require('./presence/heartbeatMonitor');
+const Protocol = require('../public/js/protocol');
+const ProtocolCodec = require('./protocol/protocolCodec');
+const CommandRegistry = require('./commands/commandRegistry');
+const RateLimiter = require('./limits/rateLimiter');
+const FilterPipeline = require('./filters/filterPipeline');
+const MaxLengthFilter = require('./filters/maxLengthFilter');
+const SpamFilter = require('./filters/spamFilter');
+const CapsFilter = require('./filters/capsFilter');
+const LinkFilter = require('./filters/linkFilter');
+const ProfanityFilter = require('./filters/profanityFilter');
+const HttpUtil = require('./http/httpUtil');
+const Markdown = require('./format/markdown');
 
 /**
  * Chat Server
@@ -10,47 +35,4389 @@ class ChatServer extends NodeServer.Server {
 	 * Constructor
 	 * @param {object} [options]
 	 * @param {boolean} [options.addClientsToGeneralChat=true]
+	 * @param {number} [options.maxMessageLength=1024]
+	 * @param {number} [options.historyLength=50] - number of messages sent when a room is opened
+	 * @param {boolean} [options.allowGuests=true] - whether clients without a valid session can connect as guests
+	 * @param {number} [options.authTimeout=5000] - how long a client has to authenticate in ms
+	 * @param {number} [options.awayTimeout=300000] - idle time in ms until a user is away
+	 * @param {number} [options.typingTimeout=6000] - time in ms until a typing user who stops sending typing events is no longer typing
+	 * @param {number} [options.editWindow=900000] - time in ms after sending that authors can edit or delete a message
+	 * @param {number} [options.heartbeatInterval=30000] - time in ms between pings to each client
+	 * @param {number} [options.maxMissedHeartbeats=2] - pings a client can leave unanswered before it is dropped
+	 * @param {object} [options.protocol] - options for the ProtocolCodec, such as which encodings clients can pick
+	 * @param {ClusterAdapter} [options.cluster] - connects this server to others, so rooms, broadcasts
+	 * and presence are shared across processes; null to run alone
+	 * @param {object[]} [options.transports] - more ways for clients to connect besides WebSocket,
+	 * such as a TcpTransport, see addTransport
+	 * @param {MessageStore} [options.messageStore] - defaults to a MemoryMessageStore
+	 * @param {AccountManager} [options.accountManager] - defaults to an AccountManager with a MemoryUserStore
+	 * @param {AuditStore} [options.auditStore] - defaults to a MemoryAuditStore
+	 * @param {AttachmentManager} [options.attachmentManager] - defaults to an AttachmentManager with a MemoryAttachmentStore
+	 * @param {WebhookManager} [options.webhookManager] - defaults to a WebhookManager with a MemoryWebhookStore
+	 * @param {BotManager} [options.botManager] - defaults to a BotManager with a MemoryBotStore
+	 * @param {object[]} [options.commands] - extra slash commands, see CommandRegistry
+	 * @param {string[]} [options.admins] - ids of registered users who are global admins
+	 * @param {object} [options.rateLimits] - limits on messages, joins, commands and uploads, see RateLimiter
+	 * @param {MessageFilter[]} [options.filters] - extra message filters, run after the built in ones
+	 * @param {Bot[]} [options.bots] - bots to register, see registerBot
 	 * @return {ChatServer}
 	 */
-	constructor(options){
+	constructor(options = {}){
 		let defaults = {
 			name: 'ChatServer',
-			addClientsToGeneralChat: true
+			addClientsToGeneralChat: true,
+			maxMessageLength: 1024,
+			historyLength: 50,
+			allowGuests: true,
+			authTimeout: 5000,
+			awayTimeout: 5 * 60 * 1000,
+			typingTimeout: 6000,
+			editWindow: 15 * 60 * 1000,
+			heartbeatInterval: 30 * 1000,
+			maxMissedHeartbeats: 2
         };
 		super(Object.extend(defaults, options));
 		this.addClientsToGeneralChat = defaults.addClientsToGeneralChat;
+		this.maxMessageLength = defaults.maxMessageLength;
+		this.historyLength = defaults.historyLength;
+		this.allowGuests = defaults.allowGuests;
+		this.authTimeout = defaults.authTimeout;
+		this.typingTimeout = defaults.typingTimeout;
+		this.editWindow = defaults.editWindow;
+		this.messageStore = options.messageStore || new MemoryMessageStore();
+		this.accountManager = options.accountManager || new AccountManager({userStore: new MemoryUserStore()});
+		this.auditStore = options.auditStore || new MemoryAuditStore();
+		this.attachmentManager = options.attachmentManager || new AttachmentManager({store: new MemoryAttachmentStore()});
+		this.webhookManager = options.webhookManager || new WebhookManager();
+		this.attachWebhookManagerHandlers();
+		this.botManager = options.botManager || new BotManager({userStore: this.accountManager.userStore});
+		this.admins = new Set(options.admins || []);
+		this.messageRoutes = new Map();
+		this.rooms = new Map();
+		this.connectedClients = new Map();
+		this.authTimers = new Map();
+		this.presenceManager = new PresenceManager({awayTimeout: defaults.awayTimeout});
+		this.attachPresenceManagerHandlers();
+		this.heartbeatMonitor = new HeartbeatMonitor({
+			interval: defaults.heartbeatInterval,
+			maxMissed: defaults.maxMissedHeartbeats
+		});
+		this.attachHeartbeatMonitorHandlers();
+		this.protocolCodec = new ProtocolCodec(options.protocol);
+		this.cluster = options.cluster || null;
+		// user id to the status of the user on each other node
+		this.remoteStatuses = new Map();
+		this.clusterRoutes = new Map();
+		if(this.cluster){
+			this.createClusterRoutes();
+			this.attachClusterHandlers();
+		}
+		this.rateLimiter = new RateLimiter(options.rateLimits);
+		this.commandRegistry = new CommandRegistry();
+		this.createCommands();
+		for(let command of options.commands || []){
+			this.registerCommand(command);
+		}
+		this.filterPipeline = new FilterPipeline();
+		this.createFilters();
+		for(let filter of options.filters || []){
+			this.addFilter(filter);
+		}
+		// functions that check if a room name is taken by something other than a room
+		this.roomNameChecks = [];
+		this.transports = [];
+		for(let transport of options.transports || []){
+			this.addTransport(transport);
+		}
 		this.generalChat = this.createGeneralChatRoom();
+		this.createMessageRoutes();
+		// lower case name to the client of each registered bot
+		this.bots = new Map();
+		for(let bot of options.bots || []){
+			this.registerBot(bot);
+		}
+		this.accountManager.addNameCheck(this.isBotName.bind(this));
 		return this;
 	}
 
     /**
      * Attach handlers to a Client.
+     * The client must authenticate before it can do anything else.
      * @param {Client} client 
      * @return {ChatServer}
      */
     attachClientHandlers(client){
+		let self = this;
 		super.attachClientHandlers(client);
+		client.user = null;
+		// picked when authenticating, null for plain JSON
+		client.protocol = null;
+		client.on('message', function(data){
+			self.handleClientMessage(client, data);
+		});
+		client.on('disconnect', function(){
+			self.detachClient(client);
+		});
+		this.authTimers.set(client.id, setTimeout(function(){
+			self.authTimers.delete(client.id);
+			if(!client.user){
+				self.rejectClient(client, ChatServer.error.authTimeout);
+			}
+		}, this.authTimeout));
+		return this;
+	}
+
+	/**
+	 * Add a transport that clients can connect with besides WebSocket.
+	 * A transport emits "connection" with each new client,
+	 * which must have an id, send(), disconnect(),
+	 * and emit "message" and "disconnect" like a WebSocket client.
+	 * Its clients are handled exactly like WebSocket clients.
+	 * The transport is started and stopped with the server.
+	 * @param {object} transport - such as a TcpTransport or UdpTransport
+	 * @return {ChatServer}
+	 */
+	addTransport(transport){
+		let self = this;
+		transport.on('connection', function(client){
+			self.attachClientHandlers(client);
+		});
+		transport.on('error', function(error){
+			self.logger.error(error);
+		});
+		this.transports.push(transport);
+		return this;
+	}
+
+	/**
+	 * Attach handlers to the presence manager.
+	 * Status changes are shared with other nodes,
+	 * and broadcast to every room the user is in.
+	 * @return {ChatServer}
+	 */
+	attachPresenceManagerHandlers(){
+		let self = this;
+		this.presenceManager.on('status', function(userId, status){
+			self.publishToCluster(ChatServer.clusterMessage.presence, {userId: userId, status: status});
+			self.broadcastUserStatus(userId);
+		});
+		return this;
+	}
+
+	/**
+	 * Attach handlers to the webhook manager.
+	 * Deliveries that are given up on, and store failures, are logged.
+	 * @return {ChatServer}
+	 */
+	attachWebhookManagerHandlers(){
+		let self = this;
+		this.webhookManager.on('failed', function(webhook, delivery, error){
+			self.logger.error("Webhook " + webhook.id + " failed to receive " + delivery.event + " in " + webhook.room + ": " + error.message);
+		});
+		this.webhookManager.on('error', function(error){
+			self.logger.error(error);
+		});
+		return this;
+	}
+
+	/**
+	 * Get the status of a user.
+	 * A user connected to several nodes has the most present of its statuses.
+	 * @param {string} userId
+	 * @return {string}
+	 */
+	getUserStatus(userId){
+		let ranks = ChatServer.presenceRanks;
+		let status = this.presenceManager.getStatus(userId);
+		let statuses = this.remoteStatuses.get(userId);
+		if(statuses){
+			for(let remoteStatus of statuses.values()){
+				if(ranks.indexOf(remoteStatus) > ranks.indexOf(status)){
+					status = remoteStatus;
+				}
+			}
+		}
+		return status;
+	}
+
+	/**
+	 * Tell every room the user is in, on this node, what the user's status is.
+	 * Other nodes do the same for their own clients.
+	 * @param {string} userId
+	 * @return {ChatServer}
+	 */
+	broadcastUserStatus(userId){
+		let status = this.getUserStatus(userId);
+		for(let room of this.rooms.values()){
+			if(room.getUsers().has(userId)){
+				room.sendJson({
+					route: ChatServer.route.roomUserStatus,
+					status: 1,
+					data: {room: room.name, id: userId, status: status}
+				});
+			}
+		}
+		return this;
+	}
+
+	/**
+	 * Forget a client that has disconnected or is being dropped.
+	 * It is removed from its rooms, and its user may go offline.
+	 * Does nothing if the client was already detached.
+	 * @param {Client} client
+	 * @return {ChatServer}
+	 */
+	detachClient(client){
+		this.clearAuthTimer(client);
+		if(!client.user || !this.connectedClients.delete(client.id)){
+			return this;
+		}
+		this.heartbeatMonitor.remove(client);
+		this.rateLimiter.removeConnection(client.id);
+		this.presenceManager.disconnect(client.user.id);
+		this.removeClientFromRooms(client);
+		return this;
+	}
+
+	/**
+	 * Attach handlers to the heartbeat monitor.
+	 * Clients are pinged, and dropped when they stop answering.
+	 * @return {ChatServer}
+	 */
+	attachHeartbeatMonitorHandlers(){
+		let self = this;
+		this.heartbeatMonitor.on('ping', function(client, timestamp){
+			self.sendToClient(client, {
+				route: ChatServer.route.ping,
+				status: 1,
+				data: {timestamp: timestamp}
+			});
+		});
+		this.heartbeatMonitor.on('timeout', function(client){
+			// the socket may never close by itself, so do not wait for it
+			self.detachClient(client);
+			client.disconnect();
+		});
+		return this;
+	}
+
+	/**
+	 * Handle a ping from a client.
+	 * The timestamp is sent back, so the client can measure its latency.
+	 * @param {Client} client
+	 * @param {object} message
+	 * @param {number} message.timestamp
+	 * @return {ChatServer}
+	 */
+	handlePing(client, message){
+		return this.sendToClient(client, {
+			route: ChatServer.route.pong,
+			status: 1,
+			data: {timestamp: Number.isFinite(message.timestamp) ? message.timestamp : null}
+		});
+	}
+
+	/**
+	 * Handle a pong from a client, answering a heartbeat
+	 * @param {Client} client
+	 * @return {ChatServer}
+	 */
+	handlePong(client){
+		this.heartbeatMonitor.receive(client);
+		return this;
+	}
+
+	/**
+	 * Clear a client's authentication timer
+	 * @param {Client} client
+	 * @return {ChatServer}
+	 */
+	clearAuthTimer(client){
+		clearTimeout(this.authTimers.get(client.id));
+		this.authTimers.delete(client.id);
+		return this;
+	}
+
+	/**
+	 * Handle an authentication request.
+	 * The protocol is picked from what the client offers, if anything.
+	 * A client with a valid session token is attached as its user.
+	 * Otherwise it is attached as a guest, or rejected if guests are not allowed.
+	 * @param {Client} client
+	 * @param {object} message
+	 * @param {string} [message.token]
+	 * @param {object} [message.protocol] - see Protocol.createOffer
+	 * @return {ChatServer}
+	 */
+	handleAuth(client, message){
+		let self = this;
+		if(client.user){
+			return this.sendError(client, ChatServer.route.auth, ChatServer.error.alreadyAuthenticated);
+		}
+		if(typeof message.protocol !== "undefined"){
+			try {
+				// clients of line based transports cannot be sent binary frames
+				client.protocol = this.protocolCodec.negotiate(message.protocol, client.binary !== false);
+			}
+			catch(error){
+				this.sendProtocolError(client, ChatServer.route.auth, error);
+				client.disconnect();
+				return this;
+			}
+		}
+		this.accountManager.authenticate(message.token)
+			.then(function(user){
+				// it disconnected, timed out, or already authenticated meanwhile
+				if(!self.isAuthenticating(client)){
+					return;
+				}
+				if(user){
+					self.attachUser(client, user);
+				}
+				else if(self.allowGuests){
+					self.attachUser(client, self.createGuestUser());
+				}
+				else {
+					self.rejectClient(client, ChatServer.error.unauthorized);
+				}
+			})
+			.catch(function(error){
+				self.logger.error(error);
+				if(self.isAuthenticating(client)){
+					self.rejectClient(client, ChatServer.error.unauthorized);
+				}
+			});
+		return this;
+	}
+
+	/**
+	 * Check if a client is still waiting to authenticate.
+	 * Its auth timer is cleared once it authenticates or disconnects.
+	 * @param {Client} client
+	 * @return {boolean}
+	 */
+	isAuthenticating(client){
+		return this.authTimers.has(client.id);
+	}
+
+	/**
+	 * Create a guest user
+	 * @return {object}
+	 */
+	createGuestUser(){
+		let id = Crypto.randomBytes(6).toString('hex');
+		return {
+			id: "guest-" + id,
+			name: "Guest-" + id.substring(0, 4),
+			email: "",
+			avatar: "",
+			guest: true
+		};
+	}
+
+	/**
+	 * Attach a user to an authenticated client.
+	 * The client is told who it is and joins General chat.
+	 * @param {Client} client
+	 * @param {object} user
+	 * @return {ChatServer}
+	 */
+	attachUser(client, user){
+		this.clearAuthTimer(client);
+		client.user = user;
+		this.connectedClients.set(client.id, client);
+		this.heartbeatMonitor.add(client);
+		this.presenceManager.connect(user.id);
+		this.sendToClient(client, {
+			route: ChatServer.route.auth,
+			status: 1,
+			data: {user: user, protocol: client.protocol}
+		});
 		if(this.addClientsToGeneralChat){
-			this.generalChat.addClient(client.id, client);
+			this.addClientToRoom(this.generalChat, client);
 		}
 		return this;
 	}
 
+	/**
+	 * Send an auth error to a client and disconnect it
+	 * @param {Client} client
+	 * @param {string} error
+	 * @return {ChatServer}
+	 */
+	rejectClient(client, error){
+		this.sendError(client, ChatServer.route.auth, error);
+		client.disconnect();
+		return this;
+	}
+
+	/**
+	 * Get every connected client of a user.
+	 * A user may be connected with more than one client.
+	 * @param {string} userId
+	 * @return {Client[]}
+	 */
+	getClientsOfUser(userId){
+		let clients = [];
+		for(let client of this.connectedClients.values()){
+			if(client.user.id === userId){
+				clients.push(client);
+			}
+		}
+		return clients;
+	}
+
+	/**
+	 * Find a user by id.
+	 * Connected users, including guests, are checked first,
+	 * then the user store.
+	 * @param {string} id
+	 * @return {Promise<object|null>}
+	 */
+	findUserById(id){
+		if(typeof id !== "string"){
+			return Promise.resolve(null);
+		}
+		let clients = this.getClientsOfUser(id);
+		if(clients.length){
+			return Promise.resolve(clients[0].user);
+		}
+		return this.accountManager.userStore.getUser(id)
+			.then(function(user){
+				return user ? AccountManager.serializeUser(user) : null;
+			});
+	}
+
+	/**
+	 * Find a user by name.
+	 * Connected users, including guests, are checked first,
+	 * then the user store.
+	 * @param {string} name
+	 * @return {Promise<object|null>}
+	 */
+	findUserByName(name){
+		if(typeof name !== "string"){
+			return Promise.resolve(null);
+		}
+		let lowerName = name.toLowerCase();
+		for(let client of this.connectedClients.values()){
+			if(client.user.name.toLowerCase() === lowerName){
+				return Promise.resolve(client.user);
+			}
+		}
+		return this.accountManager.userStore.getUserByName(name)
+			.then(function(user){
+				return user ? AccountManager.serializeUser(user) : null;
+			});
+	}
+
 	/**
 	 * Create the infamous General chat
 	 * @return {ChatServer}
 	 */
 	createGeneralChatRoom(){
-		let room = new NodeServer.Room({
+		let room = this.createRoom({
 			broadcastLeavers: false,
 			owner: 'admin',
-            name: ChatServer.generalChatName,
-            logHandle: this.name
+            name: ChatServer.generalChatName
 		});
-		this.roomManager.addRoom(ChatServer.generalChatName, room);
+		this.addRoom(room);
 		return room;
 	}
+
+	/**
+	 * Create a room that encodes broadcasts in each client's protocol.
+	 * In a cluster, its broadcasts also reach its members on other nodes.
+	 * The room is not added.
+	 * @param {object} options - see ChatRoom
+	 * @return {ChatRoom}
+	 */
+	createRoom(options){
+		let self = this;
+		options.logHandle = this.name;
+		options.codec = this.protocolCodec;
+		if(this.cluster){
+			options.onBroadcast = function(room, message){
+				self.publishToCluster(ChatServer.clusterMessage.roomBroadcast, {
+					room: room.name,
+					message: message
+				});
+			};
+		}
+		return new ChatRoom(options);
+	}
+
+	/**
+	 * Add a room
+	 * @param {ChatRoom} room
+	 * @return {ChatServer}
+	 */
+	addRoom(room){
+		this.rooms.set(room.name, room);
+		this.roomManager.addRoom(room.name, room);
+		return this;
+	}
+
+	/**
+	 * Remove a room.
+	 * All clients are removed from it first.
+	 * @param {ChatRoom} room
+	 * @return {ChatServer}
+	 */
+	removeRoom(room){
+		room.empty();
+		this.rooms.delete(room.name);
+		this.roomManager.removeRoom(room.name);
+		return this;
+	}
+
+	/**
+	 * Get a room by name
+	 * @param {string} name
+	 * @return {ChatRoom|null}
+	 */
+	getRoom(name){
+		return this.rooms.get(name) || null;
+	}
+
+	/**
+	 * Serialize all rooms.
+	 * In a cluster, rooms and users on every node are included.
+	 * @return {object[]}
+	 */
+	serializeRooms(){
+		let rooms = [];
+		for(let room of this.rooms.values()){
+			rooms.push(this.serializeRoom(room));
+		}
+		return rooms;
+	}
+
+	/**
+	 * Serialize a room with the status of each user
+	 * @param {ChatRoom} room
+	 * @return {object}
+	 */
+	serializeRoom(room){
+		let self = this;
+		return room.serialize(function(userId){
+			return self.getUserStatus(userId);
+		});
+	}
+
+	/**
+	 * Add a client to a room and tell the client it has joined.
+	 * The joining client also gets the room's read markers.
+	 * If the client's user was not already in the room,
+	 * tell everyone else in the room that the user joined.
+	 * @param {ChatRoom} room
+	 * @param {Client} client
+	 * @return {ChatServer}
+	 */
+	addClientToRoom(room, client){
+		let isNewUser = !room.hasUser(client.user.id);
+		room.addClient(client.id, client);
+		if(isNewUser){
+			let status = this.getUserStatus(client.user.id);
+			let user = ChatRoom.serializeUser(client.user, status);
+			room.broadcastJson({
+				route: ChatServer.route.roomUserJoined,
+				status: 1,
+				data: {room: room.name, user: user}
+			}, client.id);
+			this.broadcastClientCount(room);
+			this.dispatchRoomEvent(room, WebhookManager.event.join, {user: user});
+		}
+		let data = this.serializeRoom(room);
+		data.reads = room.serializeReadMarkers();
+		return this.sendToClient(client, {
+			route: ChatServer.route.roomJoin,
+			status: 1,
+			data: data
+		});
+	}
+
+	/**
+	 * Remove a client from a room.
+	 * If the client's user is no longer in the room,
+	 * tell everyone in the room that the user left.
+	 * A user that left is no longer typing.
+	 * @param {ChatRoom} room
+	 * @param {Client} client
+	 * @return {ChatServer}
+	 */
+	removeClientFromRoom(room, client){
+		room.removeClient(client.id);
+		if(!room.hasUser(client.user.id)){
+			room.stopTyping(client.user.id);
+			room.broadcastJson({
+				route: ChatServer.route.roomUserLeft,
+				status: 1,
+				data: {room: room.name, id: client.user.id}
+			});
+			this.broadcastClientCount(room);
+			this.dispatchRoomEvent(room, WebhookManager.event.leave, {
+				user: {id: client.user.id, name: client.user.name}
+			});
+		}
+		return this;
+	}
+
+	/**
+	 * Tell every connected client how many users are in a room,
+	 * so that room lists stay accurate for clients not in the room.
+	 * @param {ChatRoom} room
+	 * @return {ChatServer}
+	 */
+	broadcastClientCount(room){
+		return this.broadcastToClients({
+			route: ChatServer.route.roomClientCount,
+			status: 1,
+			data: {room: room.name, clientCount: room.getUsers().size}
+		});
+	}
+
+	/**
+	 * Remove a client from every room it is in
+	 * @param {Client} client
+	 * @return {ChatServer}
+	 */
+	removeClientFromRooms(client){
+		for(let room of this.rooms.values()){
+			if(room.hasClient(client.id)){
+				this.removeClientFromRoom(room, client);
+			}
+		}
+		return this;
+	}
+
+	/**
+	 * Send a JSON message to every connected client,
+	 * including clients on other nodes
+	 * @param {object} message
+	 * @return {ChatServer}
+	 */
+	broadcastToClients(message){
+		this.sendToLocalClients(message);
+		return this.publishToCluster(ChatServer.clusterMessage.broadcast, {message: message});
+	}
+
+	/**
+	 * Send a JSON message to every client connected to this node
+	 * @param {object} message
+	 * @return {ChatServer}
+	 */
+	sendToLocalClients(message){
+		for(let client of this.connectedClients.values()){
+			this.sendToClient(client, message);
+		}
+		return this;
+	}
+
+	/**
+	 * Add a handler for a client message route.
+	 * Handlers are called with the client and the parsed message.
+	 * @param {string} route
+	 * @param {function} handler
+	 * @return {ChatServer}
+	 */
+	addMessageRoute(route, handler){
+		this.messageRoutes.set(route, handler);
+		return this;
+	}
+
+	/**
+	 * Create all client message routes
+	 * @return {ChatServer}
+	 */
+	createMessageRoutes(){
+		this.addMessageRoute(ChatServer.route.auth, this.handleAuth);
+		// activity is recorded for every message, so there is nothing else to do
+		this.addMessageRoute(ChatServer.route.presenceActive, function(){});
+		this.addMessageRoute(ChatServer.route.ping, this.handlePing);
+		this.addMessageRoute(ChatServer.route.pong, this.handlePong);
+		this.addMessageRoute(ChatServer.route.roomMessage, this.handleRoomMessage);
+		this.addMessageRoute(ChatServer.route.roomMessageEdit, this.handleRoomMessageEdit);
+		this.addMessageRoute(ChatServer.route.roomMessageDelete, this.handleRoomMessageDelete);
+		this.addMessageRoute(ChatServer.route.roomMessageReact, this.handleRoomMessageReact);
+		this.addMessageRoute(ChatServer.route.roomThread, this.handleRoomThread);
+		this.addMessageRoute(ChatServer.route.roomSync, this.handleRoomSync);
+		this.addMessageRoute(ChatServer.route.roomHistory, this.handleRoomHistory);
+		this.addMessageRoute(ChatServer.route.roomCreate, this.handleRoomCreate);
+		this.addMessageRoute(ChatServer.route.roomJoin, this.handleRoomJoin);
+		this.addMessageRoute(ChatServer.route.roomLeave, this.handleRoomLeave);
+		this.addMessageRoute(ChatServer.route.roomDelete, this.handleRoomDelete);
+		this.addMessageRoute(ChatServer.route.roomAccess, this.handleRoomAccess);
+		this.addMessageRoute(ChatServer.route.roomInvite, this.handleRoomInvite);
+		this.addMessageRoute(ChatServer.route.roomUninvite, this.handleRoomUninvite);
+		this.addMessageRoute(ChatServer.route.roomTyping, this.handleRoomTyping);
+		this.addMessageRoute(ChatServer.route.roomRead, this.handleRoomRead);
+		this.addMessageRoute(ChatServer.route.directMessage, this.handleDirectMessage);
+		this.addMessageRoute(ChatServer.route.directHistory, this.handleDirectHistory);
+		this.addMessageRoute(ChatServer.route.command, this.handleCommand);
+		return this;
+	}
+
+	/**
+	 * Handle a message from a client.
+	 * Decode it and pass it to its route handler.
+	 * Frames that cannot be decoded are answered with a protocol error.
+	 * Once a client has picked a protocol, every frame must be an envelope.
+	 * @param {Client} client
+	 * @param {string|Buffer|object} data
+	 * @return {ChatServer}
+	 */
+	handleClientMessage(client, data){
+		let message = null;
+		try {
+			message = this.protocolCodec.decode(data, client.protocol !== null);
+		}
+		catch(error){
+			// not a protocol error, but the client should not bring down the server
+			if(!error.code){
+				this.logger.error(error);
+				error = Protocol.createError("badFrame");
+			}
+			return this.sendProtocolError(client, ChatServer.route.error, error);
+		}
+		if(typeof message.route !== "string"){
+			return this.sendError(client, ChatServer.route.error, ChatServer.error.badMessage);
+		}
+		if(!client.user && message.route !== ChatServer.route.auth){
+			return this.sendError(client, message.route, ChatServer.error.unauthorized);
+		}
+		if(client.user && client.user.bot && !this.hasBotPermission(client, message.route)){
+			return this.sendError(client, message.route, ChatServer.error.botPermissionDenied);
+		}
+		// heartbeats are sent by the client on its own, not by the user
+		if(client.user && !ChatServer.heartbeatRoutes.has(message.route)){
+			this.presenceManager.touch(client.user.id);
+		}
+		let handler = this.messageRoutes.get(message.route);
+		if(!handler){
+			return this.sendError(client, message.route, ChatServer.error.badRoute);
+		}
+		if(!this.checkRateLimit(client, message)){
+			return this;
+		}
+		handler.call(this, client, message);
+		return this;
+	}
+
+	/**
+	 * Check if a client may send a message on a limited route.
+	 * Clients over the limit, or muted for flooding, are told
+	 * when they can try again.
+	 * @param {Client} client
+	 * @param {object} message
+	 * @return {boolean} true if the message may be handled
+	 */
+	checkRateLimit(client, message){
+		let action = ChatServer.rateLimitedRoutes[message.route];
+		if(!action){
+			return true;
+		}
+		let room = typeof message.room === "string" ? message.room : null;
+		let data = ChatServer.getRequestData(message);
+		// bots have their own limits, and are never muted or dropped for flooding
+		if(client.user.bot){
+			let botWait = client.take(action);
+			if(botWait){
+				this.sendRateLimited(client, message.route, room, ChatServer.error.rateLimited, botWait, RateLimiter.action.warning, data);
+			}
+			return !botWait;
+		}
+		if(action === ChatServer.rateLimitAction.message){
+			let muted = this.rateLimiter.getMuteRemaining(client.user.id);
+			if(muted){
+				this.handleFlooding(client, message.route, room, ChatServer.error.rateLimited, muted, data);
+				return false;
+			}
+		}
+		let wait = this.rateLimiter.take(action, client.id, client.user.id);
+		if(!wait){
+			return true;
+		}
+		this.handleFlooding(client, message.route, room, ChatServer.error.rateLimited, wait, data);
+		return false;
+	}
+
+	/**
+	 * Handle a client going over a limit.
+	 * The user gets a violation, which escalates from a warning,
+	 * to a temporary mute, to a disconnect.
+	 * @param {Client} client
+	 * @param {string} route
+	 * @param {string|null} room
+	 * @param {string} error
+	 * @param {number} retryAfter - ms
+	 * @param {object} [data] - more data to send with the error
+	 * @return {ChatServer}
+	 */
+	handleFlooding(client, route, room, error, retryAfter, data){
+		let action = this.rateLimiter.addViolation(client.user.id);
+		if(action === RateLimiter.action.mute){
+			retryAfter = this.rateLimiter.getMuteRemaining(client.user.id);
+		}
+		this.sendRateLimited(client, route, room, error, retryAfter, action, data);
+		if(action === RateLimiter.action.disconnect){
+			client.disconnect();
+		}
+		return this;
+	}
+
+	/**
+	 * Tell a client it has been rate limited
+	 * @param {Client} client
+	 * @param {string} route
+	 * @param {string|null} room
+	 * @param {string} error
+	 * @param {number} retryAfter - ms until the client can try again
+	 * @param {string} action - one of RateLimiter.action
+	 * @param {object} [data] - more data to send with the error
+	 * @return {ChatServer}
+	 */
+	sendRateLimited(client, route, room, error, retryAfter, action, data){
+		return this.sendToClient(client, {
+			route: route,
+			status: 0,
+			error: error,
+			data: Object.assign({
+				room: room,
+				retryAfter: retryAfter,
+				action: action
+			}, data)
+		});
+	}
+
+	/**
+	 * Handle a room message from a client.
+	 * Validate it, run it through the filters, stamp it, and broadcast it to the room.
+	 * Banned and muted users cannot send messages.
+	 * Sending a message ends the user's typing.
+	 * A message with a parent id is a reply in the thread of its parent,
+	 * and the parent's reply count is broadcast as an update to the parent.
+	 * A message with a client id is acked to the sender once it is stored.
+	 * If the client sends it again, because it never got the ack, 
+	 * the stored message is acked again instead of being sent twice,
+	 * even if both copies arrive before either is saved.
+	 * @param {Client} client
+	 * @param {object} message
+	 * @param {string} message.room
+	 * @param {string} message.text
+	 * @param {boolean} [message.action=false] - whether the message is an action, as sent by /me
+	 * @param {string[]} [message.attachments] - ids of attachments the user uploaded, the text may be empty if there are any
+	 * @param {string} [message.parentId] - id of the message to reply to
+	 * @param {string} [message.clientId] - id the client gave the message
+	 * @return {ChatServer}
+	 */
+	handleRoomMessage(client, message){
+		let self = this;
+		let route = ChatServer.route.roomMessage;
+		if(typeof message.clientId !== "undefined" && !ChatServer.isValidClientId(message.clientId)){
+			return this.sendError(client, route, ChatServer.error.invalidClientId);
+		}
+		let data = ChatServer.getRequestData(message);
+		let room = this.getRoom(message.room);
+		if(!room){
+			return this.sendError(client, route, ChatServer.error.roomNotFound, data);
+		}
+		if(typeof message.clientId === "undefined"){
+			return this.receiveRoomMessage(client, room, message);
+		}
+		this.messageStore.getMessageByClientId(room.name, client.user.id, message.clientId)
+			.then(function(existing){
+				if(existing){
+					return self.sendMessageAck(client, existing);
+				}
+				self.receiveRoomMessage(client, room, message);
+			})
+			.catch(function(error){
+				self.sendRoomMessageError(client, route, room.name, error, data);
+			});
+		return this;
+	}
+
+	/**
+	 * Receive a new room message from a client.
+	 * See handleRoomMessage.
+	 * @param {Client} client
+	 * @param {ChatRoom} room
+	 * @param {object} message
+	 * @return {ChatServer}
+	 */
+	receiveRoomMessage(client, room, message){
+		let self = this;
+		let route = ChatServer.route.roomMessage;
+		let data = ChatServer.getRequestData(message);
+		if(!room.hasClient(client.id)){
+			return this.sendError(client, route, ChatServer.error.notInRoom, data);
+		}
+		let moderationError = this.getModerationError(room, client);
+		if(moderationError){
+			return this.sendError(client, route, moderationError, data);
+		}
+		let attachmentIds = message.attachments || [];
+		if(!this.validateAttachmentIds(attachmentIds)){
+			return this.sendError(client, route, ChatServer.error.invalidAttachment, data);
+		}
+		if(!this.validateMessageText(client, route, message.text, attachmentIds.length > 0, data)){
+			return this;
+		}
+		if(message.text.length && this.rateLimiter.isRepeat(client.user.id, room.name, message.text)){
+			return this.handleFlooding(client, route, room.name, ChatServer.error.repeatedMessage, 0, data);
+		}
+		if(room.stopTyping(client.user.id)){
+			this.broadcastTyping(room, client.user, false);
+		}
+		let parent = null;
+		let getParent = typeof message.parentId === "undefined"
+			? Promise.resolve(null)
+			: this.getThreadParent(room, message.parentId);
+		getParent
+			.then(function(result){
+				parent = result;
+				return self.filterMessage(client, room, message.text);
+			})
+			.then(function(result){
+				if(!result.accepted){
+					return self.sendMessageRejected(client, route, room.name, result, data);
+				}
+				let roomMessage = null;
+				return self.getMessageAttachments(client, room, attachmentIds)
+					.then(function(attachments){
+						roomMessage = self.createRoomMessage(room, client, result.text, message.action === true);
+						if(attachments.length){
+							roomMessage.attachments = attachments;
+						}
+						if(parent){
+							roomMessage.parentId = parent.id;
+						}
+						if(data.clientId){
+							roomMessage.clientId = data.clientId;
+						}
+						return self.messageStore.nextSequence(room.name);
+					})
+					.then(function(sequence){
+						roomMessage.seq = sequence;
+						return self.messageStore.saveMessage(roomMessage)
+							.then(function(saved){
+								// the client sent it again before the first one was saved
+								if(!saved){
+									return self.messageStore.getMessageByClientId(room.name, client.user.id, roomMessage.clientId)
+										.then(function(existing){
+											self.sendMessageAck(client, existing);
+										});
+								}
+								room.broadcastJson({
+									route: route,
+									status: 1,
+									data: roomMessage
+								});
+								self.sendMessageAck(client, roomMessage);
+								self.dispatchRoomEvent(room, WebhookManager.event.message, roomMessage);
+								let addReply = Promise.resolve();
+								if(parent){
+									addReply = self.messageStore.addReply(room.name, parent.id, roomMessage.timestamp)
+										.then(function(updated){
+											self.broadcastMessageUpdate(room, updated);
+										});
+								}
+								return addReply.then(function(){
+									return self.reportFlags(room, client, roomMessage, result.flags);
+								});
+							});
+					});
+			})
+			.catch(function(error){
+				self.sendRoomMessageError(client, route, room.name, error, data);
+			});
+		return this;
+	}
+
+	/**
+	 * Tell a client that a message it sent is stored
+	 * @param {Client} client
+	 * @param {object} message
+	 * @return {ChatServer}
+	 */
+	sendMessageAck(client, message){
+		return this.sendToClient(client, {
+			route: ChatServer.route.roomMessageAck,
+			status: 1,
+			data: {
+				room: message.room,
+				id: message.id,
+				clientId: message.clientId || null,
+				seq: message.seq,
+				timestamp: message.timestamp
+			}
+		});
+	}
+
+	/**
+	 * Handle a request for the messages a client missed in a room,
+	 * such as while it was reconnecting.
+	 * Responds with up to ChatServer.syncPageLength messages after the sequence number,
+	 * and whether there are no more.
+	 * @param {Client} client
+	 * @param {object} message
+	 * @param {string} message.room
+	 * @param {number} message.after - the last sequence number the client has
+	 * @return {ChatServer}
+	 */
+	handleRoomSync(client, message){
+		let self = this;
+		let route = ChatServer.route.roomSync;
+		let room = this.getRoom(message.room);
+		if(!room){
+			return this.sendError(client, route, ChatServer.error.roomNotFound);
+		}
+		if(!room.hasClient(client.id)){
+			return this.sendError(client, route, ChatServer.error.notInRoom);
+		}
+		let after = Number.isInteger(message.after) && message.after > 0 ? message.after : 0;
+		let limit = ChatServer.syncPageLength;
+		this.messageStore.getMessagesAfter(room.name, after, limit)
+			.then(function(messages){
+				self.sendToClient(client, {
+					route: route,
+					status: 1,
+					data: {
+						room: room.name,
+						after: after,
+						messages: messages,
+						complete: messages.length < limit
+					}
+				});
+			})
+			.catch(function(error){
+				self.sendRoomMessageError(client, route, room.name, error);
+			});
+		return this;
+	}
+
+	/**
+	 * Check if a client id for a message is well formed
+	 * @param {*} clientId
+	 * @return {boolean}
+	 */
+	static isValidClientId(clientId){
+		return typeof clientId === "string" 
+			&& clientId.length > 0 
+			&& clientId.length <= ChatServer.maxClientIdLength;
+	}
+
+	/**
+	 * Get the data from a client message that is sent back
+	 * with any response to it, so the client can tell what the response is for.
+	 * That is only the client id of the message, if it has a valid one.
+	 * @param {object} message
+	 * @return {object}
+	 */
+	static getRequestData(message){
+		return ChatServer.isValidClientId(message.clientId) ? {clientId: message.clientId} : {};
+	}
+
+	/**
+	 * Get the message that a reply goes under.
+	 * Threads are one level deep, so replying to a reply
+	 * puts the new reply in the same thread.
+	 * @param {ChatRoom} room
+	 * @param {string} id
+	 * @return {Promise<object>} rejects with an Error with a status if there is no such message
+	 */
+	getThreadParent(room, id){
+		let self = this;
+		return this.getChangeableMessage(room, id)
+			.then(function(parent){
+				if(parent.parentId){
+					return self.getChangeableMessage(room, parent.parentId);
+				}
+				return parent;
+			});
+	}
+
+	/**
+	 * Handle a request for the replies in a thread.
+	 * Responds with the message that started the thread and a page of its replies.
+	 * @param {Client} client
+	 * @param {object} message
+	 * @param {string} message.room
+	 * @param {string} message.id - id of the message that started the thread
+	 * @param {string} [message.before] - only get replies older than this message id
+	 * @param {number} [message.limit]
+	 * @return {ChatServer}
+	 */
+	handleRoomThread(client, message){
+		let self = this;
+		let route = ChatServer.route.roomThread;
+		let room = this.getRoom(message.room);
+		if(!room){
+			return this.sendError(client, route, ChatServer.error.roomNotFound);
+		}
+		if(!room.hasClient(client.id)){
+			return this.sendError(client, route, ChatServer.error.notInRoom);
+		}
+		let parent = null;
+		let options = this.getPageOptions(message);
+		let getParent = typeof message.id === "string"
+			? this.messageStore.getMessage(room.name, message.id)
+			: Promise.resolve(null);
+		getParent
+			.then(function(result){
+				if(!result){
+					throw HttpUtil.createError(ChatServer.error.messageNotFound, 404);
+				}
+				parent = result;
+				options.thread = parent.id;
+				return self.getRoomMessages(room.name, options);
+			})
+			.then(function(messages){
+				self.sendToClient(client, {
+					route: route,
+					status: 1,
+					data: {
+						room: room.name,
+						parent: parent,
+						before: options.before,
+						messages: messages
+					}
+				});
+			})
+			.catch(function(error){
+				self.sendRoomMessageError(client, route, room.name, error);
+			});
+		return this;
+	}
+
+	/**
+	 * Check that attachment ids sent with a message are well formed
+	 * @param {*} ids
+	 * @return {boolean}
+	 */
+	validateAttachmentIds(ids){
+		if(!Array.isArray(ids) || ids.length > ChatServer.maxAttachments){
+			return false;
+		}
+		return ids.every(function(id){
+			return typeof id === "string" && id.length > 0;
+		});
+	}
+
+	/**
+	 * Get the attachments sent with a message.
+	 * Users can only send attachments they uploaded.
+	 * Each attachment is recorded as sent to the room.
+	 * @param {Client} client
+	 * @param {ChatRoom} room
+	 * @param {string[]} ids
+	 * @return {Promise<object[]>} serialized attachments, 
+	 * rejects with an Error with a status if any of them cannot be sent
+	 */
+	getMessageAttachments(client, room, ids){
+		let self = this;
+		return Promise.all(ids.map(function(id){
+			return self.attachmentManager.getAttachment(id)
+				.catch(function(error){
+					if(error.status){
+						throw HttpUtil.createError(ChatServer.error.invalidAttachment, 400);
+					}
+					throw error;
+				})
+				.then(function(attachment){
+					if(attachment.uploaderId !== client.user.id){
+						throw HttpUtil.createError(ChatServer.error.invalidAttachment, 400);
+					}
+					return self.attachmentManager.addRoom(attachment.id, room.name)
+						.then(function(){
+							return AttachmentManager.serialize(attachment);
+						});
+				});
+		}));
+	}
+
+	/**
+	 * Count an upload against a user's rate limit
+	 * @param {object} user
+	 * @return {Promise} rejects with a 429 if the user is uploading too often
+	 */
+	takeUpload(user){
+		if(this.rateLimiter.take(ChatServer.rateLimitAction.upload, user.id, user.id)){
+			return Promise.reject(HttpUtil.createError(ChatServer.error.rateLimited, 429));
+		}
+		return Promise.resolve();
+	}
+
+	/**
+	 * Read an attachment's file or thumbnail for a user.
+	 * Users can read what they uploaded, and what was sent
+	 * to any room they are a member of.
+	 * @param {object} user
+	 * @param {string} id
+	 * @param {boolean} [thumbnail=false]
+	 * @return {Promise<{attachment: object, type: string, data: Buffer}>} 
+	 * rejects with a 404 if it does not exist or the user cannot read it
+	 */
+	readAttachment(user, id, thumbnail = false){
+		let self = this;
+		return this.attachmentManager.getAttachment(id)
+			.then(function(attachment){
+				let rooms = attachment.rooms || [];
+				let canRead = attachment.uploaderId === user.id || rooms.some(function(name){
+					let room = self.getRoom(name);
+					return room && room.isMember(user.id);
+				});
+				if(!canRead){
+					throw HttpUtil.createError(AttachmentManager.error.notFound, 404);
+				}
+				return self.attachmentManager.readFile(id, thumbnail);
+			});
+	}
+
+	/**
+	 * Send an error from handling a room message.
+	 * Errors with a status are sent with the room, 
+	 * anything else is logged and sent as a storage failure.
+	 * @param {Client} client
+	 * @param {string} route
+	 * @param {string} room - room name
+	 * @param {Error} error
+	 * @param {object} [data] - more data to send with the error
+	 * @return {ChatServer}
+	 */
+	sendRoomMessageError(client, route, room, error, data){
+		if(!error.status){
+			this.logger.error(error);
+			error = HttpUtil.createError(ChatServer.error.storageFailure, 500);
+		}
+		return this.sendToClient(client, {
+			route: route,
+			status: 0,
+			error: error.message,
+			data: Object.assign({room: room}, data)
+		});
+	}
+
+	/**
+	 * Tell everyone in a room that a message was edited, deleted, or reacted to
+	 * @param {ChatRoom} room
+	 * @param {object} message - the whole updated message
+	 * @return {ChatServer}
+	 */
+	broadcastMessageUpdate(room, message){
+		room.broadcastJson({
+			route: ChatServer.route.roomMessageUpdated,
+			status: 1,
+			data: message
+		});
+		return this;
+	}
+
+	/**
+	 * Get a message that can still be changed.
+	 * Deleted messages cannot be changed.
+	 * @param {ChatRoom} room
+	 * @param {string} id
+	 * @return {Promise<object>} rejects with an Error with a status if there is no such message
+	 */
+	getChangeableMessage(room, id){
+		if(typeof id !== "string"){
+			return Promise.reject(HttpUtil.createError(ChatServer.error.messageNotFound, 404));
+		}
+		return this.messageStore.getMessage(room.name, id)
+			.then(function(message){
+				if(!message || message.deleted){
+					throw HttpUtil.createError(ChatServer.error.messageNotFound, 404);
+				}
+				return message;
+			});
+	}
+
+	/**
+	 * Check if a message is still within the edit window
+	 * @param {object} message
+	 * @return {boolean}
+	 */
+	isWithinEditWindow(message){
+		return Date.now() - message.timestamp <= this.editWindow;
+	}
+
+	/**
+	 * Check that a user or client may change a room message.
+	 * Checks the room, membership, bans and mutes.
+	 * Sends an error to the client if not.
+	 * @param {Client} client
+	 * @param {string} route
+	 * @param {object} message
+	 * @param {string} message.room
+	 * @return {ChatRoom|null} the room, or null if the client may not
+	 */
+	getRoomForMessageChange(client, route, message){
+		let room = this.getRoom(message.room);
+		if(!room){
+			this.sendError(client, route, ChatServer.error.roomNotFound);
+			return null;
+		}
+		if(!room.hasClient(client.id)){
+			this.sendError(client, route, ChatServer.error.notInRoom);
+			return null;
+		}
+		let moderationError = this.getModerationError(room, client);
+		if(moderationError){
+			this.sendRoomMessageError(client, route, room.name, HttpUtil.createError(moderationError, 403));
+			return null;
+		}
+		return room;
+	}
+
+	/**
+	 * Handle an edit of a room message.
+	 * Authors can edit their own messages within the edit window.
+	 * The new text goes through the filters again.
+	 * @param {Client} client
+	 * @param {object} message
+	 * @param {string} message.room
+	 * @param {string} message.id
+	 * @param {string} message.text
+	 * @return {ChatServer}
+	 */
+	handleRoomMessageEdit(client, message){
+		let self = this;
+		let route = ChatServer.route.roomMessageEdit;
+		let room = this.getRoomForMessageChange(client, route, message);
+		if(!room){
+			return this;
+		}
+		if(typeof message.text !== "string"){
+			return this.sendError(client, route, ChatServer.error.emptyMessage);
+		}
+		let original = null;
+		this.getChangeableMessage(room, message.id)
+			.then(function(result){
+				original = result;
+				if(original.senderId !== client.user.id){
+					throw HttpUtil.createError(ChatServer.error.notMessageAuthor, 403);
+				}
+				if(!self.isWithinEditWindow(original)){
+					throw HttpUtil.createError(ChatServer.error.editWindowExpired, 403);
+				}
+				let hasAttachments = original.attachments && original.attachments.length;
+				if(!message.text.trim().length && !hasAttachments){
+					throw HttpUtil.createError(ChatServer.error.emptyMessage, 400);
+				}
+				return self.filterMessage(client, room, message.text);
+			})
+			.then(function(result){
+				if(!result.accepted){
+					return self.sendMessageRejected(client, route, room.name, result);
+				}
+				let formatted = self.formatMessage(result.text, room.getUsers().values());
+				return self.messageStore.updateMessage(room.name, original.id, {
+						text: result.text,
+						content: formatted.content,
+						mentions: formatted.mentions,
+						edited: Date.now()
+					})
+					.then(function(updated){
+						self.broadcastMessageUpdate(room, updated);
+						return self.reportFlags(room, client, updated, result.flags);
+					});
+			})
+			.catch(function(error){
+				self.sendRoomMessageError(client, route, room.name, error);
+			});
+		return this;
+	}
+
+	/**
+	 * Handle a delete of a room message.
+	 * Authors can delete their own messages within the edit window,
+	 * and moderators can delete any message at any time.
+	 * A deleted message is kept without its text, attachments and reactions,
+	 * so that history stays in order.
+	 * @param {Client} client
+	 * @param {object} message
+	 * @param {string} message.room
+	 * @param {string} message.id
+	 * @return {ChatServer}
+	 */
+	handleRoomMessageDelete(client, message){
+		let self = this;
+		let route = ChatServer.route.roomMessageDelete;
+		let room = this.getRoomForMessageChange(client, route, message);
+		if(!room){
+			return this;
+		}
+		let original = null;
+		let isAuthor = false;
+		this.getChangeableMessage(room, message.id)
+			.then(function(result){
+				original = result;
+				isAuthor = original.senderId === client.user.id;
+				let canDelete = isAuthor && self.isWithinEditWindow(original);
+				if(!canDelete && !self.hasRole(room, client.user, ChatServer.role.moderator)){
+					let error = isAuthor ? ChatServer.error.editWindowExpired : ChatServer.error.notMessageAuthor;
+					throw HttpUtil.createError(error, 403);
+				}
+				return self.messageStore.updateMessage(room.name, original.id, {
+					text: "",
+					content: [],
+					mentions: [],
+					attachments: [],
+					reactions: {},
+					deleted: Date.now()
+				});
+			})
+			.then(function(updated){
+				self.broadcastMessageUpdate(room, updated);
+				self.deleteAttachments(original.attachments || []);
+				if(!isAuthor){
+					let target = {id: original.senderId, name: original.sender};
+					return self.recordModeration(room.name, client.user, ChatServer.moderationAction.deleteMessage, target, {
+						messageId: original.id
+					});
+				}
+			})
+			.catch(function(error){
+				self.sendRoomMessageError(client, route, room.name, error);
+			});
+		return this;
+	}
+
+	/**
+	 * Delete the files of attachments that no message has anymore.
+	 * Failures are only logged.
+	 * @param {object[]} attachments
+	 * @return {Promise}
+	 */
+	deleteAttachments(attachments){
+		let self = this;
+		return Promise.all(attachments.map(function(attachment){
+			return self.messageStore.isAttachmentUsed(attachment.id)
+				.then(function(used){
+					if(!used){
+						return self.attachmentManager.deleteAttachment(attachment.id);
+					}
+				})
+				.catch(function(error){
+					self.logger.error(error);
+				});
+		}));
+	}
+
+	/**
+	 * Handle adding or removing a reaction to a room message
+	 * @param {Client} client
+	 * @param {object} message
+	 * @param {string} message.room
+	 * @param {string} message.id
+	 * @param {string} message.emoji
+	 * @param {boolean} message.add - false to remove the reaction
+	 * @return {ChatServer}
+	 */
+	handleRoomMessageReact(client, message){
+		let self = this;
+		let route = ChatServer.route.roomMessageReact;
+		let room = this.getRoomForMessageChange(client, route, message);
+		if(!room){
+			return this;
+		}
+		if(!ChatServer.isValidEmoji(message.emoji)){
+			return this.sendRoomMessageError(client, route, room.name, HttpUtil.createError(ChatServer.error.invalidEmoji, 400));
+		}
+		let userId = client.user.id;
+		this.getChangeableMessage(room, message.id)
+			.then(function(original){
+				if(message.add === false){
+					return self.messageStore.removeReaction(room.name, original.id, message.emoji, userId);
+				}
+				let reactions = original.reactions || {};
+				let emojiCount = Object.keys(reactions).length;
+				if(!reactions[message.emoji] && emojiCount >= ChatServer.maxReactions){
+					throw HttpUtil.createError(ChatServer.error.tooManyReactions, 400);
+				}
+				return self.messageStore.addReaction(room.name, original.id, message.emoji, userId);
+			})
+			.then(function(updated){
+				self.broadcastMessageUpdate(room, updated);
+			})
+			.catch(function(error){
+				self.sendRoomMessageError(client, route, room.name, error);
+			});
+		return this;
+	}
+
+	/**
+	 * Check if a string is a single emoji,
+	 * including skin tones, flags, and joined sequences
+	 * @param {*} emoji
+	 * @return {boolean}
+	 */
+	static isValidEmoji(emoji){
+		return typeof emoji === "string" 
+			&& emoji.length <= ChatServer.maxEmojiLength
+			&& ChatServer.emojiPattern.test(emoji);
+	}
+
+	/**
+	 * Add the built in message filters, in the order they run
+	 * @return {ChatServer}
+	 */
+	createFilters(){
+		this.addFilter(new MaxLengthFilter({maxLength: this.maxMessageLength}));
+		this.addFilter(new SpamFilter());
+		this.addFilter(new CapsFilter());
+		this.addFilter(new LinkFilter());
+		this.addFilter(new ProfanityFilter());
+		return this;
+	}
+
+	/**
+	 * Add a message filter.
+	 * A filter with the same name is replaced.
+	 * @param {MessageFilter} filter
+	 * @param {number} [index] - position in the pipeline, defaults to the end
+	 * @return {ChatServer}
+	 */
+	addFilter(filter, index){
+		this.filterPipeline.add(filter, index);
+		return this;
+	}
+
+	/**
+	 * Remove a message filter
+	 * @param {string} name
+	 * @return {ChatServer}
+	 */
+	removeFilter(name){
+		this.filterPipeline.remove(name);
+		return this;
+	}
+
+	/**
+	 * Run the text of a message through the filter pipeline
+	 * @param {Client} client
+	 * @param {ChatRoom|null} room - null for direct messages
+	 * @param {string} text
+	 * @return {Promise<object>} see FilterPipeline.run
+	 */
+	filterMessage(client, room, text){
+		return this.filterPipeline.run(text, {
+			server: this,
+			client: client,
+			room: room
+		});
+	}
+
+	/**
+	 * Tell a client a filter rejected their message
+	 * @param {Client} client
+	 * @param {string} route
+	 * @param {string|null} room - room name, null for direct messages
+	 * @param {object} result - a rejection from FilterPipeline.run
+	 * @param {object} [data] - more data to send with the error
+	 * @return {ChatServer}
+	 */
+	sendMessageRejected(client, route, room, result, data){
+		return this.sendToClient(client, {
+			route: route,
+			status: 0,
+			error: result.reason,
+			data: Object.assign({
+				room: room,
+				filter: result.filter
+			}, data)
+		});
+	}
+
+	/**
+	 * Report a message that filters flagged.
+	 * Every flag is recorded in the audit log,
+	 * and moderators in the room are told about the message.
+	 * @param {ChatRoom|null} room - null for direct messages
+	 * @param {Client} client - the client that sent the message
+	 * @param {object} message - the message as it was sent
+	 * @param {object[]} flags - from FilterPipeline.run
+	 * @return {Promise}
+	 */
+	reportFlags(room, client, message, flags){
+		if(!flags.length){
+			return Promise.resolve();
+		}
+		if(room){
+			let response = {
+				route: ChatServer.route.roomFlagged,
+				status: 1,
+				data: {
+					room: room.name,
+					message: message,
+					flags: flags
+				}
+			};
+			for(let member of room.members.values()){
+				if(this.hasRole(room, member.user, ChatServer.role.moderator)){
+					this.sendToClient(member, response);
+				}
+			}
+		}
+		let reason = flags.map(function(flag){
+			return flag.filter + ": " + flag.reason;
+		}).join("; ");
+		return this.recordModeration(message.room, ChatServer.systemUser, ChatServer.moderationAction.flag, client.user, {
+			reason: reason,
+			messageId: message.id
+		});
+	}
+
+	/**
+	 * Tell everyone in a room whether a user is typing.
+	 * The timeout lets clients expire the indicator on their own.
+	 * @param {ChatRoom} room
+	 * @param {object} user
+	 * @param {boolean} typing
+	 * @return {ChatServer}
+	 */
+	broadcastTyping(room, user, typing){
+		room.broadcastJson({
+			route: ChatServer.route.roomTyping,
+			status: 1,
+			data: {
+				room: room.name,
+				user: {id: user.id, name: user.name},
+				typing: typing,
+				timeout: this.typingTimeout
+			}
+		});
+		return this;
+	}
+
+	/**
+	 * Handle a typing start or stop event from a client.
+	 * Typing expires if the client does not send another start
+	 * within the typing timeout.
+	 * @param {Client} client
+	 * @param {object} message
+	 * @param {string} message.room
+	 * @param {boolean} message.typing
+	 * @return {ChatServer}
+	 */
+	handleRoomTyping(client, message){
+		let self = this;
+		let route = ChatServer.route.roomTyping;
+		let room = this.getRoom(message.room);
+		if(!room){
+			return this.sendError(client, route, ChatServer.error.roomNotFound);
+		}
+		if(!room.hasClient(client.id)){
+			return this.sendError(client, route, ChatServer.error.notInRoom);
+		}
+		let user = client.user;
+		if(!message.typing){
+			if(room.stopTyping(user.id)){
+				this.broadcastTyping(room, user, false);
+			}
+			return this;
+		}
+		room.startTyping(user.id, this.typingTimeout, function(){
+			self.broadcastTyping(room, user, false);
+		});
+		return this.broadcastTyping(room, user, true);
+	}
+
+	/**
+	 * Handle a "read up to" marker from a client.
+	 * If the user's marker moves forward,
+	 * everyone in the room is told.
+	 * @param {Client} client
+	 * @param {object} message
+	 * @param {string} message.room
+	 * @param {string} message.id - id of the last read message
+	 * @param {number} message.timestamp - timestamp of the last read message
+	 * @return {ChatServer}
+	 */
+	handleRoomRead(client, message){
+		let route = ChatServer.route.roomRead;
+		let room = this.getRoom(message.room);
+		if(!room){
+			return this.sendError(client, route, ChatServer.error.roomNotFound);
+		}
+		if(!room.hasClient(client.id)){
+			return this.sendError(client, route, ChatServer.error.notInRoom);
+		}
+		if(typeof message.id !== "string" || !Number.isFinite(message.timestamp) || message.timestamp > Date.now()){
+			return this.sendError(client, route, ChatServer.error.invalidReadMarker);
+		}
+		if(room.setReadMarker(client.user, message.id, message.timestamp)){
+			room.broadcastJson({
+				route: route,
+				status: 1,
+				data: Object.assign({room: room.name}, room.getReadMarker(client.user.id))
+			});
+		}
+		return this;
+	}
+
+	/**
+	 * Handle a request for the recent history of a room,
+	 * or a page of older messages.
+	 * Responds with the room name and the messages.
+	 * @param {Client} client
+	 * @param {object} message
+	 * @param {string} message.room
+	 * @param {string} [message.before] - only get messages older than this message id
+	 * @param {number} [message.limit]
+	 * @return {ChatServer}
+	 */
+	handleRoomHistory(client, message){
+		let self = this;
+		let route = ChatServer.route.roomHistory;
+		let room = this.getRoom(message.room);
+		if(!room){
+			return this.sendError(client, route, ChatServer.error.roomNotFound);
+		}
+		if(!room.hasClient(client.id)){
+			return this.sendError(client, route, ChatServer.error.notInRoom);
+		}
+		let options = this.getPageOptions(message);
+		this.getRoomMessages(room.name, options)
+			.then(function(messages){
+				self.sendToClient(client, {
+					route: route,
+					status: 1,
+					data: {
+						name: room.name,
+						before: options.before,
+						messages: messages
+					}
+				});
+			})
+			.catch(function(error){
+				self.logger.error(error);
+				self.sendError(client, route, ChatServer.error.storageFailure);
+			});
+		return this;
+	}
+
+	/**
+	 * Add a check for room names that cannot be used for new rooms,
+	 * such as names a transport could not tell apart from an existing room.
+	 * The check is called with a name, and returns whether it is taken.
+	 * @param {function} check
+	 * @return {ChatServer}
+	 */
+	addRoomNameCheck(check){
+		this.roomNameChecks.push(check);
+		return this;
+	}
+
+	/**
+	 * Check if a room name is taken by a room or by any of the room name checks
+	 * @param {string} name
+	 * @return {boolean}
+	 */
+	isRoomNameTaken(name){
+		if(this.getRoom(name)){
+			return true;
+		}
+		return this.roomNameChecks.some(function(check){
+			return check(name);
+		});
+	}
+
+	/**
+	 * Handle a request to create a room.
+	 * The client becomes the owner and joins the room.
+	 * Everyone is told about the new room.
+	 * @param {Client} client
+	 * @param {object} message
+	 * @param {string} message.name
+	 * @param {string} [message.topic=""]
+	 * @param {number} [message.maxClients=0]
+	 * @param {string} [message.password=""]
+	 * @param {boolean} [message.inviteOnly=false]
+	 * @return {ChatServer}
+	 */
+	handleRoomCreate(client, message){
+		let self = this;
+		let route = ChatServer.route.roomCreate;
+		let name = typeof message.name === "string" ? message.name.trim() : "";
+		let topic = typeof message.topic === "string" ? message.topic.trim() : "";
+		let password = typeof message.password === "string" ? message.password : "";
+		let maxClients = parseInt(message.maxClients || 0, 10);
+		// room names may not look like direct message channels
+		if(!name.length || name.length > ChatServer.maxRoomNameLength || name.startsWith("@")){
+			return this.sendError(client, route, ChatServer.error.invalidRoomName);
+		}
+		if(topic.length > ChatServer.maxRoomTopicLength){
+			return this.sendError(client, route, ChatServer.error.invalidRoomTopic);
+		}
+		if(isNaN(maxClients) || maxClients < 0){
+			return this.sendError(client, route, ChatServer.error.invalidMaxClients);
+		}
+		if(this.isRoomNameTaken(name)){
+			return this.sendError(client, route, ChatServer.error.roomExists);
+		}
+		let room = this.createRoom({
+			owner: client.user.id,
+			name: name,
+			topic: topic,
+			maxClients: maxClients,
+			inviteOnly: message.inviteOnly === true
+		});
+		// the password is hashed before the room is added,
+		// so the room is never joinable without it
+		room.setPassword(password)
+			.then(function(){
+				if(self.isRoomNameTaken(name)){
+					return self.sendError(client, route, ChatServer.error.roomExists);
+				}
+				self.addRoom(room);
+				self.publishRoom(room);
+				self.broadcastToClients({
+					route: ChatServer.route.roomCreated,
+					status: 1,
+					data: self.serializeRoom(room)
+				});
+				self.addClientToRoom(room, client);
+			})
+			.catch(function(error){
+				self.logger.error(error);
+				self.sendError(client, route, ChatServer.error.passwordFailure);
+			});
+		return this;
+	}
+
+	/**
+	 * Handle a request to join a room
+	 * @param {Client} client
+	 * @param {object} message
+	 * @param {string} message.room
+	 * @param {string} [message.password]
+	 * @return {ChatServer}
+	 */
+	handleRoomJoin(client, message){
+		let self = this;
+		let route = ChatServer.route.roomJoin;
+		let room = this.getRoom(message.room);
+		if(!room){
+			return this.sendError(client, route, ChatServer.error.roomNotFound);
+		}
+		if(room.hasClient(client.id)){
+			return this.sendError(client, route, ChatServer.error.alreadyInRoom);
+		}
+		if(room.isBanned(client.user.id) || room.isIpBanned(this.getClientIp(client))){
+			return this.sendError(client, route, ChatServer.error.banned);
+		}
+		if(room.isFull(client.user.id)){
+			return this.sendError(client, route, ChatServer.error.roomFull);
+		}
+		if(room.inviteOnly && !room.isOwner(client.user.id) && !room.isInvited(client.user.id)){
+			return this.sendError(client, route, ChatServer.error.notInvited);
+		}
+		let password = typeof message.password === "string" ? message.password : "";
+		room.canJoin(client.user.id, password)
+			.then(function(canJoin){
+				if(!canJoin){
+					return self.sendError(client, route, ChatServer.error.wrongPassword);
+				}
+				// the room may have changed while the password was checked
+				if(self.getRoom(room.name) !== room){
+					return self.sendError(client, route, ChatServer.error.roomNotFound);
+				}
+				if(room.hasClient(client.id)){
+					return self.sendError(client, route, ChatServer.error.alreadyInRoom);
+				}
+				if(room.isFull(client.user.id)){
+					return self.sendError(client, route, ChatServer.error.roomFull);
+				}
+				self.addClientToRoom(room, client);
+			})
+			.catch(function(error){
+				self.logger.error(error);
+				self.sendError(client, route, ChatServer.error.passwordFailure);
+			});
+		return this;
+	}
+
+	/**
+	 * Get a room that a client owns.
+	 * Sends an error to the client if the room
+	 * does not exist or the client does not own it.
+	 * @param {Client} client
+	 * @param {string} route - the route to send errors on
+	 * @param {string} name - room name
+	 * @return {ChatRoom|null}
+	 */
+	getOwnedRoom(client, route, name){
+		let room = this.getRoom(name);
+		if(!room){
+			this.sendError(client, route, ChatServer.error.roomNotFound);
+			return null;
+		}
+		if(!this.hasRole(room, client.user, ChatServer.role.owner)){
+			this.sendError(client, route, ChatServer.error.notRoomOwner);
+			return null;
+		}
+		return room;
+	}
+
+	/**
+	 * Handle a request to change who can access a room.
+	 * Only the owner can change access.
+	 * Everyone is told the room has been updated.
+	 * @param {Client} client
+	 * @param {object} message
+	 * @param {string} message.room
+	 * @param {string} [message.password] - empty string to remove the password
+	 * @param {boolean} [message.inviteOnly]
+	 * @return {ChatServer}
+	 */
+	handleRoomAccess(client, message){
+		let self = this;
+		let route = ChatServer.route.roomAccess;
+		let room = this.getOwnedRoom(client, route, message.room);
+		if(!room){
+			return this;
+		}
+		let update = Promise.resolve();
+		if(typeof message.password === "string"){
+			update = room.setPassword(message.password);
+		}
+		update
+			.then(function(){
+				if(typeof message.inviteOnly === "boolean"){
+					room.inviteOnly = message.inviteOnly;
+				}
+				self.publishRoom(room);
+				self.broadcastToClients({
+					route: ChatServer.route.roomUpdated,
+					status: 1,
+					data: self.serializeRoom(room)
+				});
+			})
+			.catch(function(error){
+				self.logger.error(error);
+				self.sendError(client, route, ChatServer.error.passwordFailure);
+			});
+		return this;
+	}
+
+	/**
+	 * Handle a request to invite a user to a room.
+	 * Only the owner can invite.
+	 * The invited user is told about the invite on all of its connected clients.
+	 * @param {Client} client
+	 * @param {object} message
+	 * @param {string} message.room
+	 * @param {string} message.user - name of the user to invite
+	 * @return {ChatServer}
+	 */
+	handleRoomInvite(client, message){
+		let self = this;
+		let route = ChatServer.route.roomInvite;
+		let room = this.getOwnedRoom(client, route, message.room);
+		if(!room){
+			return this;
+		}
+		this.findUserByName(message.user)
+			.then(function(user){
+				if(!user){
+					return self.sendError(client, route, ChatServer.error.userNotFound);
+				}
+				room.invite(user.id);
+				self.publishRoom(room);
+				let invitees = self.getClientsOfUser(user.id);
+				for(let i = 0; i < invitees.length; i++){
+					self.sendToClient(invitees[i], {
+						route: ChatServer.route.roomInvited,
+						status: 1,
+						data: self.serializeRoom(room)
+					});
+				}
+				self.sendToClient(client, {
+					route: route,
+					status: 1,
+					data: {name: room.name, user: user.name}
+				});
+			})
+			.catch(function(error){
+				self.logger.error(error);
+				self.sendError(client, route, ChatServer.error.storageFailure);
+			});
+		return this;
+	}
+
+	/**
+	 * Handle a request to revoke an invite to a room.
+	 * Only the owner can revoke invites.
+	 * Users already in the room are not removed.
+	 * @param {Client} client
+	 * @param {object} message
+	 * @param {string} message.room
+	 * @param {string} message.user - name of the user to uninvite
+	 * @return {ChatServer}
+	 */
+	handleRoomUninvite(client, message){
+		let self = this;
+		let route = ChatServer.route.roomUninvite;
+		let room = this.getOwnedRoom(client, route, message.room);
+		if(!room){
+			return this;
+		}
+		this.findUserByName(message.user)
+			.then(function(user){
+				if(!user){
+					return self.sendError(client, route, ChatServer.error.userNotFound);
+				}
+				room.revokeInvite(user.id);
+				self.publishRoom(room);
+				self.sendToClient(client, {
+					route: route,
+					status: 1,
+					data: {name: room.name, user: user.name}
+				});
+			})
+			.catch(function(error){
+				self.logger.error(error);
+				self.sendError(client, route, ChatServer.error.storageFailure);
+			});
+		return this;
+	}
+
+	/**
+	 * Handle a request to leave a room
+	 * @param {Client} client
+	 * @param {object} message
+	 * @param {string} message.room
+	 * @return {ChatServer}
+	 */
+	handleRoomLeave(client, message){
+		let route = ChatServer.route.roomLeave;
+		let room = this.getRoom(message.room);
+		if(!room){
+			return this.sendError(client, route, ChatServer.error.roomNotFound);
+		}
+		if(!room.hasClient(client.id)){
+			return this.sendError(client, route, ChatServer.error.notInRoom);
+		}
+		this.removeClientFromRoom(room, client);
+		return this.sendToClient(client, {
+			route: route,
+			status: 1,
+			data: {name: room.name}
+		});
+	}
+
+	/**
+	 * Handle a request to delete a room.
+	 * Only the owner or an admin can delete a room,
+	 * and no one can delete the general chat.
+	 * Its messages and webhooks are deleted,
+	 * and everyone is told the room is gone.
+	 * @param {Client} client
+	 * @param {object} message
+	 * @param {string} message.room
+	 * @return {ChatServer}
+	 */
+	handleRoomDelete(client, message){
+		let route = ChatServer.route.roomDelete;
+		let room = this.getOwnedRoom(client, route, message.room);
+		if(!room){
+			return this;
+		}
+		if(room === this.generalChat){
+			return this.sendError(client, route, ChatServer.error.notRoomOwner);
+		}
+		this.removeRoom(room);
+		this.deleteRoomData(room.name);
+		this.publishToCluster(ChatServer.clusterMessage.roomDelete, {name: room.name});
+		return this.broadcastToClients({
+			route: ChatServer.route.roomDeleted,
+			status: 1,
+			data: {name: room.name}
+		});
+	}
+
+	/**
+	 * Get the channel that stores the direct messages between two users.
+	 * The channel is the same regardless of who sent the message.
+	 * @param {string} userIdA
+	 * @param {string} userIdB
+	 * @return {string}
+	 */
+	getDirectChannel(userIdA, userIdB){
+		let ids = [userIdA, userIdB].sort();
+		return ChatServer.directChannelPrefix + ids[0] + ":" + ids[1];
+	}
+
+	/**
+	 * Validate the text of a message from a client.
+	 * Sends an error to the client if it is invalid.
+	 * Length is left to the filters.
+	 * @param {Client} client
+	 * @param {string} route - the route to send errors on
+	 * @param {*} text
+	 * @param {boolean} [allowEmpty=false] - whether the text can be empty, as it can when there are attachments
+	 * @param {object} [data] - more data to send with the error
+	 * @return {boolean}
+	 */
+	validateMessageText(client, route, text, allowEmpty = false, data){
+		if(typeof text !== "string" || (!allowEmpty && !text.trim().length)){
+			this.sendError(client, route, ChatServer.error.emptyMessage, data);
+			return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Send a JSON message to every connected client of a user
+	 * @param {string} userId
+	 * @param {object} message
+	 * @return {ChatServer}
+	 */
+	sendToUser(userId, message){
+		let clients = this.getClientsOfUser(userId);
+		for(let i = 0; i < clients.length; i++){
+			this.sendToClient(clients[i], message);
+		}
+		return this;
+	}
+
+	/**
+	 * Handle a direct message from one user to another.
+	 * The message is filtered and stored, then delivered to every connected
+	 * client of the sender and the recipient, and no one else.
+	 * @param {Client} client
+	 * @param {object} message
+	 * @param {string} message.to - user id of the recipient
+	 * @param {string} message.text
+	 * @return {ChatServer}
+	 */
+	handleDirectMessage(client, message){
+		let self = this;
+		let route = ChatServer.route.directMessage;
+		if(!this.validateMessageText(client, route, message.text)){
+			return this;
+		}
+		if(message.to === client.user.id){
+			return this.sendError(client, route, ChatServer.error.invalidRecipient);
+		}
+		if(this.rateLimiter.isRepeat(client.user.id, this.getDirectChannel(client.user.id, message.to), message.text)){
+			return this.handleFlooding(client, route, null, ChatServer.error.repeatedMessage, 0);
+		}
+		let result = null;
+		this.filterMessage(client, null, message.text)
+			.then(function(filterResult){
+				result = filterResult;
+				return result.accepted ? self.findUserById(message.to) : null;
+			})
+			.then(function(recipient){
+				if(!result.accepted){
+					return self.sendMessageRejected(client, route, null, result);
+				}
+				if(!recipient){
+					return self.sendError(client, route, ChatServer.error.userNotFound);
+				}
+				let formatted = self.formatMessage(result.text, [client.user, recipient]);
+				let directMessage = {
+					id: self.createMessageId(),
+					room: self.getDirectChannel(client.user.id, recipient.id),
+					senderId: client.user.id,
+					sender: client.user.name,
+					recipientId: recipient.id,
+					recipient: recipient.name,
+					text: result.text,
+					content: formatted.content,
+					mentions: formatted.mentions,
+					timestamp: Date.now()
+				};
+				return self.messageStore.saveMessage(directMessage)
+					.then(function(){
+						let response = {
+							route: route,
+							status: 1,
+							data: directMessage
+						};
+						self.sendToUser(client.user.id, response);
+						self.sendToUser(recipient.id, response);
+						return self.reportFlags(null, client, directMessage, result.flags);
+					});
+			})
+			.catch(function(error){
+				self.logger.error(error);
+				self.sendError(client, route, ChatServer.error.storageFailure);
+			});
+		return this;
+	}
+
+	/**
+	 * Handle a request for the direct message history with another user
+	 * @param {Client} client
+	 * @param {object} message
+	 * @param {string} message.with - user id of the other user
+	 * @param {string} [message.before] - only get messages older than this message id
+	 * @param {number} [message.limit]
+	 * @return {ChatServer}
+	 */
+	handleDirectHistory(client, message){
+		let self = this;
+		let route = ChatServer.route.directHistory;
+		if(typeof message.with !== "string"){
+			return this.sendError(client, route, ChatServer.error.invalidRecipient);
+		}
+		let channel = this.getDirectChannel(client.user.id, message.with);
+		let options = this.getPageOptions(message);
+		this.messageStore.getMessages(channel, options)
+			.then(function(messages){
+				self.sendToClient(client, {
+					route: route,
+					status: 1,
+					data: {
+						with: message.with,
+						before: options.before,
+						messages: messages
+					}
+				});
+			})
+			.catch(function(error){
+				self.logger.error(error);
+				self.sendError(client, route, ChatServer.error.storageFailure);
+			});
+		return this;
+	}
+
+	/**
+	 * Get the page of messages a client asked for.
+	 * Only a string id and a positive integer limit are used,
+	 * so nothing else, such as a query object, reaches the store.
+	 * @param {object} message
+	 * @param {string} [message.before] - only get messages older than this message id
+	 * @param {number} [message.limit]
+	 * @return {object}
+	 */
+	getPageOptions(message){
+		return {
+			before: typeof message.before === "string" && message.before ? message.before : null,
+			limit: Number.isInteger(message.limit) && message.limit > 0 ? message.limit : this.historyLength
+		};
+	}
+
+	/**
+	 * Get a page of messages from a room, oldest first.
+	 * @param {string} name - room name
+	 * @param {object} [options]
+	 * @param {string} [options.before] - only get messages older than this message id
+	 * @param {number} [options.limit]
+	 * @param {string} [options.thread] - only get replies to this message id
+	 * @return {Promise<object[]>}
+	 */
+	getRoomMessages(name, options){
+		return this.messageStore.getMessages(name, options);
+	}
+
+	/**
+	 * Delete the messages and webhooks of a room from their stores.
+	 * Failures are only logged.
+	 * @param {string} name - room name
+	 * @return {Promise}
+	 */
+	deleteRoomData(name){
+		let self = this;
+		return Promise.all([
+				this.messageStore.deleteRoom(name),
+				this.webhookManager.removeRoomWebhooks(name)
+			])
+			.catch(function(error){
+				self.logger.error(error);
+			});
+	}
+
+	/**
+	 * Post a message from a bot into a room.
+	 * Bots are not members of the rooms they post in,
+	 * and their messages are marked as from a bot so clients can badge them.
+	 * Messages are rate limited and filtered like a user's.
+	 * Rejects with an Error whose message is one of ChatServer.error,
+	 * or the reason a filter rejected the message,
+	 * and whose status is an HTTP status code.
+	 * @param {object} bot - see BotManager
+	 * @param {string} name - room name
+	 * @param {object} message
+	 * @param {string} message.text
+	 * @param {boolean} [message.action=false] - whether the message is an action, like /me
+	 * @return {Promise<object>} the room message
+	 */
+	postBotMessage(bot, name, message){
+		let self = this;
+		let room = this.getRoom(name);
+		if(!room){
+			return Promise.reject(HttpUtil.createError(ChatServer.error.roomNotFound, 404));
+		}
+		if(!BotManager.canPost(bot, room.name)){
+			return Promise.reject(HttpUtil.createError(ChatServer.error.botNotAllowed, 403));
+		}
+		if(typeof message.text !== "string" || !message.text.trim().length){
+			return Promise.reject(HttpUtil.createError(ChatServer.error.emptyMessage, 400));
+		}
+		if(this.rateLimiter.take(ChatServer.rateLimitAction.message, bot.id, bot.id)){
+			return Promise.reject(HttpUtil.createError(ChatServer.error.rateLimited, 429));
+		}
+		// filters and flags expect a client
+		let client = {user: bot};
+		let result = null;
+		let roomMessage = null;
+		return this.filterMessage(client, room, message.text)
+			.then(function(filtered){
+				result = filtered;
+				if(!result.accepted){
+					throw HttpUtil.createError(result.reason, 400);
+				}
+				roomMessage = self.createRoomMessage(room, client, result.text, message.action === true);
+				return self.messageStore.nextSequence(room.name);
+			})
+			.then(function(sequence){
+				roomMessage.seq = sequence;
+				return self.messageStore.saveMessage(roomMessage);
+			})
+			.then(function(){
+				room.broadcastJson({
+					route: ChatServer.route.roomMessage,
+					status: 1,
+					data: roomMessage
+				});
+				self.dispatchRoomEvent(room, WebhookManager.event.message, roomMessage);
+				return self.reportFlags(room, client, roomMessage, result.flags);
+			})
+			.then(function(){
+				return roomMessage;
+			});
+	}
+
+	/**
+	 * Create a bot that posts into rooms over HTTP.
+	 * Its name cannot be taken by a bot that runs in this process.
+	 * @param {object} data - see BotManager.createBot
+	 * @return {Promise<{bot: object, token: string}>}
+	 */
+	createBot(data){
+		if(typeof data.name === "string" && this.bots.has(data.name.toLowerCase())){
+			return Promise.reject(HttpUtil.createError(BotManager.error.nameTaken, 409));
+		}
+		return this.botManager.createBot(data);
+	}
+
+	/**
+	 * Check if a name belongs to a bot, ignoring case.
+	 * Users cannot register or rename to these names.
+	 * @param {string} name
+	 * @return {Promise<boolean>}
+	 */
+	isBotName(name){
+		if(this.bots.has(name.toLowerCase())){
+			return Promise.resolve(true);
+		}
+		return this.botManager.getBotByName(name)
+			.then(function(bot){
+				return bot !== null;
+			});
+	}
+
+	/**
+	 * Unregister the bots that run in this process whose names were taken 
+	 * by registered users or by bots that post over HTTP before they were added.
+	 * Called once the stores are connected.
+	 * @return {Promise}
+	 */
+	checkBotNames(){
+		let self = this;
+		return Promise.all(Array.from(this.bots.values()).map(function(client){
+			let name = client.user.name;
+			return Promise.all([
+					self.accountManager.userStore.getUserByName(name),
+					self.botManager.getBotByName(name)
+				])
+				.then(function(results){
+					if(results[0] || results[1]){
+						self.logger.warning("Bot " + name + " is not registered, its name is taken");
+						self.unregisterBot(name);
+					}
+				})
+				.catch(function(error){
+					self.logger.error(error);
+				});
+		}));
+	}
+
+	/**
+	 * Send an event in a room to the room's webhooks
+	 * @param {ChatRoom} room
+	 * @param {string} event - one of WebhookManager.event
+	 * @param {object} data
+	 * @return {ChatServer}
+	 */
+	dispatchRoomEvent(room, event, data){
+		this.webhookManager.dispatch(room.name, event, data);
+		return this;
+	}
+
+	/**
+	 * Register a bot that runs in this process.
+	 * The bot gets a pseudo-client, which is attached as a user with bot set to true,
+	 * and joins those of the bot's rooms that exist, without being checked like a join request.
+	 * The bot's commands are registered, and answered by its onCommand hook.
+	 * Throws if the bot's name or one of its commands is already taken.
+	 * Names of registered users and of bots that post over HTTP
+	 * are checked by checkBotNames when the server starts.
+	 * @param {Bot} bot
+	 * @return {ChatServer}
+	 */
+	registerBot(bot){
+		let self = this;
+		let key = bot.name.toLowerCase();
+		if(!AccountManager.isValidName(bot.name)){
+			throw new Error("Bot name " + bot.name + " is invalid");
+		}
+		if(this.bots.has(key)){
+			throw new Error("Bot " + bot.name + " is already registered");
+		}
+		for(let command of bot.commands){
+			if(this.commandRegistry.get(String(command.name))){
+				throw new Error("Command " + command.name + " already exists");
+			}
+		}
+		let client = new BotClient(bot);
+		client.user = {
+			id: client.id,
+			name: bot.name,
+			email: "",
+			avatar: bot.avatar,
+			bot: true
+		};
+		client.protocol = null;
+		client.on('message', function(data){
+			self.handleClientMessage(client, data);
+		});
+		client.on('disconnect', function(){
+			self.detachClient(client);
+		});
+		this.connectedClients.set(client.id, client);
+		this.presenceManager.connect(client.user.id);
+		this.bots.set(key, client);
+		bot.attach(this, client);
+		for(let command of bot.commands){
+			this.registerCommand(this.createBotCommand(bot, command));
+		}
+		for(let name of bot.rooms){
+			let room = this.getRoom(name);
+			if(room && !room.hasClient(client.id)){
+				this.addClientToRoom(room, client);
+			}
+		}
+		return this;
+	}
+
+	/**
+	 * Unregister a bot.
+	 * Its commands are removed, its scheduled messages are cancelled,
+	 * and it leaves every room.
+	 * @param {string} name
+	 * @return {ChatServer}
+	 */
+	unregisterBot(name){
+		let key = name.toLowerCase();
+		let client = this.bots.get(key);
+		if(!client){
+			return this;
+		}
+		for(let command of client.bot.commands){
+			this.commandRegistry.unregister(command.name);
+		}
+		this.bots.delete(key);
+		client.bot.detach();
+		client.disconnect();
+		return this;
+	}
+
+	/**
+	 * Create a slash command that is answered by a bot.
+	 * A string result is sent as {text}.
+	 * @param {Bot} bot
+	 * @param {object} command - see Bot
+	 * @return {object} a command for the CommandRegistry
+	 */
+	createBotCommand(bot, command){
+		return {
+			name: command.name,
+			syntax: command.syntax,
+			description: command.description,
+			permission: command.permission,
+			handler: function(client, args, room){
+				let context = {user: client.user, room: room ? room.name : null};
+				return Promise.resolve(bot.onCommand(command.name.toLowerCase(), args, context))
+					.then(function(result){
+						return typeof result === "string" ? {text: result} : result;
+					});
+			}
+		};
+	}
+
+	/**
+	 * Check if a bot may use a route
+	 * @param {BotClient} client
+	 * @param {string} route
+	 * @return {boolean}
+	 */
+	hasBotPermission(client, route){
+		let permission = ChatServer.botPermissionRoutes[route];
+		return Boolean(permission) && client.bot.hasPermission(permission);
+	}
+
+	/**
+	 * Register a slash command.
+	 * See CommandRegistry for what a command looks like.
+	 * A command with the same name as an existing one replaces it.
+	 * @param {object} command
+	 * @return {ChatServer}
+	 */
+	registerCommand(command){
+		this.commandRegistry.register(command);
+		return this;
+	}
+
+	/**
+	 * Register the built in slash commands
+	 * @return {ChatServer}
+	 */
+	createCommands(){
+		let permission = CommandRegistry.permission;
+		this.registerCommand({
+			name: "help",
+			syntax: "[command]",
+			description: "List commands, or show how to use one",
+			permission: permission.user,
+			handler: this.commandHelp
+		});
+		this.registerCommand({
+			name: "join",
+			syntax: "<room> [password]",
+			description: "Join a room",
+			permission: permission.user,
+			handler: this.commandJoin
+		});
+		this.registerCommand({
+			name: "leave",
+			syntax: "[room]",
+			description: "Leave a room, or the current room",
+			permission: permission.user,
+			handler: this.commandLeave
+		});
+		this.registerCommand({
+			name: "nick",
+			syntax: "<name>",
+			description: "Change your name",
+			permission: permission.user,
+			handler: this.commandNick
+		});
+		this.registerCommand({
+			name: "me",
+			syntax: "<action...>",
+			description: "Send an action to the room",
+			permission: permission.member,
+			handler: this.commandMe
+		});
+		this.registerCommand({
+			name: "topic",
+			syntax: "[topic...]",
+			description: "Set the room topic, or clear it",
+			permission: permission.owner,
+			handler: this.commandTopic
+		});
+		this.registerCommand({
+			name: "msg",
+			syntax: "<user> <text...>",
+			description: "Send a direct message to a user",
+			permission: permission.user,
+			handler: this.commandMsg
+		});
+		this.registerCommand({
+			name: "kick",
+			syntax: "<user> [reason...]",
+			description: "Remove a user from the room",
+			permission: permission.moderator,
+			handler: this.commandKick
+		});
+		this.registerCommand({
+			name: "ban",
+			syntax: "<user> [reason...]",
+			description: "Remove a user from the room and stop them from joining again",
+			permission: permission.moderator,
+			handler: this.commandBan
+		});
+		this.registerCommand({
+			name: "unban",
+			syntax: "<user>",
+			description: "Let a banned user join the room again",
+			permission: permission.moderator,
+			handler: this.commandUnban
+		});
+		this.registerCommand({
+			name: "banip",
+			syntax: "<user> [reason...]",
+			description: "Ban every IP address a connected user is using from the room",
+			permission: permission.moderator,
+			handler: this.commandBanIp
+		});
+		this.registerCommand({
+			name: "unbanip",
+			syntax: "<ip>",
+			description: "Let a banned IP address join the room again",
+			permission: permission.moderator,
+			handler: this.commandUnbanIp
+		});
+		this.registerCommand({
+			name: "mute",
+			syntax: "<user> <minutes> [reason...]",
+			description: "Stop a user from sending messages to the room for a while",
+			permission: permission.moderator,
+			handler: this.commandMute
+		});
+		this.registerCommand({
+			name: "unmute",
+			syntax: "<user>",
+			description: "Let a muted user send messages again",
+			permission: permission.moderator,
+			handler: this.commandUnmute
+		});
+		this.registerCommand({
+			name: "mod",
+			syntax: "<user>",
+			description: "Make a user a moderator of the room",
+			permission: permission.owner,
+			handler: this.commandMod
+		});
+		this.registerCommand({
+			name: "unmod",
+			syntax: "<user>",
+			description: "Take away a user's moderator role",
+			permission: permission.owner,
+			handler: this.commandUnmod
+		});
+		this.registerCommand({
+			name: "filters",
+			syntax: "",
+			description: "List the message filters and whether they are on in the room",
+			permission: permission.member,
+			handler: this.commandFilters
+		});
+		this.registerCommand({
+			name: "filter",
+			syntax: "<filter> <state>",
+			description: "Turn a message filter on or off in the room, state is on or off",
+			permission: permission.owner,
+			handler: this.commandFilter
+		});
+		this.registerCommand({
+			name: "links",
+			syntax: "<policy> [domains...]",
+			description: "Set the link policy to allow only some domains, deny some domains, or clear it",
+			permission: permission.owner,
+			handler: this.commandLinks
+		});
+		return this;
+	}
+
+	/**
+	 * Check if a client may run a command with a permission
+	 * @param {Client} client
+	 * @param {ChatRoom|null} room - the room the command was run from
+	 * @param {string} permission
+	 * @return {boolean}
+	 */
+	hasCommandPermission(client, room, permission){
+		switch(permission){
+			case CommandRegistry.permission.user:
+				return true;
+			case CommandRegistry.permission.member:
+				return room !== null;
+			case CommandRegistry.permission.moderator:
+				return room !== null && this.hasRole(room, client.user, ChatServer.role.moderator);
+			case CommandRegistry.permission.owner:
+				return room !== null && this.hasRole(room, client.user, ChatServer.role.owner);
+			case CommandRegistry.permission.admin:
+				return this.isAdmin(client.user);
+		}
+		return false;
+	}
+
+	/**
+	 * Handle a slash command from a client.
+	 * The command is parsed, checked against its permission,
+	 * and run. The result or error is sent back to the client.
+	 * @param {Client} client
+	 * @param {object} message
+	 * @param {string} message.text - the command, such as "/join General"
+	 * @param {string} [message.room] - the room the command was run from
+	 * @return {ChatServer}
+	 */
+	handleCommand(client, message){
+		let self = this;
+		let route = ChatServer.route.command;
+		let input = CommandRegistry.parseInput(message.text);
+		if(!input){
+			return this.sendError(client, route, ChatServer.error.badCommand);
+		}
+		let room = null;
+		if(typeof message.room === "string"){
+			room = this.getRoom(message.room);
+			if(!room || !room.hasClient(client.id)){
+				return this.sendCommandError(client, input.name, null, ChatServer.error.notInRoom);
+			}
+		}
+		let command = this.commandRegistry.get(input.name);
+		if(!command){
+			return this.sendCommandError(client, input.name, room, ChatServer.error.unknownCommand);
+		}
+		if(!this.hasCommandPermission(client, room, command.permission)){
+			return this.sendCommandError(client, command.name, room, ChatServer.error.permissionDenied);
+		}
+		let args = this.commandRegistry.parseArgs(command, input.input);
+		if(!args){
+			return this.sendCommandError(client, command.name, room, ChatServer.error.invalidArguments);
+		}
+		Promise.resolve()
+			.then(function(){
+				return command.handler.call(self, client, args, room);
+			})
+			.then(function(result){
+				self.sendToClient(client, {
+					route: route,
+					status: 1,
+					data: {
+						command: command.name,
+						room: room ? room.name : null,
+						result: typeof result === "undefined" ? null : result
+					}
+				});
+			})
+			.catch(function(error){
+				if(error.status && error.status < 500){
+					return self.sendCommandError(client, command.name, room, error.message);
+				}
+				self.logger.error(error);
+				self.sendCommandError(client, command.name, room, ChatServer.error.commandFailed);
+			});
+		return this;
+	}
+
+	/**
+	 * Send a command error to a client.
+	 * The usage of the command is included if it exists.
+	 * @param {Client} client
+	 * @param {string} name - command name
+	 * @param {ChatRoom|null} room - the room the command was run from
+	 * @param {string} error
+	 * @return {ChatServer}
+	 */
+	sendCommandError(client, name, room, error){
+		let command = this.commandRegistry.get(name);
+		return this.sendToClient(client, {
+			route: ChatServer.route.command,
+			status: 0,
+			error: error,
+			data: {
+				command: name,
+				room: room ? room.name : null,
+				usage: command ? CommandRegistry.getUsage(command) : null
+			}
+		});
+	}
+
+	/**
+	 * Create an error that a command handler can throw
+	 * to send a message back to the client
+	 * @param {string} message
+	 * @return {Error}
+	 */
+	static createCommandError(message){
+		return HttpUtil.createError(message, 400);
+	}
+
+	/**
+	 * Find a user in a room by name
+	 * @param {ChatRoom} room
+	 * @param {string} name
+	 * @return {object|null}
+	 */
+	findUserInRoom(room, name){
+		let lowerName = name.toLowerCase();
+		for(let user of room.getUsers().values()){
+			if(user.name.toLowerCase() === lowerName){
+				return user;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * /help [command]
+	 * @param {Client} client
+	 * @param {object} args
+	 * @return {{commands: object[]}}
+	 */
+	commandHelp(client, args){
+		if(args.command){
+			let command = this.commandRegistry.get(args.command.replace(/^\//, ""));
+			if(!command){
+				throw ChatServer.createCommandError(ChatServer.error.unknownCommand);
+			}
+			return {commands: [CommandRegistry.serializeCommand(command)]};
+		}
+		return {
+			commands: this.commandRegistry.getCommands().map(CommandRegistry.serializeCommand)
+		};
+	}
+
+	/**
+	 * /join <room> [password]
+	 * The join itself is answered on the room join route.
+	 * @param {Client} client
+	 * @param {object} args
+	 */
+	commandJoin(client, args){
+		this.handleRoomJoin(client, {room: args.room, password: args.password});
+	}
+
+	/**
+	 * /leave [room]
+	 * The leave itself is answered on the room leave route.
+	 * @param {Client} client
+	 * @param {object} args
+	 * @param {ChatRoom|null} room
+	 */
+	commandLeave(client, args, room){
+		let name = args.room || (room ? room.name : null);
+		if(!name){
+			throw ChatServer.createCommandError(ChatServer.error.invalidArguments);
+		}
+		this.handleRoomLeave(client, {room: name});
+	}
+
+	/**
+	 * /nick <name>
+	 * @param {Client} client
+	 * @param {object} args
+	 * @return {Promise<{name: string}>}
+	 */
+	commandNick(client, args){
+		return this.renameUser(client.user, args.name)
+			.then(function(user){
+				return {name: user.name};
+			});
+	}
+
+	/**
+	 * /me <action...>
+	 * The action is sent as a room message.
+	 * @param {Client} client
+	 * @param {object} args
+	 * @param {ChatRoom} room
+	 */
+	commandMe(client, args, room){
+		this.handleRoomMessage(client, {room: room.name, text: args.action, action: true});
+	}
+
+	/**
+	 * /topic [topic...]
+	 * Everyone is told the room has been updated.
+	 * @param {Client} client
+	 * @param {object} args
+	 * @param {ChatRoom} room
+	 * @return {{topic: string}}
+	 */
+	commandTopic(client, args, room){
+		let topic = args.topic || "";
+		if(topic.length > ChatServer.maxRoomTopicLength){
+			throw ChatServer.createCommandError(ChatServer.error.invalidRoomTopic);
+		}
+		room.topic = topic;
+		this.publishRoom(room);
+		this.broadcastToClients({
+			route: ChatServer.route.roomUpdated,
+			status: 1,
+			data: this.serializeRoom(room)
+		});
+		return {topic: topic};
+	}
+
+	/**
+	 * /msg <user> <text...>
+	 * The message itself is answered on the direct message route.
+	 * @param {Client} client
+	 * @param {object} args
+	 * @return {Promise}
+	 */
+	commandMsg(client, args){
+		let self = this;
+		return this.findUserByName(args.user)
+			.then(function(user){
+				if(!user){
+					throw ChatServer.createCommandError(ChatServer.error.userNotFound);
+				}
+				self.handleDirectMessage(client, {to: user.id, text: args.text});
+			});
+	}
+
+	/**
+	 * Find a user by name to be moderated in a room.
+	 * Rejects if the user does not exist or if the actor
+	 * does not outrank them.
+	 * @param {ChatRoom} room
+	 * @param {object} actor
+	 * @param {string} name
+	 * @return {Promise<object>}
+	 */
+	findModerationTarget(room, actor, name){
+		let self = this;
+		return this.findUserByName(name)
+			.then(function(user){
+				if(!user){
+					throw ChatServer.createCommandError(ChatServer.error.userNotFound);
+				}
+				if(!self.canModerate(room, actor, user)){
+					throw ChatServer.createCommandError(ChatServer.error.cannotModerate);
+				}
+				return user;
+			});
+	}
+
+	/**
+	 * /kick <user> [reason...]
+	 * @param {Client} client
+	 * @param {object} args
+	 * @param {ChatRoom} room
+	 * @return {Promise<{user: string}>}
+	 */
+	commandKick(client, args, room){
+		let user = this.findUserInRoom(room, args.user);
+		if(!user){
+			throw ChatServer.createCommandError(ChatServer.error.userNotInRoom);
+		}
+		if(!this.canModerate(room, client.user, user)){
+			throw ChatServer.createCommandError(ChatServer.error.cannotModerate);
+		}
+		return this.kickUser(room, client.user, user, args.reason)
+			.then(function(){
+				return {user: user.name};
+			});
+	}
+
+	/**
+	 * /ban <user> [reason...]
+	 * The user does not have to be in the room.
+	 * @param {Client} client
+	 * @param {object} args
+	 * @param {ChatRoom} room
+	 * @return {Promise<{user: string}>}
+	 */
+	commandBan(client, args, room){
+		let self = this;
+		return this.findModerationTarget(room, client.user, args.user)
+			.then(function(user){
+				return self.banUser(room, client.user, user, args.reason)
+					.then(function(){
+						return {user: user.name};
+					});
+			});
+	}
+
+	/**
+	 * /unban <user>
+	 * @param {Client} client
+	 * @param {object} args
+	 * @param {ChatRoom} room
+	 * @return {Promise<{user: string}>}
+	 */
+	commandUnban(client, args, room){
+		let self = this;
+		return this.findModerationTarget(room, client.user, args.user)
+			.then(function(user){
+				return self.unbanUser(room, client.user, user)
+					.then(function(){
+						return {user: user.name};
+					});
+			});
+	}
+
+	/**
+	 * /banip <user> [reason...]
+	 * The user must be connected so that their IP addresses are known.
+	 * @param {Client} client
+	 * @param {object} args
+	 * @param {ChatRoom} room
+	 * @return {Promise<{user: string, ips: string[]}>}
+	 */
+	commandBanIp(client, args, room){
+		let self = this;
+		return this.findModerationTarget(room, client.user, args.user)
+			.then(function(user){
+				return self.banUserIps(room, client.user, user, args.reason)
+					.then(function(entry){
+						return {user: user.name, ips: entry.ips};
+					});
+			});
+	}
+
+	/**
+	 * /unbanip <ip>
+	 * @param {Client} client
+	 * @param {object} args
+	 * @param {ChatRoom} room
+	 * @return {Promise<{ip: string}>}
+	 */
+	commandUnbanIp(client, args, room){
+		return this.unbanIp(room, client.user, args.ip)
+			.then(function(){
+				return {ip: args.ip};
+			});
+	}
+
+	/**
+	 * /mute <user> <minutes> [reason...]
+	 * @param {Client} client
+	 * @param {object} args
+	 * @param {ChatRoom} room
+	 * @return {Promise<{user: string, until: number}>}
+	 */
+	commandMute(client, args, room){
+		let self = this;
+		let minutes = Number(args.minutes);
+		if(!(minutes > 0) || minutes > ChatServer.maxMuteMinutes){
+			throw ChatServer.createCommandError(ChatServer.error.invalidDuration);
+		}
+		return this.findModerationTarget(room, client.user, args.user)
+			.then(function(user){
+				return self.muteUser(room, client.user, user, minutes * 60 * 1000, args.reason)
+					.then(function(entry){
+						return {user: user.name, until: entry.until};
+					});
+			});
+	}
+
+	/**
+	 * /unmute <user>
+	 * @param {Client} client
+	 * @param {object} args
+	 * @param {ChatRoom} room
+	 * @return {Promise<{user: string}>}
+	 */
+	commandUnmute(client, args, room){
+		let self = this;
+		return this.findModerationTarget(room, client.user, args.user)
+			.then(function(user){
+				return self.unmuteUser(room, client.user, user)
+					.then(function(){
+						return {user: user.name};
+					});
+			});
+	}
+
+	/**
+	 * /mod <user>
+	 * @param {Client} client
+	 * @param {object} args
+	 * @param {ChatRoom} room
+	 * @return {Promise<{user: string}>}
+	 */
+	commandMod(client, args, room){
+		let self = this;
+		return this.findModerationTarget(room, client.user, args.user)
+			.then(function(user){
+				return self.setModerator(room, client.user, user, true)
+					.then(function(){
+						return {user: user.name};
+					});
+			});
+	}
+
+	/**
+	 * /unmod <user>
+	 * @param {Client} client
+	 * @param {object} args
+	 * @param {ChatRoom} room
+	 * @return {Promise<{user: string}>}
+	 */
+	commandUnmod(client, args, room){
+		let self = this;
+		return this.findModerationTarget(room, client.user, args.user)
+			.then(function(user){
+				return self.setModerator(room, client.user, user, false)
+					.then(function(){
+						return {user: user.name};
+					});
+			});
+	}
+
+	/**
+	 * /filters
+	 * @param {Client} client
+	 * @param {object} args
+	 * @param {ChatRoom} room
+	 * @return {{filters: object[]}}
+	 */
+	commandFilters(client, args, room){
+		let self = this;
+		let filters = this.filterPipeline.filters.map(function(filter){
+			let data = filter.serialize();
+			data.enabled = self.filterPipeline.isEnabled(filter, room);
+			return data;
+		});
+		return {filters: filters};
+	}
+
+	/**
+	 * /filter <filter> <state>
+	 * @param {Client} client
+	 * @param {object} args
+	 * @param {ChatRoom} room
+	 * @return {Promise<{filter: string, enabled: boolean}>}
+	 */
+	commandFilter(client, args, room){
+		let filter = this.filterPipeline.get(args.filter);
+		if(!filter){
+			throw ChatServer.createCommandError(ChatServer.error.filterNotFound);
+		}
+		if(args.state !== "on" && args.state !== "off"){
+			throw ChatServer.createCommandError(ChatServer.error.invalidArguments);
+		}
+		let enabled = args.state === "on";
+		if(filter.required && !enabled){
+			throw ChatServer.createCommandError(ChatServer.error.filterRequired);
+		}
+		room.setFilterEnabled(filter.name, enabled);
+		this.publishRoom(room);
+		return this.recordModeration(room.name, client.user, ChatServer.moderationAction.filter, null, {
+			filter: filter.name, 
+			enabled: enabled
+		})
+			.then(function(){
+				return {filter: filter.name, enabled: enabled};
+			});
+	}
+
+	/**
+	 * /links <policy> [domains...]
+	 * Policy is allow, deny or clear.
+	 * Sets the options of the links filter for the room.
+	 * @param {Client} client
+	 * @param {object} args
+	 * @param {ChatRoom} room
+	 * @return {Promise<{allow: string[], deny: string[]}>}
+	 */
+	commandLinks(client, args, room){
+		let policy = args.policy;
+		let domains = (args.domains || "").toLowerCase().split(/[\s,]+/).filter(Boolean);
+		let options = {allow: [], deny: []};
+		switch(policy){
+			case "allow":
+			case "deny":
+				if(!domains.length){
+					throw ChatServer.createCommandError(ChatServer.error.invalidArguments);
+				}
+				for(let domain of domains){
+					if(!ChatServer.domainPattern.test(domain)){
+						throw ChatServer.createCommandError(ChatServer.error.invalidDomain);
+					}
+				}
+				options[policy] = domains;
+				break;
+			case "clear":
+				break;
+			default:
+				throw ChatServer.createCommandError(ChatServer.error.invalidArguments);
+		}
+		room.setFilterOptions("links", options);
+		this.publishRoom(room);
+		return this.recordModeration(room.name, client.user, ChatServer.moderationAction.links, null, options)
+			.then(function(){
+				return options;
+			});
+	}
+
+	/**
+	 * Check if a user is a global admin.
+	 * Admins are registered users whose ids are in the admins option,
+	 * so taking an admin's name does not make anyone an admin.
+	 * @param {object} user
+	 * @return {boolean}
+	 */
+	isAdmin(user){
+		return !user.guest && !user.bot && this.admins.has(user.id);
+	}
+
+	/**
+	 * Get the role of a user in a room
+	 * @param {ChatRoom} room
+	 * @param {object} user
+	 * @return {string} one of ChatServer.role
+	 */
+	getRole(room, user){
+		if(this.isAdmin(user)){
+			return ChatServer.role.admin;
+		}
+		if(room.isOwner(user.id)){
+			return ChatServer.role.owner;
+		}
+		if(room.isModerator(user.id)){
+			return ChatServer.role.moderator;
+		}
+		return ChatServer.role.member;
+	}
+
+	/**
+	 * Check if a user has a role, or a higher one, in a room
+	 * @param {ChatRoom} room
+	 * @param {object} user
+	 * @param {string} role - one of ChatServer.role
+	 * @return {boolean}
+	 */
+	hasRole(room, user, role){
+		let ranks = ChatServer.roleRanks;
+		return ranks.indexOf(this.getRole(room, user)) >= ranks.indexOf(role);
+	}
+
+	/**
+	 * Check if a user outranks another in a room,
+	 * and so can moderate them
+	 * @param {ChatRoom} room
+	 * @param {object} actor
+	 * @param {object} target
+	 * @return {boolean}
+	 */
+	canModerate(room, actor, target){
+		let ranks = ChatServer.roleRanks;
+		return ranks.indexOf(this.getRole(room, actor)) > ranks.indexOf(this.getRole(room, target));
+	}
+
+	/**
+	 * Get the IP address of a client
+	 * @param {Client} client
+	 * @return {string} empty if it is not known
+	 */
+	getClientIp(client){
+		if(client.ip){
+			return client.ip;
+		}
+		if(client.socket && client.socket.remoteAddress){
+			return client.socket.remoteAddress;
+		}
+		return "";
+	}
+
+	/**
+	 * Get every IP address a user is connected from
+	 * @param {string} userId
+	 * @return {string[]}
+	 */
+	getUserIps(userId){
+		let ips = new Set();
+		for(let client of this.getClientsOfUser(userId)){
+			let ip = this.getClientIp(client);
+			if(ip){
+				ips.add(ip);
+			}
+		}
+		return Array.from(ips);
+	}
+
+	/**
+	 * Get the reason a client may not send a message to a room
+	 * @param {ChatRoom} room
+	 * @param {Client} client
+	 * @return {string|null} an error, or null if the client may send messages
+	 */
+	getModerationError(room, client){
+		if(room.isBanned(client.user.id) || room.isIpBanned(this.getClientIp(client))){
+			return ChatServer.error.banned;
+		}
+		if(room.isMuted(client.user.id)){
+			return ChatServer.error.muted;
+		}
+		return null;
+	}
+
+	/**
+	 * Remove clients from a room.
+	 * Each client is told who removed it and why.
+	 * @param {ChatRoom} room
+	 * @param {function} filter - called with each client in the room, returns true to remove it
+	 * @param {object} by - the user doing the removing
+	 * @param {string} [reason=""]
+	 * @return {ChatServer}
+	 */
+	ejectClients(room, filter, by, reason = ""){
+		for(let client of Array.from(room.members.values())){
+			if(!filter(client)){
+				continue;
+			}
+			this.removeClientFromRoom(room, client);
+			this.sendToClient(client, {
+				route: ChatServer.route.roomKicked,
+				status: 1,
+				data: {room: room.name, by: by.name, reason: reason}
+			});
+		}
+		return this;
+	}
+
+	/**
+	 * Remove the clients of a user, or the clients on some IP addresses,
+	 * from a room on this node and every other node
+	 * @param {ChatRoom} room
+	 * @param {object} target
+	 * @param {string} [target.userId]
+	 * @param {string[]} [target.ips]
+	 * @param {object} by - the user doing the removing
+	 * @param {string} [reason=""]
+	 * @return {ChatServer}
+	 */
+	ejectTarget(room, target, by, reason = ""){
+		this.ejectLocalTarget(room, target, by, reason);
+		return this.publishToCluster(ChatServer.clusterMessage.roomEject, {
+			room: room.name,
+			target: target,
+			by: {id: by.id, name: by.name},
+			reason: reason
+		});
+	}
+
+	/**
+	 * Remove the clients of a user, or the clients on some IP addresses,
+	 * from a room on this node
+	 * @param {ChatRoom} room
+	 * @param {object} target - see ejectTarget
+	 * @param {object} by
+	 * @param {string} [reason=""]
+	 * @return {ChatServer}
+	 */
+	ejectLocalTarget(room, target, by, reason = ""){
+		let self = this;
+		let ips = target.ips || [];
+		return this.ejectClients(room, function(client){
+			if(target.userId){
+				return client.user.id === target.userId;
+			}
+			return ips.includes(self.getClientIp(client));
+		}, by, reason);
+	}
+
+	/**
+	 * Record a moderation action in the audit log.
+	 * Failing to record an action does not undo it.
+	 * @param {string} roomName - a room or direct message channel
+	 * @param {object} actor - the user taking the action
+	 * @param {string} action - one of ChatServer.moderationAction
+	 * @param {object|null} target - the user the action is taken against
+	 * @param {object} [details={}] - extra properties, such as reason
+	 * @return {Promise<object>} resolves with the entry
+	 */
+	recordModeration(roomName, actor, action, target, details = {}){
+		let self = this;
+		let entry = Object.assign({
+			id: this.createMessageId(),
+			action: action,
+			room: roomName,
+			actorId: actor.id,
+			actor: actor.name,
+			targetId: target ? target.id : null,
+			target: target ? target.name : null,
+			reason: "",
+			timestamp: Date.now()
+		}, details);
+		return this.auditStore.saveEntry(entry)
+			.catch(function(error){
+				self.logger.error(error);
+				return entry;
+			});
+	}
+
+	/**
+	 * Get a page of the audit log, newest first
+	 * @param {object} [filter] - see AuditStore.getEntries
+	 * @param {object} [options] - see AuditStore.getEntries
+	 * @return {Promise<object[]>}
+	 */
+	getAuditLog(filter, options){
+		return this.auditStore.getEntries(filter, options);
+	}
+
+	/**
+	 * Remove every client of a user from a room, on every node
+	 * @param {ChatRoom} room
+	 * @param {object} actor
+	 * @param {object} target
+	 * @param {string} [reason=""]
+	 * @return {Promise<object>} resolves with the audit entry
+	 */
+	kickUser(room, actor, target, reason = ""){
+		this.ejectTarget(room, {userId: target.id}, actor, reason);
+		return this.recordModeration(room.name, actor, ChatServer.moderationAction.kick, target, {reason: reason});
+	}
+
+	/**
+	 * Ban a user from a room and remove them from it, on every node
+	 * @param {ChatRoom} room
+	 * @param {object} actor
+	 * @param {object} target
+	 * @param {string} [reason=""]
+	 * @return {Promise<object>} resolves with the audit entry
+	 */
+	banUser(room, actor, target, reason = ""){
+		room.ban(target.id);
+		this.publishRoom(room);
+		this.ejectTarget(room, {userId: target.id}, actor, reason);
+		return this.recordModeration(room.name, actor, ChatServer.moderationAction.ban, target, {reason: reason});
+	}
+
+	/**
+	 * Lift a user's ban from a room
+	 * @param {ChatRoom} room
+	 * @param {object} actor
+	 * @param {object} target
+	 * @return {Promise<object>} resolves with the audit entry
+	 */
+	unbanUser(room, actor, target){
+		room.unban(target.id);
+		this.publishRoom(room);
+		return this.recordModeration(room.name, actor, ChatServer.moderationAction.unban, target);
+	}
+
+	/**
+	 * Ban every IP address a user is connected from on this node.
+	 * Every client on those addresses is removed from the room, on every node.
+	 * @param {ChatRoom} room
+	 * @param {object} actor
+	 * @param {object} target
+	 * @param {string} [reason=""]
+	 * @return {Promise<object>} resolves with the audit entry
+	 */
+	banUserIps(room, actor, target, reason = ""){
+		let ips = this.getUserIps(target.id);
+		if(!ips.length){
+			return Promise.reject(ChatServer.createCommandError(ChatServer.error.ipUnknown));
+		}
+		for(let i = 0; i < ips.length; i++){
+			room.banIp(ips[i]);
+		}
+		this.publishRoom(room);
+		this.ejectTarget(room, {ips: ips}, actor, reason);
+		return this.recordModeration(room.name, actor, ChatServer.moderationAction.banIp, target, {
+			reason: reason,
+			ips: ips
+		});
+	}
+
+	/**
+	 * Lift a ban on an IP address
+	 * @param {ChatRoom} room
+	 * @param {object} actor
+	 * @param {string} ip
+	 * @return {Promise<object>} resolves with the audit entry
+	 */
+	unbanIp(room, actor, ip){
+		room.unbanIp(ip);
+		this.publishRoom(room);
+		return this.recordModeration(room.name, actor, ChatServer.moderationAction.unbanIp, null, {ips: [ip]});
+	}
+
+	/**
+	 * Mute a user in a room for a while.
+	 * The user is told on all of its clients.
+	 * @param {ChatRoom} room
+	 * @param {object} actor
+	 * @param {object} target
+	 * @param {number} duration - ms
+	 * @param {string} [reason=""]
+	 * @return {Promise<object>} resolves with the audit entry
+	 */
+	muteUser(room, actor, target, duration, reason = ""){
+		let until = Date.now() + duration;
+		room.mute(target.id, until);
+		this.publishRoom(room);
+		this.sendToUser(target.id, {
+			route: ChatServer.route.roomMuted,
+			status: 1,
+			data: {room: room.name, until: until, by: actor.name, reason: reason}
+		});
+		return this.recordModeration(room.name, actor, ChatServer.moderationAction.mute, target, {
+			reason: reason,
+			duration: duration,
+			until: until
+		});
+	}
+
+	/**
+	 * Unmute a user in a room.
+	 * The user is told on all of its clients.
+	 * @param {ChatRoom} room
+	 * @param {object} actor
+	 * @param {object} target
+	 * @return {Promise<object>} resolves with the audit entry
+	 */
+	unmuteUser(room, actor, target){
+		room.unmute(target.id);
+		this.publishRoom(room);
+		this.sendToUser(target.id, {
+			route: ChatServer.route.roomMuted,
+			status: 1,
+			data: {room: room.name, until: 0, by: actor.name, reason: ""}
+		});
+		return this.recordModeration(room.name, actor, ChatServer.moderationAction.unmute, target);
+	}
+
+	/**
+	 * Give or take away a user's moderator role in a room.
+	 * Everyone is told the room has been updated.
+	 * @param {ChatRoom} room
+	 * @param {object} actor
+	 * @param {object} target
+	 * @param {boolean} state
+	 * @return {Promise<object>} resolves with the audit entry
+	 */
+	setModerator(room, actor, target, state){
+		if(state){
+			room.addModerator(target.id);
+		}
+		else {
+			room.removeModerator(target.id);
+		}
+		this.publishRoom(room);
+		this.broadcastToClients({
+			route: ChatServer.route.roomUpdated,
+			status: 1,
+			data: this.serializeRoom(room)
+		});
+		let action = state ? ChatServer.moderationAction.addModerator : ChatServer.moderationAction.removeModerator;
+		return this.recordModeration(room.name, actor, action, target);
+	}
+
+	/**
+	 * Rename a user.
+	 * Registered users are renamed in the user store,
+	 * guests only for as long as they are connected.
+	 * Names reserved by the account manager, such as bot names, are taken for both.
+	 * The user's clients and rooms are told about the new name.
+	 * @param {object} user
+	 * @param {string} name
+	 * @return {Promise<object>} resolves with the renamed user
+	 */
+	renameUser(user, name){
+		let self = this;
+		if(!AccountManager.isValidName(name)){
+			return Promise.reject(ChatServer.createCommandError(AccountManager.error.invalidName));
+		}
+		return this.findUserByName(name)
+			.then(function(existing){
+				if(existing && existing.id !== user.id){
+					throw ChatServer.createCommandError(AccountManager.error.nameTaken);
+				}
+				if(user.guest){
+					return self.accountManager.isNameReserved(name)
+						.then(function(reserved){
+							if(reserved){
+								throw ChatServer.createCommandError(AccountManager.error.nameTaken);
+							}
+							return name;
+						});
+				}
+				return self.accountManager.rename(user.id, name)
+					.then(function(renamed){
+						return renamed.name;
+					});
+			})
+			.then(function(newName){
+				for(let client of self.getClientsOfUser(user.id)){
+					client.user.name = newName;
+				}
+				self.broadcastUserUpdate(user.id);
+				return Object.assign({}, user, {name: newName});
+			});
+	}
+
+	/**
+	 * Tell a user's clients and every room the user is in
+	 * that the user has changed
+	 * @param {string} userId
+	 * @return {ChatServer}
+	 */
+	broadcastUserUpdate(userId){
+		let clients = this.getClientsOfUser(userId);
+		if(!clients.length){
+			return this;
+		}
+		let user = clients[0].user;
+		this.sendToUser(userId, {
+			route: ChatServer.route.userUpdated,
+			status: 1,
+			data: {user: user}
+		});
+		let status = this.getUserStatus(userId);
+		for(let room of this.rooms.values()){
+			if(!room.hasUser(userId)){
+				continue;
+			}
+			let marker = room.getReadMarker(userId);
+			if(marker){
+				marker.name = user.name;
+			}
+			room.broadcastJson({
+				route: ChatServer.route.roomUserUpdated,
+				status: 1,
+				data: {room: room.name, user: ChatRoom.serializeUser(user, status)}
+			});
+		}
+		return this;
+	}
+
+	/**
+	 * Parse the formatting of message text.
+	 * Only users who can see the message can be mentioned.
+	 * @param {string} text
+	 * @param {Iterable<object>} users - users who can be mentioned
+	 * @return {{content: object[], mentions: string[]}} see Markdown
+	 */
+	formatMessage(text, users){
+		let result = Markdown.resolveMentions(Markdown.parse(text), users);
+		return {content: result.nodes, mentions: result.mentions};
+	}
+
+	/**
+	 * Create a room message stamped with an id, sender, and timestamp.
+	 * The text is kept as sent, and its parsed formatting is added as content.
+	 * @param {ChatRoom} room
+	 * @param {Client} client
+	 * @param {string} text
+	 * @param {boolean} [action=false]
+	 * @return {object}
+	 */
+	createRoomMessage(room, client, text, action = false){
+		let formatted = this.formatMessage(text, room.getUsers().values());
+		let message = {
+			id: this.createMessageId(),
+			room: room.name,
+			senderId: client.user.id,
+			sender: client.user.name,
+			text: text,
+			content: formatted.content,
+			mentions: formatted.mentions,
+			timestamp: Date.now()
+		};
+		if(action){
+			message.action = true;
+		}
+		if(client.user.bot){
+			message.bot = true;
+		}
+		return message;
+	}
+
+	/**
+	 * Create a unique message id.
+	 * Ids are prefixed with the time so they roughly sort by creation.
+	 * @return {string}
+	 */
+	createMessageId(){
+		return Date.now().toString(36) + Crypto.randomBytes(4).toString('hex');
+	}
+
+	/**
+	 * Attach handlers to the cluster adapter.
+	 * Nodes that join are sent this node's rooms and users,
+	 * and the users of nodes that leave are removed.
+	 * @return {ChatServer}
+	 */
+	attachClusterHandlers(){
+		let self = this;
+		this.cluster.on('join', function(node){
+			self.publishState(node);
+		});
+		this.cluster.on('leave', function(node){
+			self.removeClusterNode(node);
+		});
+		this.cluster.on('message', function(type, data, node){
+			self.handleClusterMessage(type, data, node);
+		});
+		return this;
+	}
+
+	/**
+	 * Add a handler for messages from other nodes.
+	 * Handlers are called with the data of the message and the id of the node.
+	 * @param {string} type
+	 * @param {function} handler
+	 * @return {ChatServer}
+	 */
+	addClusterRoute(type, handler){
+		this.clusterRoutes.set(type, handler);
+		return this;
+	}
+
+	/**
+	 * Create all handlers for messages from other nodes
+	 * @return {ChatServer}
+	 */
+	createClusterRoutes(){
+		this.addClusterRoute(ChatServer.clusterMessage.broadcast, this.handleClusterBroadcast);
+		this.addClusterRoute(ChatServer.clusterMessage.roomBroadcast, this.handleClusterRoomBroadcast);
+		this.addClusterRoute(ChatServer.clusterMessage.room, this.handleClusterRoom);
+		this.addClusterRoute(ChatServer.clusterMessage.roomDelete, this.handleClusterRoomDelete);
+		this.addClusterRoute(ChatServer.clusterMessage.roomEject, this.handleClusterRoomEject);
+		this.addClusterRoute(ChatServer.clusterMessage.presence, this.handleClusterPresence);
+		this.addClusterRoute(ChatServer.clusterMessage.state, this.handleClusterState);
+		return this;
+	}
+
+	/**
+	 * Handle a message from another node
+	 * @param {string} type
+	 * @param {object} data
+	 * @param {string} node - id of the node
+	 * @return {ChatServer}
+	 */
+	handleClusterMessage(type, data, node){
+		let handler = this.clusterRoutes.get(type);
+		if(handler && data){
+			handler.call(this, data, node);
+		}
+		return this;
+	}
+
+	/**
+	 * Send a message to every other node, if in a cluster
+	 * @param {string} type
+	 * @param {object} data
+	 * @return {ChatServer}
+	 */
+	publishToCluster(type, data){
+		if(this.cluster){
+			this.cluster.publish(type, data);
+		}
+		return this;
+	}
+
+	/**
+	 * Serialize the settings of a room that are shared with other nodes.
+	 * This includes invites, bans, mutes and filters,
+	 * so every node enforces the same rules.
+	 * @param {ChatRoom} room
+	 * @return {object}
+	 */
+	serializeRoomSettings(room){
+		return {
+			name: room.name,
+			owner: room.owner,
+			topic: room.topic,
+			maxClients: room.maxClients,
+			passwordHash: room.passwordHash,
+			inviteOnly: room.inviteOnly,
+			moderators: Array.from(room.moderators),
+			invites: Array.from(room.invites),
+			bans: Array.from(room.bans),
+			ipBans: Array.from(room.ipBans),
+			mutes: Array.from(room.mutes),
+			filters: Array.from(room.filters),
+			filterOptions: Array.from(room.filterOptions)
+		};
+	}
+
+	/**
+	 * Share a room that was created or updated with other nodes
+	 * @param {ChatRoom} room
+	 * @return {ChatServer}
+	 */
+	publishRoom(room){
+		return this.publishToCluster(ChatServer.clusterMessage.room, this.serializeRoomSettings(room));
+	}
+
+	/**
+	 * Create or update a room from the settings of another node
+	 * @param {object} settings - see serializeRoomSettings
+	 * @return {ChatRoom}
+	 */
+	applyRoomSettings(settings){
+		let room = this.getRoom(settings.name);
+		if(!room){
+			room = this.createRoom({name: settings.name});
+			this.addRoom(room);
+		}
+		room.owner = settings.owner;
+		room.topic = settings.topic;
+		room.maxClients = settings.maxClients;
+		room.passwordHash = settings.passwordHash;
+		room.inviteOnly = settings.inviteOnly;
+		room.moderators = new Set(settings.moderators);
+		room.invites = new Set(settings.invites);
+		room.bans = new Set(settings.bans);
+		room.ipBans = new Set(settings.ipBans);
+		room.mutes = new Map(settings.mutes);
+		room.filters = new Map(settings.filters);
+		room.filterOptions = new Map(settings.filterOptions);
+		return room;
+	}
+
+	/**
+	 * Send this node's rooms, users and statuses to a node that joined
+	 * @param {string} node - id of the node
+	 * @return {ChatServer}
+	 */
+	publishState(node){
+		let rooms = [];
+		for(let room of this.rooms.values()){
+			let users = [];
+			for(let [id, user] of room.getLocalUsers()){
+				users.push(ChatRoom.serializeUser(user, this.presenceManager.getStatus(id)));
+			}
+			rooms.push({settings: this.serializeRoomSettings(room), users: users});
+		}
+		let presence = [];
+		for(let client of this.connectedClients.values()){
+			presence.push({userId: client.user.id, status: this.presenceManager.getStatus(client.user.id)});
+		}
+		return this.publishToCluster(ChatServer.clusterMessage.state, {
+			to: node,
+			rooms: rooms,
+			presence: presence
+		});
+	}
+
+	/**
+	 * Handle the rooms, users and statuses of another node.
+	 * They replace anything known about that node.
+	 * @param {object} data
+	 * @param {string} data.to - id of the node the state is for
+	 * @param {object[]} data.rooms - settings and users of each room
+	 * @param {object[]} data.presence - status of each user
+	 * @param {string} node - id of the node
+	 * @return {ChatServer}
+	 */
+	handleClusterState(data, node){
+		if(data.to !== this.cluster.nodeId){
+			return this;
+		}
+		this.setRemoteStatuses(node, data.presence);
+		let names = new Set();
+		for(let entry of data.rooms){
+			let isNew = !this.getRoom(entry.settings.name);
+			let room = this.applyRoomSettings(entry.settings);
+			names.add(room.name);
+			this.updateRemoteUsers(room, node, entry.users);
+			if(isNew){
+				this.sendToLocalClients({
+					route: ChatServer.route.roomCreated,
+					status: 1,
+					data: this.serializeRoom(room)
+				});
+			}
+		}
+		for(let room of this.rooms.values()){
+			if(!names.has(room.name)){
+				this.updateRemoteUsers(room, node, []);
+			}
+		}
+		return this;
+	}
+
+	/**
+	 * Forget the users and statuses of a node that left
+	 * @param {string} node - id of the node
+	 * @return {ChatServer}
+	 */
+	removeClusterNode(node){
+		this.setRemoteStatuses(node, []);
+		for(let room of this.rooms.values()){
+			this.updateRemoteUsers(room, node, []);
+		}
+		return this;
+	}
+
+	/**
+	 * Replace the users in a room on another node.
+	 * Clients on this node are told about users that joined or left.
+	 * @param {ChatRoom} room
+	 * @param {string} node - id of the node
+	 * @param {object[]} users
+	 * @return {ChatServer}
+	 */
+	updateRemoteUsers(room, node, users){
+		let before = room.getUsers();
+		room.setRemoteUsers(node, users);
+		let after = room.getUsers();
+		for(let [id, user] of after){
+			if(!before.has(id)){
+				room.sendJson({
+					route: ChatServer.route.roomUserJoined,
+					status: 1,
+					data: {room: room.name, user: ChatRoom.serializeUser(user, this.getUserStatus(id))}
+				});
+			}
+		}
+		for(let id of before.keys()){
+			if(!after.has(id)){
+				room.sendJson({
+					route: ChatServer.route.roomUserLeft,
+					status: 1,
+					data: {room: room.name, id: id}
+				});
+			}
+		}
+		if(before.size !== after.size){
+			this.sendToLocalClients({
+				route: ChatServer.route.roomClientCount,
+				status: 1,
+				data: {room: room.name, clientCount: after.size}
+			});
+		}
+		return this;
+	}
+
+	/**
+	 * Replace the statuses of users on another node.
+	 * Users whose status changed have it broadcast.
+	 * @param {string} node - id of the node
+	 * @param {object[]} presence - status of each user, empty if the node has left
+	 * @return {ChatServer}
+	 */
+	setRemoteStatuses(node, presence){
+		let previous = new Map();
+		for(let [userId, statuses] of this.remoteStatuses){
+			if(statuses.has(node)){
+				previous.set(userId, this.getUserStatus(userId));
+				this.setRemoteStatus(node, userId, PresenceManager.status.offline);
+			}
+		}
+		for(let entry of presence){
+			if(!previous.has(entry.userId)){
+				previous.set(entry.userId, this.getUserStatus(entry.userId));
+			}
+			this.setRemoteStatus(node, entry.userId, entry.status);
+		}
+		for(let [userId, status] of previous){
+			if(this.getUserStatus(userId) !== status){
+				this.broadcastUserStatus(userId);
+			}
+		}
+		return this;
+	}
+
+	/**
+	 * Set the status of a user on another node
+	 * @param {string} node - id of the node
+	 * @param {string} userId
+	 * @param {string} status
+	 * @return {ChatServer}
+	 */
+	setRemoteStatus(node, userId, status){
+		let statuses = this.remoteStatuses.get(userId);
+		if(status === PresenceManager.status.offline){
+			if(statuses){
+				statuses.delete(node);
+				if(!statuses.size){
+					this.remoteStatuses.delete(userId);
+				}
+			}
+			return this;
+		}
+		if(!statuses){
+			statuses = new Map();
+			this.remoteStatuses.set(userId, statuses);
+		}
+		statuses.set(node, status);
+		return this;
+	}
+
+	/**
+	 * Handle a status change of a user on another node
+	 * @param {object} data
+	 * @param {string} data.userId
+	 * @param {string} data.status
+	 * @param {string} node - id of the node
+	 * @return {ChatServer}
+	 */
+	handleClusterPresence(data, node){
+		this.setRemoteStatus(node, data.userId, data.status);
+		return this.broadcastUserStatus(data.userId);
+	}
+
+	/**
+	 * Handle a message another node sent to all of its clients
+	 * @param {object} data
+	 * @param {object} data.message
+	 * @return {ChatServer}
+	 */
+	handleClusterBroadcast(data){
+		return this.sendToLocalClients(data.message);
+	}
+
+	/**
+	 * Handle a message another node broadcast to a room.
+	 * Joins, leaves and updates keep track of the room's users on that node.
+	 * A user still in the room elsewhere has not left it,
+	 * and a user already in the room has not joined it.
+	 * @param {object} data
+	 * @param {string} data.room
+	 * @param {object} data.message
+	 * @param {string} node - id of the node
+	 * @return {ChatServer}
+	 */
+	handleClusterRoomBroadcast(data, node){
+		let room = this.getRoom(data.room);
+		if(!room){
+			return this;
+		}
+		let message = data.message;
+		if(message.route === ChatServer.route.roomUserJoined){
+			let isPresent = room.getUsers().has(message.data.user.id);
+			room.addRemoteUser(node, message.data.user);
+			if(isPresent){
+				return this;
+			}
+		}
+		else if(message.route === ChatServer.route.roomUserUpdated){
+			room.addRemoteUser(node, message.data.user);
+		}
+		else if(message.route === ChatServer.route.roomUserLeft){
+			room.removeRemoteUser(node, message.data.id);
+			if(room.getUsers().has(message.data.id)){
+				return this;
+			}
+		}
+		room.sendJson(message);
+		return this;
+	}
+
+	/**
+	 * Handle a room that was created or updated on another node.
+	 * Clients are told about it by a broadcast that follows.
+	 * @param {object} data - see serializeRoomSettings
+	 * @return {ChatServer}
+	 */
+	handleClusterRoom(data){
+		this.applyRoomSettings(data);
+		return this;
+	}
+
+	/**
+	 * Handle clients being removed from a room on another node,
+	 * by removing the matching clients on this node
+	 * @param {object} data
+	 * @param {string} data.room
+	 * @param {object} data.target - see ejectTarget
+	 * @param {object} data.by - id and name of the user doing the removing
+	 * @param {string} data.reason
+	 * @return {ChatServer}
+	 */
+	handleClusterRoomEject(data){
+		let room = this.getRoom(data.room);
+		if(room){
+			this.ejectLocalTarget(room, data.target, data.by, data.reason);
+		}
+		return this;
+	}
+
+	/**
+	 * Handle a room that was deleted on another node.
+	 * Clients are told about it by a broadcast that follows.
+	 * @param {object} data
+	 * @param {string} data.name
+	 * @return {ChatServer}
+	 */
+	handleClusterRoomDelete(data){
+		let room = this.getRoom(data.name);
+		if(room && room !== this.generalChat){
+			this.removeRoom(room);
+		}
+		return this;
+	}
+
+	/**
+	 * Start the presence manager, the heartbeat monitor, the rate limiter,
+	 * attachment expiry, the server and any other transports.
+	 * Bots whose names were taken by users are unregistered.
+	 * @return {ChatServer}
+	 */
+	start(){
+		this.presenceManager.start();
+		this.heartbeatMonitor.start();
+		this.rateLimiter.start();
+		this.attachmentManager.start();
+		this.checkBotNames();
+		super.start();
+		for(let transport of this.transports){
+			transport.start();
+		}
+		return this;
+	}
+
+	/**
+	 * Stop the presence manager, the heartbeat monitor, the rate limiter,
+	 * attachment expiry, webhook retries, the server and any other transports
+	 * @return {ChatServer}
+	 */
+	stop(){
+		this.presenceManager.stop();
+		this.heartbeatMonitor.stop();
+		this.rateLimiter.stop();
+		this.attachmentManager.stop();
+		this.webhookManager.stop();
+		super.stop();
+		for(let transport of this.transports){
+			transport.stop();
+		}
+		return this;
+	}
+
+	/**
+	 * Send a message to a client in its protocol
+	 * @param {Client} client
+	 * @param {object} message
+	 * @return {ChatServer}
+	 */
+	sendToClient(client, message){
+		client.send(this.protocolCodec.encode(message, client.protocol));
+		return this;
+	}
+
+	/**
+	 * Send a protocol error to a client
+	 * @param {Client} client
+	 * @param {string} route
+	 * @param {Error} error - from Protocol.createError
+	 * @return {ChatServer}
+	 */
+	sendProtocolError(client, route, error){
+		return this.sendToClient(client, {
+			route: route,
+			status: 0,
+			error: error.message,
+			code: error.code
+		});
+	}
+
+	/**
+	 * Send an error response to a client
+	 * @param {Client} client
+	 * @param {string|null} route
+	 * @param {string} error
+	 * @param {object} [data] - more data to send with the error
+	 * @return {ChatServer}
+	 */
+	sendError(client, route, error, data){
+		let message = {
+			route: route,
+			status: 0,
+			error: error
+		};
+		if(data){
+			message.data = data;
+		}
+		return this.sendToClient(client, message);
+	}
 }
 ChatServer.generalChatName = "General";
+ChatServer.directChannelPrefix = "@dm:";
+ChatServer.maxRoomNameLength = 32;
+ChatServer.maxRoomTopicLength = 128;
+ChatServer.maxMuteMinutes = 7 * 24 * 60;
+ChatServer.maxAttachments = 4;
+ChatServer.maxReactions = 20;
+ChatServer.maxEmojiLength = 16;
+ChatServer.maxClientIdLength = 64;
+ChatServer.syncPageLength = 100;
+ChatServer.emojiPattern = /^(\p{Extended_Pictographic}|\p{Regional_Indicator})[\p{Extended_Pictographic}\p{Emoji_Modifier}\p{Emoji_Component}\u200d\ufe0f\u20e3]*$/u;
+ChatServer.domainPattern = /^[a-z0-9\-]+(\.[a-z0-9\-]+)+$/;
+ChatServer.role = {
+	member: "member",
+	moderator: "moderator",
+	owner: "owner",
+	admin: "admin"
+};
+// lowest to highest
+ChatServer.roleRanks = [
+	ChatServer.role.member,
+	ChatServer.role.moderator,
+	ChatServer.role.owner,
+	ChatServer.role.admin
+];
+ChatServer.moderationAction = {
+	kick: "kick",
+	ban: "ban",
+	unban: "unban",
+	banIp: "banip",
+	unbanIp: "unbanip",
+	mute: "mute",
+	unmute: "unmute",
+	addModerator: "mod",
+	removeModerator: "unmod",
+	deleteMessage: "delete",
+	flag: "flag",
+	filter: "filter",
+	links: "links"
+};
+// the actor of automatic actions, such as flags from message filters
+ChatServer.systemUser = {
+	id: "system",
+	name: "System"
+};
+ChatServer.route = {
+	auth: "/auth",
+	error: "/error",
+	ping: "/ping",
+	pong: "/pong",
+	roomMessage: "/room/message",
+	roomMessageEdit: "/room/message/edit",
+	roomMessageDelete: "/room/message/delete",
+	roomMessageReact: "/room/message/react",
+	roomMessageUpdated: "/room/message/updated",
+	roomThread: "/room/thread",
+	roomMessageAck: "/room/message/ack",
+	roomSync: "/room/sync",
+	roomHistory: "/room/history",
+	roomCreate: "/room/create",
+	roomCreated: "/room/created",
+	roomJoin: "/room/join",
+	roomLeave: "/room/leave",
+	roomDelete: "/room/delete",
+	roomDeleted: "/room/deleted",
+	roomAccess: "/room/access",
+	roomUpdated: "/room/updated",
+	roomInvite: "/room/invite",
+	roomInvited: "/room/invited",
+	roomUninvite: "/room/uninvite",
+	roomUserJoined: "/room/user/joined",
+	roomUserLeft: "/room/user/left",
+	roomUserStatus: "/room/user/status",
+	roomClientCount: "/room/clientcount",
+	roomKicked: "/room/kicked",
+	roomMuted: "/room/muted",
+	roomUserUpdated: "/room/user/updated",
+	roomTyping: "/room/typing",
+	roomRead: "/room/read",
+	roomFlagged: "/room/flagged",
+	presenceActive: "/presence/active",
+	directMessage: "/dm/message",
+	directHistory: "/dm/history",
+	userUpdated: "/user/updated",
+	command: "/command"
+};
+ChatServer.error = {
+	badMessage: "Message could not be parsed",
+	badRoute: "Unknown route",
+	roomNotFound: "Room does not exist",
+	notInRoom: "Not in room",
+	emptyMessage: "Message is empty",
+	storageFailure: "Message storage failed",
+	invalidRoomName: "Room name is invalid",
+	invalidRoomTopic: "Room topic is too long",
+	invalidMaxClients: "Max clients is invalid",
+	roomExists: "Room already exists",
+	roomFull: "Room is full",
+	alreadyInRoom: "Already in room",
+	wrongPassword: "Wrong password",
+	notRoomOwner: "Not the room owner",
+	notInvited: "Room is invite only",
+	userNotFound: "User does not exist",
+	invalidRecipient: "Recipient is invalid",
+	invalidReadMarker: "Read marker is invalid",
+	badCommand: "Command could not be parsed",
+	unknownCommand: "Unknown command",
+	invalidArguments: "Invalid arguments",
+	permissionDenied: "Not allowed to run this command",
+	commandFailed: "Command failed",
+	userNotInRoom: "User is not in room",
+	cannotModerate: "Cannot moderate a user with the same or a higher role",
+	banned: "Banned from room",
+	muted: "Muted in room",
+	invalidDuration: "Duration is invalid",
+	ipUnknown: "IP address of user is not known",
+	notAdmin: "Admins only",
+	rateLimited: "Rate limited",
+	repeatedMessage: "Message repeated",
+	filterNotFound: "Filter does not exist",
+	filterRequired: "Filter cannot be turned off",
+	invalidDomain: "Domain is invalid",
+	invalidAttachment: "Attachment is invalid",
+	messageNotFound: "Message does not exist",
+	notMessageAuthor: "Not the author of the message",
+	editWindowExpired: "Message can no longer be changed",
+	invalidEmoji: "Emoji is invalid",
+	tooManyReactions: "Message has too many reactions",
+	invalidClientId: "Message client id is invalid",
+	unauthorized: "Not authenticated",
+	alreadyAuthenticated: "Already authenticated",
+	authTimeout: "Authentication timed out",
+	passwordFailure: "Password could not be processed",
+	botNotAllowed: "Bot cannot post in this room",
+	botPermissionDenied: "Bot is not allowed to do this"
+};
+// lowest to highest, a user on several nodes has the highest of its statuses
+ChatServer.presenceRanks = [
+	PresenceManager.status.offline,
+	PresenceManager.status.away,
+	PresenceManager.status.online
+];
+// types of messages sent between nodes in a cluster
+ChatServer.clusterMessage = {
+	broadcast: "broadcast",
+	roomBroadcast: "room.broadcast",
+	room: "room",
+	roomDelete: "room.delete",
+	roomEject: "room.eject",
+	presence: "presence",
+	state: "state"
+};
+// what a registered bot can be allowed to do
+ChatServer.botPermission = {
+	message: "message",
+	react: "react",
+	join: "join",
+	history: "history",
+	command: "command",
+	directMessage: "directMessage"
+};
+// routes a bot can use, and the permission it needs for each, bots cannot use any others
+ChatServer.botPermissionRoutes = {
+	[ChatServer.route.roomMessage]: ChatServer.botPermission.message,
+	[ChatServer.route.roomMessageEdit]: ChatServer.botPermission.message,
+	[ChatServer.route.roomMessageDelete]: ChatServer.botPermission.message,
+	[ChatServer.route.roomTyping]: ChatServer.botPermission.message,
+	[ChatServer.route.roomMessageReact]: ChatServer.botPermission.react,
+	[ChatServer.route.roomJoin]: ChatServer.botPermission.join,
+	[ChatServer.route.roomLeave]: ChatServer.botPermission.join,
+	[ChatServer.route.roomHistory]: ChatServer.botPermission.history,
+	[ChatServer.route.roomThread]: ChatServer.botPermission.history,
+	[ChatServer.route.command]: ChatServer.botPermission.command,
+	[ChatServer.route.directMessage]: ChatServer.botPermission.directMessage
+};
+ChatServer.heartbeatRoutes = new Set([
+	ChatServer.route.ping,
+	ChatServer.route.pong
+]);
+ChatServer.rateLimitAction = {
+	message: "message",
+	join: "join",
+	command: "command",
+	upload: "upload"
+};
+// routes that are rate limited, and the action they count as
+ChatServer.rateLimitedRoutes = {
+	[ChatServer.route.roomMessage]: ChatServer.rateLimitAction.message,
+	[ChatServer.route.roomMessageEdit]: ChatServer.rateLimitAction.message,
+	[ChatServer.route.roomMessageDelete]: ChatServer.rateLimitAction.message,
+	[ChatServer.route.roomMessageReact]: ChatServer.rateLimitAction.message,
+	[ChatServer.route.directMessage]: ChatServer.rateLimitAction.message,
+	[ChatServer.route.roomCreate]: ChatServer.rateLimitAction.join,
+	[ChatServer.route.roomJoin]: ChatServer.rateLimitAction.join,
+	[ChatServer.route.command]: ChatServer.rateLimitAction.command
+};
 
 module.exports = ChatServer;
\ No newline at end of file
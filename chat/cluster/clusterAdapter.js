@@ -0,0 +1,217 @@
+const EventEmitter = require('events').EventEmitter;
+const Crypto = require('crypto');
+
+/**
+ * Cluster Adapter.
+ * Base class for anything that connects several ChatServer processes,
+ * so that each can publish to the others.
+ * A packet published by one node reaches every other node.
+ * An adapter must implement
+ * - connect
+ * - close
+ * - send
+ * and pass every packet it receives to receive().
+ * Emits "message" with the type, data and id of the sending node
+ * when another node publishes something.
+ * Emits "join" and "leave" with the id of a node that joins or leaves.
+ * A node that joins again, such as after a lost connection, emits "join" again.
+ * Once connected, each node publishes a heartbeat on an interval.
+ * A node that is not heard from for too long, such as one that hung 
+ * or lost its connection without leaving, emits "leave".
+ * If it is heard from again, it is asked to join again.
+ * @extends {EventEmitter}
+ */
+class ClusterAdapter extends EventEmitter {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @param {string} [options.nodeId] - unique id of this node, random by default
+	 * @param {number} [options.heartbeatInterval=5000] - time between heartbeats in ms
+	 * @param {number} [options.maxMissed=3] - heartbeats a node can miss before it is forgotten
+	 * @return {ClusterAdapter}
+	 */
+	constructor(options = {}){
+		super();
+		let defaults = {
+			nodeId: Crypto.randomBytes(8).toString('hex'),
+			heartbeatInterval: 5 * 1000,
+			maxMissed: 3
+		};
+		Object.extend(defaults, options);
+		this.nodeId = defaults.nodeId;
+		this.heartbeatInterval = defaults.heartbeatInterval;
+		this.maxMissed = defaults.maxMissed;
+		// ids of the other nodes that are known to be up, to when they were last heard from
+		this.nodes = new Map();
+		this.heartbeatTimer = null;
+		return this;
+	}
+
+	/**
+	 * Connect to the other nodes
+	 * @return {Promise}
+	 */
+	connect(){
+		return Promise.reject(new Error("connect must be implemented"));
+	}
+
+	/**
+	 * Disconnect from the other nodes
+	 * @return {Promise}
+	 */
+	close(){
+		return Promise.reject(new Error("close must be implemented"));
+	}
+
+	/**
+	 * Send a packet to every other node
+	 * @param {object} packet
+	 * @return {ClusterAdapter}
+	 */
+	send(packet){
+		throw new Error("send must be implemented");
+	}
+
+	/**
+	 * Tell the other nodes this node is up, and start sending heartbeats.
+	 * Adapters call this once connected.
+	 * @return {ClusterAdapter}
+	 */
+	announce(){
+		this.startHeartbeat();
+		return this.publish(ClusterAdapter.packetType.join, null);
+	}
+
+	/**
+	 * Tell the other nodes this node is going away, and stop sending heartbeats.
+	 * Adapters call this before disconnecting.
+	 * @return {ClusterAdapter}
+	 */
+	leave(){
+		this.stopHeartbeat();
+		this.publish(ClusterAdapter.packetType.leave, null);
+		this.nodes.clear();
+		return this;
+	}
+
+	/**
+	 * Start sending heartbeats
+	 * @return {ClusterAdapter}
+	 */
+	startHeartbeat(){
+		let self = this;
+		this.stopHeartbeat();
+		this.heartbeatTimer = setInterval(function(){
+			self.beat();
+		}, this.heartbeatInterval);
+		return this;
+	}
+
+	/**
+	 * Stop sending heartbeats
+	 * @return {ClusterAdapter}
+	 */
+	stopHeartbeat(){
+		clearInterval(this.heartbeatTimer);
+		this.heartbeatTimer = null;
+		return this;
+	}
+
+	/**
+	 * Send a heartbeat, and forget the nodes that have missed too many
+	 * @return {ClusterAdapter}
+	 */
+	beat(){
+		this.publish(ClusterAdapter.packetType.heartbeat, null);
+		return this.expireNodes();
+	}
+
+	/**
+	 * Forget the nodes that have not been heard from for too long.
+	 * Each one emits "leave".
+	 * @return {ClusterAdapter}
+	 */
+	expireNodes(){
+		let expired = Date.now() - this.heartbeatInterval * this.maxMissed;
+		for(let [node, lastSeen] of this.nodes){
+			if(lastSeen < expired){
+				this.nodes.delete(node);
+				this.emit('leave', node);
+			}
+		}
+		return this;
+	}
+
+	/**
+	 * Publish something to every other node
+	 * @param {string} type
+	 * @param {*} data - anything that can be sent as JSON
+	 * @return {ClusterAdapter}
+	 */
+	publish(type, data){
+		return this.send({
+			node: this.nodeId,
+			type: type,
+			data: data
+		});
+	}
+
+	/**
+	 * Handle a packet from another node.
+	 * Any packet from a known node counts as a heartbeat.
+	 * Packets from this node, which some transports echo back, are ignored.
+	 * @param {object} packet
+	 * @return {ClusterAdapter}
+	 */
+	receive(packet){
+		if(!packet || typeof packet.node !== "string" || typeof packet.type !== "string"){
+			return this;
+		}
+		if(packet.node === this.nodeId){
+			return this;
+		}
+		let isKnown = this.nodes.has(packet.node);
+		if(isKnown){
+			this.nodes.set(packet.node, Date.now());
+		}
+		switch(packet.type){
+			case ClusterAdapter.packetType.join:
+				// a known node may be joining again after losing its connection,
+				// so tell it this node is up either way
+				this.nodes.set(packet.node, Date.now());
+				this.publish(ClusterAdapter.packetType.present, null);
+				this.emit('join', packet.node);
+				return this;
+			case ClusterAdapter.packetType.present:
+				if(!isKnown){
+					this.nodes.set(packet.node, Date.now());
+					this.emit('join', packet.node);
+				}
+				return this;
+			case ClusterAdapter.packetType.leave:
+				if(this.nodes.delete(packet.node)){
+					this.emit('leave', packet.node);
+				}
+				return this;
+			case ClusterAdapter.packetType.heartbeat:
+				// a node that was forgotten is still up,
+				// so join again to swap state with it
+				if(!isKnown){
+					this.publish(ClusterAdapter.packetType.join, null);
+				}
+				return this;
+			default:
+				this.emit('message', packet.type, packet.data, packet.node);
+				return this;
+		}
+	}
+}
+ClusterAdapter.packetType = {
+	join: "cluster.join",
+	present: "cluster.present",
+	leave: "cluster.leave",
+	heartbeat: "cluster.heartbeat"
+};
+
+module.exports = ClusterAdapter;
@@ -0,0 +1,129 @@
+const Cluster = require('cluster');
+const ClusterAdapter = require('./clusterAdapter');
+
+/**
+ * IPC Cluster Adapter.
+ * Connects ChatServers running in the workers of Node's cluster module.
+ * Workers send packets to the primary process over IPC,
+ * and the primary relays them to every other worker,
+ * so no outside services are needed.
+ * The primary must call IpcClusterAdapter.relay() before forking workers.
+ * In a worker, the node id is made from the worker id,
+ * so the primary can tell the others when a worker dies.
+ * @extends {ClusterAdapter}
+ */
+class IpcClusterAdapter extends ClusterAdapter {
+
+	/**
+	 * Constructor
+	 * @param {object} [options] - see ClusterAdapter
+	 * @param {object} [options.channel=process] - the IPC channel to the primary,
+	 * anything with send() that emits "message"
+	 * @return {IpcClusterAdapter}
+	 */
+	constructor(options = {}){
+		let defaults = {};
+		if(Cluster.isWorker){
+			defaults.nodeId = IpcClusterAdapter.getWorkerNodeId(Cluster.worker.id);
+		}
+		super(Object.assign(defaults, options));
+		this.channel = options.channel || process;
+		this.onMessage = null;
+		return this;
+	}
+
+	/**
+	 * Start listening to the primary
+	 * @return {Promise}
+	 */
+	connect(){
+		let self = this;
+		if(typeof this.channel.send !== "function"){
+			return Promise.reject(new Error(IpcClusterAdapter.error.noChannel));
+		}
+		this.onMessage = function(message){
+			if(message && message.channel === IpcClusterAdapter.channelName){
+				self.receive(message.packet);
+			}
+		};
+		this.channel.on('message', this.onMessage);
+		this.announce();
+		return Promise.resolve();
+	}
+
+	/**
+	 * Stop listening to the primary
+	 * @return {Promise}
+	 */
+	close(){
+		if(this.onMessage){
+			this.leave();
+			this.channel.removeListener('message', this.onMessage);
+			this.onMessage = null;
+		}
+		return Promise.resolve();
+	}
+
+	/**
+	 * Send a packet to the primary, which relays it to the other workers
+	 * @param {object} packet
+	 * @return {IpcClusterAdapter}
+	 */
+	send(packet){
+		this.channel.send({
+			channel: IpcClusterAdapter.channelName,
+			packet: packet
+		});
+		return this;
+	}
+
+	/**
+	 * Get the node id of a worker
+	 * @param {number} id - worker id
+	 * @return {string}
+	 */
+	static getWorkerNodeId(id){
+		return "worker-" + id;
+	}
+
+	/**
+	 * Relay packets between workers.
+	 * When a worker dies without leaving, the others are told it left.
+	 * Called once in the primary process.
+	 * @param {Cluster} cluster - Node's cluster module
+	 * @return {Cluster}
+	 */
+	static relay(cluster){
+		let sendToWorkers = function(message, sender){
+			for(let id in cluster.workers){
+				let worker = cluster.workers[id];
+				if(worker !== sender && worker.isConnected()){
+					worker.send(message);
+				}
+			}
+		};
+		cluster.on('message', function(sender, message){
+			if(message && message.channel === IpcClusterAdapter.channelName){
+				sendToWorkers(message, sender);
+			}
+		});
+		cluster.on('exit', function(worker){
+			sendToWorkers({
+				channel: IpcClusterAdapter.channelName,
+				packet: {
+					node: IpcClusterAdapter.getWorkerNodeId(worker.id),
+					type: ClusterAdapter.packetType.leave,
+					data: null
+				}
+			}, worker);
+		});
+		return cluster;
+	}
+}
+// marks IPC messages that belong to the adapter
+IpcClusterAdapter.channelName = "chatserver.cluster";
+IpcClusterAdapter.error = {
+	noChannel: "No IPC channel, the process is not a cluster worker"
+};
+
+module.exports = IpcClusterAdapter;
@@ -0,0 +1,270 @@
+const Net = require('net');
+const Url = require('url');
+const Logger = require('@voliware/logger');
+const ClusterAdapter = require('./clusterAdapter');
+const RespParser = require('./respParser');
+
+/**
+ * Redis Cluster Adapter.
+ * Connects ChatServers through Redis pub/sub, or anything that speaks
+ * the Redis protocol, so they can run on different machines.
+ * Every node subscribes to the same channel and publishes to it.
+ * Pub/sub needs its own connection, so two are made.
+ * Lost connections are made again after a delay.
+ * Packets published while disconnected are dropped, heartbeats included,
+ * so the other nodes forget this node until it reconnects and joins again.
+ * @extends {ClusterAdapter}
+ */
+class RedisClusterAdapter extends ClusterAdapter {
+
+	/**
+	 * Constructor
+	 * @param {object} [options] - see ClusterAdapter
+	 * @param {string} [options.url="redis://localhost:6379"] - may include a password
+	 * @param {string} [options.channel="chatserver:cluster"]
+	 * @param {number} [options.retryDelay=1000] - time in ms before connecting again
+	 * @return {RedisClusterAdapter}
+	 */
+	constructor(options = {}){
+		super(options);
+		let defaults = {
+			url: "redis://localhost:6379",
+			channel: "chatserver:cluster",
+			retryDelay: 1000
+		};
+		Object.extend(defaults, options);
+		let url = Url.parse(defaults.url);
+		this.host = url.hostname || "localhost";
+		this.port = parseInt(url.port || 6379, 10);
+		this.password = url.auth ? decodeURIComponent(url.auth.split(":").pop()) : "";
+		this.channel = defaults.channel;
+		this.retryDelay = defaults.retryDelay;
+		this.publisher = null;
+		this.subscriber = null;
+		// reply handlers of commands sent on the publisher, oldest first
+		this.pendingReplies = [];
+		this.isClosing = false;
+		this.retryTimer = null;
+		this.logger = new Logger("RedisClusterAdapter", {context: this.nodeId});
+		return this;
+	}
+
+	/**
+	 * Connect to Redis and subscribe to the channel
+	 * @return {Promise}
+	 */
+	connect(){
+		let self = this;
+		this.isClosing = false;
+		return Promise.all([this.connectPublisher(), this.connectSubscriber()])
+			.then(function(){
+				self.announce();
+			});
+	}
+
+	/**
+	 * Tell the other nodes this node is leaving, and disconnect from Redis
+	 * @return {Promise}
+	 */
+	close(){
+		this.leave();
+		this.isClosing = true;
+		clearTimeout(this.retryTimer);
+		this.retryTimer = null;
+		for(let socket of [this.publisher, this.subscriber]){
+			if(socket){
+				socket.end();
+			}
+		}
+		this.publisher = null;
+		this.subscriber = null;
+		return Promise.resolve();
+	}
+
+	/**
+	 * Open a connection to Redis and authenticate if there is a password
+	 * @param {function} onReply - called with each reply
+	 * @return {Promise<Socket>} resolves once connected
+	 */
+	openConnection(onReply){
+		let self = this;
+		return new Promise(function(resolve, reject){
+			let parser = new RespParser(onReply);
+			let socket = Net.createConnection({host: self.host, port: self.port});
+			socket.setNoDelay(true);
+			socket.on('data', function(chunk){
+				try {
+					parser.push(chunk);
+				}
+				catch(error){
+					self.logger.error(error);
+					socket.destroy();
+				}
+			});
+			socket.once('connect', function(){
+				if(self.password){
+					socket.write(RespParser.encodeCommand(["AUTH", self.password]));
+				}
+				resolve(socket);
+			});
+			socket.once('error', reject);
+			socket.on('error', function(error){
+				self.logger.error(error);
+			});
+			socket.on('close', function(){
+				self.handleClose(socket);
+			});
+		});
+	}
+
+	/**
+	 * Open the connection used to publish
+	 * @return {Promise}
+	 */
+	connectPublisher(){
+		let self = this;
+		this.pendingReplies = [];
+		if(this.password){
+			// the reply to AUTH
+			this.pendingReplies.push(this.logError.bind(this));
+		}
+		return this.openConnection(function(reply){
+				let handler = self.pendingReplies.shift();
+				if(handler){
+					handler(reply);
+				}
+			})
+			.then(function(socket){
+				self.publisher = socket;
+			});
+	}
+
+	/**
+	 * Open the connection used to subscribe, and subscribe to the channel.
+	 * Resolves once Redis confirms the subscription.
+	 * @return {Promise}
+	 */
+	connectSubscriber(){
+		let self = this;
+		return new Promise(function(resolve, reject){
+			self.openConnection(function(reply){
+					if(reply instanceof Error){
+						self.logger.error(reply);
+						reject(reply);
+						return;
+					}
+					if(!Array.isArray(reply)){
+						return;
+					}
+					if(reply[0] === "subscribe" && reply[1] === self.channel){
+						resolve();
+					}
+					else if(reply[0] === "message" && reply[1] === self.channel){
+						self.receivePayload(reply[2]);
+					}
+				})
+				.then(function(socket){
+					self.subscriber = socket;
+					socket.write(RespParser.encodeCommand(["SUBSCRIBE", self.channel]));
+				})
+				.catch(reject);
+		});
+	}
+
+	/**
+	 * Handle a lost connection.
+	 * Unless the adapter is closing, both connections are made again.
+	 * @param {Socket} socket
+	 * @return {RedisClusterAdapter}
+	 */
+	handleClose(socket){
+		let self = this;
+		if(socket !== this.publisher && socket !== this.subscriber){
+			return this;
+		}
+		if(socket === this.publisher){
+			this.publisher = null;
+		}
+		else {
+			this.subscriber = null;
+		}
+		if(this.isClosing || this.retryTimer !== null){
+			return this;
+		}
+		this.retryTimer = setTimeout(function(){
+			self.retryTimer = null;
+			self.reconnect();
+		}, this.retryDelay);
+		return this;
+	}
+
+	/**
+	 * Make both connections again
+	 * @return {Promise}
+	 */
+	reconnect(){
+		let self = this;
+		for(let socket of [this.publisher, this.subscriber]){
+			if(socket){
+				socket.destroy();
+			}
+		}
+		this.publisher = null;
+		this.subscriber = null;
+		return this.connect()
+			.catch(function(error){
+				self.logger.error(error);
+				if(!self.isClosing && self.retryTimer === null){
+					self.retryTimer = setTimeout(function(){
+						self.retryTimer = null;
+						self.reconnect();
+					}, self.retryDelay);
+				}
+			});
+	}
+
+	/**
+	 * Handle a payload published to the channel
+	 * @param {string} payload
+	 * @return {RedisClusterAdapter}
+	 */
+	receivePayload(payload){
+		let packet = null;
+		try {
+			packet = JSON.parse(payload);
+		}
+		catch(e){
+			return this;
+		}
+		return this.receive(packet);
+	}
+
+	/**
+	 * Publish a packet to the channel.
+	 * Redis sends it back to this node too, where it is ignored.
+	 * @param {object} packet
+	 * @return {RedisClusterAdapter}
+	 */
+	send(packet){
+		if(!this.publisher){
+			return this;
+		}
+		this.pendingReplies.push(this.logError.bind(this));
+		this.publisher.write(RespParser.encodeCommand(["PUBLISH", this.channel, JSON.stringify(packet)]));
+		return this;
+	}
+
+	/**
+	 * Log a reply if it is an error
+	 * @param {*} reply
+	 * @return {RedisClusterAdapter}
+	 */
+	logError(reply){
+		if(reply instanceof Error){
+			this.logger.error(reply);
+		}
+		return this;
+	}
+}
+
+module.exports = RedisClusterAdapter;
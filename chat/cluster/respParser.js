@@ -0,0 +1,126 @@
+/**
+ * RESP Parser.
+ * Parses the Redis serialization protocol from a stream of bytes,
+ * and encodes commands to send to a Redis server.
+ * Replies may arrive split across chunks or several to a chunk,
+ * so bytes are buffered until a whole reply has arrived.
+ */
+class RespParser {
+
+	/**
+	 * Constructor
+	 * @param {function} onReply - called with each reply, errors are Error objects
+	 * @return {RespParser}
+	 */
+	constructor(onReply){
+		this.onReply = onReply;
+		this.buffer = Buffer.alloc(0);
+		return this;
+	}
+
+	/**
+	 * Add received bytes and parse every whole reply in them
+	 * @param {Buffer} chunk
+	 * @return {RespParser}
+	 */
+	push(chunk){
+		this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+		let result = this.parse(0);
+		while(result){
+			this.buffer = this.buffer.subarray(result.offset);
+			this.onReply(result.value);
+			result = this.buffer.length ? this.parse(0) : null;
+		}
+		return this;
+	}
+
+	/**
+	 * Parse a reply
+	 * @param {number} offset - where the reply starts in the buffer
+	 * @return {{value: *, offset: number}|null} the reply and where it ends,
+	 * or null if it has not all arrived
+	 */
+	parse(offset){
+		let end = this.buffer.indexOf("\r\n", offset);
+		if(end === -1){
+			return null;
+		}
+		let type = String.fromCharCode(this.buffer[offset]);
+		let line = this.buffer.toString('utf8', offset + 1, end);
+		let next = end + 2;
+		switch(type){
+			case "+":
+				return {value: line, offset: next};
+			case "-":
+				return {value: new Error(line), offset: next};
+			case ":":
+				return {value: parseInt(line, 10), offset: next};
+			case "$":
+				return this.parseBulkString(parseInt(line, 10), next);
+			case "*":
+				return this.parseArray(parseInt(line, 10), next);
+			default:
+				throw new Error(RespParser.error.badReply);
+		}
+	}
+
+	/**
+	 * Parse the body of a bulk string
+	 * @param {number} length - in bytes, -1 for null
+	 * @param {number} offset
+	 * @return {{value: string|null, offset: number}|null}
+	 */
+	parseBulkString(length, offset){
+		if(length === -1){
+			return {value: null, offset: offset};
+		}
+		if(this.buffer.length < offset + length + 2){
+			return null;
+		}
+		return {
+			value: this.buffer.toString('utf8', offset, offset + length),
+			offset: offset + length + 2
+		};
+	}
+
+	/**
+	 * Parse the elements of an array
+	 * @param {number} length - number of elements, -1 for null
+	 * @param {number} offset
+	 * @return {{value: Array|null, offset: number}|null}
+	 */
+	parseArray(length, offset){
+		if(length === -1){
+			return {value: null, offset: offset};
+		}
+		let value = [];
+		for(let i = 0; i < length; i++){
+			let result = this.parse(offset);
+			if(!result){
+				return null;
+			}
+			value.push(result.value);
+			offset = result.offset;
+		}
+		return {value: value, offset: offset};
+	}
+
+	/**
+	 * Encode a command as an array of bulk strings
+	 * @param {string[]} args - the command and its arguments
+	 * @return {Buffer}
+	 */
+	static encodeCommand(args){
+		let parts = ["*" + args.length + "\r\n"];
+		for(let arg of args){
+			arg = String(arg);
+			parts.push("$" + Buffer.byteLength(arg) + "\r\n" + arg + "\r\n");
+		}
+		return Buffer.from(parts.join(""));
+	}
+}
+RespParser.error = {
+	badReply: "Reply could not be parsed"
+};
+
+module.exports = RespParser;
@@ -0,0 +1,199 @@
+/**
+ * Command Registry.
+ * Holds the slash commands that clients can run, such as "/join General".
+ * Each command declares its argument syntax and the permission needed to run it.
+ * A command is an object with
+ * - name - what is typed after the slash
+ * - syntax - the arguments, such as "<room> [password]".
+ *   <arg> is required, [arg] is optional, and an arg ending in ...
+ *   takes the rest of the input, such as "<text...>"
+ * - description
+ * - permission - one of CommandRegistry.permission
+ * - handler - function(client, args, room) called with the server as this.
+ *   It may return a result or a Promise of one.
+ *   Errors with a status below 500 are sent to the client.
+ */
+class CommandRegistry {
+
+	/**
+	 * Constructor
+	 * @return {CommandRegistry}
+	 */
+	constructor(){
+		this.commands = new Map();
+		return this;
+	}
+
+	/**
+	 * Parse a syntax string into argument definitions
+	 * @param {string} [syntax=""]
+	 * @return {object[]} each with name, required and rest
+	 */
+	static parseSyntax(syntax = ""){
+		let args = [];
+		let tokens = syntax.split(/\s+/).filter(Boolean);
+		for(let i = 0; i < tokens.length; i++){
+			let match = /^([<\[])(\w+)(\.\.\.)?[>\]]$/.exec(tokens[i]);
+			if(!match){
+				throw new Error("Invalid command syntax " + syntax);
+			}
+			args.push({
+				name: match[2],
+				required: match[1] === "<",
+				rest: !!match[3]
+			});
+		}
+		return args;
+	}
+
+	/**
+	 * Split command input into the command name and the rest of the input.
+	 * "/join General pw" becomes {name: "join", input: "General pw"}.
+	 * @param {string} text
+	 * @return {{name: string, input: string}|null} null if text is not a command
+	 */
+	static parseInput(text){
+		if(typeof text !== "string"){
+			return null;
+		}
+		let match = /^\/(\w+)\s*([\s\S]*)$/.exec(text.trim());
+		if(!match){
+			return null;
+		}
+		return {
+			name: match[1].toLowerCase(),
+			input: match[2]
+		};
+	}
+
+	/**
+	 * Register a command.
+	 * A command with the same name is replaced.
+	 * @param {object} command
+	 * @return {CommandRegistry}
+	 */
+	register(command){
+		if(typeof command.name !== "string" || !/^\w+$/.test(command.name)){
+			throw new Error("Command name is invalid");
+		}
+		if(typeof command.handler !== "function"){
+			throw new Error("Command " + command.name + " has no handler");
+		}
+		let permission = command.permission || CommandRegistry.permission.user;
+		if(!Object.values(CommandRegistry.permission).includes(permission)){
+			throw new Error("Command " + command.name + " has an unknown permission");
+		}
+		let name = command.name.toLowerCase();
+		this.commands.set(name, {
+			name: name,
+			syntax: command.syntax || "",
+			description: command.description || "",
+			permission: permission,
+			args: CommandRegistry.parseSyntax(command.syntax),
+			handler: command.handler
+		});
+		return this;
+	}
+
+	/**
+	 * Remove a command
+	 * @param {string} name
+	 * @return {CommandRegistry}
+	 */
+	unregister(name){
+		this.commands.delete(name.toLowerCase());
+		return this;
+	}
+
+	/**
+	 * Get a command
+	 * @param {string} name
+	 * @return {object|undefined}
+	 */
+	get(name){
+		return this.commands.get(name.toLowerCase());
+	}
+
+	/**
+	 * Get every command, sorted by name
+	 * @return {object[]}
+	 */
+	getCommands(){
+		return Array.from(this.commands.values()).sort(function(a, b){
+			return a.name < b.name ? -1 : 1;
+		});
+	}
+
+	/**
+	 * Parse command input into its arguments.
+	 * Arguments are separated by whitespace,
+	 * except for a rest argument which takes the remaining input.
+	 * @param {object} command
+	 * @param {string} input
+	 * @return {object|null} argument name to value, or null if the input does not fit the syntax
+	 */
+	parseArgs(command, input){
+		let args = {};
+		let remaining = input.trim();
+		for(let i = 0; i < command.args.length; i++){
+			let arg = command.args[i];
+			let value = "";
+			if(arg.rest){
+				value = remaining;
+				remaining = "";
+			}
+			else {
+				let match = /^(\S+)\s*([\s\S]*)$/.exec(remaining);
+				if(match){
+					value = match[1];
+					remaining = match[2];
+				}
+			}
+			if(!value.length){
+				if(arg.required){
+					return null;
+				}
+				continue;
+			}
+			args[arg.name] = value;
+		}
+		return remaining.length ? null : args;
+	}
+
+	/**
+	 * Get the usage of a command, such as "/join <room> [password]"
+	 * @param {object} command
+	 * @return {string}
+	 */
+	static getUsage(command){
+		return "/" + command.name + (command.syntax ? " " + command.syntax : "");
+	}
+
+	/**
+	 * Serialize a command for clients
+	 * @param {object} command
+	 * @return {object}
+	 */
+	static serializeCommand(command){
+		return {
+			name: command.name,
+			usage: CommandRegistry.getUsage(command),
+			description: command.description,
+			permission: command.permission
+		};
+	}
+}
+CommandRegistry.permission = {
+	// any authenticated user
+	user: "user",
+	// a user in the room the command was run from
+	member: "member",
+	// a moderator, or better, of the room the command was run from
+	moderator: "moderator",
+	// the owner of the room the command was run from, or an admin
+	owner: "owner",
+	// a global admin
+	admin: "admin"
+};
+
+module.exports = CommandRegistry;
@@ -0,0 +1,50 @@
+const MessageFilter = require('./messageFilter');
+
+/**
+ * Caps Filter.
+ * Lowers the case of messages that are mostly capital letters.
+ * Short messages, such as "OK" or "LOL", are left alone.
+ * @extends {MessageFilter}
+ */
+class CapsFilter extends MessageFilter {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @param {number} [options.minLetters=10] - messages with fewer letters are ignored
+	 * @param {number} [options.maxRatio=0.7] - max ratio of capital letters to letters
+	 * @return {CapsFilter}
+	 */
+	constructor(options = {}){
+		let defaults = {
+			name: "caps",
+			description: "Lower the case of messages in all caps",
+			minLetters: 10,
+			maxRatio: 0.7
+		};
+		Object.extend(defaults, options);
+		super(defaults);
+		this.minLetters = defaults.minLetters;
+		this.maxRatio = defaults.maxRatio;
+		return this;
+	}
+
+	/**
+	 * Filter the text of a message
+	 * @param {string} text
+	 * @return {object}
+	 */
+	filter(text){
+		let letters = text.match(/[a-z]/gi) || [];
+		if(letters.length < this.minLetters){
+			return MessageFilter.accept();
+		}
+		let capitals = text.match(/[A-Z]/g) || [];
+		if(capitals.length / letters.length <= this.maxRatio){
+			return MessageFilter.accept();
+		}
+		return MessageFilter.modify(text.toLowerCase());
+	}
+}
+
+module.exports = CapsFilter;
@@ -0,0 +1,126 @@
+const MessageFilter = require('./messageFilter');
+
+/**
+ * Filter Pipeline.
+ * Runs the text of an inbound message through an ordered list of filters.
+ * Modified text is passed on to the next filter.
+ * The first rejection stops the pipeline.
+ * Flags are collected and do not stop the message.
+ */
+class FilterPipeline {
+
+	/**
+	 * Constructor
+	 * @return {FilterPipeline}
+	 */
+	constructor(){
+		this.filters = [];
+		return this;
+	}
+
+	/**
+	 * Add a filter.
+	 * A filter with the same name is replaced in place.
+	 * @param {MessageFilter} filter
+	 * @param {number} [index] - position in the pipeline, defaults to the end
+	 * @return {FilterPipeline}
+	 */
+	add(filter, index){
+		if(!filter.name){
+			throw new Error("Filter has no name");
+		}
+		let existing = this.filters.findIndex(function(other){
+			return other.name === filter.name;
+		});
+		if(existing !== -1){
+			this.filters[existing] = filter;
+			return this;
+		}
+		if(typeof index === "number"){
+			this.filters.splice(index, 0, filter);
+		}
+		else {
+			this.filters.push(filter);
+		}
+		return this;
+	}
+
+	/**
+	 * Remove a filter
+	 * @param {string} name
+	 * @return {FilterPipeline}
+	 */
+	remove(name){
+		this.filters = this.filters.filter(function(filter){
+			return filter.name !== name;
+		});
+		return this;
+	}
+
+	/**
+	 * Get a filter
+	 * @param {string} name
+	 * @return {MessageFilter|undefined}
+	 */
+	get(name){
+		return this.filters.find(function(filter){
+			return filter.name === name;
+		});
+	}
+
+	/**
+	 * Check if a filter runs in a room
+	 * @param {MessageFilter} filter
+	 * @param {ChatRoom|null} room - null for direct messages
+	 * @return {boolean}
+	 */
+	isEnabled(filter, room){
+		if(filter.required){
+			return true;
+		}
+		return room ? room.isFilterEnabled(filter.name, filter.enabled) : filter.enabled;
+	}
+
+	/**
+	 * Run text through every enabled filter
+	 * @param {string} text
+	 * @param {object} context
+	 * @param {Client} context.client
+	 * @param {ChatRoom|null} context.room
+	 * @return {Promise<object>} resolves with accepted, text, and flags, 
+	 * or with accepted false, the filter, and the reason
+	 */
+	run(text, context){
+		let self = this;
+		let flags = [];
+		let filters = this.filters.filter(function(filter){
+			return self.isEnabled(filter, context.room);
+		});
+		let index = 0;
+		function next(text){
+			if(index >= filters.length){
+				return Promise.resolve({accepted: true, text: text, flags: flags});
+			}
+			let filter = filters[index++];
+			let filterContext = Object.assign({}, context, {
+				options: context.room ? context.room.getFilterOptions(filter.name) : {}
+			});
+			return Promise.resolve(filter.filter(text, filterContext))
+				.then(function(result){
+					switch(result.action){
+						case MessageFilter.action.reject:
+							return {accepted: false, filter: filter.name, reason: result.reason};
+						case MessageFilter.action.modify:
+							return next(result.text);
+						case MessageFilter.action.flag:
+							flags.push({filter: filter.name, reason: result.reason});
+							return next(text);
+					}
+					return next(text);
+				});
+		}
+		return next(text);
+	}
+}
+
+module.exports = FilterPipeline;
@@ -0,0 +1,90 @@
+const MessageFilter = require('./messageFilter');
+
+/**
+ * Link Filter.
+ * Enforces a room's link policy.
+ * A room can deny links to some domains, 
+ * or only allow links to some domains.
+ * A domain also covers its subdomains.
+ * Rooms without a policy allow every link.
+ * @extends {MessageFilter}
+ */
+class LinkFilter extends MessageFilter {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @return {LinkFilter}
+	 */
+	constructor(options = {}){
+		let defaults = {
+			name: "links",
+			description: "Enforce the room's allowed and denied link domains"
+		};
+		Object.extend(defaults, options);
+		super(defaults);
+		return this;
+	}
+
+	/**
+	 * Get the host of every link in some text
+	 * @param {string} text
+	 * @return {string[]}
+	 */
+	static getLinkHosts(text){
+		let hosts = [];
+		let pattern = /\b(?:https?:\/\/|www\.)([^\s\/?#:]+)/gi;
+		let match = null;
+		while((match = pattern.exec(text))){
+			let host = match[0].toLowerCase().startsWith("www.") ? "www." + match[1] : match[1];
+			hosts.push(host.toLowerCase());
+		}
+		return hosts;
+	}
+
+	/**
+	 * Check if a host is a domain or one of its subdomains
+	 * @param {string} host
+	 * @param {string[]} domains
+	 * @return {boolean}
+	 */
+	static matchesDomain(host, domains){
+		return domains.some(function(domain){
+			domain = domain.toLowerCase();
+			return host === domain || host.endsWith("." + domain);
+		});
+	}
+
+	/**
+	 * Filter the text of a message
+	 * @param {string} text
+	 * @param {object} context
+	 * @param {object} context.options
+	 * @param {string[]} [context.options.allow] - if not empty, only these domains are allowed
+	 * @param {string[]} [context.options.deny] - these domains are not allowed
+	 * @return {object}
+	 */
+	filter(text, context){
+		let allow = context.options.allow || [];
+		let deny = context.options.deny || [];
+		if(!allow.length && !deny.length){
+			return MessageFilter.accept();
+		}
+		let hosts = LinkFilter.getLinkHosts(text);
+		for(let i = 0; i < hosts.length; i++){
+			if(LinkFilter.matchesDomain(hosts[i], deny)){
+				return MessageFilter.reject(LinkFilter.reason.denied);
+			}
+			if(allow.length && !LinkFilter.matchesDomain(hosts[i], allow)){
+				return MessageFilter.reject(LinkFilter.reason.notAllowed);
+			}
+		}
+		return MessageFilter.accept();
+	}
+}
+LinkFilter.reason = {
+	denied: "Links to that site are not allowed here",
+	notAllowed: "Only links to some sites are allowed here"
+};
+
+module.exports = LinkFilter;
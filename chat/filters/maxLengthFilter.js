@@ -0,0 +1,46 @@
+const MessageFilter = require('./messageFilter');
+
+/**
+ * Max Length Filter.
+ * Rejects messages that are too long,
+ * whatever the client's input allowed.
+ * @extends {MessageFilter}
+ */
+class MaxLengthFilter extends MessageFilter {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @param {number} [options.maxLength=1024]
+	 * @return {MaxLengthFilter}
+	 */
+	constructor(options = {}){
+		let defaults = {
+			name: "length",
+			description: "Reject messages that are too long",
+			required: true,
+			maxLength: 1024
+		};
+		Object.extend(defaults, options);
+		super(defaults);
+		this.maxLength = defaults.maxLength;
+		return this;
+	}
+
+	/**
+	 * Filter the text of a message
+	 * @param {string} text
+	 * @return {object}
+	 */
+	filter(text){
+		if(text.length > this.maxLength){
+			return MessageFilter.reject(MaxLengthFilter.reason.tooLong);
+		}
+		return MessageFilter.accept();
+	}
+}
+MaxLengthFilter.reason = {
+	tooLong: "Message is too long"
+};
+
+module.exports = MaxLengthFilter;
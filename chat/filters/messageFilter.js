@@ -0,0 +1,101 @@
+/**
+ * Message Filter.
+ * Base class for a step in the FilterPipeline.
+ * A filter looks at the text of an inbound message and
+ * accepts it, modifies it, rejects it, or flags it for moderators.
+ * Rooms can turn filters on or off, unless the filter is required.
+ */
+class MessageFilter {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @param {string} [options.name] - unique name of the filter
+	 * @param {string} [options.description=""]
+	 * @param {boolean} [options.enabled=true] - whether the filter runs in rooms that have not turned it on or off
+	 * @param {boolean} [options.required=false] - whether rooms are not allowed to turn the filter off
+	 * @return {MessageFilter}
+	 */
+	constructor(options = {}){
+		let defaults = {
+			name: "",
+			description: "",
+			enabled: true,
+			required: false
+		};
+		Object.extend(defaults, options);
+		this.name = defaults.name;
+		this.description = defaults.description;
+		this.enabled = defaults.enabled;
+		this.required = defaults.required;
+		return this;
+	}
+
+	/**
+	 * Filter the text of a message
+	 * @param {string} text
+	 * @param {object} context
+	 * @param {Client} context.client - the client that sent the message
+	 * @param {ChatRoom|null} context.room - null for direct messages
+	 * @param {object} context.options - the room's options for this filter
+	 * @return {object|Promise<object>} a result from one of the result methods
+	 */
+	filter(text, context){
+		return MessageFilter.accept();
+	}
+
+	/**
+	 * Serialize the filter for clients
+	 * @return {object}
+	 */
+	serialize(){
+		return {
+			name: this.name,
+			description: this.description,
+			required: this.required
+		};
+	}
+
+	/**
+	 * Accept the message as it is
+	 * @return {object}
+	 */
+	static accept(){
+		return {action: MessageFilter.action.accept};
+	}
+
+	/**
+	 * Replace the text of the message
+	 * @param {string} text
+	 * @return {object}
+	 */
+	static modify(text){
+		return {action: MessageFilter.action.modify, text: text};
+	}
+
+	/**
+	 * Reject the message
+	 * @param {string} reason
+	 * @return {object}
+	 */
+	static reject(reason){
+		return {action: MessageFilter.action.reject, reason: reason};
+	}
+
+	/**
+	 * Let the message through, but flag it for moderators
+	 * @param {string} reason
+	 * @return {object}
+	 */
+	static flag(reason){
+		return {action: MessageFilter.action.flag, reason: reason};
+	}
+}
+MessageFilter.action = {
+	accept: "accept",
+	modify: "modify",
+	reject: "reject",
+	flag: "flag"
+};
+
+module.exports = MessageFilter;
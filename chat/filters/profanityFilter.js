@@ -0,0 +1,97 @@
+const MessageFilter = require('./messageFilter');
+
+/**
+ * Profanity Filter.
+ * Finds words from a word list, ignoring case.
+ * Depending on its mode it masks them, rejects the message,
+ * or flags the message for moderators.
+ * @extends {MessageFilter}
+ */
+class ProfanityFilter extends MessageFilter {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @param {string[]} [options.words=ProfanityFilter.words]
+	 * @param {string} [options.mode="mask"] - one of ProfanityFilter.mode
+	 * @return {ProfanityFilter}
+	 */
+	constructor(options = {}){
+		let defaults = {
+			name: "profanity",
+			description: "Mask, reject or flag profanity",
+			mode: ProfanityFilter.mode.mask
+		};
+		Object.extend(defaults, options);
+		super(defaults);
+		this.mode = defaults.mode;
+		this.setWords(options.words || ProfanityFilter.words);
+		return this;
+	}
+
+	/**
+	 * Set the word list
+	 * @param {string[]} words
+	 * @return {ProfanityFilter}
+	 */
+	setWords(words){
+		let escaped = words.map(function(word){
+			return word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+		});
+		this.pattern = escaped.length 
+			? new RegExp("\\b(" + escaped.join("|") + ")\\b", "gi")
+			: null;
+		return this;
+	}
+
+	/**
+	 * Filter the text of a message
+	 * @param {string} text
+	 * @return {object}
+	 */
+	filter(text){
+		if(!this.pattern){
+			return MessageFilter.accept();
+		}
+		this.pattern.lastIndex = 0;
+		if(!this.pattern.test(text)){
+			return MessageFilter.accept();
+		}
+		switch(this.mode){
+			case ProfanityFilter.mode.reject:
+				return MessageFilter.reject(ProfanityFilter.reason.profanity);
+			case ProfanityFilter.mode.flag:
+				return MessageFilter.flag(ProfanityFilter.reason.profanity);
+		}
+		return MessageFilter.modify(text.replace(this.pattern, function(word){
+			return word[0] + "*".repeat(word.length - 1);
+		}));
+	}
+}
+ProfanityFilter.mode = {
+	mask: "mask",
+	reject: "reject",
+	flag: "flag"
+};
+ProfanityFilter.words = [
+	"arse",
+	"asshole",
+	"bastard",
+	"bitch",
+	"bollocks",
+	"cunt",
+	"dick",
+	"fuck",
+	"fucker",
+	"fucking",
+	"motherfucker",
+	"prick",
+	"shit",
+	"twat",
+	"wanker"
+];
+ProfanityFilter.reason = {
+	profanity: "Message contains profanity"
+};
+
+module.exports = ProfanityFilter;
@@ -0,0 +1,73 @@
+const MessageFilter = require('./messageFilter');
+
+/**
+ * Spam Filter.
+ * Shortens long runs of the same character,
+ * and rejects messages that repeat the same word over and over.
+ * @extends {MessageFilter}
+ */
+class SpamFilter extends MessageFilter {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @param {number} [options.maxRepeatedCharacters=8] - longer runs of a character are shortened to this
+	 * @param {number} [options.maxRepeatedWords=5] - more of the same word in a row is spam
+	 * @return {SpamFilter}
+	 */
+	constructor(options = {}){
+		let defaults = {
+			name: "spam",
+			description: "Shorten character floods and reject repeated words",
+			maxRepeatedCharacters: 8,
+			maxRepeatedWords: 5
+		};
+		Object.extend(defaults, options);
+		super(defaults);
+		this.maxRepeatedCharacters = defaults.maxRepeatedCharacters;
+		this.maxRepeatedWords = defaults.maxRepeatedWords;
+		return this;
+	}
+
+	/**
+	 * Check if some text repeats the same word too many times in a row
+	 * @param {string} text
+	 * @return {boolean}
+	 */
+	hasRepeatedWords(text){
+		let words = text.toLowerCase().split(/\s+/).filter(Boolean);
+		let count = 1;
+		for(let i = 1; i < words.length; i++){
+			count = words[i] === words[i - 1] ? count + 1 : 1;
+			if(count > this.maxRepeatedWords){
+				return true;
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * Filter the text of a message
+	 * @param {string} text
+	 * @return {object}
+	 */
+	filter(text){
+		if(this.hasRepeatedWords(text)){
+			return MessageFilter.reject(SpamFilter.reason.repeatedWords);
+		}
+		let max = this.maxRepeatedCharacters;
+		let pattern = new RegExp("(.)\\1{" + max + ",}", "g");
+		let shortened = text.replace(pattern, function(run, character){
+			return character.repeat(max);
+		});
+		if(shortened !== text){
+			return MessageFilter.modify(shortened);
+		}
+		return MessageFilter.accept();
+	}
+}
+SpamFilter.reason = {
+	repeatedWords: "Message looks like spam"
+};
+
+module.exports = SpamFilter;
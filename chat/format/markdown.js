@@ -0,0 +1,200 @@
+/**
+ * Markdown.
+ * Parses a small subset of Markdown in message text into a tree of nodes.
+ * The tree holds text, never HTML, so clients that render it
+ * with text nodes cannot be made to run markup or scripts.
+ * Supported are **bold**, *italics* or _italics_, `inline code`,
+ * ```code blocks```, [links](https://example.com), bare links and @mentions.
+ * Nodes are one of:
+ * {type: "text", text}
+ * {type: "bold", children}
+ * {type: "italic", children}
+ * {type: "code", text}
+ * {type: "codeblock", language, text}
+ * {type: "link", url, text}
+ * {type: "mention", name, id}
+ */
+class Markdown {
+
+	/**
+	 * Parse message text into nodes
+	 * @param {string} text
+	 * @return {object[]}
+	 */
+	static parse(text){
+		let nodes = [];
+		let pattern = /```([\w+\-]*)\n?([\s\S]*?)```/g;
+		let index = 0;
+		let match = null;
+		while((match = pattern.exec(text))){
+			Markdown.appendNodes(nodes, Markdown.parseInline(text.slice(index, match.index), 0));
+			nodes.push({
+				type: Markdown.node.codeblock,
+				language: match[1],
+				text: match[2]
+			});
+			index = pattern.lastIndex;
+		}
+		Markdown.appendNodes(nodes, Markdown.parseInline(text.slice(index), 0));
+		return nodes;
+	}
+
+	/**
+	 * Parse text that has no code blocks into nodes
+	 * @param {string} text
+	 * @param {number} depth - how deeply bold and italics are nested
+	 * @return {object[]}
+	 */
+	static parseInline(text, depth){
+		let nodes = [];
+		if(!text.length){
+			return nodes;
+		}
+		if(depth > Markdown.maxDepth){
+			return [Markdown.createText(text)];
+		}
+		// a new RegExp each time, as parseInline is recursive
+		let pattern = new RegExp(Markdown.inlinePattern.source, "g");
+		let index = 0;
+		let match = null;
+		while((match = pattern.exec(text))){
+			let groups = match.groups;
+			let node = null;
+			let trailing = "";
+			if(typeof groups.code !== "undefined"){
+				node = {type: Markdown.node.code, text: groups.code};
+			}
+			else if(typeof groups.linkText !== "undefined"){
+				node = Markdown.isSafeUrl(groups.linkUrl)
+					? {type: Markdown.node.link, url: groups.linkUrl, text: groups.linkText}
+					: Markdown.createText(match[0]);
+			}
+			else if(typeof groups.bold !== "undefined"){
+				node = {type: Markdown.node.bold, children: Markdown.parseInline(groups.bold, depth + 1)};
+			}
+			else if(typeof groups.italic !== "undefined" || typeof groups.underscore !== "undefined"){
+				let inner = typeof groups.italic !== "undefined" ? groups.italic : groups.underscore;
+				node = {type: Markdown.node.italic, children: Markdown.parseInline(inner, depth + 1)};
+			}
+			else if(typeof groups.url !== "undefined"){
+				// punctuation at the end of a bare link is most likely part of the sentence
+				let url = groups.url.replace(/[.,!?;:'")\]]+$/, "");
+				trailing = groups.url.slice(url.length);
+				node = {type: Markdown.node.link, url: url, text: url};
+			}
+			else if(typeof groups.mention !== "undefined"){
+				node = {type: Markdown.node.mention, name: groups.mention, id: null};
+			}
+			Markdown.appendNodes(nodes, [Markdown.createText(text.slice(index, match.index)), node]);
+			if(trailing){
+				Markdown.appendNodes(nodes, [Markdown.createText(trailing)]);
+			}
+			index = pattern.lastIndex;
+		}
+		Markdown.appendNodes(nodes, [Markdown.createText(text.slice(index))]);
+		return nodes;
+	}
+
+	/**
+	 * Create a text node
+	 * @param {string} text
+	 * @return {object}
+	 */
+	static createText(text){
+		return {type: Markdown.node.text, text: text};
+	}
+
+	/**
+	 * Append nodes to a list of nodes.
+	 * Empty text is dropped and neighbouring text is merged.
+	 * @param {object[]} nodes
+	 * @param {object[]} append
+	 * @return {object[]} nodes
+	 */
+	static appendNodes(nodes, append){
+		for(let i = 0; i < append.length; i++){
+			let node = append[i];
+			if(node.type === Markdown.node.text){
+				if(!node.text.length){
+					continue;
+				}
+				let last = nodes[nodes.length - 1];
+				if(last && last.type === Markdown.node.text){
+					last.text += node.text;
+					continue;
+				}
+			}
+			nodes.push(node);
+		}
+		return nodes;
+	}
+
+	/**
+	 * Check if a URL can be linked to.
+	 * Only web and mail links are allowed, so javascript: and data: are not.
+	 * @param {string} url
+	 * @return {boolean}
+	 */
+	static isSafeUrl(url){
+		return /^(https?:\/\/|mailto:)[^\s]+$/i.test(url);
+	}
+
+	/**
+	 * Give mentions the id of the user they mention.
+	 * Mentions of unknown users become text.
+	 * @param {object[]} nodes
+	 * @param {object[]} users - users that can be mentioned, with id and name
+	 * @return {{nodes: object[], mentions: string[]}} the resolved nodes, and ids of the mentioned users
+	 */
+	static resolveMentions(nodes, users){
+		let ids = new Set();
+		let names = new Map();
+		for(let user of users){
+			names.set(user.name.toLowerCase(), user);
+		}
+		function resolve(nodes){
+			let resolved = [];
+			for(let i = 0; i < nodes.length; i++){
+				let node = Object.assign({}, nodes[i]);
+				if(node.children){
+					node.children = resolve(node.children);
+				}
+				if(node.type === Markdown.node.mention){
+					let user = names.get(node.name.toLowerCase());
+					if(user){
+						node.id = user.id;
+						node.name = user.name;
+						ids.add(user.id);
+					}
+					else {
+						node = Markdown.createText("@" + node.name);
+					}
+				}
+				Markdown.appendNodes(resolved, [node]);
+			}
+			return resolved;
+		}
+		return {nodes: resolve(nodes), mentions: Array.from(ids)};
+	}
+}
+Markdown.node = {
+	text: "text",
+	bold: "bold",
+	italic: "italic",
+	code: "code",
+	codeblock: "codeblock",
+	link: "link",
+	mention: "mention"
+};
+Markdown.maxDepth = 4;
+Markdown.inlinePattern = new RegExp([
+	/`(?<code>[^`\n]+)`/.source,
+	/\[(?<linkText>[^\]\n]+)\]\((?<linkUrl>[^)\s]+)\)/.source,
+	/\*\*(?<bold>[^\n]+?)\*\*/.source,
+	/\*(?<italic>[^*\n]+)\*/.source,
+	/(?<![\w])_(?<underscore>[^_\n]+)_(?![\w])/.source,
+	/(?<url>https?:\/\/[^\s<>]+)/.source,
+	/(?<![\w@])@(?<mention>[A-Za-z0-9_\-]+)/.source
+].join("|"));
+
+module.exports = Markdown;
@@ -0,0 +1,227 @@
+const Logger = require('@voliware/logger');
+
+/**
+ * HTTP utilities.
+ * Helpers for reading requests and writing responses
+ * in HttpServer route handlers.
+ */
+class HttpUtil {
+
+	/**
+	 * Read the body of a request.
+	 * Rejects if the body is too large.
+	 * @param {IncomingMessage} request
+	 * @param {number} maxLength - max body size in bytes
+	 * @return {Promise<Buffer>}
+	 */
+	static readBody(request, maxLength){
+		return new Promise(function(resolve, reject){
+			let chunks = [];
+			let length = 0;
+			request.on('data', function(chunk){
+				length += chunk.length;
+				if(length > maxLength){
+					reject(HttpUtil.createError(HttpUtil.error.bodyTooLarge, 413));
+					request.destroy();
+					return;
+				}
+				chunks.push(chunk);
+			});
+			request.on('end', function(){
+				resolve(Buffer.concat(chunks));
+			});
+			request.on('error', reject);
+		});
+	}
+
+	/**
+	 * Read the body of a request and parse it as JSON.
+	 * Rejects if the body is too large or is not a JSON object.
+	 * @param {IncomingMessage} request
+	 * @param {number} [maxLength=65536] - max body size in bytes
+	 * @return {Promise<object>}
+	 */
+	static readJson(request, maxLength = 65536){
+		return HttpUtil.readBody(request, maxLength)
+			.then(function(data){
+				let body = null;
+				try {
+					body = JSON.parse(data.toString());
+				}
+				catch(e){
+					throw HttpUtil.createError(HttpUtil.error.badJson, 400);
+				}
+				if(!body || typeof body !== "object" || Array.isArray(body)){
+					throw HttpUtil.createError(HttpUtil.error.badJson, 400);
+				}
+				return body;
+			});
+	}
+
+	/**
+	 * Read a multipart/form-data request.
+	 * Rejects if the body is too large or cannot be parsed.
+	 * @param {IncomingMessage} request
+	 * @param {number} maxLength - max body size in bytes
+	 * @return {Promise<{fields: object, files: object[]}>} see HttpUtil.parseMultipart
+	 */
+	static readMultipart(request, maxLength){
+		let contentType = request.headers['content-type'] || "";
+		let match = contentType.match(/^multipart\/form-data;.*\bboundary=(?:"([^"]+)"|([^;\s]+))/i);
+		if(!match){
+			return Promise.reject(HttpUtil.createError(HttpUtil.error.badMultipart, 400));
+		}
+		let boundary = match[1] || match[2];
+		return HttpUtil.readBody(request, maxLength)
+			.then(function(body){
+				return HttpUtil.parseMultipart(body, boundary);
+			});
+	}
+
+	/**
+	 * Parse a multipart/form-data body.
+	 * Parts with a filename are files, anything else is a text field.
+	 * @param {Buffer} body
+	 * @param {string} boundary
+	 * @return {{fields: object, files: object[]}} files have a name, filename, type and data
+	 */
+	static parseMultipart(body, boundary){
+		let delimiter = Buffer.from("--" + boundary);
+		let result = {fields: {}, files: []};
+		let index = body.indexOf(delimiter);
+		if(index === -1){
+			throw HttpUtil.createError(HttpUtil.error.badMultipart, 400);
+		}
+		while(true){
+			let start = index + delimiter.length;
+			// the last delimiter is followed by --
+			if(body.toString('latin1', start, start + 2) === "--"){
+				break;
+			}
+			start += 2;
+			let next = body.indexOf(delimiter, start);
+			if(next === -1){
+				throw HttpUtil.createError(HttpUtil.error.badMultipart, 400);
+			}
+			// the part ends with a CRLF before the next delimiter
+			let part = body.slice(start, next - 2);
+			let headerEnd = part.indexOf("\r\n\r\n");
+			if(headerEnd === -1){
+				throw HttpUtil.createError(HttpUtil.error.badMultipart, 400);
+			}
+			let headers = {};
+			for(let line of part.toString('utf8', 0, headerEnd).split("\r\n")){
+				let colon = line.indexOf(":");
+				if(colon !== -1){
+					headers[line.substring(0, colon).trim().toLowerCase()] = line.substring(colon + 1).trim();
+				}
+			}
+			let disposition = headers['content-disposition'] || "";
+			let name = disposition.match(/\bname="([^"]*)"/i);
+			let filename = disposition.match(/\bfilename="([^"]*)"/i);
+			let data = part.slice(headerEnd + 4);
+			if(filename){
+				result.files.push({
+					name: name ? name[1] : "",
+					filename: filename[1],
+					type: headers['content-type'] || "application/octet-stream",
+					data: data
+				});
+			}
+			else if(name){
+				result.fields[name[1]] = data.toString();
+			}
+			index = next;
+		}
+		return result;
+	}
+
+	/**
+	 * Get a bearer token from the Authorization header
+	 * @param {IncomingMessage} request
+	 * @return {string|null}
+	 */
+	static getBearerToken(request){
+		let header = request.headers.authorization;
+		if(typeof header !== "string"){
+			return null;
+		}
+		let match = header.match(/^Bearer\s+(\S+)$/i);
+		return match ? match[1] : null;
+	}
+
+	/**
+	 * Send a JSON response with a status code
+	 * @param {ServerResponse} response
+	 * @param {number} status
+	 * @param {*} data
+	 * @return {ServerResponse}
+	 */
+	static sendJson(response, status, data){
+		response.statusCode = status;
+		response.setHeader('Content-Type', 'application/json');
+		response.end(JSON.stringify(data));
+		return response;
+	}
+
+	/**
+	 * Send a file.
+	 * Browsers are told not to guess the type,
+	 * so a file can never be run as something else.
+	 * @param {ServerResponse} response
+	 * @param {object} file
+	 * @param {string} file.name - the name to save the file as
+	 * @param {string} file.type - MIME type
+	 * @param {Buffer} file.data
+	 * @param {boolean} [inline=false] - whether browsers should show the file instead of downloading it
+	 * @return {ServerResponse}
+	 */
+	static sendFile(response, file, inline = false){
+		let disposition = inline ? "inline" : "attachment";
+		response.statusCode = 200;
+		response.setHeader('Content-Type', file.type);
+		response.setHeader('Content-Length', file.data.length);
+		response.setHeader('Content-Disposition', disposition + "; filename*=UTF-8''" + encodeURIComponent(file.name));
+		response.setHeader('X-Content-Type-Options', 'nosniff');
+		response.setHeader('Cache-Control', 'private, max-age=86400');
+		response.end(file.data);
+		return response;
+	}
+
+	/**
+	 * Send an error response.
+	 * Errors with a status are sent as-is,
+	 * anything else is logged and sent as a 500.
+	 * @param {ServerResponse} response
+	 * @param {Error} error
+	 * @return {ServerResponse}
+	 */
+	static sendError(response, error){
+		if(error.status){
+			return HttpUtil.sendJson(response, error.status, {error: error.message});
+		}
+		HttpUtil.logger.error(error);
+		return HttpUtil.sendJson(response, 500, {error: HttpUtil.error.internal});
+	}
+
+	/**
+	 * Create an Error with an HTTP status
+	 * @param {string} message
+	 * @param {number} status
+	 * @return {Error}
+	 */
+	static createError(message, status){
+		let error = new Error(message);
+		error.status = status;
+		return error;
+	}
+}
+HttpUtil.logger = new Logger("HttpUtil");
+HttpUtil.error = {
+	badJson: "Body must be a JSON object",
+	badMultipart: "Body must be multipart form data",
+	bodyTooLarge: "Body is too large",
+	internal: "Internal server error"
+};
+
+module.exports = HttpUtil;
\ No newline at end of file
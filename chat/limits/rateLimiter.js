@@ -0,0 +1,261 @@
+const TokenBucket = require('./tokenBucket');
+
+/**
+ * Rate Limiter.
+ * Limits how often each connection and each user can take
+ * an action, such as sending a message, with token buckets.
+ * Every action is limited per connection, and across all
+ * of a user's connections.
+ * Users who keep going over their limits are flooding,
+ * and escalate from warnings, to a temporary mute, to a disconnect.
+ */
+class RateLimiter {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @param {object} [options.connection] - action to {capacity, interval} for each connection
+	 * @param {object} [options.user] - action to {capacity, interval} for each user
+	 * @param {number} [options.muteAfter=5] - violations until a user is muted
+	 * @param {number} [options.disconnectAfter=10] - violations until a user is disconnected
+	 * @param {number} [options.muteDuration=60000] - how long a flooding user is muted in ms
+	 * @param {number} [options.violationWindow=60000] - time in ms without violations until they are forgotten
+	 * @param {number} [options.repeatWindow=30000] - time in ms that an identical message is rejected for
+	 * @param {number} [options.pruneInterval=60000] - how often to drop unused state in ms
+	 * @return {RateLimiter}
+	 */
+	constructor(options = {}){
+		let defaults = {
+			connection: {
+				message: {capacity: 5, interval: 5000},
+				join: {capacity: 5, interval: 30000},
+				command: {capacity: 5, interval: 10000}
+			},
+			user: {
+				message: {capacity: 8, interval: 5000},
+				join: {capacity: 10, interval: 30000},
+				command: {capacity: 10, interval: 10000},
+				// uploads are made over HTTP, so they are only limited per user
+				upload: {capacity: 10, interval: 60000}
+			},
+			muteAfter: 5,
+			disconnectAfter: 10,
+			muteDuration: 60 * 1000,
+			violationWindow: 60 * 1000,
+			repeatWindow: 30 * 1000,
+			pruneInterval: 60 * 1000
+		};
+		Object.extend(defaults, options);
+		this.limits = {
+			connection: defaults.connection,
+			user: defaults.user
+		};
+		this.muteAfter = defaults.muteAfter;
+		this.disconnectAfter = defaults.disconnectAfter;
+		this.muteDuration = defaults.muteDuration;
+		this.violationWindow = defaults.violationWindow;
+		this.repeatWindow = defaults.repeatWindow;
+		this.pruneInterval = defaults.pruneInterval;
+		this.buckets = new Map();
+		this.violations = new Map();
+		this.mutes = new Map();
+		this.lastMessages = new Map();
+		this.interval = null;
+		return this;
+	}
+
+	/**
+	 * Start dropping unused state
+	 * @return {RateLimiter}
+	 */
+	start(){
+		let self = this;
+		this.stop();
+		this.interval = setInterval(function(){
+			self.prune();
+		}, this.pruneInterval);
+		return this;
+	}
+
+	/**
+	 * Stop dropping unused state
+	 * @return {RateLimiter}
+	 */
+	stop(){
+		clearInterval(this.interval);
+		this.interval = null;
+		return this;
+	}
+
+	/**
+	 * Get a bucket, creating it if it does not exist
+	 * @param {string} scope - "connection" or "user"
+	 * @param {string} id - connection or user id
+	 * @param {string} action
+	 * @return {TokenBucket|null} null if the action is not limited
+	 */
+	getBucket(scope, id, action){
+		let limit = this.limits[scope][action];
+		if(!limit){
+			return null;
+		}
+		let key = scope + ":" + id + ":" + action;
+		let bucket = this.buckets.get(key);
+		if(!bucket){
+			bucket = new TokenBucket(limit);
+			this.buckets.set(key, bucket);
+		}
+		return bucket;
+	}
+
+	/**
+	 * Try to take an action.
+	 * A token is only taken if both the connection and the user have one.
+	 * @param {string} action
+	 * @param {string} connectionId
+	 * @param {string} userId
+	 * @return {number} 0 if the action is allowed, otherwise ms until it will be
+	 */
+	take(action, connectionId, userId){
+		let buckets = [
+			this.getBucket("connection", connectionId, action),
+			this.getBucket("user", userId, action)
+		].filter(Boolean);
+		let wait = 0;
+		for(let i = 0; i < buckets.length; i++){
+			wait = Math.max(wait, buckets[i].getWait());
+		}
+		if(wait){
+			return wait;
+		}
+		for(let i = 0; i < buckets.length; i++){
+			buckets[i].take();
+		}
+		return 0;
+	}
+
+	/**
+	 * Check if a message is the same as the last one a user sent
+	 * to the same place recently, and remember it if not
+	 * @param {string} userId
+	 * @param {string} target - where the message is going, such as a room name
+	 * @param {string} text
+	 * @return {boolean} true if the message is a repeat
+	 */
+	isRepeat(userId, target, text){
+		let now = Date.now();
+		let key = userId + ":" + target;
+		let last = this.lastMessages.get(key);
+		if(last && last.text === text && now - last.timestamp < this.repeatWindow){
+			return true;
+		}
+		this.lastMessages.set(key, {text: text, timestamp: now});
+		return false;
+	}
+
+	/**
+	 * Record that a user went over a limit, and decide what to do about it.
+	 * Muted users who keep sending are still violating.
+	 * Violations are forgotten once a user has behaved for the violation window.
+	 * @param {string} userId
+	 * @return {string} one of RateLimiter.action
+	 */
+	addViolation(userId){
+		let now = Date.now();
+		let violation = this.violations.get(userId);
+		if(!violation || now - violation.timestamp > this.violationWindow){
+			violation = {count: 0, timestamp: now};
+			this.violations.set(userId, violation);
+		}
+		violation.count++;
+		violation.timestamp = now;
+		if(violation.count >= this.disconnectAfter){
+			this.violations.delete(userId);
+			return RateLimiter.action.disconnect;
+		}
+		if(this.isMuted(userId)){
+			return RateLimiter.action.mute;
+		}
+		if(violation.count >= this.muteAfter){
+			this.mutes.set(userId, now + this.muteDuration);
+			return RateLimiter.action.mute;
+		}
+		return RateLimiter.action.warning;
+	}
+
+	/**
+	 * Check if a user is muted for flooding
+	 * @param {string} userId
+	 * @return {boolean}
+	 */
+	isMuted(userId){
+		return this.getMuteRemaining(userId) > 0;
+	}
+
+	/**
+	 * Get how long a user is still muted for
+	 * @param {string} userId
+	 * @return {number} ms, 0 if not muted
+	 */
+	getMuteRemaining(userId){
+		let until = this.mutes.get(userId);
+		if(!until){
+			return 0;
+		}
+		let remaining = until - Date.now();
+		if(remaining <= 0){
+			this.mutes.delete(userId);
+			return 0;
+		}
+		return remaining;
+	}
+
+	/**
+	 * Forget the buckets of a connection
+	 * @param {string} connectionId
+	 * @return {RateLimiter}
+	 */
+	removeConnection(connectionId){
+		let prefix = "connection:" + connectionId + ":";
+		for(let key of Array.from(this.buckets.keys())){
+			if(key.startsWith(prefix)){
+				this.buckets.delete(key);
+			}
+		}
+		return this;
+	}
+
+	/**
+	 * Drop full buckets, and expired violations, mutes and messages
+	 * @return {RateLimiter}
+	 */
+	prune(){
+		let now = Date.now();
+		for(let [key, bucket] of this.buckets){
+			if(bucket.isFull()){
+				this.buckets.delete(key);
+			}
+		}
+		for(let [userId, violation] of this.violations){
+			if(now - violation.timestamp > this.violationWindow){
+				this.violations.delete(userId);
+			}
+		}
+		for(let userId of Array.from(this.mutes.keys())){
+			this.getMuteRemaining(userId);
+		}
+		for(let [key, message] of this.lastMessages){
+			if(now - message.timestamp >= this.repeatWindow){
+				this.lastMessages.delete(key);
+			}
+		}
+		return this;
+	}
+}
+RateLimiter.action = {
+	warning: "warning",
+	mute: "mute",
+	disconnect: "disconnect"
+};
+
+module.exports = RateLimiter;
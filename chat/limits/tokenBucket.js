@@ -0,0 +1,68 @@
+/**
+ * Token Bucket.
+ * Holds up to capacity tokens and refills capacity tokens every interval,
+ * a little at a time. Each action takes a token,
+ * and actions are allowed while there are tokens left.
+ */
+class TokenBucket {
+
+	/**
+	 * Constructor
+	 * @param {object} options
+	 * @param {number} options.capacity - max number of tokens
+	 * @param {number} options.interval - time in ms to refill from empty to full
+	 * @return {TokenBucket}
+	 */
+	constructor(options){
+		this.capacity = options.capacity;
+		this.interval = options.interval;
+		this.tokens = options.capacity;
+		this.lastRefill = Date.now();
+		return this;
+	}
+
+	/**
+	 * Add the tokens that have refilled since the last refill
+	 * @return {TokenBucket}
+	 */
+	refill(){
+		let now = Date.now();
+		let refilled = (now - this.lastRefill) * this.capacity / this.interval;
+		this.tokens = Math.min(this.capacity, this.tokens + refilled);
+		this.lastRefill = now;
+		return this;
+	}
+
+	/**
+	 * Check how long until a token is available
+	 * @return {number} ms, 0 if a token is available now
+	 */
+	getWait(){
+		this.refill();
+		if(this.tokens >= 1){
+			return 0;
+		}
+		return Math.ceil((1 - this.tokens) * this.interval / this.capacity);
+	}
+
+	/**
+	 * Take a token
+	 * @return {TokenBucket}
+	 */
+	take(){
+		this.refill();
+		this.tokens = Math.max(0, this.tokens - 1);
+		return this;
+	}
+
+	/**
+	 * Check if the bucket has refilled completely
+	 * @return {boolean}
+	 */
+	isFull(){
+		this.refill();
+		return this.tokens >= this.capacity;
+	}
+}
+
+module.exports = TokenBucket;
@@ -0,0 +1,115 @@
+const EventEmitter = require('events').EventEmitter;
+
+/**
+ * Heartbeat Monitor.
+ * Pings every monitored client on an interval, and finds clients
+ * whose sockets have died without closing.
+ * Emits "ping" with the client and a timestamp when a client should be pinged.
+ * Emits "timeout" with the client when it has missed too many heartbeats.
+ * A client that times out is no longer monitored.
+ * @extends {EventEmitter}
+ */
+class HeartbeatMonitor extends EventEmitter {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @param {number} [options.interval=30000] - time between heartbeats in ms
+	 * @param {number} [options.maxMissed=2] - heartbeats a client can miss before it times out
+	 * @return {HeartbeatMonitor}
+	 */
+	constructor(options = {}){
+		super();
+		let defaults = {
+			interval: 30 * 1000,
+			maxMissed: 2
+		};
+		Object.extend(defaults, options);
+		this.interval = defaults.interval;
+		this.maxMissed = defaults.maxMissed;
+		this.clients = new Map();
+		this.timer = null;
+		return this;
+	}
+
+	/**
+	 * Start sending heartbeats
+	 * @return {HeartbeatMonitor}
+	 */
+	start(){
+		let self = this;
+		this.stop();
+		this.timer = setInterval(function(){
+			self.beat();
+		}, this.interval);
+		return this;
+	}
+
+	/**
+	 * Stop sending heartbeats
+	 * @return {HeartbeatMonitor}
+	 */
+	stop(){
+		clearInterval(this.timer);
+		this.timer = null;
+		return this;
+	}
+
+	/**
+	 * Start monitoring a client
+	 * @param {Client} client
+	 * @return {HeartbeatMonitor}
+	 */
+	add(client){
+		this.clients.set(client.id, {
+			client: client,
+			missed: 0
+		});
+		return this;
+	}
+
+	/**
+	 * Stop monitoring a client
+	 * @param {Client} client
+	 * @return {HeartbeatMonitor}
+	 */
+	remove(client){
+		this.clients.delete(client.id);
+		return this;
+	}
+
+	/**
+	 * Record a heartbeat answered by a client
+	 * @param {Client} client
+	 * @return {HeartbeatMonitor}
+	 */
+	receive(client){
+		let entry = this.clients.get(client.id);
+		if(entry){
+			entry.missed = 0;
+		}
+		return this;
+	}
+
+	/**
+	 * Time out every client that missed too many heartbeats,
+	 * and ping the rest. A ping counts as missed until it is answered.
+	 * @return {HeartbeatMonitor}
+	 */
+	beat(){
+		let now = Date.now();
+		for(let entry of Array.from(this.clients.values())){
+			if(entry.missed >= this.maxMissed){
+				this.clients.delete(entry.client.id);
+				this.emit('timeout', entry.client);
+			}
+			else {
+				entry.missed++;
+				this.emit('ping', entry.client, now);
+			}
+		}
+		return this;
+	}
+}
+
+module.exports = HeartbeatMonitor;
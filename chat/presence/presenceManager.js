@@ -0,0 +1,158 @@
+const EventEmitter = require('events').EventEmitter;
+
+/**
+ * Presence Manager.
+ * Derives the status of each user from its connected sockets and activity.
+ * A user is online while any of its sockets has been active recently,
+ * away once all of them have been idle for a while,
+ * and offline when its last socket disconnects.
+ * Emits "status" with the user id and new status whenever a status changes.
+ * @extends {EventEmitter}
+ */
+class PresenceManager extends EventEmitter {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @param {number} [options.awayTimeout=300000] - idle time in ms until a user is away
+	 * @param {number} [options.checkInterval=15000] - how often to check for idle users in ms
+	 * @return {PresenceManager}
+	 */
+	constructor(options = {}){
+		super();
+		let defaults = {
+			awayTimeout: 5 * 60 * 1000,
+			checkInterval: 15 * 1000
+		};
+		Object.extend(defaults, options);
+		this.awayTimeout = defaults.awayTimeout;
+		this.checkInterval = defaults.checkInterval;
+		this.users = new Map();
+		this.interval = null;
+		return this;
+	}
+
+	/**
+	 * Start checking for idle users
+	 * @return {PresenceManager}
+	 */
+	start(){
+		let self = this;
+		this.stop();
+		this.interval = setInterval(function(){
+			self.checkIdleUsers();
+		}, this.checkInterval);
+		return this;
+	}
+
+	/**
+	 * Stop checking for idle users
+	 * @return {PresenceManager}
+	 */
+	stop(){
+		clearInterval(this.interval);
+		this.interval = null;
+		return this;
+	}
+
+	/**
+	 * Get the status of a user
+	 * @param {string} userId
+	 * @return {string}
+	 */
+	getStatus(userId){
+		let user = this.users.get(userId);
+		return user ? user.status : PresenceManager.status.offline;
+	}
+
+	/**
+	 * Set the status of a user and emit it if it changed
+	 * @param {string} userId
+	 * @param {object} user
+	 * @param {string} status
+	 * @return {PresenceManager}
+	 */
+	setStatus(userId, user, status){
+		if(user.status !== status){
+			user.status = status;
+			this.emit('status', userId, status);
+		}
+		return this;
+	}
+
+	/**
+	 * Record a new socket for a user.
+	 * The user is online.
+	 * @param {string} userId
+	 * @return {PresenceManager}
+	 */
+	connect(userId){
+		let user = this.users.get(userId);
+		if(!user){
+			user = {
+				sockets: 0,
+				lastActivity: Date.now(),
+				status: PresenceManager.status.offline
+			};
+			this.users.set(userId, user);
+		}
+		user.sockets++;
+		user.lastActivity = Date.now();
+		return this.setStatus(userId, user, PresenceManager.status.online);
+	}
+
+	/**
+	 * Record a socket disconnecting for a user.
+	 * If it was the last one, the user is offline.
+	 * @param {string} userId
+	 * @return {PresenceManager}
+	 */
+	disconnect(userId){
+		let user = this.users.get(userId);
+		if(!user){
+			return this;
+		}
+		user.sockets--;
+		if(user.sockets <= 0){
+			this.users.delete(userId);
+			this.setStatus(userId, user, PresenceManager.status.offline);
+		}
+		return this;
+	}
+
+	/**
+	 * Record activity from a user.
+	 * An away user comes back online.
+	 * @param {string} userId
+	 * @return {PresenceManager}
+	 */
+	touch(userId){
+		let user = this.users.get(userId);
+		if(!user){
+			return this;
+		}
+		user.lastActivity = Date.now();
+		return this.setStatus(userId, user, PresenceManager.status.online);
+	}
+
+	/**
+	 * Mark every user that has been idle for too long as away
+	 * @return {PresenceManager}
+	 */
+	checkIdleUsers(){
+		let now = Date.now();
+		for(let [userId, user] of this.users){
+			if(now - user.lastActivity >= this.awayTimeout){
+				this.setStatus(userId, user, PresenceManager.status.away);
+			}
+		}
+		return this;
+	}
+}
+PresenceManager.status = {
+	online: "online",
+	away: "away",
+	offline: "offline"
+};
+
+module.exports = PresenceManager;
\ No newline at end of file
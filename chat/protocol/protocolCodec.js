@@ -0,0 +1,148 @@
+const Zlib = require('zlib');
+const Protocol = require('../../public/js/protocol');
+
+/**
+ * Protocol Codec.
+ * Decodes frames from clients into messages,
+ * and encodes messages into frames in each client's negotiated protocol.
+ * Clients that did not negotiate a protocol are sent plain JSON messages.
+ * Large frames are deflated for clients that accept compression.
+ */
+class ProtocolCodec {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @param {string[]} [options.encodings=["msgpack","json"]] - encodings clients can pick
+	 * @param {boolean} [options.compression=true] - whether clients can pick compression
+	 * @param {number} [options.compressionThreshold=1024] - frames larger than this in bytes are compressed
+	 * @param {number} [options.maxFrameLength=1048576] - max size in bytes of a decompressed frame
+	 * @return {ProtocolCodec}
+	 */
+	constructor(options = {}){
+		let defaults = {
+			compression: true,
+			compressionThreshold: 1024,
+			maxFrameLength: 1024 * 1024
+		};
+		Object.extend(defaults, options);
+		this.encodings = options.encodings || [Protocol.encoding.msgpack, Protocol.encoding.json];
+		this.compression = defaults.compression ? [Protocol.compression.deflate] : [];
+		this.compressionThreshold = defaults.compressionThreshold;
+		this.maxFrameLength = defaults.maxFrameLength;
+		this.lastId = 0;
+		return this;
+	}
+
+	/**
+	 * Pick the protocol for a client from what it offers.
+	 * Throws a protocol error if nothing in common is found.
+	 * @param {object} offer - see Protocol.createOffer
+	 * @param {boolean} [binary=true] - whether the client can be sent binary frames,
+	 * if not only JSON without compression can be picked
+	 * @return {{v: number, encoding: string, compression: string|null}}
+	 */
+	negotiate(offer, binary = true){
+		return Protocol.negotiate(offer, {
+			encodings: binary ? this.encodings : this.encodings.filter(function(encoding){
+				return encoding === Protocol.encoding.json;
+			}),
+			compression: binary ? this.compression : []
+		});
+	}
+
+	/**
+	 * Decode a frame from a client into a message.
+	 * The data of an envelope is flattened into the message with its route,
+	 * which is the shape of messages from before envelopes.
+	 * Throws a protocol error if the frame is not valid.
+	 * @param {string|Buffer|object} frame - a frame, or one that is already parsed
+	 * @param {boolean} [requireEnvelope=false] - whether messages without an envelope are invalid
+	 * @return {object}
+	 */
+	decode(frame, requireEnvelope = false){
+		let value = null;
+		if(Protocol.isObject(frame)){
+			value = frame;
+			if(Protocol.isEnvelope(value)){
+				Protocol.validateEnvelope(value);
+			}
+		}
+		else {
+			value = this.decodeFrame(frame);
+		}
+		if(!Protocol.isEnvelope(value)){
+			if(requireEnvelope){
+				throw Protocol.createError("badEnvelope");
+			}
+			return value;
+		}
+		return Protocol.toMessage(value);
+	}
+
+	/**
+	 * Decode a frame into an envelope, or a message from before envelopes.
+	 * Throws a protocol error if the frame is not valid.
+	 * @param {string|Buffer} frame
+	 * @return {object}
+	 */
+	decodeFrame(frame){
+		// text frames can arrive as buffers,
+		// and JSON never starts with a byte of flags
+		if(Buffer.isBuffer(frame) && frame[0] === ProtocolCodec.jsonStart){
+			frame = frame.toString();
+		}
+		let unpacked = Protocol.unpack(frame);
+		let payload = unpacked.payload;
+		if(unpacked.compressed){
+			try {
+				payload = Zlib.inflateRawSync(payload, {maxOutputLength: this.maxFrameLength});
+			}
+			catch(e){
+				throw Protocol.createError("badFrame");
+			}
+		}
+		return Protocol.decode(payload, unpacked.json);
+	}
+
+	/**
+	 * Encode a message for a client
+	 * @param {object} message
+	 * @param {string} message.route
+	 * @param {number} message.status
+	 * @param {object} [message.data]
+	 * @param {string} [message.error]
+	 * @param {number} [message.code]
+	 * @param {object|null} protocol - the client's protocol, or null for plain JSON
+	 * @param {Map} [cache] - frames already encoded for the same message,
+	 * to share between clients with the same protocol
+	 * @return {string|Buffer}
+	 */
+	encode(message, protocol, cache){
+		let key = protocol ? protocol.encoding + ":" + protocol.compression : "";
+		if(cache && cache.has(key)){
+			return cache.get(key);
+		}
+		let frame = null;
+		if(!protocol){
+			frame = JSON.stringify(message);
+		}
+		else {
+			let envelope = Object.assign({v: protocol.v, id: ++this.lastId}, message);
+			frame = Protocol.encode(envelope, protocol.encoding);
+			if(protocol.compression && frame.length > this.compressionThreshold){
+				frame = Protocol.compress(frame, Zlib.deflateRawSync);
+			}
+			if(typeof frame !== "string"){
+				frame = Buffer.from(frame.buffer, frame.byteOffset, frame.byteLength);
+			}
+		}
+		if(cache){
+			cache.set(key, frame);
+		}
+		return frame;
+	}
+}
+ProtocolCodec.jsonStart = "{".charCodeAt(0);
+
+module.exports = ProtocolCodec;
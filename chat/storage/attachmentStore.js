@@ -0,0 +1,113 @@
+/**
+ * Attachment Store.
+ * Base interface for anything that persists uploaded files.
+ * Each attachment is a metadata object, the file itself,
+ * and an optional thumbnail.
+ * All methods return Promises.
+ * A store must implement
+ * - connect
+ * - close
+ * - saveAttachment
+ * - getAttachment
+ * - readFile
+ * - addRoom
+ * - getUnattached
+ * - deleteAttachment
+ */
+class AttachmentStore {
+
+	/**
+	 * Connect to the underlying storage
+	 * @return {Promise}
+	 */
+	connect(){
+		return Promise.reject(new Error("connect must be implemented"));
+	}
+
+	/**
+	 * Close the underlying storage
+	 * @return {Promise}
+	 */
+	close(){
+		return Promise.reject(new Error("close must be implemented"));
+	}
+
+	/**
+	 * Save an attachment
+	 * @param {object} attachment
+	 * @param {string} attachment.id
+	 * @param {string} attachment.name
+	 * @param {string} attachment.type - MIME type
+	 * @param {number} attachment.size - in bytes
+	 * @param {string} attachment.uploaderId
+	 * @param {boolean} attachment.thumbnail - whether there is a thumbnail
+	 * @param {number} attachment.created
+	 * @param {string[]} attachment.rooms - rooms it was sent to
+	 * @param {Buffer} data - the file
+	 * @param {Buffer|null} thumbnail
+	 * @return {Promise<object>} resolves with the saved attachment
+	 */
+	saveAttachment(attachment, data, thumbnail){
+		return Promise.reject(new Error("saveAttachment must be implemented"));
+	}
+
+	/**
+	 * Get an attachment's metadata
+	 * @param {string} id
+	 * @return {Promise<object|null>} null if it does not exist
+	 */
+	getAttachment(id){
+		return Promise.reject(new Error("getAttachment must be implemented"));
+	}
+
+	/**
+	 * Read an attachment's file or thumbnail
+	 * @param {string} id
+	 * @param {boolean} [thumbnail=false]
+	 * @return {Promise<Buffer|null>} null if it does not exist
+	 */
+	readFile(id, thumbnail = false){
+		return Promise.reject(new Error("readFile must be implemented"));
+	}
+
+	/**
+	 * Add a room to the rooms an attachment was sent to
+	 * @param {string} id
+	 * @param {string} room
+	 * @return {Promise<boolean>} false if it does not exist
+	 */
+	addRoom(id, room){
+		return Promise.reject(new Error("addRoom must be implemented"));
+	}
+
+	/**
+	 * Get attachments that were never sent to a room
+	 * @param {number} before - only get attachments created before this time
+	 * @return {Promise<object[]>}
+	 */
+	getUnattached(before){
+		return Promise.reject(new Error("getUnattached must be implemented"));
+	}
+
+	/**
+	 * Delete an attachment, its file and its thumbnail
+	 * @param {string} id
+	 * @return {Promise<boolean>} false if it did not exist
+	 */
+	deleteAttachment(id){
+		return Promise.reject(new Error("deleteAttachment must be implemented"));
+	}
+
+	/**
+	 * Check if an attachment was never sent to a room.
+	 * Attachments saved without a list of rooms are never considered unattached.
+	 * @param {object} attachment
+	 * @param {number} before - the attachment must be created before this time
+	 * @return {boolean}
+	 */
+	static isUnattached(attachment, before){
+		return Array.isArray(attachment.rooms) && !attachment.rooms.length && attachment.created < before;
+	}
+}
+
+module.exports = AttachmentStore;
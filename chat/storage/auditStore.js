@@ -0,0 +1,105 @@
+/**
+ * Audit Store.
+ * Base interface for anything that persists the moderation audit log.
+ * All methods return Promises.
+ * A store must implement
+ * - connect
+ * - close
+ * - saveEntry
+ * - getEntries
+ */
+class AuditStore {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @param {number} [options.maxLimit=100] - max number of entries returned by getEntries
+	 * @return {AuditStore}
+	 */
+	constructor(options = {}){
+		let defaults = {
+			maxLimit: 100
+		};
+		Object.extend(defaults, options);
+		this.maxLimit = defaults.maxLimit;
+		return this;
+	}
+
+	/**
+	 * Connect to the underlying storage
+	 * @return {Promise}
+	 */
+	connect(){
+		return Promise.reject(new Error("connect must be implemented"));
+	}
+
+	/**
+	 * Close the underlying storage
+	 * @return {Promise}
+	 */
+	close(){
+		return Promise.reject(new Error("close must be implemented"));
+	}
+
+	/**
+	 * Save an entry
+	 * @param {object} entry
+	 * @param {string} entry.id
+	 * @param {string} entry.action
+	 * @param {string} entry.room
+	 * @param {string} entry.actorId
+	 * @param {string} entry.targetId
+	 * @param {number} entry.timestamp
+	 * @return {Promise<object>} resolves with the saved entry
+	 */
+	saveEntry(entry){
+		return Promise.reject(new Error("saveEntry must be implemented"));
+	}
+
+	/**
+	 * Get a page of entries, newest first.
+	 * @param {object} [filter] - only get entries that match every property
+	 * @param {string} [filter.room]
+	 * @param {string} [filter.action]
+	 * @param {string} [filter.actorId]
+	 * @param {string} [filter.targetId]
+	 * @param {object} [options]
+	 * @param {string} [options.before] - only get entries older than this entry id
+	 * @param {number} [options.limit] - max number of entries to get
+	 * @return {Promise<object[]>}
+	 */
+	getEntries(filter, options){
+		return Promise.reject(new Error("getEntries must be implemented"));
+	}
+
+	/**
+	 * Clamp a requested limit between 1 and the max limit
+	 * @param {number} [limit]
+	 * @return {number}
+	 */
+	clampLimit(limit){
+		limit = parseInt(limit, 10);
+		if(isNaN(limit) || limit < 1 || limit > this.maxLimit){
+			return this.maxLimit;
+		}
+		return limit;
+	}
+
+	/**
+	 * Remove filter properties that are not strings
+	 * @param {object} [filter={}]
+	 * @return {object}
+	 */
+	static cleanFilter(filter = {}){
+		let clean = {};
+		for(let key of AuditStore.filterKeys){
+			if(typeof filter[key] === "string" && filter[key].length){
+				clean[key] = filter[key];
+			}
+		}
+		return clean;
+	}
+}
+AuditStore.filterKeys = ["room", "action", "actorId", "targetId"];
+
+module.exports = AuditStore;
@@ -0,0 +1,95 @@
+/**
+ * Bot Store.
+ * Base interface for anything that persists bots that post over HTTP.
+ * All methods return Promises.
+ * Names are unique regardless of case,
+ * and each bot is found by a hash of its token.
+ * A store must implement
+ * - connect
+ * - close
+ * - createBot
+ * - getBot
+ * - getBotByName
+ * - getBotByTokenHash
+ * - getBots
+ * - deleteBot
+ */
+class BotStore {
+
+	/**
+	 * Connect to the underlying storage
+	 * @return {Promise}
+	 */
+	connect(){
+		return Promise.reject(new Error("connect must be implemented"));
+	}
+
+	/**
+	 * Close the underlying storage
+	 * @return {Promise}
+	 */
+	close(){
+		return Promise.reject(new Error("close must be implemented"));
+	}
+
+	/**
+	 * Create a bot.
+	 * Resolves with null if the name is taken.
+	 * @param {object} bot
+	 * @param {string} bot.id
+	 * @param {string} bot.name
+	 * @param {string[]} bot.rooms
+	 * @param {string} bot.tokenHash
+	 * @param {number} bot.created
+	 * @return {Promise<object|null>}
+	 */
+	createBot(bot){
+		return Promise.reject(new Error("createBot must be implemented"));
+	}
+
+	/**
+	 * Get a bot by id
+	 * @param {string} id
+	 * @return {Promise<object|null>}
+	 */
+	getBot(id){
+		return Promise.reject(new Error("getBot must be implemented"));
+	}
+
+	/**
+	 * Get a bot by name, ignoring case
+	 * @param {string} name
+	 * @return {Promise<object|null>}
+	 */
+	getBotByName(name){
+		return Promise.reject(new Error("getBotByName must be implemented"));
+	}
+
+	/**
+	 * Get a bot by the hash of its token
+	 * @param {string} tokenHash
+	 * @return {Promise<object|null>}
+	 */
+	getBotByTokenHash(tokenHash){
+		return Promise.reject(new Error("getBotByTokenHash must be implemented"));
+	}
+
+	/**
+	 * Get every bot, oldest first
+	 * @return {Promise<object[]>}
+	 */
+	getBots(){
+		return Promise.reject(new Error("getBots must be implemented"));
+	}
+
+	/**
+	 * Delete a bot
+	 * @param {string} id
+	 * @return {Promise<boolean>} whether it existed
+	 */
+	deleteBot(id){
+		return Promise.reject(new Error("deleteBot must be implemented"));
+	}
+}
+
+module.exports = BotStore;
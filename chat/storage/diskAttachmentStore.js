@@ -0,0 +1,213 @@
+const Fs = require('fs');
+const Path = require('path');
+const AttachmentStore = require('./attachmentStore');
+
+/**
+ * Disk Attachment Store.
+ * Keeps attachments in a directory on local disk.
+ * Each attachment is stored as three files named after its id:
+ * the file itself, a .thumb thumbnail, and a .json metadata file.
+ * @extends {AttachmentStore}
+ */
+class DiskAttachmentStore extends AttachmentStore {
+
+	/**
+	 * Constructor
+	 * @param {object} options
+	 * @param {string} options.path - directory to store attachments in
+	 * @return {DiskAttachmentStore}
+	 */
+	constructor(options){
+		super();
+		this.path = options.path;
+		return this;
+	}
+
+	/**
+	 * Create the directory if it does not exist
+	 * @return {Promise}
+	 */
+	connect(){
+		return Fs.promises.mkdir(this.path, {recursive: true});
+	}
+
+	/**
+	 * Close the store.
+	 * There is nothing to close.
+	 * @return {Promise}
+	 */
+	close(){
+		return Promise.resolve();
+	}
+
+	/**
+	 * Get the path of one of an attachment's files.
+	 * Ids are checked so that they cannot point outside the directory.
+	 * @param {string} id
+	 * @param {string} [extension=""]
+	 * @return {string|null} null if the id is invalid
+	 */
+	getFilePath(id, extension = ""){
+		if(typeof id !== "string" || !DiskAttachmentStore.idPattern.test(id)){
+			return null;
+		}
+		return Path.join(this.path, id + extension);
+	}
+
+	/**
+	 * Save an attachment.
+	 * The metadata is written last, so an attachment
+	 * only exists once all of its files do.
+	 * @param {object} attachment
+	 * @param {Buffer} data
+	 * @param {Buffer|null} thumbnail
+	 * @return {Promise<object>}
+	 */
+	saveAttachment(attachment, data, thumbnail){
+		let self = this;
+		let path = this.getFilePath(attachment.id);
+		if(!path){
+			return Promise.reject(new Error("Invalid attachment id"));
+		}
+		let writes = [Fs.promises.writeFile(path, data)];
+		if(thumbnail){
+			writes.push(Fs.promises.writeFile(this.getFilePath(attachment.id, ".thumb"), thumbnail));
+		}
+		return Promise.all(writes)
+			.then(function(){
+				return Fs.promises.writeFile(self.getFilePath(attachment.id, ".json"), JSON.stringify(attachment));
+			})
+			.then(function(){
+				return attachment;
+			});
+	}
+
+	/**
+	 * Get an attachment's metadata
+	 * @param {string} id
+	 * @return {Promise<object|null>}
+	 */
+	getAttachment(id){
+		let path = this.getFilePath(id, ".json");
+		if(!path){
+			return Promise.resolve(null);
+		}
+		return DiskAttachmentStore.readIfExists(path)
+			.then(function(data){
+				return data ? JSON.parse(data.toString()) : null;
+			});
+	}
+
+	/**
+	 * Read an attachment's file or thumbnail
+	 * @param {string} id
+	 * @param {boolean} [thumbnail=false]
+	 * @return {Promise<Buffer|null>}
+	 */
+	readFile(id, thumbnail = false){
+		let path = this.getFilePath(id, thumbnail ? ".thumb" : "");
+		if(!path){
+			return Promise.resolve(null);
+		}
+		return DiskAttachmentStore.readIfExists(path);
+	}
+
+	/**
+	 * Add a room to the rooms an attachment was sent to
+	 * @param {string} id
+	 * @param {string} room
+	 * @return {Promise<boolean>}
+	 */
+	addRoom(id, room){
+		let self = this;
+		return this.getAttachment(id)
+			.then(function(attachment){
+				if(!attachment){
+					return false;
+				}
+				let rooms = attachment.rooms || [];
+				if(rooms.includes(room)){
+					return true;
+				}
+				attachment.rooms = rooms.concat(room);
+				return Fs.promises.writeFile(self.getFilePath(id, ".json"), JSON.stringify(attachment))
+					.then(function(){
+						return true;
+					});
+			});
+	}
+
+	/**
+	 * Get attachments that were never sent to a room
+	 * @param {number} before
+	 * @return {Promise<object[]>}
+	 */
+	getUnattached(before){
+		let self = this;
+		return Fs.promises.readdir(this.path)
+			.then(function(files){
+				let ids = files
+					.filter(function(file){
+						return Path.extname(file) === ".json";
+					})
+					.map(function(file){
+						return Path.basename(file, ".json");
+					});
+				return Promise.all(ids.map(function(id){
+					return self.getAttachment(id);
+				}));
+			})
+			.then(function(attachments){
+				return attachments.filter(function(attachment){
+					return attachment && AttachmentStore.isUnattached(attachment, before);
+				});
+			});
+	}
+
+	/**
+	 * Delete an attachment
+	 * @param {string} id
+	 * @return {Promise<boolean>}
+	 */
+	deleteAttachment(id){
+		let self = this;
+		let path = this.getFilePath(id, ".json");
+		if(!path){
+			return Promise.resolve(false);
+		}
+		return Fs.promises.unlink(path)
+			.then(function(){
+				let files = [self.getFilePath(id), self.getFilePath(id, ".thumb")];
+				return Promise.all(files.map(function(file){
+					return Fs.promises.unlink(file).catch(function(){});
+				}));
+			})
+			.then(function(){
+				return true;
+			})
+			.catch(function(error){
+				if(error.code === "ENOENT"){
+					return false;
+				}
+				throw error;
+			});
+	}
+
+	/**
+	 * Read a file, or resolve with null if it does not exist
+	 * @param {string} path
+	 * @return {Promise<Buffer|null>}
+	 */
+	static readIfExists(path){
+		return Fs.promises.readFile(path)
+			.catch(function(error){
+				if(error.code === "ENOENT"){
+					return null;
+				}
+				throw error;
+			});
+	}
+}
+DiskAttachmentStore.idPattern = /^[a-f0-9]+$/;
+
+module.exports = DiskAttachmentStore;
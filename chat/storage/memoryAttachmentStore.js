@@ -0,0 +1,122 @@
+const AttachmentStore = require('./attachmentStore');
+
+/**
+ * Memory Attachment Store.
+ * Keeps attachments in memory.
+ * Nothing survives a restart, so this is meant for tests and development.
+ * @extends {AttachmentStore}
+ */
+class MemoryAttachmentStore extends AttachmentStore {
+
+	/**
+	 * Constructor
+	 * @return {MemoryAttachmentStore}
+	 */
+	constructor(){
+		super();
+		this.attachments = new Map();
+		return this;
+	}
+
+	/**
+	 * Connect to the store.
+	 * There is nothing to connect to.
+	 * @return {Promise}
+	 */
+	connect(){
+		return Promise.resolve();
+	}
+
+	/**
+	 * Close the store and drop all attachments
+	 * @return {Promise}
+	 */
+	close(){
+		this.attachments.clear();
+		return Promise.resolve();
+	}
+
+	/**
+	 * Save an attachment
+	 * @param {object} attachment
+	 * @param {Buffer} data
+	 * @param {Buffer|null} thumbnail
+	 * @return {Promise<object>}
+	 */
+	saveAttachment(attachment, data, thumbnail){
+		this.attachments.set(attachment.id, {
+			attachment: Object.assign({}, attachment),
+			data: data,
+			thumbnail: thumbnail
+		});
+		return Promise.resolve(attachment);
+	}
+
+	/**
+	 * Get an attachment's metadata
+	 * @param {string} id
+	 * @return {Promise<object|null>}
+	 */
+	getAttachment(id){
+		let entry = this.attachments.get(id);
+		return Promise.resolve(entry ? Object.assign({}, entry.attachment) : null);
+	}
+
+	/**
+	 * Read an attachment's file or thumbnail
+	 * @param {string} id
+	 * @param {boolean} [thumbnail=false]
+	 * @return {Promise<Buffer|null>}
+	 */
+	readFile(id, thumbnail = false){
+		let entry = this.attachments.get(id);
+		if(!entry){
+			return Promise.resolve(null);
+		}
+		return Promise.resolve(thumbnail ? entry.thumbnail : entry.data);
+	}
+
+	/**
+	 * Add a room to the rooms an attachment was sent to
+	 * @param {string} id
+	 * @param {string} room
+	 * @return {Promise<boolean>}
+	 */
+	addRoom(id, room){
+		let entry = this.attachments.get(id);
+		if(!entry){
+			return Promise.resolve(false);
+		}
+		let rooms = entry.attachment.rooms || [];
+		if(!rooms.includes(room)){
+			entry.attachment.rooms = rooms.concat(room);
+		}
+		return Promise.resolve(true);
+	}
+
+	/**
+	 * Get attachments that were never sent to a room
+	 * @param {number} before
+	 * @return {Promise<object[]>}
+	 */
+	getUnattached(before){
+		let attachments = [];
+		for(let entry of this.attachments.values()){
+			if(AttachmentStore.isUnattached(entry.attachment, before)){
+				attachments.push(Object.assign({}, entry.attachment));
+			}
+		}
+		return Promise.resolve(attachments);
+	}
+
+	/**
+	 * Delete an attachment
+	 * @param {string} id
+	 * @return {Promise<boolean>}
+	 */
+	deleteAttachment(id){
+		return Promise.resolve(this.attachments.delete(id));
+	}
+}
+
+module.exports = MemoryAttachmentStore;
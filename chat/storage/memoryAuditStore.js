@@ -0,0 +1,84 @@
+const AuditStore = require('./auditStore');
+
+/**
+ * Memory Audit Store.
+ * Keeps the audit log in memory.
+ * Nothing survives a restart, so this is meant for tests and development.
+ * @extends {AuditStore}
+ */
+class MemoryAuditStore extends AuditStore {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @return {MemoryAuditStore}
+	 */
+	constructor(options){
+		super(options);
+		this.entries = [];
+		return this;
+	}
+
+	/**
+	 * Connect to the store.
+	 * There is nothing to connect to.
+	 * @return {Promise}
+	 */
+	connect(){
+		return Promise.resolve();
+	}
+
+	/**
+	 * Close the store and drop all entries
+	 * @return {Promise}
+	 */
+	close(){
+		this.entries = [];
+		return Promise.resolve();
+	}
+
+	/**
+	 * Save an entry
+	 * @param {object} entry
+	 * @return {Promise<object>}
+	 */
+	saveEntry(entry){
+		this.entries.push(Object.assign({}, entry));
+		return Promise.resolve(entry);
+	}
+
+	/**
+	 * Get a page of entries, newest first.
+	 * @param {object} [filter]
+	 * @param {object} [options]
+	 * @param {string} [options.before]
+	 * @param {number} [options.limit]
+	 * @return {Promise<object[]>}
+	 */
+	getEntries(filter, options = {}){
+		filter = AuditStore.cleanFilter(filter);
+		let limit = this.clampLimit(options.limit);
+		let end = this.entries.length;
+		if(options.before){
+			end = this.entries.findIndex(function(entry){
+				return entry.id === options.before;
+			});
+			if(end === -1){
+				return Promise.resolve([]);
+			}
+		}
+		let page = [];
+		for(let i = end - 1; i >= 0 && page.length < limit; i--){
+			let entry = this.entries[i];
+			let matches = Object.keys(filter).every(function(key){
+				return entry[key] === filter[key];
+			});
+			if(matches){
+				page.push(Object.assign({}, entry));
+			}
+		}
+		return Promise.resolve(page);
+	}
+}
+
+module.exports = MemoryAuditStore;
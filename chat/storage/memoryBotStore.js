@@ -0,0 +1,123 @@
+const BotStore = require('./botStore');
+
+/**
+ * Memory Bot Store.
+ * Keeps bots in memory, so they only work in this process.
+ * Nothing survives a restart, so this is meant for tests and development.
+ * @extends {BotStore}
+ */
+class MemoryBotStore extends BotStore {
+
+	/**
+	 * Constructor
+	 * @return {MemoryBotStore}
+	 */
+	constructor(){
+		super();
+		this.bots = new Map();
+		return this;
+	}
+
+	/**
+	 * Connect to the store.
+	 * There is nothing to connect to.
+	 * @return {Promise}
+	 */
+	connect(){
+		return Promise.resolve();
+	}
+
+	/**
+	 * Close the store and drop all bots
+	 * @return {Promise}
+	 */
+	close(){
+		this.bots.clear();
+		return Promise.resolve();
+	}
+
+	/**
+	 * Find the stored copy of a bot
+	 * @param {function} match - called with each bot
+	 * @return {object|null}
+	 */
+	findBot(match){
+		for(let bot of this.bots.values()){
+			if(match(bot)){
+				return Object.assign({}, bot);
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Create a bot
+	 * @param {object} bot
+	 * @return {Promise<object|null>}
+	 */
+	createBot(bot){
+		let name = bot.name.toLowerCase();
+		let taken = this.findBot(function(other){
+			return other.name.toLowerCase() === name;
+		});
+		if(taken){
+			return Promise.resolve(null);
+		}
+		this.bots.set(bot.id, Object.assign({}, bot));
+		return Promise.resolve(Object.assign({}, bot));
+	}
+
+	/**
+	 * Get a bot by id
+	 * @param {string} id
+	 * @return {Promise<object|null>}
+	 */
+	getBot(id){
+		let bot = this.bots.get(id);
+		return Promise.resolve(bot ? Object.assign({}, bot) : null);
+	}
+
+	/**
+	 * Get a bot by name, ignoring case
+	 * @param {string} name
+	 * @return {Promise<object|null>}
+	 */
+	getBotByName(name){
+		name = String(name).toLowerCase();
+		return Promise.resolve(this.findBot(function(bot){
+			return bot.name.toLowerCase() === name;
+		}));
+	}
+
+	/**
+	 * Get a bot by the hash of its token
+	 * @param {string} tokenHash
+	 * @return {Promise<object|null>}
+	 */
+	getBotByTokenHash(tokenHash){
+		return Promise.resolve(this.findBot(function(bot){
+			return bot.tokenHash === tokenHash;
+		}));
+	}
+
+	/**
+	 * Get every bot, oldest first
+	 * @return {Promise<object[]>}
+	 */
+	getBots(){
+		return Promise.resolve(Array.from(this.bots.values()).map(function(bot){
+			return Object.assign({}, bot);
+		}));
+	}
+
+	/**
+	 * Delete a bot
+	 * @param {string} id
+	 * @return {Promise<boolean>}
+	 */
+	deleteBot(id){
+		return Promise.resolve(this.bots.delete(id));
+	}
+}
+
+module.exports = MemoryBotStore;
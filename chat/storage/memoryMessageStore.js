@@ -0,0 +1,286 @@
+const MessageStore = require('./messageStore');
+
+/**
+ * Memory Message Store.
+ * Keeps messages in memory, per room.
+ * Nothing survives a restart, so this is meant for tests and development.
+ * @extends {MessageStore}
+ */
+class MemoryMessageStore extends MessageStore {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @return {MemoryMessageStore}
+	 */
+	constructor(options){
+		super(options);
+		this.rooms = new Map();
+		this.sequences = new Map();
+		return this;
+	}
+
+	/**
+	 * Connect to the store.
+	 * There is nothing to connect to.
+	 * @return {Promise}
+	 */
+	connect(){
+		return Promise.resolve();
+	}
+
+	/**
+	 * Close the store and drop all messages
+	 * @return {Promise}
+	 */
+	close(){
+		this.rooms.clear();
+		this.sequences.clear();
+		return Promise.resolve();
+	}
+
+	/**
+	 * Get the messages of a room, oldest first.
+	 * Creates the list if it does not exist.
+	 * @param {string} room
+	 * @return {object[]}
+	 */
+	getRoom(room){
+		let messages = this.rooms.get(room);
+		if(!messages){
+			messages = [];
+			this.rooms.set(room, messages);
+		}
+		return messages;
+	}
+
+	/**
+	 * Save a message
+	 * @param {object} message
+	 * @return {Promise<object|null>} null if the sender already saved a message with its client id
+	 */
+	saveMessage(message){
+		let messages = this.getRoom(message.room);
+		let duplicate = typeof message.clientId !== "undefined" && messages.some(function(saved){
+			return saved.clientId === message.clientId && saved.senderId === message.senderId;
+		});
+		if(duplicate){
+			return Promise.resolve(null);
+		}
+		messages.push(Object.assign({}, message));
+		return Promise.resolve(message);
+	}
+
+	/**
+	 * Get the next sequence number of a room
+	 * @param {string} room
+	 * @return {Promise<number>}
+	 */
+	nextSequence(room){
+		let sequence = (this.sequences.get(room) || 0) + 1;
+		this.sequences.set(room, sequence);
+		return Promise.resolve(sequence);
+	}
+
+	/**
+	 * Find the stored copy of a message
+	 * @param {string} room
+	 * @param {string} id
+	 * @return {object|undefined}
+	 */
+	findMessage(room, id){
+		return this.getRoom(room).find(function(message){
+			return message.id === id;
+		});
+	}
+
+	/**
+	 * Get a message
+	 * @param {string} room
+	 * @param {string} id
+	 * @return {Promise<object|null>}
+	 */
+	getMessage(room, id){
+		let message = this.findMessage(room, id);
+		return Promise.resolve(message ? Object.assign({}, message) : null);
+	}
+
+	/**
+	 * Get a message by the id its sender's client gave it
+	 * @param {string} room
+	 * @param {string} senderId
+	 * @param {string} clientId
+	 * @return {Promise<object|null>}
+	 */
+	getMessageByClientId(room, senderId, clientId){
+		let message = this.getRoom(room).find(function(message){
+			return message.clientId === clientId && message.senderId === senderId;
+		});
+		return Promise.resolve(message ? Object.assign({}, message) : null);
+	}
+
+	/**
+	 * Get messages from a room with a higher sequence number, lowest first
+	 * @param {string} room
+	 * @param {number} sequence
+	 * @param {number} [limit]
+	 * @return {Promise<object[]>}
+	 */
+	getMessagesAfter(room, sequence, limit){
+		let messages = this.getRoom(room)
+			.filter(function(message){
+				return message.seq > sequence;
+			})
+			.sort(function(a, b){
+				return a.seq - b.seq;
+			})
+			.slice(0, this.clampLimit(limit));
+		return Promise.resolve(messages.map(function(message){
+			return Object.assign({}, message);
+		}));
+	}
+
+	/**
+	 * Get a page of messages from a room, oldest first.
+	 * @param {string} room
+	 * @param {object} [options]
+	 * @param {string} [options.before]
+	 * @param {number} [options.limit]
+	 * @param {string} [options.thread]
+	 * @return {Promise<object[]>}
+	 */
+	getMessages(room, options = {}){
+		let thread = options.thread || null;
+		let messages = this.getRoom(room).filter(function(message){
+			return (message.parentId || null) === thread;
+		});
+		let limit = this.clampLimit(options.limit);
+		let end = messages.length;
+		if(options.before){
+			end = messages.findIndex(function(message){
+				return message.id === options.before;
+			});
+			if(end === -1){
+				return Promise.resolve([]);
+			}
+		}
+		let page = messages.slice(Math.max(0, end - limit), end);
+		return Promise.resolve(page.map(function(message){
+			return Object.assign({}, message);
+		}));
+	}
+
+	/**
+	 * Update some properties of a message
+	 * @param {string} room
+	 * @param {string} id
+	 * @param {object} changes
+	 * @return {Promise<object|null>}
+	 */
+	updateMessage(room, id, changes){
+		let message = this.findMessage(room, id);
+		if(!message){
+			return Promise.resolve(null);
+		}
+		Object.assign(message, changes);
+		return Promise.resolve(Object.assign({}, message));
+	}
+
+	/**
+	 * Count a reply to a message that started a thread
+	 * @param {string} room
+	 * @param {string} id
+	 * @param {number} timestamp
+	 * @return {Promise<object|null>}
+	 */
+	addReply(room, id, timestamp){
+		let message = this.findMessage(room, id);
+		if(!message){
+			return Promise.resolve(null);
+		}
+		message.replyCount = (message.replyCount || 0) + 1;
+		message.lastReplyAt = Math.max(message.lastReplyAt || 0, timestamp);
+		return Promise.resolve(Object.assign({}, message));
+	}
+
+	/**
+	 * Add a user's reaction to a message
+	 * @param {string} room
+	 * @param {string} id
+	 * @param {string} emoji
+	 * @param {string} userId
+	 * @return {Promise<object|null>}
+	 */
+	addReaction(room, id, emoji, userId){
+		let message = this.findMessage(room, id);
+		if(!message){
+			return Promise.resolve(null);
+		}
+		let reactions = Object.assign({}, message.reactions);
+		let users = reactions[emoji] || [];
+		if(!users.includes(userId)){
+			reactions[emoji] = users.concat(userId);
+		}
+		message.reactions = reactions;
+		return Promise.resolve(Object.assign({}, message));
+	}
+
+	/**
+	 * Remove a user's reaction from a message
+	 * @param {string} room
+	 * @param {string} id
+	 * @param {string} emoji
+	 * @param {string} userId
+	 * @return {Promise<object|null>}
+	 */
+	removeReaction(room, id, emoji, userId){
+		let message = this.findMessage(room, id);
+		if(!message){
+			return Promise.resolve(null);
+		}
+		let reactions = Object.assign({}, message.reactions);
+		let users = (reactions[emoji] || []).filter(function(id){
+			return id !== userId;
+		});
+		if(users.length){
+			reactions[emoji] = users;
+		}
+		else {
+			delete reactions[emoji];
+		}
+		message.reactions = reactions;
+		return Promise.resolve(Object.assign({}, message));
+	}
+
+	/**
+	 * Check if any message has an attachment
+	 * @param {string} attachmentId
+	 * @return {Promise<boolean>}
+	 */
+	isAttachmentUsed(attachmentId){
+		for(let messages of this.rooms.values()){
+			for(let message of messages){
+				let used = (message.attachments || []).some(function(attachment){
+					return attachment.id === attachmentId;
+				});
+				if(used){
+					return Promise.resolve(true);
+				}
+			}
+		}
+		return Promise.resolve(false);
+	}
+
+	/**
+	 * Delete every message in a room
+	 * @param {string} room
+	 * @return {Promise<number>}
+	 */
+	deleteRoom(room){
+		let count = this.getRoom(room).length;
+		this.rooms.delete(room);
+		return Promise.resolve(count);
+	}
+}
+
+module.exports = MemoryMessageStore;
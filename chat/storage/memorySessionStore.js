@@ -0,0 +1,86 @@
+const SessionStore = require('./sessionStore');
+
+/**
+ * Memory Session Store.
+ * Keeps sessions in memory, so they only work in this process.
+ * Nothing survives a restart, so this is meant for tests and development.
+ * @extends {SessionStore}
+ */
+class MemorySessionStore extends SessionStore {
+
+	/**
+	 * Constructor
+	 * @return {MemorySessionStore}
+	 */
+	constructor(){
+		super();
+		this.sessions = new Map();
+		return this;
+	}
+
+	/**
+	 * Connect to the store.
+	 * There is nothing to connect to.
+	 * @return {Promise}
+	 */
+	connect(){
+		return Promise.resolve();
+	}
+
+	/**
+	 * Close the store and drop all sessions
+	 * @return {Promise}
+	 */
+	close(){
+		this.sessions.clear();
+		return Promise.resolve();
+	}
+
+	/**
+	 * Save a session.
+	 * Expired sessions are deleted first.
+	 * @param {object} session
+	 * @return {Promise<object>}
+	 */
+	saveSession(session){
+		this.deleteExpiredSessions();
+		this.sessions.set(session.id, Object.assign({}, session));
+		return Promise.resolve(session);
+	}
+
+	/**
+	 * Get a session
+	 * @param {string} id
+	 * @return {Promise<object|null>}
+	 */
+	getSession(id){
+		let session = this.sessions.get(id);
+		return Promise.resolve(session ? Object.assign({}, session) : null);
+	}
+
+	/**
+	 * Delete a session
+	 * @param {string} id
+	 * @return {Promise}
+	 */
+	deleteSession(id){
+		this.sessions.delete(id);
+		return Promise.resolve();
+	}
+
+	/**
+	 * Delete all expired sessions
+	 * @return {MemorySessionStore}
+	 */
+	deleteExpiredSessions(){
+		let now = Date.now();
+		for(let [id, session] of this.sessions){
+			if(session.expires <= now){
+				this.sessions.delete(id);
+			}
+		}
+		return this;
+	}
+}
+
+module.exports = MemorySessionStore;
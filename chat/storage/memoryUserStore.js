@@ -0,0 +1,101 @@
+const UserStore = require('./userStore');
+
+/**
+ * Memory User Store.
+ * Keeps users in memory.
+ * Nothing survives a restart, so this is meant for tests and development.
+ * @extends {UserStore}
+ */
+class MemoryUserStore extends UserStore {
+
+	/**
+	 * Constructor
+	 * @return {MemoryUserStore}
+	 */
+	constructor(){
+		super();
+		this.users = new Map();
+		this.names = new Map();
+		return this;
+	}
+
+	/**
+	 * Connect to the store.
+	 * There is nothing to connect to.
+	 * @return {Promise}
+	 */
+	connect(){
+		return Promise.resolve();
+	}
+
+	/**
+	 * Close the store and drop all users
+	 * @return {Promise}
+	 */
+	close(){
+		this.users.clear();
+		this.names.clear();
+		return Promise.resolve();
+	}
+
+	/**
+	 * Create a user
+	 * @param {object} user
+	 * @return {Promise<object|null>}
+	 */
+	createUser(user){
+		let key = user.name.toLowerCase();
+		if(this.names.has(key)){
+			return Promise.resolve(null);
+		}
+		this.users.set(user.id, Object.assign({}, user));
+		this.names.set(key, user.id);
+		return Promise.resolve(Object.assign({}, user));
+	}
+
+	/**
+	 * Get a user by id
+	 * @param {string} id
+	 * @return {Promise<object|null>}
+	 */
+	getUser(id){
+		let user = this.users.get(id);
+		return Promise.resolve(user ? Object.assign({}, user) : null);
+	}
+
+	/**
+	 * Get a user by name, ignoring case
+	 * @param {string} name
+	 * @return {Promise<object|null>}
+	 */
+	getUserByName(name){
+		let id = this.names.get(String(name).toLowerCase());
+		return this.getUser(id);
+	}
+
+	/**
+	 * Update some properties of a user
+	 * @param {string} id
+	 * @param {object} properties
+	 * @return {Promise<object|null>}
+	 */
+	updateUser(id, properties){
+		let user = this.users.get(id);
+		if(!user){
+			return Promise.resolve(null);
+		}
+		if(typeof properties.name === "string"){
+			let key = properties.name.toLowerCase();
+			let owner = this.names.get(key);
+			if(typeof owner !== "undefined" && owner !== id){
+				return Promise.resolve(null);
+			}
+			this.names.delete(user.name.toLowerCase());
+			this.names.set(key, id);
+		}
+		Object.assign(user, properties);
+		return Promise.resolve(Object.assign({}, user));
+	}
+}
+
+module.exports = MemoryUserStore;
\ No newline at end of file
@@ -0,0 +1,100 @@
+const WebhookStore = require('./webhookStore');
+
+/**
+ * Memory Webhook Store.
+ * Keeps webhooks in memory, so they only work in this process.
+ * Nothing survives a restart, so this is meant for tests and development.
+ * @extends {WebhookStore}
+ */
+class MemoryWebhookStore extends WebhookStore {
+
+	/**
+	 * Constructor
+	 * @return {MemoryWebhookStore}
+	 */
+	constructor(){
+		super();
+		this.webhooks = new Map();
+		return this;
+	}
+
+	/**
+	 * Connect to the store.
+	 * There is nothing to connect to.
+	 * @return {Promise}
+	 */
+	connect(){
+		return Promise.resolve();
+	}
+
+	/**
+	 * Close the store and drop all webhooks
+	 * @return {Promise}
+	 */
+	close(){
+		this.webhooks.clear();
+		return Promise.resolve();
+	}
+
+	/**
+	 * Save a webhook
+	 * @param {object} webhook
+	 * @return {Promise<object>}
+	 */
+	saveWebhook(webhook){
+		this.webhooks.set(webhook.id, Object.assign({}, webhook));
+		return Promise.resolve(webhook);
+	}
+
+	/**
+	 * Get a webhook
+	 * @param {string} id
+	 * @return {Promise<object|null>}
+	 */
+	getWebhook(id){
+		let webhook = this.webhooks.get(id);
+		return Promise.resolve(webhook ? Object.assign({}, webhook) : null);
+	}
+
+	/**
+	 * Get the webhooks of a room, oldest first
+	 * @param {string} room
+	 * @return {Promise<object[]>}
+	 */
+	getRoomWebhooks(room){
+		let webhooks = [];
+		for(let webhook of this.webhooks.values()){
+			if(webhook.room === room){
+				webhooks.push(Object.assign({}, webhook));
+			}
+		}
+		return Promise.resolve(webhooks);
+	}
+
+	/**
+	 * Delete a webhook
+	 * @param {string} id
+	 * @return {Promise<boolean>}
+	 */
+	deleteWebhook(id){
+		return Promise.resolve(this.webhooks.delete(id));
+	}
+
+	/**
+	 * Delete every webhook of a room
+	 * @param {string} room
+	 * @return {Promise<number>}
+	 */
+	deleteRoomWebhooks(room){
+		let count = 0;
+		for(let [id, webhook] of this.webhooks){
+			if(webhook.room === room){
+				this.webhooks.delete(id);
+				count++;
+			}
+		}
+		return Promise.resolve(count);
+	}
+}
+
+module.exports = MemoryWebhookStore;
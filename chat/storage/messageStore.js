@@ -0,0 +1,230 @@
+/**
+ * Message Store.
+ * Base interface for anything that persists chat messages.
+ * All methods return Promises so that stores can be backed
+ * by memory, a database, or anything else.
+ * A store must implement
+ * - connect
+ * - close
+ * - saveMessage
+ * - nextSequence
+ * - getMessage
+ * - getMessageByClientId
+ * - getMessages
+ * - getMessagesAfter
+ * - updateMessage
+ * - addReply
+ * - addReaction
+ * - removeReaction
+ * - isAttachmentUsed
+ * - deleteRoom
+ */
+class MessageStore {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @param {number} [options.maxLimit=100] - max number of messages returned by getMessages
+	 * @return {MessageStore}
+	 */
+	constructor(options = {}){
+		let defaults = {
+			maxLimit: 100
+		};
+		Object.extend(defaults, options);
+		this.maxLimit = defaults.maxLimit;
+		return this;
+	}
+
+	/**
+	 * Connect to the underlying storage
+	 * @return {Promise}
+	 */
+	connect(){
+		return Promise.reject(new Error("connect must be implemented"));
+	}
+
+	/**
+	 * Close the underlying storage
+	 * @return {Promise}
+	 */
+	close(){
+		return Promise.reject(new Error("close must be implemented"));
+	}
+
+	/**
+	 * Save a message.
+	 * A sender's client ids are unique within a room, so a message
+	 * sent twice is only saved once, even by servers sharing the store.
+	 * @param {object} message
+	 * @param {string} message.id
+	 * @param {string} message.room
+	 * @param {string} message.sender
+	 * @param {string} message.text
+	 * @param {number} message.timestamp
+	 * @param {string} [message.clientId]
+	 * @return {Promise<object|null>} resolves with the saved message,
+	 * or null if the sender already saved a message with the same client id
+	 */
+	saveMessage(message){
+		return Promise.reject(new Error("saveMessage must be implemented"));
+	}
+
+	/**
+	 * Get the next sequence number of a room.
+	 * Sequence numbers start at 1 and only go up, 
+	 * so clients can tell which messages they missed.
+	 * @param {string} room
+	 * @return {Promise<number>}
+	 */
+	nextSequence(room){
+		return Promise.reject(new Error("nextSequence must be implemented"));
+	}
+
+	/**
+	 * Get a message
+	 * @param {string} room
+	 * @param {string} id
+	 * @return {Promise<object|null>} null if it does not exist
+	 */
+	getMessage(room, id){
+		return Promise.reject(new Error("getMessage must be implemented"));
+	}
+
+	/**
+	 * Get a message by the id its sender's client gave it
+	 * @param {string} room
+	 * @param {string} senderId
+	 * @param {string} clientId
+	 * @return {Promise<object|null>} null if it does not exist
+	 */
+	getMessageByClientId(room, senderId, clientId){
+		return Promise.reject(new Error("getMessageByClientId must be implemented"));
+	}
+
+	/**
+	 * Get a page of messages from a room, oldest first.
+	 * Replies to threads are only returned when asking for that thread.
+	 * @param {string} room
+	 * @param {object} [options]
+	 * @param {string} [options.before] - only get messages older than this message id
+	 * @param {number} [options.limit] - max number of messages to get
+	 * @param {string} [options.thread] - only get replies to this message id
+	 * @return {Promise<object[]>}
+	 */
+	getMessages(room, options){
+		return Promise.reject(new Error("getMessages must be implemented"));
+	}
+
+	/**
+	 * Get messages from a room with a higher sequence number, lowest first.
+	 * Unlike getMessages, this includes replies to threads.
+	 * @param {string} room
+	 * @param {number} sequence - only get messages after this sequence number
+	 * @param {number} [limit] - max number of messages to get
+	 * @return {Promise<object[]>}
+	 */
+	getMessagesAfter(room, sequence, limit){
+		return Promise.reject(new Error("getMessagesAfter must be implemented"));
+	}
+
+	/**
+	 * Update some properties of a message
+	 * @param {string} room
+	 * @param {string} id
+	 * @param {object} changes - properties to set
+	 * @return {Promise<object|null>} resolves with the updated message, or null if it does not exist
+	 */
+	updateMessage(room, id, changes){
+		return Promise.reject(new Error("updateMessage must be implemented"));
+	}
+
+	/**
+	 * Count a reply to a message that started a thread.
+	 * Increments the message's replyCount and sets its lastReplyAt.
+	 * @param {string} room
+	 * @param {string} id
+	 * @param {number} timestamp - when the reply was sent
+	 * @return {Promise<object|null>} resolves with the updated message, or null if it does not exist
+	 */
+	addReply(room, id, timestamp){
+		return Promise.reject(new Error("addReply must be implemented"));
+	}
+
+	/**
+	 * Add a user's reaction to a message.
+	 * Reactions are kept as an object of emoji to the ids of users who reacted.
+	 * Adding a reaction twice has no effect.
+	 * @param {string} room
+	 * @param {string} id
+	 * @param {string} emoji
+	 * @param {string} userId
+	 * @return {Promise<object|null>} resolves with the updated message, or null if it does not exist
+	 */
+	addReaction(room, id, emoji, userId){
+		return Promise.reject(new Error("addReaction must be implemented"));
+	}
+
+	/**
+	 * Remove a user's reaction from a message.
+	 * Emoji that no one reacted with are removed.
+	 * @param {string} room
+	 * @param {string} id
+	 * @param {string} emoji
+	 * @param {string} userId
+	 * @return {Promise<object|null>} resolves with the updated message, or null if it does not exist
+	 */
+	removeReaction(room, id, emoji, userId){
+		return Promise.reject(new Error("removeReaction must be implemented"));
+	}
+
+	/**
+	 * Check if any message, in any room, has an attachment.
+	 * The same attachment can be sent with several messages,
+	 * so its file is only deleted once none of them have it.
+	 * @param {string} attachmentId
+	 * @return {Promise<boolean>}
+	 */
+	isAttachmentUsed(attachmentId){
+		return Promise.reject(new Error("isAttachmentUsed must be implemented"));
+	}
+
+	/**
+	 * Delete every message in a room, including replies to threads.
+	 * The room's sequence number is kept, so it still only goes up
+	 * if a room with the same name is created again.
+	 * @param {string} room
+	 * @return {Promise<number>} resolves with the number of deleted messages
+	 */
+	deleteRoom(room){
+		return Promise.reject(new Error("deleteRoom must be implemented"));
+	}
+
+	/**
+	 * Clamp a requested limit between 1 and the max limit
+	 * @param {number} [limit]
+	 * @return {number}
+	 */
+	clampLimit(limit){
+		limit = parseInt(limit, 10);
+		if(isNaN(limit) || limit < 1 || limit > this.maxLimit){
+			return this.maxLimit;
+		}
+		return limit;
+	}
+
+	/**
+	 * Compare two messages by timestamp, then id
+	 * @param {object} a
+	 * @param {object} b
+	 * @return {number}
+	 */
+	static compareMessages(a, b){
+		if(a.timestamp !== b.timestamp){
+			return a.timestamp - b.timestamp;
+		}
+		return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+	}
+}
+
+module.exports = MessageStore;
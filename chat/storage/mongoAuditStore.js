@@ -0,0 +1,136 @@
+const MongoClient = require('mongodb').MongoClient;
+const AuditStore = require('./auditStore');
+
+/**
+ * Mongo Audit Store.
+ * Persists the audit log to a MongoDB collection.
+ * @extends {AuditStore}
+ */
+class MongoAuditStore extends AuditStore {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @param {string} [options.url="mongodb://localhost:27017"]
+	 * @param {string} [options.database="chatserver"]
+	 * @param {string} [options.collection="audit"]
+	 * @return {MongoAuditStore}
+	 */
+	constructor(options = {}){
+		super(options);
+		let defaults = {
+			url: "mongodb://localhost:27017",
+			database: "chatserver",
+			collection: "audit"
+		};
+		Object.extend(defaults, options);
+		this.url = defaults.url;
+		this.databaseName = defaults.database;
+		this.collectionName = defaults.collection;
+		this.client = null;
+		this.db = null;
+		this.collection = null;
+		return this;
+	}
+
+	/**
+	 * Connect to MongoDB and create indexes
+	 * @return {Promise}
+	 */
+	connect(){
+		let self = this;
+		return MongoClient.connect(this.url, {useNewUrlParser: true, useUnifiedTopology: true})
+			.then(function(client){
+				self.client = client;
+				self.db = client.db(self.databaseName);
+				return self.createCollection(self.collectionName);
+			});
+	}
+
+	/**
+	 * Get a collection and create its indexes
+	 * @param {string} name
+	 * @return {Promise<Collection>}
+	 */
+	createCollection(name){
+		let self = this;
+		let collection = this.db.collection(name);
+		return Promise.all([
+				collection.createIndex({id: 1}, {unique: true}),
+				collection.createIndex({timestamp: -1, id: -1}),
+				collection.createIndex({room: 1, timestamp: -1, id: -1})
+			])
+			.then(function(){
+				self.collection = collection;
+				return collection;
+			});
+	}
+
+	/**
+	 * Close the MongoDB connection
+	 * @return {Promise}
+	 */
+	close(){
+		if(!this.client){
+			return Promise.resolve();
+		}
+		let client = this.client;
+		this.client = null;
+		this.db = null;
+		this.collection = null;
+		return client.close();
+	}
+
+	/**
+	 * Save an entry
+	 * @param {object} entry
+	 * @return {Promise<object>}
+	 */
+	saveEntry(entry){
+		return this.collection.insertOne(Object.assign({}, entry))
+			.then(function(){
+				return entry;
+			});
+	}
+
+	/**
+	 * Get a page of entries, newest first.
+	 * @param {object} [filter]
+	 * @param {object} [options]
+	 * @param {string} [options.before]
+	 * @param {number} [options.limit]
+	 * @return {Promise<object[]>}
+	 */
+	getEntries(filter, options = {}){
+		let self = this;
+		filter = AuditStore.cleanFilter(filter);
+		let limit = this.clampLimit(options.limit);
+		let query = Promise.resolve(filter);
+		if(options.before){
+			query = this.collection.findOne({id: options.before})
+				.then(function(before){
+					if(!before){
+						return null;
+					}
+					return Object.assign({
+						$or: [
+							{timestamp: {$lt: before.timestamp}},
+							{timestamp: before.timestamp, id: {$lt: before.id}}
+						]
+					}, filter);
+				});
+		}
+		return query.then(function(query){
+			if(!query){
+				return [];
+			}
+			return self.collection.find(query)
+				.project({_id: 0})
+				.sort({timestamp: -1, id: -1})
+				.limit(limit)
+				.toArray();
+		});
+	}
+}
+
+module.exports = MongoAuditStore;
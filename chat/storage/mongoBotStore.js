@@ -0,0 +1,142 @@
+const MongoClient = require('mongodb').MongoClient;
+const BotStore = require('./botStore');
+
+/**
+ * Mongo Bot Store.
+ * Persists bots to a MongoDB collection,
+ * so every process using the same database authenticates them.
+ * A lowercase copy of each name is stored to keep names unique regardless of case.
+ * @extends {BotStore}
+ */
+class MongoBotStore extends BotStore {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @param {string} [options.url="mongodb://localhost:27017"]
+	 * @param {string} [options.database="chatserver"]
+	 * @param {string} [options.collection="bots"]
+	 * @return {MongoBotStore}
+	 */
+	constructor(options = {}){
+		super();
+		let defaults = {
+			url: "mongodb://localhost:27017",
+			database: "chatserver",
+			collection: "bots"
+		};
+		Object.extend(defaults, options);
+		this.url = defaults.url;
+		this.databaseName = defaults.database;
+		this.collectionName = defaults.collection;
+		this.client = null;
+		this.collection = null;
+		return this;
+	}
+
+	/**
+	 * Connect to MongoDB and create indexes
+	 * @return {Promise}
+	 */
+	connect(){
+		let self = this;
+		return MongoClient.connect(this.url, {useNewUrlParser: true, useUnifiedTopology: true})
+			.then(function(client){
+				self.client = client;
+				let collection = client.db(self.databaseName).collection(self.collectionName);
+				return Promise.all([
+						collection.createIndex({id: 1}, {unique: true}),
+						collection.createIndex({nameLower: 1}, {unique: true}),
+						collection.createIndex({tokenHash: 1}, {unique: true})
+					])
+					.then(function(){
+						self.collection = collection;
+					});
+			});
+	}
+
+	/**
+	 * Close the MongoDB connection
+	 * @return {Promise}
+	 */
+	close(){
+		if(!this.client){
+			return Promise.resolve();
+		}
+		let client = this.client;
+		this.client = null;
+		this.collection = null;
+		return client.close();
+	}
+
+	/**
+	 * Create a bot
+	 * @param {object} bot
+	 * @return {Promise<object|null>}
+	 */
+	createBot(bot){
+		let document = Object.assign({nameLower: bot.name.toLowerCase()}, bot);
+		return this.collection.insertOne(document)
+			.then(function(){
+				return Object.assign({}, bot);
+			})
+			.catch(function(error){
+				// duplicate key
+				if(error.code === 11000){
+					return null;
+				}
+				throw error;
+			});
+	}
+
+	/**
+	 * Get a bot by id
+	 * @param {string} id
+	 * @return {Promise<object|null>}
+	 */
+	getBot(id){
+		return this.collection.findOne({id: id}, {projection: {_id: 0, nameLower: 0}});
+	}
+
+	/**
+	 * Get a bot by name, ignoring case
+	 * @param {string} name
+	 * @return {Promise<object|null>}
+	 */
+	getBotByName(name){
+		return this.collection.findOne({nameLower: String(name).toLowerCase()}, {projection: {_id: 0, nameLower: 0}});
+	}
+
+	/**
+	 * Get a bot by the hash of its token
+	 * @param {string} tokenHash
+	 * @return {Promise<object|null>}
+	 */
+	getBotByTokenHash(tokenHash){
+		return this.collection.findOne({tokenHash: tokenHash}, {projection: {_id: 0, nameLower: 0}});
+	}
+
+	/**
+	 * Get every bot, oldest first
+	 * @return {Promise<object[]>}
+	 */
+	getBots(){
+		return this.collection.find({}, {projection: {_id: 0, nameLower: 0}})
+			.sort({created: 1})
+			.toArray();
+	}
+
+	/**
+	 * Delete a bot
+	 * @param {string} id
+	 * @return {Promise<boolean>}
+	 */
+	deleteBot(id){
+		return this.collection.deleteOne({id: id})
+			.then(function(result){
+				return result.deletedCount > 0;
+			});
+	}
+}
+
+module.exports = MongoBotStore;
@@ -0,0 +1,316 @@
+const MongoClient = require('mongodb').MongoClient;
+const MessageStore = require('./messageStore');
+
+/**
+ * Mongo Message Store.
+ * Persists messages to a MongoDB collection.
+ * @extends {MessageStore}
+ */
+class MongoMessageStore extends MessageStore {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @param {string} [options.url="mongodb://localhost:27017"]
+	 * @param {string} [options.database="chatserver"]
+	 * @param {string} [options.collection="messages"]
+	 * @param {string} [options.sequenceCollection="sequences"] - where the sequence number of each room is kept
+	 * @return {MongoMessageStore}
+	 */
+	constructor(options = {}){
+		super(options);
+		let defaults = {
+			url: "mongodb://localhost:27017",
+			database: "chatserver",
+			collection: "messages",
+			sequenceCollection: "sequences"
+		};
+		Object.extend(defaults, options);
+		this.url = defaults.url;
+		this.databaseName = defaults.database;
+		this.collectionName = defaults.collection;
+		this.sequenceCollectionName = defaults.sequenceCollection;
+		this.client = null;
+		this.db = null;
+		this.collection = null;
+		this.sequences = null;
+		return this;
+	}
+
+	/**
+	 * Connect to MongoDB and create indexes
+	 * @return {Promise}
+	 */
+	connect(){
+		let self = this;
+		return MongoClient.connect(this.url, {useNewUrlParser: true, useUnifiedTopology: true})
+			.then(function(client){
+				self.client = client;
+				self.db = client.db(self.databaseName);
+				self.sequences = self.db.collection(self.sequenceCollectionName);
+				return self.createCollection(self.collectionName);
+			});
+	}
+
+	/**
+	 * Get a collection and create its indexes
+	 * @param {string} name
+	 * @return {Promise<Collection>}
+	 */
+	createCollection(name){
+		let self = this;
+		let collection = this.db.collection(name);
+		return Promise.all([
+				collection.createIndex({id: 1}, {unique: true}),
+				collection.createIndex({room: 1, parentId: 1, timestamp: -1, id: -1}),
+				collection.createIndex({room: 1, seq: 1}),
+				collection.createIndex({room: 1, senderId: 1, clientId: 1}, {
+					unique: true,
+					partialFilterExpression: {clientId: {$exists: true}}
+				}),
+				collection.createIndex({"attachments.id": 1}, {sparse: true})
+			])
+			.then(function(){
+				self.collection = collection;
+				return collection;
+			});
+	}
+
+	/**
+	 * Close the MongoDB connection
+	 * @return {Promise}
+	 */
+	close(){
+		if(!this.client){
+			return Promise.resolve();
+		}
+		let client = this.client;
+		this.client = null;
+		this.db = null;
+		this.collection = null;
+		this.sequences = null;
+		return client.close();
+	}
+
+	/**
+	 * Save a message
+	 * @param {object} message
+	 * @return {Promise<object|null>} null if the sender already saved a message with its client id
+	 */
+	saveMessage(message){
+		return this.collection.insertOne(Object.assign({}, message))
+			.then(function(){
+				return message;
+			})
+			.catch(function(error){
+				// duplicate key
+				if(error.code === 11000 && typeof message.clientId !== "undefined"){
+					return null;
+				}
+				throw error;
+			});
+	}
+
+	/**
+	 * Get a message
+	 * @param {string} room
+	 * @param {string} id
+	 * @return {Promise<object|null>}
+	 */
+	getMessage(room, id){
+		return this.collection.findOne({room: room, id: id}, {projection: {_id: 0}});
+	}
+
+	/**
+	 * Get the next sequence number of a room.
+	 * The counter is incremented atomically, 
+	 * so servers sharing the database never hand out the same number.
+	 * @param {string} room
+	 * @return {Promise<number>}
+	 */
+	nextSequence(room){
+		return this.sequences.findOneAndUpdate({_id: room}, {$inc: {seq: 1}}, {
+				upsert: true,
+				returnOriginal: false
+			})
+			.then(function(result){
+				return result.value.seq;
+			});
+	}
+
+	/**
+	 * Get a message by the id its sender's client gave it
+	 * @param {string} room
+	 * @param {string} senderId
+	 * @param {string} clientId
+	 * @return {Promise<object|null>}
+	 */
+	getMessageByClientId(room, senderId, clientId){
+		return this.collection.findOne({room: room, senderId: senderId, clientId: clientId}, {projection: {_id: 0}});
+	}
+
+	/**
+	 * Get messages from a room with a higher sequence number, lowest first
+	 * @param {string} room
+	 * @param {number} sequence
+	 * @param {number} [limit]
+	 * @return {Promise<object[]>}
+	 */
+	getMessagesAfter(room, sequence, limit){
+		return this.collection.find({room: room, seq: {$gt: sequence}})
+			.project({_id: 0})
+			.sort({seq: 1})
+			.limit(this.clampLimit(limit))
+			.toArray();
+	}
+
+	/**
+	 * Get a page of messages from a room, oldest first.
+	 * @param {string} room
+	 * @param {object} [options]
+	 * @param {string} [options.before]
+	 * @param {number} [options.limit]
+	 * @param {string} [options.thread]
+	 * @return {Promise<object[]>}
+	 */
+	getMessages(room, options = {}){
+		let self = this;
+		let limit = this.clampLimit(options.limit);
+		// null also matches messages without a parentId, which are not replies
+		let parentId = options.thread || null;
+		let query = Promise.resolve({room: room, parentId: parentId});
+		if(options.before){
+			query = this.collection.findOne({room: room, id: options.before})
+				.then(function(before){
+					if(!before){
+						return null;
+					}
+					return {
+						room: room,
+						parentId: parentId,
+						$or: [
+							{timestamp: {$lt: before.timestamp}},
+							{timestamp: before.timestamp, id: {$lt: before.id}}
+						]
+					};
+				});
+		}
+		return query.then(function(filter){
+			if(!filter){
+				return [];
+			}
+			return self.collection.find(filter)
+				.project({_id: 0})
+				.sort({timestamp: -1, id: -1})
+				.limit(limit)
+				.toArray()
+				.then(function(messages){
+					return messages.reverse();
+				});
+		});
+	}
+
+	/**
+	 * Apply an update to a message
+	 * @param {object} filter - matched along with the room and id
+	 * @param {object} update - a MongoDB update document
+	 * @return {Promise<object|null>} the updated message
+	 */
+	findAndUpdate(filter, update){
+		return this.collection.findOneAndUpdate(filter, update, {
+				returnOriginal: false,
+				projection: {_id: 0}
+			})
+			.then(function(result){
+				return result.value;
+			});
+	}
+
+	/**
+	 * Update some properties of a message
+	 * @param {string} room
+	 * @param {string} id
+	 * @param {object} changes
+	 * @return {Promise<object|null>}
+	 */
+	updateMessage(room, id, changes){
+		return this.findAndUpdate({room: room, id: id}, {$set: changes});
+	}
+
+	/**
+	 * Count a reply to a message that started a thread
+	 * @param {string} room
+	 * @param {string} id
+	 * @param {number} timestamp
+	 * @return {Promise<object|null>}
+	 */
+	addReply(room, id, timestamp){
+		return this.findAndUpdate({room: room, id: id}, {
+			$inc: {replyCount: 1},
+			$max: {lastReplyAt: timestamp}
+		});
+	}
+
+	/**
+	 * Add a user's reaction to a message
+	 * @param {string} room
+	 * @param {string} id
+	 * @param {string} emoji
+	 * @param {string} userId
+	 * @return {Promise<object|null>}
+	 */
+	addReaction(room, id, emoji, userId){
+		return this.findAndUpdate({room: room, id: id}, {$addToSet: {["reactions." + emoji]: userId}});
+	}
+
+	/**
+	 * Remove a user's reaction from a message.
+	 * If no one else reacted with the emoji, it is unset with a second update.
+	 * @param {string} room
+	 * @param {string} id
+	 * @param {string} emoji
+	 * @param {string} userId
+	 * @return {Promise<object|null>}
+	 */
+	removeReaction(room, id, emoji, userId){
+		let self = this;
+		let key = "reactions." + emoji;
+		return this.findAndUpdate({room: room, id: id}, {$pull: {[key]: userId}})
+			.then(function(message){
+				if(!message || !message.reactions || !message.reactions[emoji] || message.reactions[emoji].length){
+					return message;
+				}
+				return self.findAndUpdate({room: room, id: id, [key]: {$size: 0}}, {$unset: {[key]: ""}})
+					.then(function(updated){
+						// someone reacted again in between
+						return updated || self.getMessage(room, id);
+					});
+			});
+	}
+
+	/**
+	 * Check if any message has an attachment
+	 * @param {string} attachmentId
+	 * @return {Promise<boolean>}
+	 */
+	isAttachmentUsed(attachmentId){
+		return this.collection.findOne({"attachments.id": attachmentId}, {projection: {_id: 1}})
+			.then(function(message){
+				return message !== null;
+			});
+	}
+
+	/**
+	 * Delete every message in a room
+	 * @param {string} room
+	 * @return {Promise<number>}
+	 */
+	deleteRoom(room){
+		return this.collection.deleteMany({room: room})
+			.then(function(result){
+				return result.deletedCount;
+			});
+	}
+}
+
+module.exports = MongoMessageStore;
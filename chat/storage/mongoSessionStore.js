@@ -0,0 +1,104 @@
+const MongoClient = require('mongodb').MongoClient;
+const SessionStore = require('./sessionStore');
+
+/**
+ * Mongo Session Store.
+ * Persists sessions to a MongoDB collection,
+ * so every process using the same database shares them.
+ * MongoDB deletes expired sessions with a TTL index.
+ * @extends {SessionStore}
+ */
+class MongoSessionStore extends SessionStore {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @param {string} [options.url="mongodb://localhost:27017"]
+	 * @param {string} [options.database="chatserver"]
+	 * @param {string} [options.collection="sessions"]
+	 * @return {MongoSessionStore}
+	 */
+	constructor(options = {}){
+		super();
+		let defaults = {
+			url: "mongodb://localhost:27017",
+			database: "chatserver",
+			collection: "sessions"
+		};
+		Object.extend(defaults, options);
+		this.url = defaults.url;
+		this.databaseName = defaults.database;
+		this.collectionName = defaults.collection;
+		this.client = null;
+		this.collection = null;
+		return this;
+	}
+
+	/**
+	 * Connect to MongoDB and create indexes
+	 * @return {Promise}
+	 */
+	connect(){
+		let self = this;
+		return MongoClient.connect(this.url, {useNewUrlParser: true, useUnifiedTopology: true})
+			.then(function(client){
+				self.client = client;
+				let collection = client.db(self.databaseName).collection(self.collectionName);
+				return Promise.all([
+						collection.createIndex({id: 1}, {unique: true}),
+						collection.createIndex({expireAt: 1}, {expireAfterSeconds: 0})
+					])
+					.then(function(){
+						self.collection = collection;
+					});
+			});
+	}
+
+	/**
+	 * Close the MongoDB connection
+	 * @return {Promise}
+	 */
+	close(){
+		if(!this.client){
+			return Promise.resolve();
+		}
+		let client = this.client;
+		this.client = null;
+		this.collection = null;
+		return client.close();
+	}
+
+	/**
+	 * Save a session.
+	 * A Date copy of when it expires is stored for the TTL index.
+	 * @param {object} session
+	 * @return {Promise<object>}
+	 */
+	saveSession(session){
+		let document = Object.assign({expireAt: new Date(session.expires)}, session);
+		return this.collection.insertOne(document)
+			.then(function(){
+				return session;
+			});
+	}
+
+	/**
+	 * Get a session
+	 * @param {string} id
+	 * @return {Promise<object|null>}
+	 */
+	getSession(id){
+		return this.collection.findOne({id: id}, {projection: {_id: 0, expireAt: 0}});
+	}
+
+	/**
+	 * Delete a session
+	 * @param {string} id
+	 * @return {Promise}
+	 */
+	deleteSession(id){
+		return this.collection.deleteOne({id: id});
+	}
+}
+
+module.exports = MongoSessionStore;
@@ -0,0 +1,137 @@
+const MongoClient = require('mongodb').MongoClient;
+const UserStore = require('./userStore');
+
+/**
+ * Mongo User Store.
+ * Persists users to a MongoDB collection.
+ * A lowercase copy of each name is stored to keep names unique regardless of case.
+ * @extends {UserStore}
+ */
+class MongoUserStore extends UserStore {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @param {string} [options.url="mongodb://localhost:27017"]
+	 * @param {string} [options.database="chatserver"]
+	 * @param {string} [options.collection="users"]
+	 * @return {MongoUserStore}
+	 */
+	constructor(options = {}){
+		super();
+		let defaults = {
+			url: "mongodb://localhost:27017",
+			database: "chatserver",
+			collection: "users"
+		};
+		Object.extend(defaults, options);
+		this.url = defaults.url;
+		this.databaseName = defaults.database;
+		this.collectionName = defaults.collection;
+		this.client = null;
+		this.collection = null;
+		return this;
+	}
+
+	/**
+	 * Connect to MongoDB and create indexes
+	 * @return {Promise}
+	 */
+	connect(){
+		let self = this;
+		return MongoClient.connect(this.url, {useNewUrlParser: true, useUnifiedTopology: true})
+			.then(function(client){
+				self.client = client;
+				let collection = client.db(self.databaseName).collection(self.collectionName);
+				return Promise.all([
+						collection.createIndex({id: 1}, {unique: true}),
+						collection.createIndex({nameLower: 1}, {unique: true})
+					])
+					.then(function(){
+						self.collection = collection;
+					});
+			});
+	}
+
+	/**
+	 * Close the MongoDB connection
+	 * @return {Promise}
+	 */
+	close(){
+		if(!this.client){
+			return Promise.resolve();
+		}
+		let client = this.client;
+		this.client = null;
+		this.collection = null;
+		return client.close();
+	}
+
+	/**
+	 * Create a user
+	 * @param {object} user
+	 * @return {Promise<object|null>}
+	 */
+	createUser(user){
+		let document = Object.assign({nameLower: user.name.toLowerCase()}, user);
+		return this.collection.insertOne(document)
+			.then(function(){
+				return Object.assign({}, user);
+			})
+			.catch(function(error){
+				// duplicate key
+				if(error.code === 11000){
+					return null;
+				}
+				throw error;
+			});
+	}
+
+	/**
+	 * Get a user by id
+	 * @param {string} id
+	 * @return {Promise<object|null>}
+	 */
+	getUser(id){
+		return this.collection.findOne({id: id}, {projection: {_id: 0, nameLower: 0}});
+	}
+
+	/**
+	 * Get a user by name, ignoring case
+	 * @param {string} name
+	 * @return {Promise<object|null>}
+	 */
+	getUserByName(name){
+		return this.collection.findOne({nameLower: String(name).toLowerCase()}, {projection: {_id: 0, nameLower: 0}});
+	}
+
+	/**
+	 * Update some properties of a user
+	 * @param {string} id
+	 * @param {object} properties
+	 * @return {Promise<object|null>} null if the user does not exist or the new name is taken
+	 */
+	updateUser(id, properties){
+		let update = Object.assign({}, properties);
+		if(typeof update.name === "string"){
+			update.nameLower = update.name.toLowerCase();
+		}
+		return this.collection.findOneAndUpdate(
+				{id: id}, 
+				{$set: update}, 
+				{returnOriginal: false, projection: {_id: 0, nameLower: 0}}
+			)
+			.then(function(result){
+				return result.value;
+			})
+			.catch(function(error){
+				// duplicate key
+				if(error.code === 11000){
+					return null;
+				}
+				throw error;
+			});
+	}
+}
+
+module.exports = MongoUserStore;
\ No newline at end of file
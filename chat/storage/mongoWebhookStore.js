@@ -0,0 +1,127 @@
+const MongoClient = require('mongodb').MongoClient;
+const WebhookStore = require('./webhookStore');
+
+/**
+ * Mongo Webhook Store.
+ * Persists webhooks to a MongoDB collection,
+ * so every process using the same database delivers to them.
+ * @extends {WebhookStore}
+ */
+class MongoWebhookStore extends WebhookStore {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @param {string} [options.url="mongodb://localhost:27017"]
+	 * @param {string} [options.database="chatserver"]
+	 * @param {string} [options.collection="webhooks"]
+	 * @return {MongoWebhookStore}
+	 */
+	constructor(options = {}){
+		super();
+		let defaults = {
+			url: "mongodb://localhost:27017",
+			database: "chatserver",
+			collection: "webhooks"
+		};
+		Object.extend(defaults, options);
+		this.url = defaults.url;
+		this.databaseName = defaults.database;
+		this.collectionName = defaults.collection;
+		this.client = null;
+		this.collection = null;
+		return this;
+	}
+
+	/**
+	 * Connect to MongoDB and create indexes
+	 * @return {Promise}
+	 */
+	connect(){
+		let self = this;
+		return MongoClient.connect(this.url, {useNewUrlParser: true, useUnifiedTopology: true})
+			.then(function(client){
+				self.client = client;
+				let collection = client.db(self.databaseName).collection(self.collectionName);
+				return Promise.all([
+						collection.createIndex({id: 1}, {unique: true}),
+						collection.createIndex({room: 1, created: 1})
+					])
+					.then(function(){
+						self.collection = collection;
+					});
+			});
+	}
+
+	/**
+	 * Close the MongoDB connection
+	 * @return {Promise}
+	 */
+	close(){
+		if(!this.client){
+			return Promise.resolve();
+		}
+		let client = this.client;
+		this.client = null;
+		this.collection = null;
+		return client.close();
+	}
+
+	/**
+	 * Save a webhook
+	 * @param {object} webhook
+	 * @return {Promise<object>}
+	 */
+	saveWebhook(webhook){
+		return this.collection.insertOne(Object.assign({}, webhook))
+			.then(function(){
+				return webhook;
+			});
+	}
+
+	/**
+	 * Get a webhook
+	 * @param {string} id
+	 * @return {Promise<object|null>}
+	 */
+	getWebhook(id){
+		return this.collection.findOne({id: id}, {projection: {_id: 0}});
+	}
+
+	/**
+	 * Get the webhooks of a room, oldest first
+	 * @param {string} room
+	 * @return {Promise<object[]>}
+	 */
+	getRoomWebhooks(room){
+		return this.collection.find({room: room}, {projection: {_id: 0}})
+			.sort({created: 1})
+			.toArray();
+	}
+
+	/**
+	 * Delete a webhook
+	 * @param {string} id
+	 * @return {Promise<boolean>}
+	 */
+	deleteWebhook(id){
+		return this.collection.deleteOne({id: id})
+			.then(function(result){
+				return result.deletedCount > 0;
+			});
+	}
+
+	/**
+	 * Delete every webhook of a room
+	 * @param {string} room
+	 * @return {Promise<number>}
+	 */
+	deleteRoomWebhooks(room){
+		return this.collection.deleteMany({room: room})
+			.then(function(result){
+				return result.deletedCount;
+			});
+	}
+}
+
+module.exports = MongoWebhookStore;
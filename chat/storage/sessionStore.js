@@ -0,0 +1,64 @@
+/**
+ * Session Store.
+ * Base interface for anything that persists login sessions.
+ * All methods return Promises, so that a store shared by several 
+ * processes lets a session created on one be used on any other.
+ * A store must implement
+ * - connect
+ * - close
+ * - saveSession
+ * - getSession
+ * - deleteSession
+ */
+class SessionStore {
+
+	/**
+	 * Connect to the underlying storage
+	 * @return {Promise}
+	 */
+	connect(){
+		return Promise.reject(new Error("connect must be implemented"));
+	}
+
+	/**
+	 * Close the underlying storage
+	 * @return {Promise}
+	 */
+	close(){
+		return Promise.reject(new Error("close must be implemented"));
+	}
+
+	/**
+	 * Save a session
+	 * @param {object} session
+	 * @param {string} session.id - a hash of the session token
+	 * @param {string} session.userId
+	 * @param {number} session.expires - when the session expires, in ms
+	 * @return {Promise<object>} resolves with the saved session
+	 */
+	saveSession(session){
+		return Promise.reject(new Error("saveSession must be implemented"));
+	}
+
+	/**
+	 * Get a session.
+	 * Expired sessions may still be returned, 
+	 * so callers must check when it expires.
+	 * @param {string} id
+	 * @return {Promise<object|null>} null if it does not exist
+	 */
+	getSession(id){
+		return Promise.reject(new Error("getSession must be implemented"));
+	}
+
+	/**
+	 * Delete a session
+	 * @param {string} id
+	 * @return {Promise}
+	 */
+	deleteSession(id){
+		return Promise.reject(new Error("deleteSession must be implemented"));
+	}
+}
+
+module.exports = SessionStore;
@@ -0,0 +1,75 @@
+/**
+ * User Store.
+ * Base interface for anything that persists user accounts.
+ * All methods return Promises.
+ * Names are unique regardless of case.
+ * A store must implement
+ * - connect
+ * - close
+ * - createUser
+ * - getUser
+ * - getUserByName
+ * - updateUser
+ */
+class UserStore {
+
+	/**
+	 * Connect to the underlying storage
+	 * @return {Promise}
+	 */
+	connect(){
+		return Promise.reject(new Error("connect must be implemented"));
+	}
+
+	/**
+	 * Close the underlying storage
+	 * @return {Promise}
+	 */
+	close(){
+		return Promise.reject(new Error("close must be implemented"));
+	}
+
+	/**
+	 * Create a user.
+	 * Resolves with null if the name is taken.
+	 * @param {object} user
+	 * @param {string} user.id
+	 * @param {string} user.name
+	 * @param {string} user.email
+	 * @param {string} user.passwordHash
+	 * @return {Promise<object|null>}
+	 */
+	createUser(user){
+		return Promise.reject(new Error("createUser must be implemented"));
+	}
+
+	/**
+	 * Get a user by id
+	 * @param {string} id
+	 * @return {Promise<object|null>}
+	 */
+	getUser(id){
+		return Promise.reject(new Error("getUser must be implemented"));
+	}
+
+	/**
+	 * Get a user by name, ignoring case
+	 * @param {string} name
+	 * @return {Promise<object|null>}
+	 */
+	getUserByName(name){
+		return Promise.reject(new Error("getUserByName must be implemented"));
+	}
+
+	/**
+	 * Update some properties of a user
+	 * @param {string} id
+	 * @param {object} properties
+	 * @return {Promise<object|null>} resolves with the updated user, or null if the user does not exist or the new name is taken
+	 */
+	updateUser(id, properties){
+		return Promise.reject(new Error("updateUser must be implemented"));
+	}
+}
+
+module.exports = UserStore;
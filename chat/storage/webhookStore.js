@@ -0,0 +1,84 @@
+/**
+ * Webhook Store.
+ * Base interface for anything that persists the outgoing webhooks of rooms.
+ * All methods return Promises.
+ * A store must implement
+ * - connect
+ * - close
+ * - saveWebhook
+ * - getWebhook
+ * - getRoomWebhooks
+ * - deleteWebhook
+ * - deleteRoomWebhooks
+ */
+class WebhookStore {
+
+	/**
+	 * Connect to the underlying storage
+	 * @return {Promise}
+	 */
+	connect(){
+		return Promise.reject(new Error("connect must be implemented"));
+	}
+
+	/**
+	 * Close the underlying storage
+	 * @return {Promise}
+	 */
+	close(){
+		return Promise.reject(new Error("close must be implemented"));
+	}
+
+	/**
+	 * Save a webhook
+	 * @param {object} webhook
+	 * @param {string} webhook.id
+	 * @param {string} webhook.room
+	 * @param {string} webhook.url
+	 * @param {string[]} webhook.events
+	 * @param {string} webhook.secret
+	 * @param {number} webhook.created
+	 * @return {Promise<object>} resolves with the saved webhook
+	 */
+	saveWebhook(webhook){
+		return Promise.reject(new Error("saveWebhook must be implemented"));
+	}
+
+	/**
+	 * Get a webhook
+	 * @param {string} id
+	 * @return {Promise<object|null>} null if it does not exist
+	 */
+	getWebhook(id){
+		return Promise.reject(new Error("getWebhook must be implemented"));
+	}
+
+	/**
+	 * Get the webhooks of a room, oldest first
+	 * @param {string} room
+	 * @return {Promise<object[]>}
+	 */
+	getRoomWebhooks(room){
+		return Promise.reject(new Error("getRoomWebhooks must be implemented"));
+	}
+
+	/**
+	 * Delete a webhook
+	 * @param {string} id
+	 * @return {Promise<boolean>} whether it existed
+	 */
+	deleteWebhook(id){
+		return Promise.reject(new Error("deleteWebhook must be implemented"));
+	}
+
+	/**
+	 * Delete every webhook of a room
+	 * @param {string} room
+	 * @return {Promise<number>} resolves with the number of deleted webhooks
+	 */
+	deleteRoomWebhooks(room){
+		return Promise.reject(new Error("deleteRoomWebhooks must be implemented"));
+	}
+}
+
+module.exports = WebhookStore;
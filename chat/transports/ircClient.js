@@ -0,0 +1,928 @@
+const TcpClient = require('./tcpClient');
+const ChatServer = require('../chatServer');
+const AccountManager = require('../auth/accountManager');
+
+/**
+ * IRC Client.
+ * A client connected with an IRC client.
+ * IRC commands are translated into the same messages a WebSocket client sends,
+ * and messages from the ChatServer are translated back into IRC,
+ * so the ChatServer handles it like any other client.
+ * Rooms are channels named after the room, with spaces as underscores.
+ * Supports NICK, USER, PASS, JOIN, PART, PRIVMSG, NOTICE, TOPIC,
+ * NAMES, LIST, WHO, PING, PONG, KICK, MODE and QUIT.
+ * A session token can be given with PASS to connect as a registered user,
+ * otherwise the client is a guest and is renamed to its nick.
+ * @extends {TcpClient}
+ */
+class IrcClient extends TcpClient {
+
+	/**
+	 * Constructor
+	 * @param {Socket} socket
+	 * @param {object} options
+	 * @param {ChatServer} options.chatServer - looked at to answer LIST, NAMES and WHO
+	 * @param {string} [options.serverName="chatserver"] - the name the gateway gives itself
+	 * @param {number} [options.maxLineLength=4096]
+	 * @return {IrcClient}
+	 */
+	constructor(socket, options){
+		let defaults = {
+			serverName: "chatserver",
+			maxLineLength: 4096
+		};
+		Object.extend(defaults, options);
+		super(socket, {maxLineLength: defaults.maxLineLength});
+		this.chatServer = options.chatServer;
+		this.serverName = defaults.serverName;
+		this.lineEnding = "\r\n";
+		this.nick = "";
+		this.username = "";
+		this.password = "";
+		this.isNegotiatingCaps = false;
+		this.isAuthenticating = false;
+		this.isRegistered = false;
+		// room name to the topic and users of each joined room
+		this.channels = new Map();
+		// channel names of joins that have not been answered, oldest first
+		this.pendingJoins = [];
+		return this;
+	}
+
+	/**
+	 * Handle a line from the IRC client
+	 * @param {string} line
+	 * @return {IrcClient}
+	 */
+	handleLine(line){
+		let message = IrcClient.parseLine(line);
+		if(!message){
+			return this;
+		}
+		let command = message.command;
+		let params = message.params;
+		if(!this.isRegistered && !IrcClient.registrationCommands.has(command)){
+			return this.sendNumeric(IrcClient.numeric.notRegistered, [], "You have not registered");
+		}
+		switch(command){
+			case "CAP":
+				return this.handleCap(params);
+			case "PASS":
+				return this.handlePass(params);
+			case "NICK":
+				return this.handleNick(params);
+			case "USER":
+				return this.handleUser(params);
+			case "PING":
+				return this.writeLine(`:${this.serverName} PONG ${this.serverName} :${params[0] || ""}`);
+			case "PONG":
+				return this.emitMessage({route: ChatServer.route.pong});
+			case "QUIT":
+				this.writeLine(`ERROR :Closing link`);
+				return this.disconnect();
+			case "JOIN":
+				return this.handleJoin(params);
+			case "PART":
+				return this.handlePart(params);
+			case "PRIVMSG":
+			case "NOTICE":
+				return this.handlePrivmsg(params);
+			case "TOPIC":
+				return this.handleTopic(params);
+			case "NAMES":
+				return this.handleNames(params);
+			case "LIST":
+				return this.handleList();
+			case "WHO":
+				return this.handleWho(params);
+			case "KICK":
+				return this.handleKick(params);
+			case "MODE":
+				return this.handleMode(params);
+			default:
+				return this.sendNumeric(IrcClient.numeric.unknownCommand, [command], "Unknown command");
+		}
+	}
+
+	/**
+	 * Send a message to the ChatServer as if it came from a WebSocket client
+	 * @param {object} message
+	 * @return {IrcClient}
+	 */
+	emitMessage(message){
+		this.emit('message', JSON.stringify(message));
+		return this;
+	}
+
+	/**
+	 * Handle CAP.
+	 * No capabilities are supported,
+	 * but registration waits for the client to finish asking.
+	 * @param {string[]} params
+	 * @return {IrcClient}
+	 */
+	handleCap(params){
+		let subcommand = (params[0] || "").toUpperCase();
+		if(subcommand === "LS" || subcommand === "LIST"){
+			this.isNegotiatingCaps = !this.isRegistered;
+			return this.writeLine(`:${this.serverName} CAP ${this.nick || "*"} ${subcommand} :`);
+		}
+		if(subcommand === "REQ"){
+			return this.writeLine(`:${this.serverName} CAP ${this.nick || "*"} NAK :${params[1] || ""}`);
+		}
+		if(subcommand === "END"){
+			this.isNegotiatingCaps = false;
+			return this.register();
+		}
+		return this;
+	}
+
+	/**
+	 * Handle PASS <token>
+	 * @param {string[]} params
+	 * @return {IrcClient}
+	 */
+	handlePass(params){
+		if(this.isRegistered || this.isAuthenticating){
+			return this.sendNumeric(IrcClient.numeric.alreadyRegistered, [], "You may not reregister");
+		}
+		this.password = params[0] || "";
+		return this;
+	}
+
+	/**
+	 * Handle NICK <nick>.
+	 * Once registered, this renames the user.
+	 * @param {string[]} params
+	 * @return {IrcClient}
+	 */
+	handleNick(params){
+		let nick = params[0] || "";
+		if(!nick.length){
+			return this.sendNumeric(IrcClient.numeric.noNicknameGiven, [], "No nickname given");
+		}
+		if(!AccountManager.isValidName(nick)){
+			return this.sendNumeric(IrcClient.numeric.erroneousNickname, [nick], "Erroneous nickname");
+		}
+		if(!this.isRegistered){
+			this.nick = nick;
+			return this.register();
+		}
+		return this.emitMessage({route: ChatServer.route.command, text: "/nick " + nick});
+	}
+
+	/**
+	 * Handle USER <username> <mode> <unused> :<realname>
+	 * @param {string[]} params
+	 * @return {IrcClient}
+	 */
+	handleUser(params){
+		if(this.isRegistered || this.isAuthenticating){
+			return this.sendNumeric(IrcClient.numeric.alreadyRegistered, [], "You may not reregister");
+		}
+		if(params.length < 4){
+			return this.sendNumeric(IrcClient.numeric.needMoreParams, ["USER"], "Not enough parameters");
+		}
+		this.username = params[0];
+		return this.register();
+	}
+
+	/**
+	 * Authenticate once NICK and USER have both been given
+	 * and capabilities are no longer being negotiated
+	 * @return {IrcClient}
+	 */
+	register(){
+		if(this.isRegistered || this.isAuthenticating || this.isNegotiatingCaps || !this.nick || !this.username){
+			return this;
+		}
+		this.isAuthenticating = true;
+		let message = {route: ChatServer.route.auth};
+		if(this.password){
+			message.token = this.password;
+		}
+		return this.emitMessage(message);
+	}
+
+	/**
+	 * Handle JOIN <channel>{,<channel>} [<key>{,<key>}].
+	 * JOIN 0 leaves every channel.
+	 * Only existing rooms can be joined.
+	 * @param {string[]} params
+	 * @return {IrcClient}
+	 */
+	handleJoin(params){
+		if(!params.length){
+			return this.sendNumeric(IrcClient.numeric.needMoreParams, ["JOIN"], "Not enough parameters");
+		}
+		if(params[0] === "0"){
+			for(let name of Array.from(this.channels.keys())){
+				this.emitMessage({route: ChatServer.route.roomLeave, room: name});
+			}
+			return this;
+		}
+		let channels = params[0].split(",");
+		let keys = (params[1] || "").split(",");
+		for(let i = 0; i < channels.length; i++){
+			let name = this.getRoomName(channels[i]);
+			if(!name){
+				this.sendNumeric(IrcClient.numeric.noSuchChannel, [channels[i]], "No such channel");
+				continue;
+			}
+			if(this.channels.has(name)){
+				continue;
+			}
+			let message = {route: ChatServer.route.roomJoin, room: name};
+			if(keys[i]){
+				message.password = keys[i];
+			}
+			this.pendingJoins.push(name);
+			this.emitMessage(message);
+		}
+		return this;
+	}
+
+	/**
+	 * Handle PART <channel>{,<channel>} [:<reason>]
+	 * @param {string[]} params
+	 * @return {IrcClient}
+	 */
+	handlePart(params){
+		if(!params.length){
+			return this.sendNumeric(IrcClient.numeric.needMoreParams, ["PART"], "Not enough parameters");
+		}
+		for(let channel of params[0].split(",")){
+			let name = this.getRoomName(channel);
+			if(!name || !this.channels.has(name)){
+				this.sendNumeric(IrcClient.numeric.notOnChannel, [channel], "You're not on that channel");
+				continue;
+			}
+			this.emitMessage({route: ChatServer.route.roomLeave, room: name});
+		}
+		return this;
+	}
+
+	/**
+	 * Handle PRIVMSG or NOTICE <target> :<text>.
+	 * Messages to channels are room messages, and CTCP ACTION is an action.
+	 * Messages to nicks are direct messages.
+	 * @param {string[]} params
+	 * @return {IrcClient}
+	 */
+	handlePrivmsg(params){
+		if(params.length < 2 || !params[1].length){
+			return this.sendNumeric(IrcClient.numeric.needMoreParams, ["PRIVMSG"], "Not enough parameters");
+		}
+		let target = params[0];
+		let text = params[1];
+		let action = false;
+		let ctcp = IrcClient.ctcpActionPattern.exec(text);
+		if(ctcp){
+			text = ctcp[1];
+			action = true;
+		}
+		else if(text.charAt(0) === IrcClient.ctcpDelimiter){
+			// other CTCP requests are not supported
+			return this;
+		}
+		if(!IrcClient.isChannel(target)){
+			return this.emitMessage({route: ChatServer.route.command, text: `/msg ${target} ${text}`});
+		}
+		let name = this.getRoomName(target);
+		if(!name || !this.channels.has(name)){
+			return this.sendNumeric(IrcClient.numeric.cannotSendToChannel, [target], "Cannot send to channel");
+		}
+		let message = {route: ChatServer.route.roomMessage, room: name, text: text};
+		if(action){
+			message.action = true;
+		}
+		return this.emitMessage(message);
+	}
+
+	/**
+	 * Handle TOPIC <channel> [:<topic>].
+	 * Without a topic, the current topic is sent.
+	 * @param {string[]} params
+	 * @return {IrcClient}
+	 */
+	handleTopic(params){
+		if(!params.length){
+			return this.sendNumeric(IrcClient.numeric.needMoreParams, ["TOPIC"], "Not enough parameters");
+		}
+		let name = this.getRoomName(params[0]);
+		if(!name){
+			return this.sendNumeric(IrcClient.numeric.noSuchChannel, [params[0]], "No such channel");
+		}
+		if(params.length < 2){
+			return this.sendTopic(this.chatServer.getRoom(name));
+		}
+		if(!this.channels.has(name)){
+			return this.sendNumeric(IrcClient.numeric.notOnChannel, [params[0]], "You're not on that channel");
+		}
+		return this.emitMessage({route: ChatServer.route.command, room: name, text: ("/topic " + params[1]).trim()});
+	}
+
+	/**
+	 * Handle NAMES [<channel>{,<channel>}].
+	 * Without channels, the names of every joined channel are sent.
+	 * @param {string[]} params
+	 * @return {IrcClient}
+	 */
+	handleNames(params){
+		let channels = params.length
+			? params[0].split(",")
+			: Array.from(this.channels.keys()).map(IrcClient.getChannel);
+		for(let channel of channels){
+			let name = this.getRoomName(channel);
+			let room = name ? this.chatServer.getRoom(name) : null;
+			if(room){
+				this.sendNames(this.chatServer.serializeRoom(room));
+			}
+			else {
+				this.sendNumeric(IrcClient.numeric.endOfNames, [channel], "End of /NAMES list");
+			}
+		}
+		return this;
+	}
+
+	/**
+	 * Handle LIST.
+	 * Every room is listed with its user count and topic.
+	 * @return {IrcClient}
+	 */
+	handleList(){
+		this.sendNumeric(IrcClient.numeric.listStart, ["Channel"], "Users Name");
+		for(let room of this.chatServer.serializeRooms()){
+			this.sendNumeric(IrcClient.numeric.list, [IrcClient.getChannel(room.name), room.clientCount], room.topic);
+		}
+		return this.sendNumeric(IrcClient.numeric.listEnd, [], "End of /LIST");
+	}
+
+	/**
+	 * Handle WHO <channel|nick>
+	 * @param {string[]} params
+	 * @return {IrcClient}
+	 */
+	handleWho(params){
+		let self = this;
+		let mask = params[0] || "*";
+		if(IrcClient.isChannel(mask)){
+			let name = this.getRoomName(mask);
+			let room = name ? this.chatServer.getRoom(name) : null;
+			if(room){
+				for(let user of this.chatServer.serializeRoom(room).clients){
+					this.sendWhoReply(mask, user);
+				}
+			}
+			return this.sendNumeric(IrcClient.numeric.endOfWho, [mask], "End of /WHO list");
+		}
+		this.chatServer.findUserByName(mask)
+			.then(function(user){
+				if(user){
+					self.sendWhoReply("*", {
+						id: user.id,
+						name: user.name,
+						status: self.chatServer.getUserStatus(user.id)
+					});
+				}
+				self.sendNumeric(IrcClient.numeric.endOfWho, [mask], "End of /WHO list");
+			})
+			.catch(function(error){
+				self.chatServer.logger.error(error);
+				self.sendNumeric(IrcClient.numeric.endOfWho, [mask], "End of /WHO list");
+			});
+		return this;
+	}
+
+	/**
+	 * Handle KICK <channel> <nick> [:<reason>].
+	 * Only moderators can kick, which the ChatServer checks.
+	 * @param {string[]} params
+	 * @return {IrcClient}
+	 */
+	handleKick(params){
+		if(params.length < 2){
+			return this.sendNumeric(IrcClient.numeric.needMoreParams, ["KICK"], "Not enough parameters");
+		}
+		let name = this.getRoomName(params[0]);
+		if(!name || !this.channels.has(name)){
+			return this.sendNumeric(IrcClient.numeric.notOnChannel, [params[0]], "You're not on that channel");
+		}
+		let text = `/kick ${params[1]} ${params[2] || ""}`.trim();
+		return this.emitMessage({route: ChatServer.route.command, room: name, text: text});
+	}
+
+	/**
+	 * Handle MODE <target>.
+	 * Modes cannot be changed, but clients ask for them after joining.
+	 * @param {string[]} params
+	 * @return {IrcClient}
+	 */
+	handleMode(params){
+		let target = params[0] || "";
+		if(!IrcClient.isChannel(target)){
+			return this.sendNumeric(IrcClient.numeric.userModeIs, [], "+");
+		}
+		if(params.length > 1){
+			return this.sendNumeric(IrcClient.numeric.chanOpPrivsNeeded, [target], "Modes cannot be changed");
+		}
+		return this.sendNumeric(IrcClient.numeric.channelModeIs, [target, "+"], "");
+	}
+
+	/**
+	 * Translate a message from the ChatServer into IRC
+	 * @param {string} data - a JSON message
+	 * @return {IrcClient}
+	 */
+	send(data){
+		let message = null;
+		try {
+			message = JSON.parse(data);
+		}
+		catch(e){
+			return this;
+		}
+		let payload = message.data || {};
+		if(message.status === 0){
+			return this.handleError(message.route, message.error, payload);
+		}
+		switch(message.route){
+			case ChatServer.route.auth:
+				return this.handleAuth(payload.user);
+			case ChatServer.route.ping:
+				return this.writeLine(`PING :${payload.timestamp}`);
+			case ChatServer.route.roomJoin:
+				return this.handleRoomJoin(payload);
+			case ChatServer.route.roomLeave:
+				return this.handleRoomLeave(payload.name, "");
+			case ChatServer.route.roomDeleted:
+				return this.handleRoomLeave(payload.name, "Room deleted");
+			case ChatServer.route.roomKicked:
+				return this.handleRoomKicked(payload);
+			case ChatServer.route.roomUserJoined:
+				return this.handleUserJoined(payload.room, payload.user);
+			case ChatServer.route.roomUserLeft:
+				return this.handleUserLeft(payload.room, payload.id);
+			case ChatServer.route.roomUserUpdated:
+				return this.handleUserRenamed(payload.user);
+			case ChatServer.route.userUpdated:
+				return this.handleUserRenamed(payload.user);
+			case ChatServer.route.roomUpdated:
+				return this.handleRoomUpdated(payload);
+			case ChatServer.route.roomMessage:
+				return this.handleRoomMessage(payload);
+			case ChatServer.route.directMessage:
+				return this.handleDirectMessage(payload);
+			default:
+				return this;
+		}
+	}
+
+	/**
+	 * Handle an error from the ChatServer.
+	 * Errors with an IRC numeric are sent as that numeric, the rest as notices.
+	 * @param {string} route
+	 * @param {string} error
+	 * @param {object} data
+	 * @return {IrcClient}
+	 */
+	handleError(route, error, data){
+		if(route === ChatServer.route.auth){
+			this.isAuthenticating = false;
+			if(this.password){
+				this.sendNumeric(IrcClient.numeric.passwordMismatch, [], "Password incorrect");
+			}
+			this.writeLine(`ERROR :Closing link (${error})`);
+			return this;
+		}
+		if(route === ChatServer.route.roomJoin){
+			let channel = IrcClient.getChannel(this.pendingJoins.shift() || "*");
+			let numeric = IrcClient.joinErrorNumerics[error];
+			if(numeric){
+				return this.sendNumeric(numeric, [channel], error);
+			}
+		}
+		if(route === ChatServer.route.command){
+			if(data.command === "nick" && error === AccountManager.error.nameTaken){
+				return this.sendNumeric(IrcClient.numeric.nicknameInUse, [this.nick], error);
+			}
+			if(data.command === "nick" && error === AccountManager.error.invalidName){
+				return this.sendNumeric(IrcClient.numeric.erroneousNickname, [this.nick], error);
+			}
+			if(data.command === "msg" && error === ChatServer.error.userNotFound){
+				return this.sendNumeric(IrcClient.numeric.noSuchNick, ["*"], error);
+			}
+			if(data.room && error === ChatServer.error.permissionDenied){
+				return this.sendNumeric(IrcClient.numeric.chanOpPrivsNeeded, [IrcClient.getChannel(data.room)], error);
+			}
+		}
+		return this.sendNotice(error);
+	}
+
+	/**
+	 * Complete registration once authenticated.
+	 * The welcome tells the IRC client its nick is the user's name.
+	 * Guests are then renamed to the nick they asked for,
+	 * registered users keep their name.
+	 * @param {object} user
+	 * @return {IrcClient}
+	 */
+	handleAuth(user){
+		let requestedNick = this.nick;
+		this.isAuthenticating = false;
+		this.isRegistered = true;
+		this.nick = user.name;
+		this.sendNumeric(IrcClient.numeric.welcome, [], `Welcome to the chat, ${this.getPrefix(user)}`);
+		this.sendNumeric(IrcClient.numeric.yourHost, [], `Your host is ${this.serverName}`);
+		this.sendNumeric(IrcClient.numeric.created, [], "This server bridges IRC and WebSocket clients");
+		this.sendNumeric(IrcClient.numeric.myInfo, [this.serverName, "chatserver"], "");
+		this.sendNumeric(IrcClient.numeric.isupport, ["CHANTYPES=#", "PREFIX=(oh)@%", "CASEMAPPING=ascii"], "are supported by this server");
+		this.sendNumeric(IrcClient.numeric.noMotd, [], "MOTD File is missing");
+		if(user.guest && requestedNick !== user.name){
+			this.emitMessage({route: ChatServer.route.command, text: "/nick " + requestedNick});
+		}
+		return this;
+	}
+
+	/**
+	 * Handle joining a room
+	 * @param {object} room - a serialized room
+	 * @return {IrcClient}
+	 */
+	handleRoomJoin(room){
+		let index = this.pendingJoins.indexOf(room.name);
+		if(index > -1){
+			this.pendingJoins.splice(index, 1);
+		}
+		let users = new Map();
+		for(let user of room.clients){
+			users.set(user.id, user.name);
+		}
+		this.channels.set(room.name, {topic: room.topic, users: users});
+		this.writeLine(`:${this.getPrefix({id: this.user.id, name: this.nick})} JOIN ${IrcClient.getChannel(room.name)}`);
+		this.sendTopic(room);
+		return this.sendNames(room);
+	}
+
+	/**
+	 * Handle leaving a room, or a room being deleted
+	 * @param {string} name - room name
+	 * @param {string} reason
+	 * @return {IrcClient}
+	 */
+	handleRoomLeave(name, reason){
+		if(!this.channels.delete(name)){
+			return this;
+		}
+		let line = `:${this.getPrefix({id: this.user.id, name: this.nick})} PART ${IrcClient.getChannel(name)}`;
+		return this.writeLine(reason ? `${line} :${reason}` : line);
+	}
+
+	/**
+	 * Handle being kicked from a room
+	 * @param {object} data
+	 * @param {string} data.room
+	 * @param {string} data.by - name of the user who kicked
+	 * @param {string} data.reason
+	 * @return {IrcClient}
+	 */
+	handleRoomKicked(data){
+		if(!this.channels.delete(data.room)){
+			return this;
+		}
+		let channel = IrcClient.getChannel(data.room);
+		return this.writeLine(`:${data.by}!${data.by}@${this.serverName} KICK ${channel} ${this.nick} :${data.reason || data.by}`);
+	}
+
+	/**
+	 * Handle another user joining a room
+	 * @param {string} name - room name
+	 * @param {object} user
+	 * @return {IrcClient}
+	 */
+	handleUserJoined(name, user){
+		let channel = this.channels.get(name);
+		if(!channel || channel.users.has(user.id)){
+			return this;
+		}
+		channel.users.set(user.id, user.name);
+		return this.writeLine(`:${this.getPrefix(user)} JOIN ${IrcClient.getChannel(name)}`);
+	}
+
+	/**
+	 * Handle another user leaving a room
+	 * @param {string} name - room name
+	 * @param {string} id - user id
+	 * @return {IrcClient}
+	 */
+	handleUserLeft(name, id){
+		let channel = this.channels.get(name);
+		if(!channel || !channel.users.has(id)){
+			return this;
+		}
+		let user = {id: id, name: channel.users.get(id)};
+		channel.users.delete(id);
+		return this.writeLine(`:${this.getPrefix(user)} PART ${IrcClient.getChannel(name)}`);
+	}
+
+	/**
+	 * Handle a user that may have been renamed.
+	 * The ChatServer says so once for each room, but IRC only once.
+	 * @param {object} user
+	 * @return {IrcClient}
+	 */
+	handleUserRenamed(user){
+		let oldName = user.id === this.user.id ? this.nick : null;
+		for(let channel of this.channels.values()){
+			if(channel.users.has(user.id)){
+				oldName = oldName || channel.users.get(user.id);
+				channel.users.set(user.id, user.name);
+			}
+		}
+		if(!oldName || oldName === user.name){
+			return this;
+		}
+		if(user.id === this.user.id){
+			this.nick = user.name;
+		}
+		return this.writeLine(`:${this.getPrefix({id: user.id, name: oldName})} NICK :${user.name}`);
+	}
+
+	/**
+	 * Handle a room being updated.
+	 * A new topic is sent for joined rooms.
+	 * @param {object} room - a serialized room
+	 * @return {IrcClient}
+	 */
+	handleRoomUpdated(room){
+		let channel = this.channels.get(room.name);
+		if(!channel || channel.topic === room.topic){
+			return this;
+		}
+		channel.topic = room.topic;
+		return this.writeLine(`:${this.serverName} TOPIC ${IrcClient.getChannel(room.name)} :${room.topic}`);
+	}
+
+	/**
+	 * Handle a room message.
+	 * IRC clients show their own messages as they send them,
+	 * so messages from this user are not sent back.
+	 * @param {object} message
+	 * @return {IrcClient}
+	 */
+	handleRoomMessage(message){
+		if(message.senderId === this.user.id || !this.channels.has(message.room)){
+			return this;
+		}
+		let prefix = this.getPrefix({id: message.senderId, name: message.sender});
+		return this.sendText(prefix, IrcClient.getChannel(message.room), message.text, message.action);
+	}
+
+	/**
+	 * Handle a direct message sent to this user
+	 * @param {object} message
+	 * @return {IrcClient}
+	 */
+	handleDirectMessage(message){
+		if(message.senderId === this.user.id){
+			return this;
+		}
+		let prefix = this.getPrefix({id: message.senderId, name: message.sender});
+		return this.sendText(prefix, this.nick, message.text, false);
+	}
+
+	/**
+	 * Send text as PRIVMSGs, one for each line
+	 * @param {string} prefix - the sender
+	 * @param {string} target - a channel or nick
+	 * @param {string} text
+	 * @param {boolean} action - whether to send a CTCP ACTION
+	 * @return {IrcClient}
+	 */
+	sendText(prefix, target, text, action){
+		for(let line of text.split(/\r?\n/)){
+			if(!line.length){
+				continue;
+			}
+			if(action){
+				line = `${IrcClient.ctcpDelimiter}ACTION ${line}${IrcClient.ctcpDelimiter}`;
+			}
+			this.writeLine(`:${prefix} PRIVMSG ${target} :${line}`);
+		}
+		return this;
+	}
+
+	/**
+	 * Send the topic of a room
+	 * @param {object|null} room - a room or serialized room
+	 * @return {IrcClient}
+	 */
+	sendTopic(room){
+		if(!room){
+			return this.sendNumeric(IrcClient.numeric.noSuchChannel, ["*"], "No such channel");
+		}
+		let channel = IrcClient.getChannel(room.name);
+		if(!room.topic){
+			return this.sendNumeric(IrcClient.numeric.noTopic, [channel], "No topic is set");
+		}
+		return this.sendNumeric(IrcClient.numeric.topic, [channel], room.topic);
+	}
+
+	/**
+	 * Send the names of the users in a room.
+	 * The owner is an operator, and moderators are half operators.
+	 * @param {object} room - a serialized room
+	 * @return {IrcClient}
+	 */
+	sendNames(room){
+		let channel = IrcClient.getChannel(room.name);
+		let names = room.clients.map(function(user){
+			if(user.id === room.owner){
+				return "@" + user.name;
+			}
+			if(room.moderators.indexOf(user.id) > -1){
+				return "%" + user.name;
+			}
+			return user.name;
+		});
+		this.sendNumeric(IrcClient.numeric.namesReply, ["=", channel], names.join(" "));
+		return this.sendNumeric(IrcClient.numeric.endOfNames, [channel], "End of /NAMES list");
+	}
+
+	/**
+	 * Send a WHO reply for a user
+	 * @param {string} channel
+	 * @param {object} user
+	 * @param {string} user.id
+	 * @param {string} user.name
+	 * @param {string} user.status
+	 * @return {IrcClient}
+	 */
+	sendWhoReply(channel, user){
+		let here = user.status === "away" ? "G" : "H";
+		let params = [channel, user.id, this.serverName, this.serverName, user.name, here];
+		return this.sendNumeric(IrcClient.numeric.whoReply, params, "0 " + user.name);
+	}
+
+	/**
+	 * Write a line to the client.
+	 * Anything sent can hold text from users, such as a topic or kick reason,
+	 * and a line break in it would start a new command,
+	 * so line breaks and nulls are replaced with spaces.
+	 * @param {string} line
+	 * @return {IrcClient}
+	 */
+	writeLine(line){
+		return super.writeLine(line.replace(/[\r\n\0]+/g, " "));
+	}
+
+	/**
+	 * Send a notice from the server
+	 * @param {string} text
+	 * @return {IrcClient}
+	 */
+	sendNotice(text){
+		return this.writeLine(`:${this.serverName} NOTICE ${this.nick || "*"} :${text}`);
+	}
+
+	/**
+	 * Send a numeric reply
+	 * @param {string} numeric
+	 * @param {Array} params
+	 * @param {string} text - the trailing parameter
+	 * @return {IrcClient}
+	 */
+	sendNumeric(numeric, params, text){
+		let middle = params.length ? " " + params.join(" ") : "";
+		return this.writeLine(`:${this.serverName} ${numeric} ${this.nick || "*"}${middle} :${text}`);
+	}
+
+	/**
+	 * Get the prefix that identifies a user in IRC, nick!user@host
+	 * @param {object} user
+	 * @return {string}
+	 */
+	getPrefix(user){
+		return `${user.name}!${user.id}@${this.serverName}`;
+	}
+
+	/**
+	 * Get the room a channel is for
+	 * @param {string} channel
+	 * @return {string|null} room name
+	 */
+	getRoomName(channel){
+		if(!IrcClient.isChannel(channel)){
+			return null;
+		}
+		let name = channel.substring(1);
+		if(this.chatServer.getRoom(name)){
+			return name;
+		}
+		let lowerChannel = channel.toLowerCase();
+		for(let room of this.chatServer.rooms.values()){
+			if(IrcClient.getChannel(room.name).toLowerCase() === lowerChannel){
+				return room.name;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Get the channel for a room
+	 * @param {string} name - room name
+	 * @return {string}
+	 */
+	static getChannel(name){
+		return "#" + name.replace(/[\s,]/g, "_");
+	}
+
+	/**
+	 * Check if an IRC target is a channel
+	 * @param {string} target
+	 * @return {boolean}
+	 */
+	static isChannel(target){
+		return typeof target === "string" && target.charAt(0) === "#";
+	}
+
+	/**
+	 * Parse an IRC line into a command and its params.
+	 * Tags and the prefix are ignored.
+	 * @param {string} line
+	 * @return {{command: string, params: string[]}|null}
+	 */
+	static parseLine(line){
+		if(line.charAt(0) === "@"){
+			line = line.substring(line.indexOf(" ") + 1);
+		}
+		if(line.charAt(0) === ":"){
+			line = line.substring(line.indexOf(" ") + 1);
+		}
+		let trailing = null;
+		let index = line.indexOf(" :");
+		if(index > -1){
+			trailing = line.substring(index + 2);
+			line = line.substring(0, index);
+		}
+		let params = line.split(" ").filter(Boolean);
+		if(!params.length){
+			return null;
+		}
+		let command = params.shift().toUpperCase();
+		if(trailing !== null){
+			params.push(trailing);
+		}
+		return {command: command, params: params};
+	}
+}
+IrcClient.ctcpDelimiter = "\u0001";
+IrcClient.ctcpActionPattern = /^\u0001ACTION (.*?)\u0001?$/;
+// commands allowed before registering
+IrcClient.registrationCommands = new Set(["CAP", "PASS", "NICK", "USER", "PING", "PONG", "QUIT"]);
+IrcClient.numeric = {
+	welcome: "001",
+	yourHost: "002",
+	created: "003",
+	myInfo: "004",
+	isupport: "005",
+	userModeIs: "221",
+	endOfWho: "315",
+	listStart: "321",
+	list: "322",
+	listEnd: "323",
+	channelModeIs: "324",
+	noTopic: "331",
+	topic: "332",
+	whoReply: "352",
+	namesReply: "353",
+	endOfNames: "366",
+	noSuchNick: "401",
+	noSuchChannel: "403",
+	cannotSendToChannel: "404",
+	unknownCommand: "421",
+	noMotd: "422",
+	noNicknameGiven: "431",
+	erroneousNickname: "432",
+	nicknameInUse: "433",
+	notOnChannel: "442",
+	notRegistered: "451",
+	needMoreParams: "461",
+	alreadyRegistered: "462",
+	passwordMismatch: "464",
+	channelIsFull: "471",
+	inviteOnlyChannel: "473",
+	bannedFromChannel: "474",
+	badChannelKey: "475",
+	chanOpPrivsNeeded: "482"
+};
+// ChatServer errors when joining that IRC has numerics for
+IrcClient.joinErrorNumerics = {
+	[ChatServer.error.roomNotFound]: IrcClient.numeric.noSuchChannel,
+	[ChatServer.error.roomFull]: IrcClient.numeric.channelIsFull,
+	[ChatServer.error.notInvited]: IrcClient.numeric.inviteOnlyChannel,
+	[ChatServer.error.banned]: IrcClient.numeric.bannedFromChannel,
+	[ChatServer.error.wrongPassword]: IrcClient.numeric.badChannelKey
+};
+
+module.exports = IrcClient;
@@ -0,0 +1,66 @@
+const TcpTransport = require('./tcpTransport');
+const IrcClient = require('./ircClient');
+
+/**
+ * IRC Transport.
+ * Accepts IRC clients, so they can chat in the same rooms as WebSocket clients.
+ * See IrcClient for how IRC maps to the ChatServer.
+ * Rooms cannot be created with a name that has the same channel as another room.
+ * @extends {TcpTransport}
+ */
+class IrcTransport extends TcpTransport {
+
+	/**
+	 * Constructor
+	 * @param {object} options - see TcpTransport
+	 * @param {ChatServer} options.chatServer - the server the transport is added to
+	 * @param {number} [options.port=6667]
+	 * @param {string} [options.serverName="chatserver"] - the name the gateway gives itself
+	 * @param {number} [options.maxLineLength=4096]
+	 * @return {IrcTransport}
+	 */
+	constructor(options){
+		let defaults = {
+			port: 6667,
+			serverName: "chatserver",
+			maxLineLength: 4096
+		};
+		Object.extend(defaults, options);
+		super({port: defaults.port, host: options.host, maxLineLength: defaults.maxLineLength});
+		this.chatServer = options.chatServer;
+		this.serverName = defaults.serverName;
+		this.chatServer.addRoomNameCheck(this.isChannelTaken.bind(this));
+		return this;
+	}
+
+	/**
+	 * Check if a room name has the same channel as an existing room,
+	 * such as "a b" and "a_b", as IRC clients could not tell them apart
+	 * @param {string} name - room name
+	 * @return {boolean}
+	 */
+	isChannelTaken(name){
+		let channel = IrcClient.getChannel(name).toLowerCase();
+		for(let room of this.chatServer.rooms.values()){
+			if(IrcClient.getChannel(room.name).toLowerCase() === channel){
+				return true;
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * Create an IRC client for a new connection
+	 * @param {Socket} socket
+	 * @return {IrcClient}
+	 */
+	createClient(socket){
+		return new IrcClient(socket, {
+			chatServer: this.chatServer,
+			serverName: this.serverName,
+			maxLineLength: this.maxLineLength
+		});
+	}
+}
+
+module.exports = IrcTransport;
@@ -0,0 +1,146 @@
+const EventEmitter = require('events').EventEmitter;
+const Crypto = require('crypto');
+
+/**
+ * TCP Client.
+ * A client connected over TCP that sends and receives
+ * JSON messages, one per line.
+ * It looks like a WebSocket client to the ChatServer.
+ * Emits "message" with each line received, and "disconnect" once closed.
+ * @extends {EventEmitter}
+ */
+class TcpClient extends EventEmitter {
+
+	/**
+	 * Constructor
+	 * @param {Socket} socket
+	 * @param {object} [options]
+	 * @param {number} [options.maxLineLength=65536] - max length in bytes of a line,
+	 * clients that send longer lines are disconnected
+	 * @return {TcpClient}
+	 */
+	constructor(socket, options = {}){
+		super();
+		let defaults = {
+			maxLineLength: 64 * 1024
+		};
+		Object.extend(defaults, options);
+		this.id = "tcp-" + Crypto.randomBytes(8).toString('hex');
+		this.socket = socket;
+		this.ip = socket.remoteAddress || "";
+		// lines can only carry text frames
+		this.binary = false;
+		this.maxLineLength = defaults.maxLineLength;
+		this.lineEnding = TcpClient.lineEnding;
+		this.buffer = "";
+		this.isClosed = false;
+		this.attachSocketHandlers();
+		return this;
+	}
+
+	/**
+	 * Attach handlers to the socket
+	 * @return {TcpClient}
+	 */
+	attachSocketHandlers(){
+		let self = this;
+		this.socket.setEncoding('utf8');
+		this.socket.setNoDelay(true);
+		this.socket.on('data', function(data){
+			self.receive(data);
+		});
+		this.socket.on('error', function(error){
+			self.emit('error', error);
+		});
+		this.socket.on('close', function(){
+			self.close();
+		});
+		return this;
+	}
+
+	/**
+	 * Handle received text.
+	 * Each whole line is handled, blank lines are skipped.
+	 * @param {string} data
+	 * @return {TcpClient}
+	 */
+	receive(data){
+		this.buffer += data;
+		let lines = this.buffer.split("\n");
+		this.buffer = lines.pop();
+		if(Buffer.byteLength(this.buffer) > this.maxLineLength){
+			this.emit('error', new Error(TcpClient.error.lineTooLong));
+			this.disconnect();
+			return this;
+		}
+		for(let line of lines){
+			if(this.isClosed){
+				break;
+			}
+			line = line.trim();
+			if(line.length){
+				this.handleLine(line);
+			}
+		}
+		return this;
+	}
+
+	/**
+	 * Handle a line from the client.
+	 * Each line is a message.
+	 * @param {string} line
+	 * @return {TcpClient}
+	 */
+	handleLine(line){
+		this.emit('message', line);
+		return this;
+	}
+
+	/**
+	 * Send a message as a line
+	 * @param {string} data - a JSON message
+	 * @return {TcpClient}
+	 */
+	send(data){
+		return this.writeLine(data);
+	}
+
+	/**
+	 * Write a line to the client
+	 * @param {string} line
+	 * @return {TcpClient}
+	 */
+	writeLine(line){
+		if(!this.isClosed){
+			this.socket.write(line + this.lineEnding);
+		}
+		return this;
+	}
+
+	/**
+	 * Disconnect the client once anything pending has been sent
+	 * @return {TcpClient}
+	 */
+	disconnect(){
+		this.socket.end();
+		return this.close();
+	}
+
+	/**
+	 * Mark the client as closed and emit "disconnect" once
+	 * @return {TcpClient}
+	 */
+	close(){
+		if(!this.isClosed){
+			this.isClosed = true;
+			this.emit('disconnect');
+		}
+		return this;
+	}
+}
+TcpClient.lineEnding = "\n";
+TcpClient.error = {
+	lineTooLong: "Line is too long"
+};
+
+module.exports = TcpClient;
@@ -0,0 +1,104 @@
+const EventEmitter = require('events').EventEmitter;
+const Net = require('net');
+const TcpClient = require('./tcpClient');
+
+/**
+ * TCP Transport.
+ * Accepts clients over TCP that send and receive JSON messages, one per line,
+ * so that tools without a WebSocket library can chat.
+ * Clients use the same routes as WebSocket clients, starting with /auth.
+ * Emits "connection" with each new TcpClient,
+ * and "error" with errors of the server or its clients.
+ * @extends {EventEmitter}
+ */
+class TcpTransport extends EventEmitter {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @param {number} [options.port=5002]
+	 * @param {string} [options.host] - address to listen on, all by default
+	 * @param {number} [options.maxLineLength=65536] - see TcpClient
+	 * @return {TcpTransport}
+	 */
+	constructor(options = {}){
+		super();
+		let defaults = {
+			port: 5002,
+			host: "",
+			maxLineLength: 64 * 1024
+		};
+		Object.extend(defaults, options);
+		this.port = defaults.port;
+		this.host = defaults.host;
+		this.maxLineLength = defaults.maxLineLength;
+		this.server = null;
+		this.clients = new Map();
+		return this;
+	}
+
+	/**
+	 * Start listening for clients
+	 * @return {TcpTransport}
+	 */
+	start(){
+		let self = this;
+		if(this.server){
+			return this;
+		}
+		this.server = Net.createServer(function(socket){
+			self.handleConnection(socket);
+		});
+		this.server.on('error', function(error){
+			self.emit('error', error);
+		});
+		this.server.listen(this.port, this.host || undefined);
+		return this;
+	}
+
+	/**
+	 * Stop listening and disconnect every client
+	 * @return {TcpTransport}
+	 */
+	stop(){
+		if(!this.server){
+			return this;
+		}
+		this.server.close();
+		this.server = null;
+		for(let client of Array.from(this.clients.values())){
+			client.disconnect();
+		}
+		return this;
+	}
+
+	/**
+	 * Handle a new connection
+	 * @param {Socket} socket
+	 * @return {TcpTransport}
+	 */
+	handleConnection(socket){
+		let self = this;
+		let client = this.createClient(socket);
+		this.clients.set(client.id, client);
+		client.on('error', function(error){
+			self.emit('error', error);
+		});
+		client.on('disconnect', function(){
+			self.clients.delete(client.id);
+		});
+		this.emit('connection', client);
+		return this;
+	}
+
+	/**
+	 * Create a client for a new connection
+	 * @param {Socket} socket
+	 * @return {TcpClient}
+	 */
+	createClient(socket){
+		return new TcpClient(socket, {maxLineLength: this.maxLineLength});
+	}
+}
+
+module.exports = TcpTransport;
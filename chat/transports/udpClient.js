@@ -0,0 +1,96 @@
+const EventEmitter = require('events').EventEmitter;
+const Crypto = require('crypto');
+
+/**
+ * UDP Client.
+ * A client known by the address and port it sends datagrams from.
+ * Each datagram it sends holds one or more JSON messages, one per line,
+ * and each message it is sent is its own datagram.
+ * There is no connection to lose, so a client that goes away
+ * is only noticed when it stops answering pings.
+ * Emits "message" with each message received, and "disconnect" once closed.
+ * @extends {EventEmitter}
+ */
+class UdpClient extends EventEmitter {
+
+	/**
+	 * Constructor
+	 * @param {Socket} socket - the transport's dgram socket
+	 * @param {string} address
+	 * @param {number} port
+	 * @return {UdpClient}
+	 */
+	constructor(socket, address, port){
+		super();
+		this.id = "udp-" + Crypto.randomBytes(8).toString('hex');
+		this.socket = socket;
+		this.ip = address;
+		this.port = port;
+		// datagrams are split into lines, so only text frames can be sent
+		this.binary = false;
+		this.isClosed = false;
+		return this;
+	}
+
+	/**
+	 * Handle a datagram from the client
+	 * @param {string} data
+	 * @return {UdpClient}
+	 */
+	receive(data){
+		for(let line of data.split("\n")){
+			if(this.isClosed){
+				break;
+			}
+			line = line.trim();
+			if(line.length){
+				this.emit('message', line);
+			}
+		}
+		return this;
+	}
+
+	/**
+	 * Send a message as a datagram.
+	 * Messages too large for a datagram are dropped.
+	 * @param {string} data - a JSON message
+	 * @return {UdpClient}
+	 */
+	send(data){
+		let self = this;
+		if(this.isClosed){
+			return this;
+		}
+		let datagram = Buffer.from(data);
+		if(datagram.length > UdpClient.maxDatagramLength){
+			this.emit('error', new Error(UdpClient.error.messageTooLong));
+			return this;
+		}
+		this.socket.send(datagram, this.port, this.ip, function(error){
+			if(error){
+				self.emit('error', error);
+			}
+		});
+		return this;
+	}
+
+	/**
+	 * Forget the client.
+	 * Emits "disconnect" once.
+	 * @return {UdpClient}
+	 */
+	disconnect(){
+		if(!this.isClosed){
+			this.isClosed = true;
+			this.emit('disconnect');
+		}
+		return this;
+	}
+}
+// the most an IPv4 UDP datagram can carry
+UdpClient.maxDatagramLength = 65507;
+UdpClient.error = {
+	messageTooLong: "Message is too long for a datagram"
+};
+
+module.exports = UdpClient;
@@ -0,0 +1,124 @@
+const EventEmitter = require('events').EventEmitter;
+const Dgram = require('dgram');
+const UdpClient = require('./udpClient');
+
+/**
+ * UDP Transport.
+ * Accepts clients over UDP for devices that cannot keep a TCP connection open.
+ * A client is created for each new address and port that sends a datagram,
+ * and uses the same routes as WebSocket clients, starting with /auth.
+ * Source addresses are not verified, so this is only for trusted networks.
+ * It cannot be shared between cluster workers,
+ * as each datagram from a client could reach a different worker.
+ * Emits "connection" with each new UdpClient,
+ * and "error" with errors of the socket or its clients.
+ * @extends {EventEmitter}
+ */
+class UdpTransport extends EventEmitter {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @param {number} [options.port=5003]
+	 * @param {string} [options.host] - address to listen on, all by default
+	 * @param {string} [options.type="udp4"] - "udp4" or "udp6"
+	 * @param {number} [options.maxClients=1024] - datagrams from new addresses are dropped past this
+	 * @return {UdpTransport}
+	 */
+	constructor(options = {}){
+		super();
+		let defaults = {
+			port: 5003,
+			host: "",
+			type: "udp4",
+			maxClients: 1024
+		};
+		Object.extend(defaults, options);
+		this.port = defaults.port;
+		this.host = defaults.host;
+		this.type = defaults.type;
+		this.maxClients = defaults.maxClients;
+		this.socket = null;
+		// "address:port" to client
+		this.clients = new Map();
+		return this;
+	}
+
+	/**
+	 * Start listening for datagrams
+	 * @return {UdpTransport}
+	 */
+	start(){
+		let self = this;
+		if(this.socket){
+			return this;
+		}
+		this.socket = Dgram.createSocket(this.type);
+		this.socket.on('message', function(data, info){
+			self.handleDatagram(data, info);
+		});
+		this.socket.on('error', function(error){
+			self.emit('error', error);
+		});
+		this.socket.bind(this.port, this.host || undefined);
+		return this;
+	}
+
+	/**
+	 * Stop listening and forget every client
+	 * @return {UdpTransport}
+	 */
+	stop(){
+		if(!this.socket){
+			return this;
+		}
+		for(let client of Array.from(this.clients.values())){
+			client.disconnect();
+		}
+		this.socket.close();
+		this.socket = null;
+		return this;
+	}
+
+	/**
+	 * Handle a datagram.
+	 * A client is created the first time an address and port is seen.
+	 * @param {Buffer} data
+	 * @param {object} info - the sender's address and port
+	 * @return {UdpTransport}
+	 */
+	handleDatagram(data, info){
+		let key = info.address + ":" + info.port;
+		let client = this.clients.get(key);
+		if(!client){
+			if(this.clients.size >= this.maxClients){
+				return this;
+			}
+			client = this.createClient(key, info);
+		}
+		client.receive(data.toString());
+		return this;
+	}
+
+	/**
+	 * Create a client for an address and port
+	 * @param {string} key - "address:port"
+	 * @param {object} info - the sender's address and port
+	 * @return {UdpClient}
+	 */
+	createClient(key, info){
+		let self = this;
+		let client = new UdpClient(this.socket, info.address, info.port);
+		this.clients.set(key, client);
+		client.on('error', function(error){
+			self.emit('error', error);
+		});
+		client.on('disconnect', function(){
+			self.clients.delete(key);
+		});
+		this.emit('connection', client);
+		return client;
+	}
+}
+
+module.exports = UdpTransport;
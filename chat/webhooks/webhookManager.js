@@ -0,0 +1,366 @@
+const EventEmitter = require('events').EventEmitter;
+const Crypto = require('crypto');
+const Http = require('http');
+const Https = require('https');
+const HttpUtil = require('../http/httpUtil');
+const MemoryWebhookStore = require('../storage/memoryWebhookStore');
+
+/**
+ * Webhook Manager.
+ * Keeps outgoing webhooks for rooms, and POSTs room events to them as JSON.
+ * Each delivery is signed with the webhook's secret, see WebhookManager.sign,
+ * and is retried with exponential backoff until the receiver responds with a 2xx.
+ * Webhooks are kept in a WebhookStore, so processes that share a store
+ * deliver the events of their rooms to the same webhooks.
+ * Failed operations reject with an Error whose message
+ * is one of WebhookManager.error and whose status is an HTTP status code.
+ * Emits "delivered" with the webhook and delivery once a receiver accepts it,
+ * and "failed" with the webhook, delivery and last error once it gives up.
+ * Emits "error" if the store fails while dispatching an event.
+ * @extends {EventEmitter}
+ */
+class WebhookManager extends EventEmitter {
+
+	/**
+	 * Constructor
+	 * @param {object} [options]
+	 * @param {WebhookStore} [options.store] - defaults to a MemoryWebhookStore
+	 * @param {number} [options.maxPerRoom=10] - max webhooks in each room
+	 * @param {number} [options.maxAttempts=5] - attempts to deliver an event before giving up
+	 * @param {number} [options.retryDelay=1000] - time in ms before the first retry, doubled after each one
+	 * @param {number} [options.maxRetryDelay=60000] - max time in ms between retries
+	 * @param {number} [options.timeout=10000] - time in ms a receiver has to respond
+	 * @return {WebhookManager}
+	 */
+	constructor(options = {}){
+		super();
+		let defaults = {
+			maxPerRoom: 10,
+			maxAttempts: 5,
+			retryDelay: 1000,
+			maxRetryDelay: 60 * 1000,
+			timeout: 10 * 1000
+		};
+		Object.extend(defaults, options);
+		this.maxPerRoom = defaults.maxPerRoom;
+		this.maxAttempts = defaults.maxAttempts;
+		this.retryDelay = defaults.retryDelay;
+		this.maxRetryDelay = defaults.maxRetryDelay;
+		this.timeout = defaults.timeout;
+		this.store = options.store || new MemoryWebhookStore();
+		this.retryTimers = new Set();
+		return this;
+	}
+
+	/**
+	 * Check if a URL can be used for a webhook
+	 * @param {string} url
+	 * @return {boolean}
+	 */
+	static isValidUrl(url){
+		if(typeof url !== "string" || url.length > WebhookManager.maxUrlLength){
+			return false;
+		}
+		try {
+			let parsed = new URL(url);
+			return parsed.protocol === "http:" || parsed.protocol === "https:";
+		}
+		catch(e){
+			return false;
+		}
+	}
+
+	/**
+	 * Sign a delivery.
+	 * Receivers compute the same HMAC with the webhook's secret,
+	 * over the timestamp header, a dot, and the raw body.
+	 * @param {string} secret
+	 * @param {string} timestamp - the timestamp header
+	 * @param {string} body - the raw body
+	 * @return {string} the signature header
+	 */
+	static sign(secret, timestamp, body){
+		let hmac = Crypto.createHmac('sha256', secret).update(timestamp + "." + body).digest('hex');
+		return "sha256=" + hmac;
+	}
+
+	/**
+	 * Verify the signature of a delivery, for receivers
+	 * @param {string} secret
+	 * @param {string} timestamp - the timestamp header
+	 * @param {string} body - the raw body
+	 * @param {string} signature - the signature header
+	 * @return {boolean}
+	 */
+	static verify(secret, timestamp, body, signature){
+		let expected = Buffer.from(WebhookManager.sign(secret, timestamp, body));
+		let actual = Buffer.from(String(signature || ""));
+		return actual.length === expected.length && Crypto.timingSafeEqual(actual, expected);
+	}
+
+	/**
+	 * Strip private properties from a webhook
+	 * @param {object} webhook
+	 * @return {object}
+	 */
+	static serialize(webhook){
+		return {
+			id: webhook.id,
+			room: webhook.room,
+			url: webhook.url,
+			events: webhook.events,
+			created: webhook.created
+		};
+	}
+
+	/**
+	 * Add a webhook to a room
+	 * @param {string} room - room name
+	 * @param {object} data
+	 * @param {string} data.url - http or https URL to POST events to
+	 * @param {string[]} [data.events] - events to send, see WebhookManager.event, all by default
+	 * @param {string} [data.secret] - secret to sign deliveries with, random by default
+	 * @return {Promise<{webhook: object, secret: string}>} the serialized webhook, and its secret
+	 */
+	addWebhook(room, data){
+		let self = this;
+		if(!WebhookManager.isValidUrl(data.url)){
+			return Promise.reject(HttpUtil.createError(WebhookManager.error.invalidUrl, 400));
+		}
+		let events = Object.values(WebhookManager.event);
+		if(typeof data.events !== "undefined"){
+			let valid = Array.isArray(data.events) && data.events.length && data.events.every(function(event){
+				return events.includes(event);
+			});
+			if(!valid){
+				return Promise.reject(HttpUtil.createError(WebhookManager.error.invalidEvents, 400));
+			}
+			events = Array.from(new Set(data.events));
+		}
+		let secret = Crypto.randomBytes(WebhookManager.secretLength).toString('hex');
+		if(typeof data.secret !== "undefined"){
+			if(typeof data.secret !== "string" || data.secret.length < WebhookManager.minSecretLength){
+				return Promise.reject(HttpUtil.createError(WebhookManager.error.invalidSecret, 400));
+			}
+			secret = data.secret;
+		}
+		let webhook = {
+			id: Crypto.randomBytes(8).toString('hex'),
+			room: room,
+			url: data.url,
+			events: events,
+			secret: secret,
+			created: Date.now()
+		};
+		return this.store.getRoomWebhooks(room)
+			.then(function(webhooks){
+				if(webhooks.length >= self.maxPerRoom){
+					throw HttpUtil.createError(WebhookManager.error.tooManyWebhooks, 409);
+				}
+				return self.store.saveWebhook(webhook);
+			})
+			.then(function(){
+				return {webhook: WebhookManager.serialize(webhook), secret: secret};
+			});
+	}
+
+	/**
+	 * Remove a webhook from a room.
+	 * Deliveries already waiting to be retried are dropped.
+	 * @param {string} room - room name
+	 * @param {string} id
+	 * @return {Promise}
+	 */
+	removeWebhook(room, id){
+		let self = this;
+		return this.store.getWebhook(id)
+			.then(function(webhook){
+				if(!webhook || webhook.room !== room){
+					throw HttpUtil.createError(WebhookManager.error.webhookNotFound, 404);
+				}
+				return self.store.deleteWebhook(id);
+			});
+	}
+
+	/**
+	 * Remove every webhook of a room, such as when it is deleted
+	 * @param {string} room - room name
+	 * @return {Promise}
+	 */
+	removeRoomWebhooks(room){
+		return this.store.deleteRoomWebhooks(room);
+	}
+
+	/**
+	 * Get the webhooks of a room
+	 * @param {string} room - room name
+	 * @return {Promise<object[]>}
+	 */
+	getRoomWebhooks(room){
+		return this.store.getRoomWebhooks(room);
+	}
+
+	/**
+	 * Send an event to every webhook of a room that wants it
+	 * @param {string} room - room name
+	 * @param {string} event - one of WebhookManager.event
+	 * @param {object} data
+	 * @return {WebhookManager}
+	 */
+	dispatch(room, event, data){
+		let self = this;
+		this.getRoomWebhooks(room)
+			.then(function(webhooks){
+				for(let webhook of webhooks){
+					if(!webhook.events.includes(event)){
+						continue;
+					}
+					self.deliver(webhook, {
+						id: Crypto.randomBytes(8).toString('hex'),
+						event: event,
+						room: room,
+						timestamp: Date.now(),
+						data: data
+					}, 1);
+				}
+			})
+			.catch(function(error){
+				self.emit('error', error);
+			});
+		return this;
+	}
+
+	/**
+	 * Try to deliver an event to a webhook.
+	 * Failed attempts are retried until maxAttempts is reached,
+	 * unless the receiver says the request itself is bad.
+	 * @param {object} webhook
+	 * @param {object} delivery
+	 * @param {number} attempt - starting at 1
+	 * @return {WebhookManager}
+	 */
+	deliver(webhook, delivery, attempt){
+		let self = this;
+		this.post(webhook, delivery)
+			.then(function(){
+				self.emit('delivered', WebhookManager.serialize(webhook), delivery);
+			})
+			.catch(function(error){
+				let canRetry = !error.status || WebhookManager.retryStatuses.has(error.status) || error.status >= 500;
+				if(!canRetry || attempt >= self.maxAttempts){
+					self.emit('failed', WebhookManager.serialize(webhook), delivery, error);
+					return;
+				}
+				self.scheduleRetry(webhook, delivery, attempt);
+			});
+		return this;
+	}
+
+	/**
+	 * Retry a delivery after a delay that doubles with each attempt.
+	 * The delay is jittered so that many failed deliveries do not retry at once.
+	 * Webhooks removed in the meantime are not retried.
+	 * @param {object} webhook
+	 * @param {object} delivery
+	 * @param {number} attempt - the attempt that failed
+	 * @return {WebhookManager}
+	 */
+	scheduleRetry(webhook, delivery, attempt){
+		let self = this;
+		let delay = Math.min(this.maxRetryDelay, this.retryDelay * Math.pow(2, attempt - 1));
+		delay = Math.round(delay / 2 + Math.random() * delay / 2);
+		let timer = setTimeout(function(){
+			self.retryTimers.delete(timer);
+			self.store.getWebhook(webhook.id)
+				.then(function(current){
+					if(current){
+						self.deliver(current, delivery, attempt + 1);
+					}
+				})
+				.catch(function(error){
+					self.emit('failed', WebhookManager.serialize(webhook), delivery, error);
+				});
+		}, delay);
+		this.retryTimers.add(timer);
+		return this;
+	}
+
+	/**
+	 * POST a delivery to a webhook.
+	 * Rejects with an Error that has the response status
+	 * if the receiver does not respond with a 2xx.
+	 * @param {object} webhook
+	 * @param {object} delivery
+	 * @return {Promise}
+	 */
+	post(webhook, delivery){
+		let self = this;
+		return new Promise(function(resolve, reject){
+			let body = JSON.stringify(delivery);
+			let timestamp = Math.floor(Date.now() / 1000).toString();
+			let transport = webhook.url.startsWith("https:") ? Https : Http;
+			let request = transport.request(webhook.url, {
+				method: "POST",
+				timeout: self.timeout,
+				headers: {
+					'Content-Type': 'application/json',
+					'Content-Length': Buffer.byteLength(body),
+					'User-Agent': WebhookManager.userAgent,
+					'X-Webhook-Id': webhook.id,
+					'X-Webhook-Event': delivery.event,
+					'X-Webhook-Delivery': delivery.id,
+					'X-Webhook-Timestamp': timestamp,
+					'X-Webhook-Signature': WebhookManager.sign(webhook.secret, timestamp, body)
+				}
+			}, function(response){
+				// the body is not needed, but must be read to free the socket
+				response.resume();
+				if(response.statusCode >= 200 && response.statusCode < 300){
+					resolve();
+				}
+				else {
+					reject(HttpUtil.createError(WebhookManager.error.rejected, response.statusCode));
+				}
+			});
+			request.on('timeout', function(){
+				request.destroy(new Error(WebhookManager.error.timeout));
+			});
+			request.on('error', reject);
+			request.end(body);
+		});
+	}
+
+	/**
+	 * Drop every delivery waiting to be retried
+	 * @return {WebhookManager}
+	 */
+	stop(){
+		for(let timer of this.retryTimers){
+			clearTimeout(timer);
+		}
+		this.retryTimers.clear();
+		return this;
+	}
+}
+WebhookManager.userAgent = "ChatServer-Webhook";
+WebhookManager.maxUrlLength = 2048;
+WebhookManager.secretLength = 32;
+WebhookManager.minSecretLength = 16;
+WebhookManager.event = {
+	message: "message",
+	join: "join",
+	leave: "leave"
+};
+// responses worth retrying besides 5xx, other statuses mean the receiver will never accept it
+WebhookManager.retryStatuses = new Set([408, 429]);
+WebhookManager.error = {
+	invalidUrl: "Webhook URL is invalid",
+	invalidEvents: "Webhook events are invalid",
+	invalidSecret: "Webhook secret is too short",
+	tooManyWebhooks: "Room has too many webhooks",
+	webhookNotFound: "Webhook does not exist",
+	rejected: "Webhook receiver rejected the delivery",
+	timeout: "Webhook receiver timed out"
+};
+
+module.exports = WebhookManager;
@@ -13,8 +13,33 @@ class App {
         this.wrapper = document.getElementById('app');
         this.loader = document.getElementById('loader');
         // components
+        this.login = new Login();
         this.chat = new Chat();
-        this.chat.initialize();
+        this.attachComponentHandlers();
+        return this;
+    }
+
+    /**
+     * Attach handlers to components
+     * @return {App}
+     */
+    attachComponentHandlers(){
+        let self = this;
+        this.login.on('login', function(session){
+            self.chat.setToken(session.token);
+            self.chat.toggle(true);
+            self.chat.initialize();
+        });
+        this.chat.on('logout', function(){
+            self.chat.disconnect();
+            self.chat.toggle(false);
+            self.login.logout();
+        });
+        this.chat.on('unauthorized', function(){
+            self.chat.disconnect();
+            self.chat.toggle(false);
+            self.login.logout();
+        });
         return this;
     }
 
@@ -23,7 +48,7 @@ class App {
      * @return {App}
      */
     initialize(){
-        //this.login.initialize();
+        this.login.initialize();
         return this;
     }
 }
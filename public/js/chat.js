@@ -1,3 +1,224 @@
+/**
+ * Escape a string so it can be safely rendered as HTML
+ * @param {string} text
+ * @return {string}
+ */
+function escapeHtml(text){
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+/**
+ * Format a file size in bytes for people to read
+ * @param {number} size
+ * @return {string}
+ */
+function formatFileSize(size){
+    if(size < 1024){
+        return size + " B";
+    }
+    if(size < 1024 * 1024){
+        return (size / 1024).toFixed(1) + " KB";
+    }
+    return (size / (1024 * 1024)).toFixed(1) + " MB";
+}
+
+/**
+ * Render the formatted content of a message, as parsed by the server.
+ * Only text nodes and a few known elements are created, 
+ * so content can never inject markup or scripts.
+ * Unknown node types are rendered as their text.
+ * @param {object[]} nodes
+ * @return {DocumentFragment}
+ */
+function renderMessageContent(nodes){
+    let fragment = document.createDocumentFragment();
+    for(let i = 0; i < nodes.length; i++){
+        let node = nodes[i];
+        let element = null;
+        switch(node.type){
+            case "bold":
+                element = document.createElement('strong');
+                element.appendChild(renderMessageContent(node.children || []));
+                break;
+            case "italic":
+                element = document.createElement('em');
+                element.appendChild(renderMessageContent(node.children || []));
+                break;
+            case "code":
+                element = document.createElement('code');
+                element.textContent = node.text;
+                break;
+            case "codeblock":
+                element = document.createElement('pre');
+                element.appendChild(document.createElement('code')).textContent = node.text;
+                break;
+            case "link":
+                // never trust the scheme, javascript: links run scripts
+                if(!/^(https?:\/\/|mailto:)/i.test(node.url)){
+                    element = document.createTextNode(node.text);
+                    break;
+                }
+                element = document.createElement('a');
+                element.href = node.url;
+                element.target = "_blank";
+                element.rel = "noopener noreferrer";
+                element.textContent = node.text;
+                break;
+            case "mention":
+                element = document.createElement('span');
+                element.className = "chatroom-mention";
+                element.textContent = "@" + node.name;
+                break;
+            default:
+                element = document.createTextNode(node.text || "");
+                break;
+        }
+        fragment.appendChild(element);
+    }
+    return fragment;
+}
+
+/**
+ * Chat user template.
+ * Shows the logged in user and the state of the connection.
+ * @extends {Template}
+ */
+class ChatUserTemplate extends Template {
+
+    /**
+     * Constructor
+     * @return {ChatUserTemplate}
+     */
+    constructor(){
+        super({
+            elements: {
+                avatar: '[data-name="avatar"]',
+                name: '[data-name="name"]',
+                email: '[data-name="email"]',
+                logoutButton: '.chatuser-logout',
+                connection: '.chatuser-connection',
+                retryButton: '.chatuser-retry'
+            }
+        });
+        this.connectionState = "offline";
+        this.latency = null;
+        this.reconnectAt = 0;
+        this.countdownTimer = null;
+        return this;
+    }
+
+    /**
+     * Set the state of the connection
+     * @param {string} state - one of WebSocketClient.state
+     * @return {ChatUserTemplate}
+     */
+    setConnectionState(state){
+        this.connectionState = state;
+        if(state !== "open"){
+            this.latency = null;
+        }
+        if(state !== "reconnecting"){
+            this.stopCountdown();
+        }
+        return this.renderConnection();
+    }
+
+    /**
+     * Count down to the next attempt to reconnect
+     * @param {number} delay - ms until the attempt
+     * @return {ChatUserTemplate}
+     */
+    setReconnectDelay(delay){
+        let self = this;
+        this.stopCountdown();
+        this.reconnectAt = Date.now() + delay;
+        this.countdownTimer = setInterval(function(){
+            self.renderConnection();
+        }, 1000);
+        return this.renderConnection();
+    }
+
+    /**
+     * Stop counting down to the next attempt to reconnect
+     * @return {ChatUserTemplate}
+     */
+    stopCountdown(){
+        clearInterval(this.countdownTimer);
+        this.countdownTimer = null;
+        this.reconnectAt = 0;
+        return this;
+    }
+
+    /**
+     * Set the latency of the connection
+     * @param {number} latency - ms
+     * @return {ChatUserTemplate}
+     */
+    setLatency(latency){
+        this.latency = latency;
+        return this.renderConnection();
+    }
+
+    /**
+     * Render the connection status badge
+     * @return {ChatUserTemplate}
+     */
+    renderConnection(){
+        let text = ChatUserTemplate.connectionText[this.connectionState] || this.connectionState;
+        if(this.connectionState === "open" && this.latency !== null){
+            text += " · " + this.latency + " ms";
+        }
+        let remaining = Math.ceil((this.reconnectAt - Date.now()) / 1000);
+        if(this.connectionState === "reconnecting" && remaining > 0){
+            text += " in " + remaining + "s";
+        }
+        this.elements.connection.textContent = text;
+        this.elements.connection.setAttribute('data-state', this.connectionState);
+        Template.display(this.elements.retryButton, this.connectionState === "reconnecting");
+        return this;
+    }
+
+    /**
+     * Connected callback
+     */
+    connectedCallback(){
+        super.connectedCallback();
+        let self = this;
+        this.elements.logoutButton.addEventListener('click', function(){
+            self.emit('logout');
+        });
+        this.elements.retryButton.addEventListener('click', function(){
+            self.emit('retry');
+        });
+        this.renderConnection();
+    }
+
+    /**
+     * Process render data.
+     * Escape user data and provide a default avatar.
+     * @param {object} data 
+     * @return {object}
+     */
+    processRenderData(data){
+        data.name = escapeHtml(data.name);
+        data.email = escapeHtml(data.email || "");
+        data.avatar = "<img src='/img/avatar.png'>";
+        return data;
+    }
+}
+ChatUserTemplate.connectionText = {
+    connecting: "Connecting",
+    open: "Connected",
+    reconnecting: "Reconnecting",
+    offline: "Offline"
+};
+customElements.define('template-chatuser', ChatUserTemplate);
+
 /**
  * Chat room message template
  * @extends {Template}
@@ -13,22 +234,281 @@ class ChatRoomMessageTemplate extends Template {
             elements: {
                 avatar: '[data-name="avatar"]',
                 user: '[data-name="user"]',
-                text: '[data-name="text"]'
+                bot: '.chatroom-message-bot',
+                text: '[data-name="text"]',
+                readers: '.chatroom-message-readers',
+                attachments: '.chatroom-message-attachments',
+                edited: '.chatroom-message-edited',
+                actions: '.chatroom-message-actions',
+                replyButton: '.chatroom-message-reply',
+                editButton: '.chatroom-message-edit',
+                deleteButton: '.chatroom-message-delete',
+                reactButton: '.chatroom-message-react',
+                palette: '.chatroom-message-palette',
+                reactions: '.chatroom-message-reactions',
+                replies: '.chatroom-message-replies'
             }
         });
+        this.viewer = {userId: null, canModerate: false};
+        return this;
+    }
+
+    /**
+     * Connected callback.
+     * Edit, delete, and react buttons ask the user
+     * and emit what they want done to the message.
+     * Reply buttons and reply counts open the message's thread.
+     */
+    connectedCallback(){
+        super.connectedCallback();
+        let self = this;
+        function openThread(){
+            self.emit('thread', {id: self.cachedData.id});
+        }
+        this.elements.replyButton.addEventListener('click', openThread);
+        this.elements.replies.addEventListener('click', openThread);
+        this.elements.editButton.addEventListener('click', function(){
+            let text = window.prompt("Edit message", self.cachedData.text);
+            if(text !== null && text !== self.cachedData.text){
+                self.emit('edit', {id: self.cachedData.id, text: text});
+            }
+        });
+        this.elements.deleteButton.addEventListener('click', function(){
+            if(window.confirm("Delete this message?")){
+                self.emit('delete', {id: self.cachedData.id});
+            }
+        });
+        this.elements.reactButton.addEventListener('click', function(){
+            Template.display(self.elements.palette, !Template.isVisible(self.elements.palette));
+        });
+        this.renderPalette();
+    }
+
+    /**
+     * Render the emoji that can be picked to react with
+     * @return {ChatRoomMessageTemplate}
+     */
+    renderPalette(){
+        let self = this;
+        this.elements.palette.innerHTML = "";
+        Template.display(this.elements.palette, false);
+        for(let i = 0; i < ChatRoomMessageTemplate.reactionEmoji.length; i++){
+            let emoji = ChatRoomMessageTemplate.reactionEmoji[i];
+            let button = document.createElement('button');
+            button.type = "button";
+            button.textContent = emoji;
+            button.addEventListener('click', function(){
+                Template.display(self.elements.palette, false);
+                self.react(emoji);
+            });
+            this.elements.palette.appendChild(button);
+        }
+        return this;
+    }
+
+    /**
+     * Toggle the viewer's reaction to the message
+     * @param {string} emoji
+     * @return {ChatRoomMessageTemplate}
+     */
+    react(emoji){
+        let users = (this.cachedData.reactions || {})[emoji] || [];
+        this.emit('react', {
+            id: this.cachedData.id,
+            emoji: emoji,
+            add: !users.includes(this.viewer.userId)
+        });
+        return this;
+    }
+
+    /**
+     * Set who is viewing the message.
+     * The author can edit and delete it, and moderators can delete it.
+     * @param {object} viewer
+     * @param {string} viewer.userId
+     * @param {boolean} viewer.canModerate
+     * @return {ChatRoomMessageTemplate}
+     */
+    setViewer(viewer){
+        this.viewer = viewer;
+        if(this.cachedData){
+            this.renderControls(this.cachedData);
+            this.renderReactions(this.cachedData.reactions || {});
+        }
+        return this;
+    }
+
+    /**
+     * Render the names of users who have read up to this message
+     * @param {string[]} names
+     * @return {ChatRoomMessageTemplate}
+     */
+    renderReaders(names){
+        this.elements.readers.innerHTML = names.length 
+            ? "Seen by " + names.map(escapeHtml).join(", ")
+            : "";
+        return this;
+    }
+
+    /**
+     * Render the message.
+     * Formatted content replaces the plain text,
+     * which older messages and notices do not have.
+     * Messages from bots get a badge.
+     * @param {object} data 
+     * @return {ChatRoomMessageTemplate}
+     */
+    render(data){
+        super.render(data);
+        this.classList.toggle('chatroom-message-deleted', Boolean(data.deleted));
+        Template.display(this.elements.bot, Boolean(data.bot));
+        Template.display(this.elements.edited, Boolean(data.edited) && !data.deleted);
+        if(data.deleted){
+            this.elements.text.innerHTML = "Message deleted";
+        }
+        else if(Array.isArray(data.content)){
+            this.elements.text.innerHTML = "";
+            this.elements.text.appendChild(renderMessageContent(data.content));
+        }
+        return this.renderAttachments(data.attachments || [])
+            .renderReactions(data.reactions || {})
+            .renderReplies(data)
+            .renderControls(data);
+    }
+
+    /**
+     * Render how many replies are in the message's thread,
+     * and when the last one was sent
+     * @param {object} data
+     * @param {number} [data.replyCount]
+     * @param {number} [data.lastReplyAt]
+     * @return {ChatRoomMessageTemplate}
+     */
+    renderReplies(data){
+        let count = data.replyCount || 0;
+        Template.display(this.elements.replies, count > 0);
+        if(count){
+            this.elements.replies.textContent = count + (count === 1 ? " reply" : " replies");
+            this.elements.replies.title = "Last reply " + new Date(data.lastReplyAt).toLocaleString();
+        }
+        return this;
+    }
+
+    /**
+     * Show the buttons the viewer can use on the message.
+     * Notices and deleted messages have none,
+     * and replies cannot start threads of their own.
+     * @param {object} data
+     * @return {ChatRoomMessageTemplate}
+     */
+    renderControls(data){
+        let canChange = !data.notice && !data.deleted && Boolean(data.id);
+        let isAuthor = data.senderId === this.viewer.userId;
+        Template.display(this.elements.actions, canChange);
+        Template.display(this.elements.replyButton, canChange && !data.parentId);
+        Template.display(this.elements.editButton, canChange && isAuthor);
+        Template.display(this.elements.deleteButton, canChange && (isAuthor || this.viewer.canModerate));
+        return this;
+    }
+
+    /**
+     * Render reactions with how many users reacted with each.
+     * Clicking one toggles the viewer's own reaction.
+     * @param {object} reactions - emoji to the ids of users who reacted
+     * @return {ChatRoomMessageTemplate}
+     */
+    renderReactions(reactions){
+        let self = this;
+        this.elements.reactions.innerHTML = "";
+        for(let emoji in reactions){
+            let users = reactions[emoji];
+            if(!users.length){
+                continue;
+            }
+            let button = document.createElement('button');
+            button.type = "button";
+            button.className = "chatroom-message-reaction";
+            button.classList.toggle('chatroom-message-reaction-own', users.includes(this.viewer.userId));
+            button.textContent = emoji + " " + users.length;
+            button.addEventListener('click', function(){
+                self.react(emoji);
+            });
+            this.elements.reactions.appendChild(button);
+        }
+        return this;
+    }
+
+    /**
+     * Render attachments.
+     * Images with thumbnails get an inline preview,
+     * and everything else gets a download link.
+     * Links and images cannot send headers, so the session token is in their urls.
+     * @param {object[]} attachments
+     * @return {ChatRoomMessageTemplate}
+     */
+    renderAttachments(attachments){
+        this.elements.attachments.innerHTML = "";
+        for(let i = 0; i < attachments.length; i++){
+            let attachment = attachments[i];
+            let url = "/attachments/" + encodeURIComponent(attachment.id);
+            let query = ChatRoomMessageTemplate.token
+                ? "?token=" + encodeURIComponent(ChatRoomMessageTemplate.token)
+                : "";
+            let link = document.createElement('a');
+            link.href = url + query;
+            link.className = "chatroom-attachment";
+            if(attachment.thumbnail){
+                link.target = "_blank";
+                link.rel = "noopener noreferrer";
+                let image = document.createElement('img');
+                image.src = url + "/thumbnail" + query;
+                image.alt = attachment.name;
+                image.title = attachment.name;
+                link.appendChild(image);
+            }
+            else {
+                link.setAttribute('download', attachment.name);
+                link.textContent = attachment.name + " (" + formatFileSize(attachment.size) + ")";
+            }
+            this.elements.attachments.appendChild(link);
+        }
+        return this;
+    }
+
+    /**
+     * Highlight the message if it mentions the user
+     * @param {boolean} mentioned
+     * @return {ChatRoomMessageTemplate}
+     */
+    renderMention(mentioned){
+        this.classList.toggle('chatroom-message-mention', mentioned);
         return this;
     }
 
     /**
-     * Process render data
+     * Process render data.
+     * Actions are shown as "* name text",
+     * and notices from the app have no sender.
      * @param {object} data 
      * @return {object}
      */
     processRenderData(data){
-        data.user = data.user + ":";
+        if(data.notice){
+            data.user = "*";
+        }
+        else if(data.action){
+            data.user = "* " + escapeHtml(data.sender);
+        }
+        else {
+            data.user = escapeHtml(data.sender) + ":";
+        }
+        data.text = escapeHtml(data.text);
         return data;
     }
 }
+ChatRoomMessageTemplate.reactionEmoji = ["👍", "❤️", "😂", "😮", "😢", "🎉"];
+// session token that attachments are read with
+ChatRoomMessageTemplate.token = null;
 customElements.define('template-chatroom-message', ChatRoomMessageTemplate);
 
 /**
@@ -48,6 +528,60 @@ class ChatRoomMessageTemplateManager extends ElementManager {
             removeTemplate: false,
             removeDeadTemplates: false
         });
+        this.viewer = {userId: null, canModerate: false};
+        return this;
+    }
+
+    /**
+     * Attach handlers to a message.
+     * Edits, deletes, reactions, and threads are re-emitted from the manager.
+     * @param {ChatRoomMessageTemplate} message 
+     * @return {ChatRoomMessageTemplateManager}
+     */
+    attachElementHandlers(message){
+        let self = this;
+        message.viewer = this.viewer;
+        message.on('edit', function(data){
+            self.emit('edit', data);
+        });
+        message.on('delete', function(data){
+            self.emit('delete', data);
+        });
+        message.on('react', function(data){
+            self.emit('react', data);
+        });
+        message.on('thread', function(data){
+            self.emit('thread', data);
+        });
+        return this;
+    }
+
+    /**
+     * Set who is viewing the messages
+     * @param {string} userId
+     * @param {boolean} canModerate - whether the viewer can delete any message
+     * @return {ChatRoomMessageTemplateManager}
+     */
+    setViewer(userId, canModerate){
+        this.viewer = {userId: userId, canModerate: canModerate};
+        for(let element of this.elements.values()){
+            element.setViewer(this.viewer);
+        }
+        return this;
+    }
+
+    /**
+     * Update a message that is already rendered.
+     * Messages that are not rendered are ignored.
+     * @param {string} messageId
+     * @param {object} message
+     * @return {ChatRoomMessageTemplateManager}
+     */
+    updateMessage(messageId, message){
+        let element = this.elements.get(messageId);
+        if(element){
+            element.render(message);
+        }
         return this;
     }
 
@@ -60,6 +594,26 @@ class ChatRoomMessageTemplateManager extends ElementManager {
     appendMessage(messageId, message){
         return this.renderSingle(messageId, message);
     }
+
+    /**
+     * Prepend older messages before all existing messages.
+     * Messages that are already rendered are skipped.
+     * @param {object[]} messages - oldest first
+     * @return {ChatRoomMessageTemplateManager}
+     */
+    prependMessages(messages){
+        for(let i = messages.length - 1; i >= 0; i--){
+            let message = messages[i];
+            if(this.elements.has(message.id)){
+                continue;
+            }
+            let element = this.cloneTemplate();
+            element.render(message);
+            this.elements.set(message.id, element);
+            this.wrapper.prepend(element);
+        }
+        return this;
+    }
 }
 
 /**
@@ -77,12 +631,28 @@ class ChatRoomUserTemplate extends Template {
         super({
             elements: {
                 avatar: '[data-name="avatar"]',
-                name: '[data-name="name"]'
+                name: '[data-name="name"]',
+                status: '[data-name="status"]'
             }
         });
         return this;
     }
 
+    /**
+     * Connected callback.
+     * Clicking the user starts a direct message conversation.
+     */
+    connectedCallback(){
+        super.connectedCallback();
+        let self = this;
+        this.elements.name.addEventListener('click', function(){
+            self.emit('directmessage', {
+                id: self.cachedData.id,
+                name: self.cachedData.name
+            });
+        });
+    }
+
     /**
      * Process render data.
      * Provide a default avatar if there is none.
@@ -90,11 +660,25 @@ class ChatRoomUserTemplate extends Template {
      * @extends {Template}
      */
     processRenderData(data){
+        data.name = escapeHtml(data.name);
+        data.status = escapeHtml(data.status || "online");
         if(!data.avatar || data.avatar === ""){
             data.avatar = "<img src='/img/avatar.png'>"
         }
         return data;
     }
+
+    /**
+     * Render the template.
+     * Set the status attribute so the status can be styled.
+     * @param {object} data 
+     * @return {ChatRoomUserTemplate}
+     */
+    render(data){
+        super.render(data);
+        this.setAttribute('data-status', this.renderData.status);
+        return this;
+    }
 }
 customElements.define('template-chatroom-user', ChatRoomUserTemplate);
 
@@ -118,6 +702,20 @@ class ChatRoomUserTemplateManager extends ElementManager {
         return this;
     }
 
+    /**
+     * Attach handlers to a user.
+     * Direct message requests are re-emitted from the manager.
+     * @param {ChatRoomUserTemplate} user 
+     * @return {ChatRoomUserTemplateManager}
+     */
+    attachElementHandlers(user){
+        let self = this;
+        user.on('directmessage', function(data){
+            self.emit('directmessage', data);
+        });
+        return this;
+    }
+
     /**
      * Append a single client to the list.
      * @param {string} clientId
@@ -138,6 +736,29 @@ class ChatRoomUserTemplateManager extends ElementManager {
         this.removeElement(clientId);
         return this;
     }
+
+    /**
+     * Check if a client is in the list
+     * @param {string} clientId
+     * @return {boolean}
+     */
+    hasClient(clientId){
+        return this.elements.has(clientId);
+    }
+
+    /**
+     * Set the status of a client in the list
+     * @param {string} clientId
+     * @param {string} status
+     * @return {ChatRoomUserTemplateManager}
+     */
+    setClientStatus(clientId, status){
+        let element = this.elements.get(clientId);
+        if(element){
+            element.render(Object.assign({}, element.cachedData, {status: status}));
+        }
+        return this;
+    }
 }
 
 /**
@@ -158,25 +779,66 @@ class ChatRoomTemplate extends Template {
                 header: '.chatroom-header',
                 icon: '.chatroom-icon',
                 img: '.chatroom-img',
-                lock: '.chatroom-ock',
+                lock: '.chatroom-lock',
                 info: '.chatroom-info',
                 users: '.chatroom-users',
                 clientCount: '[data-name="clientCount"]',
+                unread: '[data-name="unread"]',
                 name: '[data-name="name"]',
+                topic: '[data-name="topic"]',
+                leaveButton: '.chatroom-leave',
+                deleteButton: '.chatroom-delete',
+                inviteButton: '.chatroom-invite',
+                uninviteButton: '.chatroom-uninvite',
                 // room
                 room: '.chatroom-room',
                 chat: '.chatroom-chat',
                 userList: '.chatroom-userlist',
+                typing: '.chatroom-typing',
                 textInput: '[name="text"]',
-                submitButton: '[type="submit"]'
+                submitButton: '[type="submit"]',
+                attachButton: '.chatroom-attach',
+                fileInput: '.chatroom-file',
+                pending: '.chatroom-pending'
             }
         };
         super(Object.extend(defaults, options));
+        let self = this;
         this.userManager = new ChatRoomUserTemplateManager(this.elements.userList);
+        this.userManager.on('directmessage', function(data){
+            self.emit('directmessage', data);
+        });
         this.messageManager = new ChatRoomMessageTemplateManager(this.elements.chat);
-        return this;
-    }
-
+        this.messageManager.on('edit', function(data){
+            self.emit('messageedit', Object.assign({room: self.cachedData.name}, data));
+        });
+        this.messageManager.on('delete', function(data){
+            self.emit('messagedelete', Object.assign({room: self.cachedData.name}, data));
+        });
+        this.messageManager.on('react', function(data){
+            self.emit('messagereact', Object.assign({room: self.cachedData.name}, data));
+        });
+        this.messageManager.on('thread', function(data){
+            self.emit('thread', Object.assign({room: self.cachedData.name}, data));
+        });
+        this.oldestMessageId = null;
+        this.isLoadingHistory = false;
+        this.hasMoreHistory = true;
+        this.isJoined = false;
+        this.userId = null;
+        this.readMarkers = new Map();
+        this.typingUsers = new Map();
+        this.isTyping = false;
+        this.lastTypingSent = 0;
+        this.typingTimer = null;
+        this.noticeCount = 0;
+        this.pendingAttachments = [];
+        this.lastSequence = 0;
+        this.password = "";
+        this.setJoined(false);
+        return this;
+    }
+
     /**
      * Connected callback
      */
@@ -209,6 +871,300 @@ class ChatRoomTemplate extends Template {
         this.elements.textInput.addEventListener('blur', function(){
             document.removeEventListener('keyup', documentOnEnterKey)
         });
+        this.elements.textInput.addEventListener('input', function(){
+            if(self.elements.textInput.value.length){
+                self.startTyping();
+            }
+            else {
+                self.stopTyping();
+            }
+        });
+        return this;
+    }
+
+    /**
+     * Tell the room the user is typing.
+     * Typing is re-sent at most once per ChatRoomTemplate.typingInterval,
+     * and stops if the user does not type for ChatRoomTemplate.typingIdleTimeout.
+     * @return {ChatRoomTemplate}
+     */
+    startTyping(){
+        let self = this;
+        let now = Date.now();
+        if(!this.isTyping || now - this.lastTypingSent >= ChatRoomTemplate.typingInterval){
+            this.isTyping = true;
+            this.lastTypingSent = now;
+            this.emit('typing', {room: this.cachedData.name, typing: true});
+        }
+        clearTimeout(this.typingTimer);
+        this.typingTimer = setTimeout(function(){
+            self.stopTyping();
+        }, ChatRoomTemplate.typingIdleTimeout);
+        return this;
+    }
+
+    /**
+     * Tell the room the user stopped typing
+     * @param {boolean} [notify=true] - false if the server already knows,
+     * such as when a message is sent
+     * @return {ChatRoomTemplate}
+     */
+    stopTyping(notify = true){
+        clearTimeout(this.typingTimer);
+        this.typingTimer = null;
+        if(!this.isTyping){
+            return this;
+        }
+        this.isTyping = false;
+        if(notify){
+            this.emit('typing', {room: this.cachedData.name, typing: false});
+        }
+        return this;
+    }
+
+    /**
+     * Set whether another user is typing.
+     * Typing expires on its own after the timeout
+     * in case the stop event never arrives.
+     * @param {object} user
+     * @param {string} user.id
+     * @param {string} user.name
+     * @param {boolean} typing
+     * @param {number} timeout - ms
+     * @return {ChatRoomTemplate}
+     */
+    setUserTyping(user, typing, timeout){
+        let self = this;
+        if(user.id === this.userId){
+            return this;
+        }
+        let typingUser = this.typingUsers.get(user.id);
+        if(typingUser){
+            clearTimeout(typingUser.timer);
+            this.typingUsers.delete(user.id);
+        }
+        if(typing){
+            this.typingUsers.set(user.id, {
+                name: user.name,
+                timer: setTimeout(function(){
+                    self.setUserTyping(user, false);
+                }, timeout)
+            });
+        }
+        return this.renderTyping();
+    }
+
+    /**
+     * Render who is typing
+     * @return {ChatRoomTemplate}
+     */
+    renderTyping(){
+        let names = Array.from(this.typingUsers.values()).map(function(user){
+            return escapeHtml(user.name);
+        });
+        let text = "";
+        if(names.length === 1){
+            text = names[0] + " is typing…";
+        }
+        else if(names.length === 2){
+            text = names[0] + " and " + names[1] + " are typing…";
+        }
+        else if(names.length > 2){
+            text = "Several people are typing…";
+        }
+        this.elements.typing.innerHTML = text;
+        return this;
+    }
+
+    /**
+     * Set the id of the user viewing the room.
+     * Used to ignore the user's own typing and read state.
+     * @param {string} id
+     * @return {ChatRoomTemplate}
+     */
+    setUserId(id){
+        this.userId = id;
+        return this.renderViewer();
+    }
+
+    /**
+     * Check if the user can moderate the room
+     * @return {boolean}
+     */
+    canModerate(){
+        let room = this.cachedData || {};
+        return this.userId !== null
+            && (room.owner === this.userId || (room.moderators || []).includes(this.userId));
+    }
+
+    /**
+     * Tell the messages who is viewing them,
+     * so they show the controls the user can use
+     * @return {ChatRoomTemplate}
+     */
+    renderViewer(){
+        this.messageManager.setViewer(this.userId, this.canModerate());
+        return this;
+    }
+
+    /**
+     * Check if the room is joined and its chat log is showing
+     * @return {boolean}
+     */
+    isOpen(){
+        return this.isJoined && Template.isVisible(this.elements.room);
+    }
+
+    /**
+     * Get the newest message in the chat log
+     * @return {object|null}
+     */
+    getLatestMessage(){
+        let latest = null;
+        for(let element of this.messageManager.elements.values()){
+            let message = element.cachedData;
+            if(message.notice){
+                continue;
+            }
+            if(!latest || message.timestamp > latest.timestamp){
+                latest = message;
+            }
+        }
+        return latest;
+    }
+
+    /**
+     * Replace every read marker in the room
+     * @param {object[]} markers
+     * @return {ChatRoomTemplate}
+     */
+    setReadMarkers(markers){
+        this.readMarkers.clear();
+        for(let i = 0; i < markers.length; i++){
+            this.readMarkers.set(markers[i].userId, markers[i]);
+        }
+        return this.renderReadState();
+    }
+
+    /**
+     * Set a user's read marker.
+     * Markers only move forward.
+     * @param {object} marker
+     * @param {string} marker.userId
+     * @param {string} marker.name
+     * @param {string} marker.messageId
+     * @param {number} marker.timestamp
+     * @return {ChatRoomTemplate}
+     */
+    setReadMarker(marker){
+        let current = this.readMarkers.get(marker.userId);
+        if(current && current.timestamp >= marker.timestamp){
+            return this;
+        }
+        this.readMarkers.set(marker.userId, marker);
+        return this.renderReadState();
+    }
+
+    /**
+     * Mark the newest message as read.
+     * Only done while the room is open and the page is visible.
+     * @return {ChatRoomTemplate}
+     */
+    markRead(){
+        if(!this.isOpen() || document.hidden || this.userId === null){
+            return this;
+        }
+        let latest = this.getLatestMessage();
+        if(!latest){
+            return this;
+        }
+        let marker = this.readMarkers.get(this.userId);
+        if(marker && marker.timestamp >= latest.timestamp){
+            return this;
+        }
+        this.emit('read', {
+            room: this.cachedData.name,
+            id: latest.id,
+            timestamp: latest.timestamp
+        });
+        // assume the server accepts it, so it is not sent again
+        return this.setReadMarker({
+            userId: this.userId,
+            messageId: latest.id,
+            timestamp: latest.timestamp
+        });
+    }
+
+    /**
+     * Get the number of messages from other users
+     * newer than the user's read marker
+     * @return {number}
+     */
+    getUnreadCount(){
+        let marker = this.readMarkers.get(this.userId);
+        let timestamp = marker ? marker.timestamp : 0;
+        let count = 0;
+        for(let element of this.messageManager.elements.values()){
+            let message = element.cachedData;
+            if(!message.notice && message.timestamp > timestamp && message.senderId !== this.userId){
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Check if a message mentions the user
+     * @param {object} message
+     * @return {boolean}
+     */
+    isMention(message){
+        return Array.isArray(message.mentions) && message.mentions.includes(this.userId);
+    }
+
+    /**
+     * Get the number of unread messages that mention the user
+     * @return {number}
+     */
+    getUnreadMentionCount(){
+        let marker = this.readMarkers.get(this.userId);
+        let timestamp = marker ? marker.timestamp : 0;
+        let count = 0;
+        for(let element of this.messageManager.elements.values()){
+            let message = element.cachedData;
+            if(message.timestamp > timestamp && message.senderId !== this.userId && this.isMention(message)){
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Render the unread and mention counts, which messages mention the user,
+     * and which other users have read up to each message
+     * @return {ChatRoomTemplate}
+     */
+    renderReadState(){
+        let unread = this.getUnreadCount();
+        let mentions = this.getUnreadMentionCount();
+        let text = unread ? unread + " unread" : "";
+        if(mentions){
+            text += ", " + mentions + (mentions === 1 ? " mention" : " mentions");
+        }
+        this.elements.unread.innerHTML = text;
+        let readers = new Map();
+        for(let marker of this.readMarkers.values()){
+            if(marker.userId === this.userId){
+                continue;
+            }
+            let names = readers.get(marker.messageId) || [];
+            names.push(marker.name);
+            readers.set(marker.messageId, names);
+        }
+        for(let [id, element] of this.messageManager.elements){
+            element.renderReaders(readers.get(id) || []);
+            element.renderMention(this.isMention(element.cachedData));
+        }
         return this;
     }
 
@@ -217,12 +1173,63 @@ class ChatRoomTemplate extends Template {
      * @return {ChatRoomTemplate}
      */
     attachDomHandlers(){
+        let self = this;
         this.elements.header.addEventListener('click', function(){
+            if(!self.isJoined){
+                self.join();
+                return;
+            }
             Template.toggle(self.elements.room);
+            if(Template.isVisible(self.elements.room)){
+                self.emit('open', {room: self.cachedData.name});
+                self.markRead();
+            }
+        });
+        this.elements.chat.addEventListener('scroll', function(){
+            if(self.elements.chat.scrollTop === 0){
+                self.requestHistory();
+            }
+        });
+        return this;
+    }
+
+    /**
+     * Request older messages than the oldest one rendered.
+     * Does nothing if a request is in progress
+     * or if there is no more history.
+     * @return {ChatRoomTemplate}
+     */
+    requestHistory(){
+        if(this.isLoadingHistory || !this.hasMoreHistory || this.oldestMessageId === null){
+            return this;
+        }
+        this.isLoadingHistory = true;
+        this.emit('history', {
+            room: this.cachedData.name,
+            before: this.oldestMessageId
         });
         return this;
     }
 
+    /**
+     * Prepend older messages to the chat log.
+     * Keeps the scroll position on the message that was at the top.
+     * @param {object[]} messages - oldest first
+     * @param {number} limit - the amount of messages that were requested
+     * @return {ChatRoomTemplate}
+     */
+    prependMessages(messages, limit){
+        let scrollHeight = this.elements.chat.scrollHeight;
+        this.messageManager.prependMessages(messages);
+        if(messages.length){
+            this.oldestMessageId = messages[0].id;
+        }
+        this.hasMoreHistory = messages.length >= limit;
+        this.isLoadingHistory = false;
+        this.elements.chat.scrollTop = this.elements.chat.scrollHeight - scrollHeight;
+        return this.renderReadState();
+    }
+
     /**
      * Attach button handlers.
      * @return {ChatRoomTemplate}
@@ -232,20 +1239,156 @@ class ChatRoomTemplate extends Template {
         this.elements.submitButton.addEventListener('click', function(){
             self.submit();
         });
+        this.elements.attachButton.addEventListener('click', function(){
+            self.elements.fileInput.click();
+        });
+        this.elements.fileInput.addEventListener('change', function(){
+            let files = Array.from(self.elements.fileInput.files);
+            self.elements.fileInput.value = "";
+            for(let i = 0; i < files.length; i++){
+                self.emit('upload', {room: self.cachedData.name, file: files[i]});
+            }
+        });
+        this.elements.leaveButton.addEventListener('click', function(event){
+            event.stopPropagation();
+            self.emit('leave', {room: self.cachedData.name});
+        });
+        this.elements.deleteButton.addEventListener('click', function(event){
+            event.stopPropagation();
+            self.emit('delete', {room: self.cachedData.name});
+        });
+        this.elements.inviteButton.addEventListener('click', function(event){
+            event.stopPropagation();
+            let user = window.prompt("Invite who to " + self.cachedData.name + "?");
+            if(user){
+                self.emit('invite', {room: self.cachedData.name, user: user});
+            }
+        });
+        this.elements.uninviteButton.addEventListener('click', function(event){
+            event.stopPropagation();
+            let user = window.prompt("Revoke whose invite to " + self.cachedData.name + "?");
+            if(user){
+                self.emit('uninvite', {room: self.cachedData.name, user: user});
+            }
+        });
+        return this;
+    }
+
+    /**
+     * Request to join the room.
+     * Prompt for a password if the room is locked.
+     * @return {ChatRoomTemplate}
+     */
+    join(){
+        let data = {room: this.cachedData.name};
+        if(this.cachedData.locked){
+            let password = window.prompt("Password for " + this.cachedData.name);
+            if(password === null){
+                return this;
+            }
+            data.password = password;
+            // kept so the room can be joined again after reconnecting
+            this.password = password;
+        }
+        this.emit('join', data);
+        return this;
+    }
+
+    /**
+     * Set whether the user owns the room.
+     * Owner controls are only shown to the owner.
+     * @param {boolean} state
+     * @return {ChatRoomTemplate}
+     */
+    setIsOwner(state){
+        Template.display(this.elements.deleteButton, state);
+        Template.display(this.elements.inviteButton, state);
+        Template.display(this.elements.uninviteButton, state);
+        return this;
+    }
+
+    /**
+     * Set whether the user has joined the room.
+     * The room and leave button are only shown when joined.
+     * @param {boolean} state
+     * @return {ChatRoomTemplate}
+     */
+    setJoined(state){
+        this.isJoined = state;
+        Template.display(this.elements.room, state);
+        Template.display(this.elements.leaveButton, state);
         return this;
     }
 
 
     /**
-     * Serialize the message
+     * Serialize the message.
+     * Text starting with a slash is a command, such as "/join General".
+     * Start the text with two slashes to send a message that starts with one.
      * @return {object}
      */
     serializeMessage(){
+        let text = this.elements.textInput.value;
+        let command = /^\/\w/.test(text);
+        if(text.startsWith("//")){
+            text = text.substring(1);
+        }
         return {
-            text: this.elements.textInput.value
+            room: this.cachedData.name,
+            text: text,
+            command: command,
+            attachments: command ? [] : this.pendingAttachments.map(function(attachment){
+                return attachment.id;
+            })
         };
     }
 
+    /**
+     * Add an uploaded attachment to send with the next message
+     * @param {object} attachment
+     * @return {ChatRoomTemplate}
+     */
+    addPendingAttachment(attachment){
+        this.pendingAttachments.push(attachment);
+        return this.renderPendingAttachments();
+    }
+
+    /**
+     * Remove an attachment from the next message
+     * @param {string} id
+     * @return {ChatRoomTemplate}
+     */
+    removePendingAttachment(id){
+        this.pendingAttachments = this.pendingAttachments.filter(function(attachment){
+            return attachment.id !== id;
+        });
+        return this.renderPendingAttachments();
+    }
+
+    /**
+     * Render the attachments that will be sent with the next message
+     * @return {ChatRoomTemplate}
+     */
+    renderPendingAttachments(){
+        let self = this;
+        this.elements.pending.innerHTML = "";
+        for(let i = 0; i < this.pendingAttachments.length; i++){
+            let attachment = this.pendingAttachments[i];
+            let item = document.createElement('span');
+            item.className = "chatroom-pending-attachment";
+            item.textContent = attachment.name;
+            let removeButton = document.createElement('button');
+            removeButton.type = "button";
+            removeButton.textContent = "x";
+            removeButton.addEventListener('click', function(){
+                self.removePendingAttachment(attachment.id);
+            });
+            item.appendChild(removeButton);
+            this.elements.pending.appendChild(item);
+        }
+        return this;
+    }
+
     /**
      * Clear the text input
      * @return {ChatRoomTemplate}
@@ -266,23 +1409,37 @@ class ChatRoomTemplate extends Template {
 
     /**
      * Serialize and submit the message.
+     * Empty messages are not submitted.
      * Clear the input.
+     * The server ends typing when it gets the message.
      * @return {ChatRoomTemplate}
      */
     submit(){
         let message = this.serializeMessage();
+        if(!message.text.trim().length && !message.attachments.length){
+            return this;
+        }
         this.emit('message', message);
+        if(message.attachments.length){
+            this.pendingAttachments = [];
+            this.renderPendingAttachments();
+        }
         this.clearInput();
+        this.stopTyping(false);
         return this;
     }
 
     /**
      * Process data to be rendered
      * @param {object} data
+     * @param {string} data.name
+     * @param {string} [data.topic]
      * @param {number} data.maxClient
      * @return {object}
      */
     processRenderData(data){
+        data.name = escapeHtml(data.name);
+        data.topic = escapeHtml(data.topic || "");
         data.maxClients = data.maxClients ? "/" + data.maxClients : "";
         return data;
     }
@@ -304,16 +1461,85 @@ class ChatRoomTemplate extends Template {
      */
     appendMessage(message){
         this.messageManager.appendMessage(message.id, message);
+        if(this.oldestMessageId === null){
+            this.oldestMessageId = message.id;
+        }
+        this.setSequence(message.seq);
+        this.scrollChatToBottom();
+        return this.markRead().renderReadState();
+    }
+
+    /**
+     * Set the highest sequence number of the messages seen in the room.
+     * Lower numbers are ignored.
+     * @param {number} sequence
+     * @return {ChatRoomTemplate}
+     */
+    setSequence(sequence){
+        if(Number.isInteger(sequence) && sequence > this.lastSequence){
+            this.lastSequence = sequence;
+        }
+        return this;
+    }
+
+    /**
+     * Get a message in the chat log
+     * @param {string} id
+     * @return {object|null}
+     */
+    getMessage(id){
+        let element = this.messageManager.elements.get(id);
+        return element ? element.cachedData : null;
+    }
+
+    /**
+     * Update a message that was edited, deleted, reacted to, or replied to
+     * @param {object} message
+     * @return {ChatRoomTemplate}
+     */
+    updateMessage(message){
+        this.messageManager.updateMessage(message.id, message);
+        return this.renderReadState();
+    }
+
+    /**
+     * Append a notice to the chat log.
+     * Notices are only shown to this user and are never read or unread.
+     * @param {string} text
+     * @return {ChatRoomTemplate}
+     */
+    appendNotice(text){
+        this.noticeCount++;
+        this.messageManager.appendMessage("notice-" + this.noticeCount, {
+            notice: true,
+            text: text
+        });
         this.scrollChatToBottom();
         return this;
     }
 
+    /**
+     * Update a client in the client list
+     * @param {object} client
+     * @return {ChatRoomTemplate}
+     */
+    updateClient(client){
+        if(this.userManager.hasClient(client.id)){
+            this.userManager.appendClient(client.id, client);
+        }
+        return this;
+    }
+
     /**
      * Append a client to the client list
      * @param {object} client
      * @return {ChatRoomTemplate}
      */
     appendClient(client){
+        if(this.userManager.hasClient(client.id)){
+            this.userManager.setClientStatus(client.id, client.status);
+            return this;
+        }
         this.userManager.appendClient(client.id, client);
         this.cachedData.clientCount++;
         this.renderClientCount(this.cachedData.clientCount);
@@ -322,16 +1548,31 @@ class ChatRoomTemplate extends Template {
 
     /**
      * Remove a client from the client list
-     * @param {object} client
+     * @param {string} id
      * @return {ChatRoomTemplate}
      */
     removeClient(id){
+        if(!this.userManager.hasClient(id)){
+            return this;
+        }
         this.userManager.removeClient(id);
+        this.setUserTyping({id: id}, false);
         this.cachedData.clientCount--;
         this.renderClientCount(this.cachedData.clientCount);
         return this;
     }
 
+    /**
+     * Set the status of a client in the client list
+     * @param {string} id
+     * @param {string} status
+     * @return {ChatRoomTemplate}
+     */
+    setClientStatus(id, status){
+        this.userManager.setClientStatus(id, status);
+        return this;
+    }
+
     /**
      * Render the template
      * @param {object} data 
@@ -339,12 +1580,25 @@ class ChatRoomTemplate extends Template {
      */
     render(data){
         super.render(data);
-        let clients = ElementManager.dataArrayToDataObject(data.clients);
+        Template.display(this.elements.lock, data.locked);
+        let clients = ElementManager.dataArrayToDataObject(data.clients || []);
         this.userManager.render(clients);
-        this.messageManager.render(data.messages);
-        return this;
+        if(data.messages){
+            this.messageManager.render(data.messages);
+            if(data.messages.length){
+                this.oldestMessageId = data.messages[0].id;
+            }
+            for(let i = 0; i < data.messages.length; i++){
+                this.setSequence(data.messages[i].seq);
+            }
+            this.scrollChatToBottom();
+            this.markRead().renderReadState();
+        }
+        return this.renderViewer();
     }
 }
+ChatRoomTemplate.typingInterval = 3000;
+ChatRoomTemplate.typingIdleTimeout = 4000;
 customElements.define('template-chatroom', ChatRoomTemplate);
 
 /**
@@ -366,74 +1620,1547 @@ class ChatRoomTemplateManager extends ElementManager {
         return this;
     }
 
-    attachElementHandlers(chatroom){
-        chatroom.on('message', function(message){
-            console.log(message);
-        })
-    }
-}
-
-/**
- * Chat module
- * @extends {EventSystem}
- */
-class Chat extends EventSystem  {
-
     /**
-     * Constructor
-     * @return {Chat}
+     * Attach handlers to a chat room.
+     * Chat room messages are re-emitted from the manager.
+     * @param {ChatRoomTemplate} chatroom 
+     * @return {ChatRoomTemplateManager}
      */
-    constructor(){
-        super();
-        this.wrapper = document.getElementById('chat');
+    attachElementHandlers(chatroom){
+        let self = this;
+        chatroom.on('message', function(message){
+            self.emit('message', message);
+        });
+        chatroom.on('open', function(data){
+            self.emit('open', data);
+        });
+        chatroom.on('history', function(data){
+            self.emit('history', data);
+        });
+        chatroom.on('join', function(data){
+            self.emit('join', data);
+        });
+        chatroom.on('leave', function(data){
+            self.emit('leave', data);
+        });
+        chatroom.on('delete', function(data){
+            self.emit('delete', data);
+        });
+        chatroom.on('invite', function(data){
+            self.emit('invite', data);
+        });
+        chatroom.on('uninvite', function(data){
+            self.emit('uninvite', data);
+        });
+        chatroom.on('directmessage', function(data){
+            self.emit('directmessage', data);
+        });
+        chatroom.on('typing', function(data){
+            self.emit('typing', data);
+        });
+        chatroom.on('read', function(data){
+            self.emit('read', data);
+        });
+        chatroom.on('upload', function(data){
+            self.emit('upload', data);
+        });
+        chatroom.on('messageedit', function(data){
+            self.emit('messageedit', data);
+        });
+        chatroom.on('messagedelete', function(data){
+            self.emit('messagedelete', data);
+        });
+        chatroom.on('messagereact', function(data){
+            self.emit('messagereact', data);
+        });
+        chatroom.on('thread', function(data){
+            self.emit('thread', data);
+        });
+        return this;
+    }
+
+    /**
+     * Add a chat room if it does not already exist
+     * @param {object} room 
+     * @param {string} room.name
+     * @return {ChatRoomTemplate}
+     */
+    addChatRoom(room){
+        if(!this.elements.has(room.name)){
+            this.renderElement(room.name, room, this.elements.size);
+        }
+        return this.getChatRoom(room.name);
+    }
+
+    /**
+     * Remove a chat room
+     * @param {string} name 
+     * @return {ChatRoomTemplateManager}
+     */
+    removeChatRoom(name){
+        this.removeElement(name);
+        return this;
+    }
+
+    /**
+     * Get a chat room by its name
+     * @param {string} name 
+     * @return {ChatRoomTemplate|undefined}
+     */
+    getChatRoom(name){
+        return this.elements.get(name);
+    }
+}
+
+/**
+ * Chat module
+ * @extends {EventSystem}
+ */
+class Chat extends EventSystem  {
+
+    /**
+     * Constructor
+     * @return {Chat}
+     */
+    constructor(){
+        super();
+        this.wrapper = document.getElementById('chatapp');
+        this.createRoomForm = document.getElementById('chatroom-create');
+        this.userTemplate = document.getElementById('chatuser');
+        this.notice = document.getElementById('chat-notice');
+        this.noticeTimer = null;
+        this.user = null;
+        this.token = null;
+        this.lastActivitySent = 0;
+        // room messages not acked by the server yet, by client id
+        this.pendingMessages = new Map();
+        // counts each time the server accepts the session
+        this.connectionCount = 0;
+        this.rejoiningRooms = new Set();
         this.webSocketClient = new WebSocketClient({
             ip: "ws://localhost",
             port: 5001,
+            pacedRoutes: Chat.pacedRoutes
         });
         this.attachWebSocketClientHandlers();
         this.chatRoomManager = new ChatRoomTemplateManager();
+        this.attachChatRoomManagerHandlers();
+        this.conversationManager = new ConversationTemplateManager();
+        this.attachConversationManagerHandlers();
+        this.threadTemplate = document.getElementById('thread');
+        this.attachThreadTemplateHandlers();
+        this.attachCreateRoomFormHandlers();
+        this.attachUserTemplateHandlers();
+        this.attachActivityHandlers();
+        return this;
+    }
+
+    /**
+     * Attach handlers that tell the server the user is active.
+     * Activity is sent at most once per Chat.activityInterval.
+     * @return {Chat}
+     */
+    attachActivityHandlers(){
+        let self = this;
+        function onActivity(){
+            self.sendActivity();
+        }
+        document.addEventListener('keydown', onActivity);
+        document.addEventListener('mousedown', onActivity);
+        document.addEventListener('visibilitychange', function(){
+            if(!document.hidden){
+                self.sendActivity();
+                self.markRoomsRead();
+            }
+        });
+        return this;
+    }
+
+    /**
+     * Tell the server the user is active.
+     * Does nothing if activity was sent recently or there is no user.
+     * @return {Chat}
+     */
+    sendActivity(){
+        let now = Date.now();
+        if(!this.user || now - this.lastActivitySent < Chat.activityInterval){
+            return this;
+        }
+        this.lastActivitySent = now;
+        return this.sendMessage({route: Chat.route.presenceActive});
+    }
+
+    /**
+     * Attach handlers to the user template
+     * @return {Chat}
+     */
+    attachUserTemplateHandlers(){
+        let self = this;
+        this.userTemplate.on('logout', function(){
+            self.emit('logout');
+        });
+        this.userTemplate.on('retry', function(){
+            if(self.webSocketClient.isReconnecting()){
+                self.webSocketClient.reconnect();
+            }
+        });
+        return this;
+    }
+
+    /**
+     * Set the session token used to authenticate the web socket and attachments.
+     * A null token connects as a guest.
+     * @param {string|null} token 
+     * @return {Chat}
+     */
+    setToken(token){
+        this.token = token;
+        this.webSocketClient.setToken(token);
+        ChatRoomMessageTemplate.token = token;
+        return this;
+    }
+
+    /**
+     * Attach handlers to the web socket client
+     * @return {Chat}
+     */
+    attachWebSocketClientHandlers(){
+        let self = this;
+        this.webSocketClient.on('open', function(){
+            self.getChatRooms();
+        });
+        this.webSocketClient.on('message', function(data){
+            self.routeMessage(data);
+        });
+        this.webSocketClient.on('state', function(state){
+            self.userTemplate.setConnectionState(state);
+        });
+        this.webSocketClient.on('latency', function(latency){
+            self.userTemplate.setLatency(latency);
+        });
+        this.webSocketClient.on('reconnecting', function(data){
+            self.userTemplate.setReconnectDelay(data.delay);
+        });
+        // socket errors carry no message, the connection state shows them
+        this.webSocketClient.on('error', function(error){
+            if(error instanceof Error){
+                self.showNotice(error.message);
+            }
+        });
+        return this;
+    }
+
+    /**
+     * Attach handlers to the chat room manager
+     * @return {Chat}
+     */
+    attachChatRoomManagerHandlers(){
+        let self = this;
+        this.chatRoomManager.on('message', function(message){
+            if(message.command){
+                self.sendCommand(message.room, message.text);
+            }
+            else {
+                self.sendRoomMessage(message);
+            }
+        });
+        this.chatRoomManager.on('open', function(data){
+            self.getRoomHistory(data.room);
+        });
+        this.chatRoomManager.on('history', function(data){
+            self.getOlderRoomMessages(data.room, data.before);
+        });
+        this.chatRoomManager.on('join', function(data){
+            self.joinRoom(data.room, data.password);
+        });
+        this.chatRoomManager.on('leave', function(data){
+            self.leaveRoom(data.room);
+        });
+        this.chatRoomManager.on('delete', function(data){
+            self.deleteRoom(data.room);
+        });
+        this.chatRoomManager.on('invite', function(data){
+            self.inviteToRoom(data.room, data.user);
+        });
+        this.chatRoomManager.on('uninvite', function(data){
+            self.uninviteFromRoom(data.room, data.user);
+        });
+        this.chatRoomManager.on('directmessage', function(user){
+            self.openConversation(user);
+        });
+        this.chatRoomManager.on('typing', function(data){
+            self.sendTyping(data.room, data.typing);
+        });
+        this.chatRoomManager.on('read', function(data){
+            self.sendReadMarker(data.room, data.id, data.timestamp);
+        });
+        this.chatRoomManager.on('upload', function(data){
+            self.uploadAttachment(data.room, data.file);
+        });
+        this.chatRoomManager.on('messageedit', function(data){
+            self.editRoomMessage(data.room, data.id, data.text);
+        });
+        this.chatRoomManager.on('messagedelete', function(data){
+            self.deleteRoomMessage(data.room, data.id);
+        });
+        this.chatRoomManager.on('messagereact', function(data){
+            self.reactToRoomMessage(data.room, data.id, data.emoji, data.add);
+        });
+        this.chatRoomManager.on('thread', function(data){
+            self.openThread(data.room, data.id);
+        });
+        return this;
+    }
+
+    /**
+     * Attach handlers to the thread template
+     * @return {Chat}
+     */
+    attachThreadTemplateHandlers(){
+        let self = this;
+        this.threadTemplate.on('message', function(message){
+            self.sendRoomMessage(message);
+        });
+        this.threadTemplate.on('history', function(data){
+            self.getThreadMessages(data.room, data.id, data.before);
+        });
+        this.threadTemplate.on('messageedit', function(data){
+            self.editRoomMessage(data.room, data.id, data.text);
+        });
+        this.threadTemplate.on('messagedelete', function(data){
+            self.deleteRoomMessage(data.room, data.id);
+        });
+        this.threadTemplate.on('messagereact', function(data){
+            self.reactToRoomMessage(data.room, data.id, data.emoji, data.add);
+        });
+        return this;
+    }
+
+    /**
+     * Attach handlers to the conversation manager
+     * @return {Chat}
+     */
+    attachConversationManagerHandlers(){
+        let self = this;
+        this.conversationManager.on('message', function(message){
+            self.sendDirectMessage(message.to, message.text);
+        });
+        this.conversationManager.on('history', function(data){
+            self.getDirectHistory(data.id);
+        });
+        return this;
+    }
+
+    /**
+     * Attach handlers to the create room form
+     * @return {Chat}
+     */
+    attachCreateRoomFormHandlers(){
+        let self = this;
+        this.createRoomForm.addEventListener('submit', function(event){
+            event.preventDefault();
+            let form = self.createRoomForm;
+            self.createRoom({
+                name: form.elements.name.value,
+                topic: form.elements.topic.value,
+                maxClients: parseInt(form.elements.maxClients.value || 0, 10),
+                password: form.elements.password.value,
+                inviteOnly: form.elements.inviteOnly.checked
+            });
+            form.reset();
+        });
+        return this;
+    }
+
+    /**
+     * Route a message from the web socket client
+     * @param {object} message 
+     * @param {number} message.status
+     * @param {string} message.route
+     * @param {object} [message.data]
+     * @param {string} [message.error]
+     * @return {Chat}
+     */
+    routeMessage(message){
+        if(message.status === 0 && message.data && message.data.clientId){
+            if(message.data.retryAfter > 0){
+                this.retryPendingMessage(message.data.clientId, message.data.retryAfter);
+            }
+            else {
+                // the message will never be acked
+                this.pendingMessages.delete(message.data.clientId);
+            }
+        }
+        if(message.route === Chat.route.command){
+            return this.routeCommand(message);
+        }
+        if(message.status === 0 && message.data && typeof message.data.retryAfter === "number"){
+            return this.routeRateLimited(message);
+        }
+        if(message.status === 0 && message.data && message.data.filter){
+            return this.routeMessageRejected(message);
+        }
+        if(message.status === 0 && message.data && message.data.room){
+            return this.routeRoomError(message);
+        }
+        if(message.status === 0){
+            if(message.route === Chat.route.auth){
+                this.emit('unauthorized', message.error);
+            }
+            else {
+                this.showNotice(message.error);
+            }
+            return this;
+        }
+        switch(message.route){
+            case Chat.route.auth:
+                this.routeAuth(message.data);
+                break;
+            case Chat.route.roomMessage:
+                this.routeRoomMessage(message.data);
+                break;
+            case Chat.route.roomMessageUpdated:
+                this.routeRoomMessageUpdated(message.data);
+                break;
+            case Chat.route.roomThread:
+                this.routeRoomThread(message.data);
+                break;
+            case Chat.route.roomMessageAck:
+                this.routeRoomMessageAck(message.data);
+                break;
+            case Chat.route.roomSync:
+                this.routeRoomSync(message.data);
+                break;
+            case Chat.route.roomHistory:
+                this.routeRoomHistory(message.data);
+                break;
+            case Chat.route.roomJoin:
+                this.routeRoomJoin(message.data);
+                break;
+            case Chat.route.roomLeave:
+                this.routeRoomLeave(message.data);
+                break;
+            case Chat.route.roomCreated:
+                this.chatRoomManager.addChatRoom(message.data);
+                break;
+            case Chat.route.roomUpdated:
+            case Chat.route.roomInvited:
+                this.routeRoomUpdate(message.data);
+                break;
+            case Chat.route.roomDeleted:
+                this.chatRoomManager.removeChatRoom(message.data.name);
+                break;
+            case Chat.route.roomUserJoined:
+                this.routeRoomUserJoined(message.data);
+                break;
+            case Chat.route.roomUserLeft:
+                this.routeRoomUserLeft(message.data);
+                break;
+            case Chat.route.roomUserStatus:
+                this.routeRoomUserStatus(message.data);
+                break;
+            case Chat.route.roomClientCount:
+                this.routeRoomClientCount(message.data);
+                break;
+            case Chat.route.roomKicked:
+                this.routeRoomKicked(message.data);
+                break;
+            case Chat.route.roomMuted:
+                this.routeRoomMuted(message.data);
+                break;
+            case Chat.route.roomUserUpdated:
+                this.routeRoomUserUpdated(message.data);
+                break;
+            case Chat.route.userUpdated:
+                this.routeUserUpdated(message.data);
+                break;
+            case Chat.route.roomTyping:
+                this.routeRoomTyping(message.data);
+                break;
+            case Chat.route.roomRead:
+                this.routeRoomRead(message.data);
+                break;
+            case Chat.route.roomFlagged:
+                this.routeRoomFlagged(message.data);
+                break;
+            case Chat.route.directMessage:
+                this.routeDirectMessage(message.data);
+                break;
+            case Chat.route.directHistory:
+                this.routeDirectHistory(message.data);
+                break;
+        }
+        return this;
+    }
+
+    /**
+     * Route a successful authentication.
+     * Render the user the server has attached to this socket.
+     * @param {object} data 
+     * @param {object} data.user
+     * @return {Chat}
+     */
+    routeAuth(data){
+        this.user = data.user;
+        this.userTemplate.render(data.user);
+        for(let chatroom of this.chatRoomManager.elements.values()){
+            chatroom.setIsOwner(this.isRoomOwner(chatroom.cachedData));
+        }
+        this.connectionCount++;
+        if(this.connectionCount > 1){
+            this.rejoinRooms();
+        }
+        return this;
+    }
+
+    /**
+     * Join the rooms that were joined before the connection was lost.
+     * Once joined, the messages missed in each room are synced.
+     * @return {Chat}
+     */
+    rejoinRooms(){
+        for(let chatroom of this.chatRoomManager.elements.values()){
+            if(chatroom.isJoined){
+                this.rejoiningRooms.add(chatroom.cachedData.name);
+                this.joinRoom(chatroom.cachedData.name, chatroom.password);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Ask for the messages in a room after a sequence number
+     * @param {string} room
+     * @param {number} after
+     * @return {Chat}
+     */
+    syncRoom(room, after){
+        return this.sendMessage({
+            route: Chat.route.roomSync,
+            room: room,
+            after: after
+        });
+    }
+
+    /**
+     * Route messages that were missed in a room.
+     * Keeps asking until there are no more,
+     * then sends again what was not acked before the connection was lost.
+     * @param {object} data
+     * @param {string} data.room
+     * @param {object[]} data.messages - lowest sequence number first
+     * @param {boolean} data.complete - whether there are no more messages
+     * @return {Chat}
+     */
+    routeRoomSync(data){
+        let chatroom = this.chatRoomManager.getChatRoom(data.room);
+        if(!chatroom){
+            return this;
+        }
+        for(let i = 0; i < data.messages.length; i++){
+            this.routeRoomMessage(data.messages[i]);
+        }
+        if(!data.complete && data.messages.length){
+            return this.syncRoom(data.room, chatroom.lastSequence);
+        }
+        return this.resendPendingMessages(data.room);
+    }
+
+    /**
+     * Route an ack of a room message.
+     * The message is no longer pending.
+     * @param {object} data
+     * @param {string} data.clientId
+     * @return {Chat}
+     */
+    routeRoomMessageAck(data){
+        this.pendingMessages.delete(data.clientId);
+        return this;
+    }
+
+    /**
+     * Send room messages again that were sent on an earlier connection
+     * and never acked. The server ignores those it already has.
+     * @param {string} room
+     * @return {Chat}
+     */
+    resendPendingMessages(room){
+        for(let pending of this.pendingMessages.values()){
+            if(pending.message.room === room && pending.connection < this.connectionCount){
+                pending.connection = this.connectionCount;
+                this.sendMessage(pending.message);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Send a room message again that was rate limited,
+     * once the server will take it
+     * @param {string} clientId
+     * @param {number} delay - ms
+     * @return {Chat}
+     */
+    retryPendingMessage(clientId, delay){
+        let self = this;
+        setTimeout(function(){
+            let pending = self.pendingMessages.get(clientId);
+            if(!pending){
+                return;
+            }
+            pending.connection = self.connectionCount;
+            if(!self.webSocketClient.isReady()){
+                pending.connection++;
+            }
+            self.sendMessage(pending.message);
+        }, delay);
+        return this;
+    }
+
+    /**
+     * Route a change to the user, such as a new name
+     * @param {object} data 
+     * @param {object} data.user
+     * @return {Chat}
+     */
+    routeUserUpdated(data){
+        this.user = data.user;
+        this.userTemplate.render(data.user);
+        return this;
+    }
+
+    /**
+     * Route the result or error of a command.
+     * It is shown as a notice in the room it was run from.
+     * @param {object} message 
+     * @param {number} message.status
+     * @param {string} [message.error]
+     * @param {object} message.data
+     * @return {Chat}
+     */
+    routeCommand(message){
+        let data = message.data || {};
+        let text = message.status === 0
+            ? Chat.formatCommandError(message.error, data)
+            : Chat.formatCommandResult(data);
+        if(!text){
+            return this;
+        }
+        return this.showNotice(text, data.room);
+    }
+
+    /**
+     * Format a command error as text
+     * @param {string} error
+     * @param {object} data
+     * @param {string} [data.usage]
+     * @return {string}
+     */
+    static formatCommandError(error, data){
+        if(typeof data.retryAfter === "number"){
+            return Chat.formatRateLimit(error, data);
+        }
+        return data.usage ? error + ". Usage: " + data.usage : error;
+    }
+
+    /**
+     * Format a rate limit error as text
+     * @param {string} error
+     * @param {object} data
+     * @param {number} data.retryAfter - ms
+     * @param {string} data.action - warning, mute, or disconnect
+     * @return {string}
+     */
+    static formatRateLimit(error, data){
+        let text = error;
+        if(data.retryAfter > 0){
+            text += ", retry after " + Math.ceil(data.retryAfter / 1000) + "s";
+        }
+        if(data.action === "mute"){
+            text += ". You are muted for flooding";
+        }
+        else if(data.action === "disconnect"){
+            text += ". You were disconnected for flooding";
+        }
+        return text;
+    }
+
+    /**
+     * Route a rate limit error.
+     * It is shown as a notice in the room it was for.
+     * @param {object} message 
+     * @param {string} message.error
+     * @param {object} message.data
+     * @param {string} [message.data.room]
+     * @return {Chat}
+     */
+    routeRateLimited(message){
+        let text = Chat.formatRateLimit(message.error, message.data);
+        return this.showNotice(text, message.data.room);
+    }
+
+    /**
+     * Route a message that a filter rejected.
+     * Shown as a notice in the room it was sent to.
+     * @param {object} message
+     * @param {string} message.error - why the message was rejected
+     * @param {object} message.data
+     * @param {string|null} message.data.room - null for direct messages
+     * @param {string} message.data.filter
+     * @return {Chat}
+     */
+    routeMessageRejected(message){
+        let text = "Message not sent: " + message.error;
+        return this.showNotice(text, message.data.room);
+    }
+
+    /**
+     * Route an error from something done in a room.
+     * Shown as a notice in the room.
+     * @param {object} message
+     * @param {string} message.error
+     * @param {object} message.data
+     * @param {string} message.data.room
+     * @return {Chat}
+     */
+    routeRoomError(message){
+        return this.showNotice(message.error, message.data.room);
+    }
+
+    /**
+     * Show a notice in a room if it is open,
+     * otherwise above the room list for Chat.noticeDuration
+     * @param {string} text
+     * @param {string} [room]
+     * @return {Chat}
+     */
+    showNotice(text, room){
+        let chatroom = room ? this.chatRoomManager.getChatRoom(room) : null;
+        if(chatroom){
+            chatroom.appendNotice(text);
+            return this;
+        }
+        let self = this;
+        this.notice.textContent = text;
+        Template.show(this.notice);
+        clearTimeout(this.noticeTimer);
+        this.noticeTimer = setTimeout(function(){
+            Template.hide(self.notice);
+        }, Chat.noticeDuration);
+        return this;
+    }
+
+    /**
+     * Format a command result as text.
+     * Commands whose results are shown elsewhere, 
+     * such as /join, have no text.
+     * Commands from bots send their own text.
+     * @param {object} data
+     * @param {string} data.command
+     * @param {object} data.result
+     * @return {string}
+     */
+    static formatCommandResult(data){
+        let result = data.result;
+        switch(data.command){
+            case "help":
+                return result.commands.map(function(command){
+                    return command.usage + " - " + command.description;
+                }).join("\n");
+            case "nick":
+                return "You are now known as " + result.name;
+            case "topic":
+                return result.topic ? "Topic set to " + result.topic : "Topic cleared";
+            case "kick":
+                return "Kicked " + result.user;
+            case "ban":
+                return "Banned " + result.user;
+            case "unban":
+                return "Unbanned " + result.user;
+            case "banip":
+                return "Banned " + result.ips.join(", ") + " of " + result.user;
+            case "unbanip":
+                return "Unbanned " + result.ip;
+            case "mute":
+                return "Muted " + result.user + " until " + new Date(result.until).toLocaleTimeString();
+            case "unmute":
+                return "Unmuted " + result.user;
+            case "mod":
+                return result.user + " is now a moderator";
+            case "unmod":
+                return result.user + " is no longer a moderator";
+            case "filters":
+                return result.filters.map(function(filter){
+                    return filter.name + " (" + (filter.enabled ? "on" : "off") + ") - " + filter.description;
+                }).join("\n");
+            case "filter":
+                return "Filter " + result.filter + " is now " + (result.enabled ? "on" : "off");
+            case "links":
+                if(result.allow.length){
+                    return "Only links to " + result.allow.join(", ") + " are allowed";
+                }
+                if(result.deny.length){
+                    return "Links to " + result.deny.join(", ") + " are denied";
+                }
+                return "All links are allowed";
+        }
+        if(result && typeof result.text === "string"){
+            return result.text;
+        }
+        return "";
+    }
+
+    /**
+     * Check if the user owns a room
+     * @param {object} room 
+     * @param {string} room.owner
+     * @return {boolean}
+     */
+    isRoomOwner(room){
+        return this.user !== null && room.owner === this.user.id;
+    }
+
+    /**
+     * Route a room message to its chat room.
+     * Replies only go to their thread, if it is open.
+     * @param {object} message 
+     * @param {string} message.room
+     * @param {string} [message.parentId]
+     * @return {Chat}
+     */
+    routeRoomMessage(message){
+        let chatroom = this.chatRoomManager.getChatRoom(message.room);
+        if(message.parentId){
+            if(chatroom){
+                chatroom.setSequence(message.seq);
+            }
+            if(this.threadTemplate.isOpen(message.room, message.parentId)){
+                this.threadTemplate.appendMessage(message);
+            }
+            return this;
+        }
+        if(chatroom){
+            chatroom.appendMessage(message);
+        }
+        return this;
+    }
+
+    /**
+     * Route a message that was edited, deleted, or reacted to
+     * @param {object} message 
+     * @param {string} message.room
+     * @return {Chat}
+     */
+    routeRoomMessageUpdated(message){
+        let chatroom = this.chatRoomManager.getChatRoom(message.room);
+        if(chatroom){
+            chatroom.updateMessage(message);
+        }
+        if(this.threadTemplate.isOpen(message.room)){
+            this.threadTemplate.updateMessage(message);
+        }
+        return this;
+    }
+
+    /**
+     * Open the thread of a message in a room.
+     * The thread opens with the message from the chat log if it is there,
+     * and with the message from the server once its replies arrive.
+     * @param {string} room
+     * @param {string} id - id of the message that started the thread
+     * @return {Chat}
+     */
+    openThread(room, id){
+        let chatroom = this.chatRoomManager.getChatRoom(room);
+        let parent = chatroom ? chatroom.getMessage(id) : null;
+        if(parent){
+            this.threadTemplate.open(room, parent, this.getViewer(chatroom));
+        }
+        return this.getThreadMessages(room, id);
+    }
+
+    /**
+     * Get who is viewing a room
+     * @param {ChatRoomTemplate} chatroom
+     * @return {{userId: string, canModerate: boolean}}
+     */
+    getViewer(chatroom){
+        return {
+            userId: chatroom.userId,
+            canModerate: chatroom.canModerate()
+        };
+    }
+
+    /**
+     * Route a page of replies to the open thread.
+     * The first page opens the thread.
+     * @param {object} data
+     * @param {string} data.room
+     * @param {object} data.parent - the message that started the thread
+     * @param {string|null} data.before
+     * @param {object[]} data.messages
+     * @return {Chat}
+     */
+    routeRoomThread(data){
+        let chatroom = this.chatRoomManager.getChatRoom(data.room);
+        if(!chatroom){
+            return this;
+        }
+        if(data.before === null){
+            this.threadTemplate.open(data.room, data.parent, this.getViewer(chatroom));
+        }
+        else if(!this.threadTemplate.isOpen(data.room, data.parent.id)){
+            return this;
+        }
+        this.threadTemplate.prependMessages(data.messages, Chat.historyPageLength);
+        return this;
+    }
+
+    /**
+     * Open a conversation with a user.
+     * Users cannot message themselves.
+     * @param {object} user 
+     * @param {string} user.id
+     * @param {string} user.name
+     * @return {Chat}
+     */
+    openConversation(user){
+        if(this.user === null || user.id === this.user.id){
+            return this;
+        }
+        this.conversationManager.addConversation(user).setOpen(true);
+        return this;
+    }
+
+    /**
+     * Route a direct message to the conversation with the other user.
+     * The conversation is added if it does not exist yet.
+     * @param {object} message 
+     * @param {string} message.senderId
+     * @param {string} message.sender
+     * @param {string} message.recipientId
+     * @param {string} message.recipient
+     * @return {Chat}
+     */
+    routeDirectMessage(message){
+        let user = message.senderId === this.user.id
+            ? {id: message.recipientId, name: message.recipient}
+            : {id: message.senderId, name: message.sender};
+        let conversation = this.conversationManager.getConversation(user.id);
+        if(!conversation){
+            // a new conversation loads its history when opened,
+            // which will include this message
+            this.conversationManager.addConversation(user).setUnread(1);
+            return this;
+        }
+        conversation.appendMessage(message);
+        return this;
+    }
+
+    /**
+     * Route the direct message history with a user to its conversation
+     * @param {object} data 
+     * @param {string} data.with
+     * @param {object[]} data.messages
+     * @return {Chat}
+     */
+    routeDirectHistory(data){
+        let conversation = this.conversationManager.getConversation(data.with);
+        if(conversation){
+            conversation.prependMessages(data.messages);
+        }
+        return this;
+    }
+
+    /**
+     * Send a message through the web socket
+     * @param {object} message 
+     * @return {Chat}
+     */
+    sendMessage(message){
+        this.webSocketClient.sendJson(message);
         return this;
     }
 
     /**
-     * Attach handlers to the web socket client
+     * Route the history of a room to its chat room.
+     * The room is re-rendered with its recent messages,
+     * and a page of older messages is prepended.
+     * @param {object} data 
+     * @param {string} data.name
+     * @param {string} data.before - null for the recent messages
+     * @param {object[]} data.messages
      * @return {Chat}
      */
-    attachWebSocketClientHandlers(){
-        let self = this;
-        this.webSocketClient.on('open', function(){
-            self.getChatRooms();
+    routeRoomHistory(data){
+        let chatroom = this.chatRoomManager.getChatRoom(data.name);
+        if(!chatroom){
+            return this;
+        }
+        if(data.before){
+            chatroom.prependMessages(data.messages, Chat.historyPageLength);
+        }
+        else {
+            let renderData = Object.assign({}, chatroom.cachedData, {messages: data.messages});
+            chatroom.render(renderData);
+        }
+        return this;
+    }
+
+    /**
+     * Route a successful room join.
+     * Add the room if it is not rendered yet,
+     * show it, and get its history.
+     * @param {object} room 
+     * @param {string} room.name
+     * @return {Chat}
+     */
+    routeRoomJoin(room){
+        let chatroom = this.chatRoomManager.addChatRoom(room);
+        chatroom.render(room);
+        chatroom.setIsOwner(this.isRoomOwner(room));
+        chatroom.setUserId(this.user.id);
+        chatroom.setReadMarkers(room.reads || []);
+        chatroom.setJoined(true);
+        if(this.rejoiningRooms.delete(room.name) && chatroom.lastSequence){
+            return this.syncRoom(room.name, chatroom.lastSequence);
+        }
+        this.resendPendingMessages(room.name);
+        return this.getRoomHistory(room.name);
+    }
+
+    /**
+     * Route an update to a room's data.
+     * Add the room if it is not rendered yet.
+     * @param {object} room 
+     * @param {string} room.name
+     * @return {Chat}
+     */
+    routeRoomUpdate(room){
+        let chatroom = this.chatRoomManager.addChatRoom(room);
+        chatroom.render(Object.assign({}, chatroom.cachedData, room));
+        chatroom.setIsOwner(this.isRoomOwner(chatroom.cachedData));
+        return this;
+    }
+
+    /**
+     * Route a user starting or stopping typing in a room
+     * @param {object} data 
+     * @param {string} data.room
+     * @param {object} data.user
+     * @param {boolean} data.typing
+     * @param {number} data.timeout
+     * @return {Chat}
+     */
+    routeRoomTyping(data){
+        let chatroom = this.chatRoomManager.getChatRoom(data.room);
+        if(chatroom){
+            chatroom.setUserTyping(data.user, data.typing, data.timeout);
+        }
+        return this;
+    }
+
+    /**
+     * Route a user's read marker in a room
+     * @param {object} data 
+     * @param {string} data.room
+     * @return {Chat}
+     */
+    routeRoomRead(data){
+        let chatroom = this.chatRoomManager.getChatRoom(data.room);
+        if(chatroom){
+            chatroom.setReadMarker(data);
+        }
+        return this;
+    }
+
+    /**
+     * Mark the newest message of every open room as read
+     * @return {Chat}
+     */
+    markRoomsRead(){
+        for(let chatroom of this.chatRoomManager.elements.values()){
+            chatroom.markRead();
+        }
+        return this;
+    }
+
+    /**
+     * Route a user joining a room
+     * @param {object} data 
+     * @param {string} data.room
+     * @param {object} data.user
+     * @return {Chat}
+     */
+    routeRoomUserJoined(data){
+        let chatroom = this.chatRoomManager.getChatRoom(data.room);
+        if(chatroom){
+            chatroom.appendClient(data.user);
+        }
+        return this;
+    }
+
+    /**
+     * Route a user leaving a room
+     * @param {object} data 
+     * @param {string} data.room
+     * @param {string} data.id - user id
+     * @return {Chat}
+     */
+    routeRoomUserLeft(data){
+        let chatroom = this.chatRoomManager.getChatRoom(data.room);
+        if(chatroom){
+            chatroom.removeClient(data.id);
+        }
+        return this;
+    }
+
+    /**
+     * Route a user's status change in a room
+     * @param {object} data 
+     * @param {string} data.room
+     * @param {string} data.id - user id
+     * @param {string} data.status
+     * @return {Chat}
+     */
+    routeRoomUserStatus(data){
+        let chatroom = this.chatRoomManager.getChatRoom(data.room);
+        if(chatroom){
+            chatroom.setClientStatus(data.id, data.status);
+        }
+        return this;
+    }
+
+    /**
+     * Route the number of users in a room
+     * @param {object} data 
+     * @param {string} data.room
+     * @param {number} data.clientCount
+     * @return {Chat}
+     */
+    routeRoomClientCount(data){
+        let chatroom = this.chatRoomManager.getChatRoom(data.room);
+        if(chatroom){
+            chatroom.cachedData.clientCount = data.clientCount;
+            chatroom.renderClientCount(data.clientCount);
+        }
+        return this;
+    }
+
+    /**
+     * Route being kicked from a room
+     * @param {object} data 
+     * @param {string} data.room
+     * @param {string} data.by - name of the user who kicked
+     * @param {string} data.reason
+     * @return {Chat}
+     */
+    routeRoomKicked(data){
+        this.routeRoomLeave({name: data.room});
+        let text = "You were removed from " + data.room + " by " + data.by;
+        window.alert(data.reason ? text + ": " + data.reason : text);
+        return this;
+    }
+
+    /**
+     * Route a message that filters flagged.
+     * Only moderators are told about flagged messages.
+     * @param {object} data 
+     * @param {string} data.room
+     * @param {object} data.message
+     * @param {object[]} data.flags
+     * @return {Chat}
+     */
+    routeRoomFlagged(data){
+        let chatroom = this.chatRoomManager.getChatRoom(data.room);
+        if(!chatroom){
+            return this;
+        }
+        let reasons = data.flags.map(function(flag){
+            return flag.reason;
+        }).join(", ");
+        chatroom.appendNotice("Flagged message from " + data.message.sender + ": " + reasons);
+        return this;
+    }
+
+    /**
+     * Route being muted or unmuted in a room
+     * @param {object} data 
+     * @param {string} data.room
+     * @param {number} data.until - 0 when unmuted
+     * @param {string} data.by - name of the user who muted
+     * @param {string} data.reason
+     * @return {Chat}
+     */
+    routeRoomMuted(data){
+        let chatroom = this.chatRoomManager.getChatRoom(data.room);
+        if(!chatroom){
+            return this;
+        }
+        let text = data.until
+            ? "You were muted until " + new Date(data.until).toLocaleTimeString() + " by " + data.by
+            : "You were unmuted by " + data.by;
+        chatroom.appendNotice(data.reason ? text + ": " + data.reason : text);
+        return this;
+    }
+
+    /**
+     * Route a change to a user in a room
+     * @param {object} data 
+     * @param {string} data.room
+     * @param {object} data.user
+     * @return {Chat}
+     */
+    routeRoomUserUpdated(data){
+        let chatroom = this.chatRoomManager.getChatRoom(data.room);
+        if(chatroom){
+            chatroom.updateClient(data.user);
+        }
+        return this;
+    }
+
+    /**
+     * Route a successful room leave.
+     * Closes the open thread if it is in the room.
+     * @param {object} data 
+     * @param {string} data.name
+     * @return {Chat}
+     */
+    routeRoomLeave(data){
+        let chatroom = this.chatRoomManager.getChatRoom(data.name);
+        if(chatroom){
+            chatroom.setJoined(false);
+        }
+        if(this.threadTemplate.isOpen(data.name)){
+            this.threadTemplate.close();
+        }
+        return this;
+    }
+
+    /**
+     * Create a room
+     * @param {object} options 
+     * @param {string} options.name
+     * @param {string} [options.topic]
+     * @param {number} [options.maxClients]
+     * @param {string} [options.password]
+     * @return {Chat}
+     */
+    createRoom(options){
+        return this.sendMessage(Object.assign({route: Chat.route.roomCreate}, options));
+    }
+
+    /**
+     * Join a room
+     * @param {string} room 
+     * @param {string} [password]
+     * @return {Chat}
+     */
+    joinRoom(room, password){
+        return this.sendMessage({
+            route: Chat.route.roomJoin,
+            room: room,
+            password: password
         });
-        this.webSocketClient.on('message', function(data){
-            self.routeMessage(data);
+    }
+
+    /**
+     * Invite a user to a room
+     * @param {string} room 
+     * @param {string} user - user name
+     * @return {Chat}
+     */
+    inviteToRoom(room, user){
+        return this.sendMessage({
+            route: Chat.route.roomInvite,
+            room: room,
+            user: user
+        });
+    }
+
+    /**
+     * Revoke a user's invite to a room
+     * @param {string} room 
+     * @param {string} user - user name
+     * @return {Chat}
+     */
+    uninviteFromRoom(room, user){
+        return this.sendMessage({
+            route: Chat.route.roomUninvite,
+            room: room,
+            user: user
+        });
+    }
+
+    /**
+     * Leave a room
+     * @param {string} room 
+     * @return {Chat}
+     */
+    leaveRoom(room){
+        return this.sendMessage({
+            route: Chat.route.roomLeave,
+            room: room
+        });
+    }
+
+    /**
+     * Delete a room
+     * @param {string} room 
+     * @return {Chat}
+     */
+    deleteRoom(room){
+        return this.sendMessage({
+            route: Chat.route.roomDelete,
+            room: room
+        });
+    }
+
+    /**
+     * Request the recent history of a room
+     * @param {string} room 
+     * @return {Chat}
+     */
+    getRoomHistory(room){
+        return this.sendMessage({
+            route: Chat.route.roomHistory,
+            room: room
+        });
+    }
+
+    /**
+     * Get messages older than a message in a room.
+     * They are prepended to the chat room when they arrive.
+     * @param {string} room 
+     * @param {string} before - message id
+     * @return {Chat}
+     */
+    getOlderRoomMessages(room, before){
+        this.sendMessage({
+            route: Chat.route.roomHistory,
+            room: room,
+            before: before,
+            limit: Chat.historyPageLength
         });
         return this;
     }
 
-   /**
-    * Route a message from the web socket client
-    * @param {object} message 
-    * @param {number} message.status
-    * @param {number} message.route
-    * @param {object} [message.data]
-    * @return {ChatRoomTemplate}
-    */
-   routeMessage(message){
-       if(message.status === 0){
-           console.error("bad message");
-           console.error(message);
-           return this;
-       }
-       return this;
-   }
+    /**
+     * Get a page of replies in a thread
+     * @param {string} room
+     * @param {string} id - id of the message that started the thread
+     * @param {string} [before] - only get replies older than this message id
+     * @return {Chat}
+     */
+    getThreadMessages(room, id, before){
+        let message = {
+            route: Chat.route.roomThread,
+            room: room,
+            id: id,
+            limit: Chat.historyPageLength
+        };
+        if(before){
+            message.before = before;
+        }
+        return this.sendMessage(message);
+    }
+
+    /**
+     * Run a command, such as "/join General"
+     * @param {string} room - the room the command was run from
+     * @param {string} text
+     * @return {Chat}
+     */
+    sendCommand(room, text){
+        return this.sendMessage({
+            route: Chat.route.command,
+            room: room,
+            text: text
+        });
+    }
 
     /**
-     * Send a message through the web socket
+     * Tell a room whether the user is typing
+     * @param {string} room
+     * @param {boolean} typing
+     * @return {Chat}
+     */
+    sendTyping(room, typing){
+        return this.sendMessage({
+            route: Chat.route.roomTyping,
+            room: room,
+            typing: typing
+        });
+    }
+
+    /**
+     * Tell a room the user has read up to a message
+     * @param {string} room
+     * @param {string} id - message id
+     * @param {number} timestamp - message timestamp
+     * @return {Chat}
+     */
+    sendReadMarker(room, id, timestamp){
+        return this.sendMessage({
+            route: Chat.route.roomRead,
+            room: room,
+            id: id,
+            timestamp: timestamp
+        });
+    }
+
+    /**
+     * Edit the text of a message the user sent to a room
+     * @param {string} room
+     * @param {string} id - message id
+     * @param {string} text
+     * @return {Chat}
+     */
+    editRoomMessage(room, id, text){
+        return this.sendMessage({
+            route: Chat.route.roomMessageEdit,
+            room: room,
+            id: id,
+            text: text
+        });
+    }
+
+    /**
+     * Delete a message in a room
+     * @param {string} room
+     * @param {string} id - message id
+     * @return {Chat}
+     */
+    deleteRoomMessage(room, id){
+        return this.sendMessage({
+            route: Chat.route.roomMessageDelete,
+            room: room,
+            id: id
+        });
+    }
+
+    /**
+     * Add or remove a reaction to a message in a room
+     * @param {string} room
+     * @param {string} id - message id
+     * @param {string} emoji
+     * @param {boolean} add - false to remove the reaction
+     * @return {Chat}
+     */
+    reactToRoomMessage(room, id, emoji, add){
+        return this.sendMessage({
+            route: Chat.route.roomMessageReact,
+            room: room,
+            id: id,
+            emoji: emoji,
+            add: add
+        });
+    }
+
+    /**
+     * Send a direct message to a user
+     * @param {string} to - user id
+     * @param {string} text
+     * @return {Chat}
+     */
+    sendDirectMessage(to, text){
+        return this.sendMessage({
+            route: Chat.route.directMessage,
+            to: to,
+            text: text
+        });
+    }
+
+    /**
+     * Get the recent direct message history with a user
+     * @param {string} id - user id
+     * @return {Chat}
+     */
+    getDirectHistory(id){
+        return this.sendMessage({
+            route: Chat.route.directHistory,
+            with: id
+        });
+    }
+
+    /**
+     * Send a message to a chat room
      * @param {object} message 
+     * @param {string} message.room
+     * @param {string} message.text
+     * @param {string[]} [message.attachments] - attachment ids
+     * @param {string} [message.parentId] - id of the message to reply to
      * @return {Chat}
      */
-    sendMessage(message){
-        this.webSocketClient.sendJson(message);
+    sendRoomMessage(message){
+        let data = {
+            route: Chat.route.roomMessage,
+            room: message.room,
+            text: message.text,
+            clientId: Chat.createClientId()
+        };
+        if(message.attachments && message.attachments.length){
+            data.attachments = message.attachments;
+        }
+        if(message.parentId){
+            data.parentId = message.parentId;
+        }
+        // a message queued while offline is first sent on the next connection
+        let connection = this.connectionCount;
+        if(!this.webSocketClient.isReady()){
+            connection++;
+        }
+        this.pendingMessages.set(data.clientId, {message: data, connection: connection});
+        return this.sendMessage(data);
+    }
+
+    /**
+     * Create an id for a message,
+     * so the server can tell when it is sent more than once
+     * @return {string}
+     */
+    static createClientId(){
+        if(window.crypto && window.crypto.randomUUID){
+            return window.crypto.randomUUID();
+        }
+        return Date.now().toString(36) + Math.random().toString(36).substring(2, 10);
+    }
+
+    /**
+     * Upload a file to attach to the next message in a room.
+     * Only logged in users can upload.
+     * @param {string} room
+     * @param {File} file
+     * @return {Chat}
+     */
+    uploadAttachment(room, file){
+        let chatroom = this.chatRoomManager.getChatRoom(room);
+        if(!chatroom){
+            return this;
+        }
+        if(!this.token){
+            chatroom.appendNotice("Log in to attach files");
+            return this;
+        }
+        let body = new FormData();
+        body.append("file", file, file.name);
+        fetch("/attachments", {
+            method: "POST",
+            headers: {Authorization: "Bearer " + this.token},
+            body: body
+        })
+            .then(function(response){
+                return response.json()
+                    .then(function(data){
+                        if(!response.ok){
+                            throw new Error(data.error || response.statusText);
+                        }
+                        chatroom.addPendingAttachment(data);
+                    });
+            })
+            .catch(function(error){
+                chatroom.appendNotice("Could not upload " + file.name + ": " + error.message);
+            });
         return this;
     }
 
@@ -451,7 +3178,7 @@ class Chat extends EventSystem  {
                 self.renderChatRooms(data);
             })
             .catch(function(e){
-                console.error(e);
+                self.showNotice(e.message);
             });
         return this;
     }
@@ -463,6 +3190,9 @@ class Chat extends EventSystem  {
      */
     renderChatRooms(rooms){
         this.chatRoomManager.render(rooms);
+        for(let chatroom of this.chatRoomManager.elements.values()){
+            chatroom.setIsOwner(this.isRoomOwner(chatroom.cachedData));
+        }
         return this;
     }
 
@@ -483,4 +3213,68 @@ class Chat extends EventSystem  {
         this.webSocketClient.connect();
         return this;
     }
-}
\ No newline at end of file
+
+    /**
+     * Disconnect from the server and forget the user
+     * @return {Chat}
+     */
+    disconnect(){
+        this.webSocketClient.close();
+        this.webSocketClient.clearQueue();
+        this.pendingMessages.clear();
+        this.rejoiningRooms.clear();
+        this.connectionCount = 0;
+        this.threadTemplate.close();
+        this.user = null;
+        this.chatRoomManager.empty();
+        this.conversationManager.empty();
+        return this;
+    }
+}
+Chat.historyPageLength = 50;
+Chat.activityInterval = 60000;
+Chat.noticeDuration = 10000;
+Chat.route = {
+    auth: "/auth",
+    roomMessage: "/room/message",
+    roomMessageEdit: "/room/message/edit",
+    roomMessageDelete: "/room/message/delete",
+    roomMessageReact: "/room/message/react",
+    roomMessageUpdated: "/room/message/updated",
+    roomThread: "/room/thread",
+    roomMessageAck: "/room/message/ack",
+    roomSync: "/room/sync",
+    roomHistory: "/room/history",
+    roomCreate: "/room/create",
+    roomCreated: "/room/created",
+    roomJoin: "/room/join",
+    roomLeave: "/room/leave",
+    roomDelete: "/room/delete",
+    roomDeleted: "/room/deleted",
+    roomUpdated: "/room/updated",
+    roomInvite: "/room/invite",
+    roomInvited: "/room/invited",
+    roomUninvite: "/room/uninvite",
+    roomUserJoined: "/room/user/joined",
+    roomUserLeft: "/room/user/left",
+    roomUserStatus: "/room/user/status",
+    roomClientCount: "/room/clientcount",
+    roomKicked: "/room/kicked",
+    roomMuted: "/room/muted",
+    roomUserUpdated: "/room/user/updated",
+    roomTyping: "/room/typing",
+    roomRead: "/room/read",
+    roomFlagged: "/room/flagged",
+    presenceActive: "/presence/active",
+    directMessage: "/dm/message",
+    directHistory: "/dm/history",
+    userUpdated: "/user/updated",
+    command: "/command"
+};// routes the server rate limits as messages
+Chat.pacedRoutes = [
+    Chat.route.roomMessage,
+    Chat.route.roomMessageEdit,
+    Chat.route.roomMessageDelete,
+    Chat.route.roomMessageReact,
+    Chat.route.directMessage
+];
@@ -0,0 +1,226 @@
+/**
+ * Conversation template.
+ * A one-to-one direct message conversation with another user.
+ * @extends {Template}
+ */
+class ConversationTemplate extends Template {
+
+    /**
+     * Constructor
+     * @param {object} [options={}]
+     * @return {ConversationTemplate}
+     */
+    constructor(options = {}){
+        let defaults = {
+            elements: {
+                header: '.conversation-header',
+                name: '[data-name="name"]',
+                unread: '[data-name="unread"]',
+                closeButton: '.conversation-close',
+                room: '.conversation-room',
+                chat: '.conversation-chat',
+                textInput: '[name="text"]',
+                submitButton: '[type="submit"]'
+            }
+        };
+        super(Object.extend(defaults, options));
+        this.messageManager = new ChatRoomMessageTemplateManager(this.elements.chat);
+        this.unread = 0;
+        this.isOpen = false;
+        this.hasHistory = false;
+        Template.hide(this.elements.room);
+        return this;
+    }
+
+    /**
+     * Connected callback
+     */
+    connectedCallback(){
+        super.connectedCallback();
+        this.attachDomHandlers();
+    }
+
+    /**
+     * Attach DOM handlers
+     * @return {ConversationTemplate}
+     */
+    attachDomHandlers(){
+        let self = this;
+        this.elements.header.addEventListener('click', function(){
+            self.setOpen(!self.isOpen);
+        });
+        this.elements.closeButton.addEventListener('click', function(event){
+            event.stopPropagation();
+            self.emit('close', {id: self.cachedData.id});
+        });
+        this.elements.submitButton.addEventListener('click', function(){
+            self.submit();
+        });
+        this.elements.textInput.addEventListener('keyup', function(event){
+            if(event.keyCode === 13){
+                self.submit();
+            }
+        });
+        return this;
+    }
+
+    /**
+     * Process render data.
+     * Escape the name of the other user.
+     * @param {object} data 
+     * @return {object}
+     */
+    processRenderData(data){
+        data.name = escapeHtml(data.name);
+        return data;
+    }
+
+    /**
+     * Open or close the conversation.
+     * Opening it clears the unread count, 
+     * and requests its history the first time.
+     * @param {boolean} state
+     * @return {ConversationTemplate}
+     */
+    setOpen(state){
+        this.isOpen = state;
+        Template.display(this.elements.room, state);
+        if(state){
+            this.setUnread(0);
+            if(!this.hasHistory){
+                this.hasHistory = true;
+                this.emit('history', {id: this.cachedData.id});
+            }
+            this.scrollChatToBottom();
+        }
+        return this;
+    }
+
+    /**
+     * Set and render the unread count
+     * @param {number} count
+     * @return {ConversationTemplate}
+     */
+    setUnread(count){
+        this.unread = count;
+        this.elements.unread.innerHTML = count ? count : "";
+        return this;
+    }
+
+    /**
+     * Serialize and submit the message.
+     * Empty messages are not submitted.
+     * @return {ConversationTemplate}
+     */
+    submit(){
+        let text = this.elements.textInput.value;
+        if(!text.trim().length){
+            return this;
+        }
+        this.emit('message', {to: this.cachedData.id, text: text});
+        this.elements.textInput.value = "";
+        return this;
+    }
+
+    /**
+     * Scroll the chat area to the bottom
+     * @return {ConversationTemplate}
+     */
+    scrollChatToBottom(){
+        this.elements.chat.scrollTop = this.elements.chat.scrollHeight - this.elements.chat.clientHeight;
+        return this;
+    }
+
+    /**
+     * Append a message.
+     * If the conversation is closed and the message is 
+     * from the other user, it counts as unread.
+     * @param {object} message
+     * @return {ConversationTemplate}
+     */
+    appendMessage(message){
+        this.messageManager.appendMessage(message.id, message);
+        if(!this.isOpen && message.senderId === this.cachedData.id){
+            this.setUnread(this.unread + 1);
+        }
+        this.scrollChatToBottom();
+        return this;
+    }
+
+    /**
+     * Prepend older messages
+     * @param {object[]} messages - oldest first
+     * @return {ConversationTemplate}
+     */
+    prependMessages(messages){
+        this.messageManager.prependMessages(messages);
+        this.scrollChatToBottom();
+        return this;
+    }
+}
+customElements.define('template-conversation', ConversationTemplate);
+
+/**
+ * Conversation template manager.
+ * Manages a conversation for each user being messaged.
+ * @extends {ElementManager}
+ */
+class ConversationTemplateManager extends ElementManager {
+
+    /**
+     * Constructor
+     * @return {ConversationTemplateManager}
+     */
+    constructor(){
+        let wrapper = document.getElementById('conversation-list');
+        let template = document.getElementById('conversation-template');
+        super(wrapper, template, {
+            removeTemplate: false,
+            removeDeadTemplates: false
+        });
+        return this;
+    }
+
+    /**
+     * Attach handlers to a conversation.
+     * Conversation events are re-emitted from the manager.
+     * @param {ConversationTemplate} conversation 
+     * @return {ConversationTemplateManager}
+     */
+    attachElementHandlers(conversation){
+        let self = this;
+        conversation.on('message', function(data){
+            self.emit('message', data);
+        });
+        conversation.on('history', function(data){
+            self.emit('history', data);
+        });
+        conversation.on('close', function(data){
+            self.removeElement(data.id);
+        });
+        return this;
+    }
+
+    /**
+     * Get a conversation by user id
+     * @param {string} id 
+     * @return {ConversationTemplate|undefined}
+     */
+    getConversation(id){
+        return this.elements.get(id);
+    }
+
+    /**
+     * Get a conversation with a user, or add it if it does not exist
+     * @param {object} user 
+     * @param {string} user.id
+     * @param {string} user.name
+     * @return {ConversationTemplate}
+     */
+    addConversation(user){
+        if(!this.elements.has(user.id)){
+            this.renderElement(user.id, {id: user.id, name: user.name}, this.elements.size);
+        }
+        return this.getConversation(user.id);
+    }
+}
\ No newline at end of file
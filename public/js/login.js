@@ -0,0 +1,227 @@
+/**
+ * Login module.
+ * Logs a user in, registers a new user, 
+ * or lets them continue as a guest.
+ * The session token is kept in local storage.
+ * @extends {EventSystem}
+ */
+class Login extends EventSystem {
+
+    /**
+     * Constructor
+     * @return {Login}
+     */
+    constructor(){
+        super();
+        this.wrapper = document.getElementById('login');
+        this.form = document.getElementById('login-form');
+        this.error = this.form.querySelector('.login-error');
+        this.attachFormHandlers();
+        return this;
+    }
+
+    /**
+     * Attach handlers to the login form
+     * @return {Login}
+     */
+    attachFormHandlers(){
+        let self = this;
+        this.form.addEventListener('submit', function(event){
+            event.preventDefault();
+            self.login(self.form.elements.name.value, self.form.elements.password.value);
+        });
+        this.form.elements.register.addEventListener('click', function(){
+            self.register(
+                self.form.elements.name.value, 
+                self.form.elements.email.value,
+                self.form.elements.password.value
+            );
+        });
+        this.form.elements.guest.addEventListener('click', function(){
+            self.continueAsGuest();
+        });
+        return this;
+    }
+
+    /**
+     * Get the stored session token
+     * @return {string|null}
+     */
+    getToken(){
+        return localStorage.getItem(Login.tokenKey);
+    }
+
+    /**
+     * Store or remove the session token
+     * @param {string|null} token
+     * @return {Login}
+     */
+    setToken(token){
+        if(token){
+            localStorage.setItem(Login.tokenKey, token);
+        }
+        else {
+            localStorage.removeItem(Login.tokenKey);
+        }
+        return this;
+    }
+
+    /**
+     * Render an error message
+     * @param {string} [error=""]
+     * @return {Login}
+     */
+    renderError(error = ""){
+        this.error.textContent = error;
+        return this;
+    }
+
+    /**
+     * Post JSON to a route and parse the JSON response.
+     * Rejects with the server's error message if the response is not ok.
+     * @param {string} url
+     * @param {object} body
+     * @param {string} [token]
+     * @return {Promise<object>}
+     */
+    post(url, body, token){
+        let headers = {'Content-Type': 'application/json'};
+        if(token){
+            headers.Authorization = "Bearer " + token;
+        }
+        return fetch(url, {
+                method: "POST",
+                headers: headers,
+                body: JSON.stringify(body)
+            })
+            .then(function(response){
+                return response.json()
+                    .then(function(data){
+                        if(!response.ok){
+                            throw new Error(data.error);
+                        }
+                        return data;
+                    });
+            });
+    }
+
+    /**
+     * Emit a successful login and hide the form
+     * @param {object} session
+     * @param {object|null} session.user - null for guests
+     * @param {string|null} session.token - null for guests
+     * @return {Login}
+     */
+    onLogin(session){
+        this.setToken(session.token);
+        this.renderError();
+        this.form.reset();
+        this.toggle(false);
+        this.emit('login', session);
+        return this;
+    }
+
+    /**
+     * Log in
+     * @param {string} name
+     * @param {string} password
+     * @return {Login}
+     */
+    login(name, password){
+        let self = this;
+        this.post("/users/login", {name: name, password: password})
+            .then(function(session){
+                self.onLogin(session);
+            })
+            .catch(function(error){
+                self.renderError(error.message);
+            });
+        return this;
+    }
+
+    /**
+     * Register and log in
+     * @param {string} name
+     * @param {string} email
+     * @param {string} password
+     * @return {Login}
+     */
+    register(name, email, password){
+        let self = this;
+        this.post("/users/register", {name: name, email: email, password: password})
+            .then(function(session){
+                self.onLogin(session);
+            })
+            .catch(function(error){
+                self.renderError(error.message);
+            });
+        return this;
+    }
+
+    /**
+     * Continue without an account
+     * @return {Login}
+     */
+    continueAsGuest(){
+        return this.onLogin({user: null, token: null});
+    }
+
+    /**
+     * Log out and show the form
+     * @return {Login}
+     */
+    logout(){
+        let self = this;
+        let token = this.getToken();
+        this.setToken(null);
+        this.toggle(true);
+        if(token){
+            this.post("/users/logout", {}, token)
+                .catch(function(error){
+                    self.renderError(error.message);
+                });
+        }
+        this.emit('logout');
+        return this;
+    }
+
+    /**
+     * Toggle the visibility of the module
+     * @param {boolean} [state]
+     * @return {Login}
+     */
+    toggle(state){
+        Template.display(this.wrapper, state);
+        return this;
+    }
+
+    /**
+     * Initialize the module.
+     * Resume a stored session if it is still valid,
+     * otherwise show the form.
+     * @return {Login}
+     */
+    initialize(){
+        let self = this;
+        let token = this.getToken();
+        if(!token){
+            return this.toggle(true);
+        }
+        fetch("/users/me", {headers: {Authorization: "Bearer " + token}})
+            .then(function(response){
+                if(!response.ok){
+                    throw new Error("Session expired");
+                }
+                return response.json();
+            })
+            .then(function(user){
+                self.onLogin({user: user, token: token});
+            })
+            .catch(function(){
+                self.setToken(null);
+                self.toggle(true);
+            });
+        return this;
+    }
+}
+Login.tokenKey = "chatToken";
\ No newline at end of file
@@ -0,0 +1,412 @@
+/**
+ * MessagePack.
+ * Encodes values to and decodes values from the MessagePack binary format.
+ * Supports what JSON supports, plus binary data as Uint8Array.
+ * Like JSON, undefined values and functions in objects are left out,
+ * and objects with a toJSON method are encoded as what it returns.
+ * Shared by the server and the browser.
+ */
+class MessagePack {
+
+    /**
+     * Constructor
+     * @param {Uint8Array} [bytes] - bytes to decode, or none to encode
+     * @return {MessagePack}
+     */
+    constructor(bytes){
+        this.bytes = bytes || new Uint8Array(256);
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        this.offset = 0;
+        return this;
+    }
+
+    /**
+     * Encode a value
+     * @param {*} value
+     * @return {Uint8Array}
+     */
+    static encode(value){
+        let pack = new MessagePack();
+        pack.write(value);
+        return pack.bytes.slice(0, pack.offset);
+    }
+
+    /**
+     * Decode a value.
+     * Throws if the bytes are not exactly one MessagePack value.
+     * @param {Uint8Array} bytes
+     * @return {*}
+     */
+    static decode(bytes){
+        let pack = new MessagePack(bytes);
+        let value = pack.read();
+        if(pack.offset !== bytes.length){
+            throw new Error(MessagePack.error.extraBytes);
+        }
+        return value;
+    }
+
+    /**
+     * Make room to write more bytes
+     * @param {number} length
+     * @return {MessagePack}
+     */
+    reserve(length){
+        let needed = this.offset + length;
+        if(needed <= this.bytes.length){
+            return this;
+        }
+        let size = this.bytes.length * 2;
+        while(size < needed){
+            size *= 2;
+        }
+        let bytes = new Uint8Array(size);
+        bytes.set(this.bytes);
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer);
+        return this;
+    }
+
+    /**
+     * Write a type byte followed by a number
+     * @param {number} type
+     * @param {string} setter - DataView setter, ie "setUint16"
+     * @param {number} size - size of the number in bytes
+     * @param {number} value
+     * @return {MessagePack}
+     */
+    writeTyped(type, setter, size, value){
+        this.reserve(1 + size);
+        this.view.setUint8(this.offset, type);
+        if(size){
+            this.view[setter](this.offset + 1, value);
+        }
+        this.offset += 1 + size;
+        return this;
+    }
+
+    /**
+     * Write raw bytes
+     * @param {Uint8Array} bytes
+     * @return {MessagePack}
+     */
+    writeBytes(bytes){
+        this.reserve(bytes.length);
+        this.bytes.set(bytes, this.offset);
+        this.offset += bytes.length;
+        return this;
+    }
+
+    /**
+     * Write any value
+     * @param {*} value
+     * @return {MessagePack}
+     */
+    write(value){
+        if(value && typeof value.toJSON === "function"){
+            value = value.toJSON();
+        }
+        if(value === null || typeof value === "undefined" || typeof value === "function"){
+            return this.writeTyped(0xc0, null, 0);
+        }
+        if(typeof value === "boolean"){
+            return this.writeTyped(value ? 0xc3 : 0xc2, null, 0);
+        }
+        if(typeof value === "number"){
+            return this.writeNumber(value);
+        }
+        if(typeof value === "string"){
+            return this.writeString(value);
+        }
+        if(value instanceof Uint8Array){
+            return this.writeBinary(value);
+        }
+        if(Array.isArray(value)){
+            return this.writeArray(value);
+        }
+        return this.writeMap(value);
+    }
+
+    /**
+     * Write a number as the smallest type that holds it.
+     * Like JSON, numbers that are not finite are written as nil.
+     * @param {number} value
+     * @return {MessagePack}
+     */
+    writeNumber(value){
+        if(!Number.isFinite(value)){
+            return this.writeTyped(0xc0, null, 0);
+        }
+        if(!Number.isInteger(value) || value > 0xffffffff || value < -0x80000000){
+            return this.writeTyped(0xcb, "setFloat64", 8, value);
+        }
+        if(value >= 0){
+            if(value < 0x80){
+                return this.writeTyped(value, null, 0);
+            }
+            if(value <= 0xff){
+                return this.writeTyped(0xcc, "setUint8", 1, value);
+            }
+            if(value <= 0xffff){
+                return this.writeTyped(0xcd, "setUint16", 2, value);
+            }
+            return this.writeTyped(0xce, "setUint32", 4, value);
+        }
+        if(value >= -0x20){
+            return this.writeTyped(value & 0xff, null, 0);
+        }
+        if(value >= -0x80){
+            return this.writeTyped(0xd0, "setInt8", 1, value);
+        }
+        if(value >= -0x8000){
+            return this.writeTyped(0xd1, "setInt16", 2, value);
+        }
+        return this.writeTyped(0xd2, "setInt32", 4, value);
+    }
+
+    /**
+     * Write a string as UTF-8
+     * @param {string} value
+     * @return {MessagePack}
+     */
+    writeString(value){
+        let bytes = MessagePack.textEncoder.encode(value);
+        let length = bytes.length;
+        if(length < 0x20){
+            this.writeTyped(0xa0 | length, null, 0);
+        }
+        else if(length <= 0xff){
+            this.writeTyped(0xd9, "setUint8", 1, length);
+        }
+        else if(length <= 0xffff){
+            this.writeTyped(0xda, "setUint16", 2, length);
+        }
+        else {
+            this.writeTyped(0xdb, "setUint32", 4, length);
+        }
+        return this.writeBytes(bytes);
+    }
+
+    /**
+     * Write binary data
+     * @param {Uint8Array} value
+     * @return {MessagePack}
+     */
+    writeBinary(value){
+        let length = value.length;
+        if(length <= 0xff){
+            this.writeTyped(0xc4, "setUint8", 1, length);
+        }
+        else if(length <= 0xffff){
+            this.writeTyped(0xc5, "setUint16", 2, length);
+        }
+        else {
+            this.writeTyped(0xc6, "setUint32", 4, length);
+        }
+        return this.writeBytes(value);
+    }
+
+    /**
+     * Write an array
+     * @param {Array} value
+     * @return {MessagePack}
+     */
+    writeArray(value){
+        this.writeHeader(value.length, 0x90, 0xdc, 0xdd);
+        for(let i = 0; i < value.length; i++){
+            this.write(value[i]);
+        }
+        return this;
+    }
+
+    /**
+     * Write an object as a map
+     * @param {object} value
+     * @return {MessagePack}
+     */
+    writeMap(value){
+        let keys = Object.keys(value).filter(function(key){
+            return typeof value[key] !== "undefined" && typeof value[key] !== "function";
+        });
+        this.writeHeader(keys.length, 0x80, 0xde, 0xdf);
+        for(let i = 0; i < keys.length; i++){
+            this.writeString(keys[i]);
+            this.write(value[keys[i]]);
+        }
+        return this;
+    }
+
+    /**
+     * Write the header of an array or map
+     * @param {number} length - number of elements
+     * @param {number} fixType - type for less than 16 elements
+     * @param {number} type16 - type for less than 65536 elements
+     * @param {number} type32 - type for any other length
+     * @return {MessagePack}
+     */
+    writeHeader(length, fixType, type16, type32){
+        if(length < 0x10){
+            return this.writeTyped(fixType | length, null, 0);
+        }
+        if(length <= 0xffff){
+            return this.writeTyped(type16, "setUint16", 2, length);
+        }
+        return this.writeTyped(type32, "setUint32", 4, length);
+    }
+
+    /**
+     * Read a number and move past it
+     * @param {string} getter - DataView getter, ie "getUint16"
+     * @param {number} size - size of the number in bytes
+     * @return {number}
+     */
+    readNumber(getter, size){
+        if(this.offset + size > this.bytes.length){
+            throw new Error(MessagePack.error.unexpectedEnd);
+        }
+        let value = this.view[getter](this.offset);
+        this.offset += size;
+        return value;
+    }
+
+    /**
+     * Read raw bytes and move past them
+     * @param {number} length
+     * @return {Uint8Array}
+     */
+    readBytes(length){
+        if(this.offset + length > this.bytes.length){
+            throw new Error(MessagePack.error.unexpectedEnd);
+        }
+        let bytes = this.bytes.subarray(this.offset, this.offset + length);
+        this.offset += length;
+        return bytes;
+    }
+
+    /**
+     * Read any value
+     * @return {*}
+     */
+    read(){
+        let type = this.readNumber("getUint8", 1);
+        if(type < 0x80){
+            return type;
+        }
+        if(type < 0x90){
+            return this.readMap(type & 0x0f);
+        }
+        if(type < 0xa0){
+            return this.readArray(type & 0x0f);
+        }
+        if(type < 0xc0){
+            return this.readString(type & 0x1f);
+        }
+        if(type >= 0xe0){
+            return type - 0x100;
+        }
+        switch(type){
+            case 0xc0:
+                return null;
+            case 0xc2:
+                return false;
+            case 0xc3:
+                return true;
+            case 0xc4:
+                return this.readBytes(this.readNumber("getUint8", 1)).slice();
+            case 0xc5:
+                return this.readBytes(this.readNumber("getUint16", 2)).slice();
+            case 0xc6:
+                return this.readBytes(this.readNumber("getUint32", 4)).slice();
+            case 0xca:
+                return this.readNumber("getFloat32", 4);
+            case 0xcb:
+                return this.readNumber("getFloat64", 8);
+            case 0xcc:
+                return this.readNumber("getUint8", 1);
+            case 0xcd:
+                return this.readNumber("getUint16", 2);
+            case 0xce:
+                return this.readNumber("getUint32", 4);
+            case 0xd0:
+                return this.readNumber("getInt8", 1);
+            case 0xd1:
+                return this.readNumber("getInt16", 2);
+            case 0xd2:
+                return this.readNumber("getInt32", 4);
+            case 0xd9:
+                return this.readString(this.readNumber("getUint8", 1));
+            case 0xda:
+                return this.readString(this.readNumber("getUint16", 2));
+            case 0xdb:
+                return this.readString(this.readNumber("getUint32", 4));
+            case 0xdc:
+                return this.readArray(this.readNumber("getUint16", 2));
+            case 0xdd:
+                return this.readArray(this.readNumber("getUint32", 4));
+            case 0xde:
+                return this.readMap(this.readNumber("getUint16", 2));
+            case 0xdf:
+                return this.readMap(this.readNumber("getUint32", 4));
+            default:
+                throw new Error(MessagePack.error.unsupportedType);
+        }
+    }
+
+    /**
+     * Read a UTF-8 string
+     * @param {number} length - in bytes
+     * @return {string}
+     */
+    readString(length){
+        return MessagePack.textDecoder.decode(this.readBytes(length));
+    }
+
+    /**
+     * Read an array
+     * @param {number} length - number of elements
+     * @return {Array}
+     */
+    readArray(length){
+        let value = [];
+        for(let i = 0; i < length; i++){
+            value.push(this.read());
+        }
+        return value;
+    }
+
+    /**
+     * Read a map as an object.
+     * Keys must be strings.
+     * @param {number} length - number of entries
+     * @return {object}
+     */
+    readMap(length){
+        let value = {};
+        for(let i = 0; i < length; i++){
+            let key = this.read();
+            if(typeof key !== "string"){
+                throw new Error(MessagePack.error.badKey);
+            }
+            // keep keys such as __proto__ as plain data
+            Object.defineProperty(value, key, {
+                value: this.read(),
+                enumerable: true,
+                writable: true,
+                configurable: true
+            });
+        }
+        return value;
+    }
+}
+MessagePack.textEncoder = new TextEncoder();
+MessagePack.textDecoder = new TextDecoder("utf-8", {fatal: true});
+MessagePack.error = {
+    unexpectedEnd: "Unexpected end of data",
+    extraBytes: "Unexpected data after value",
+    unsupportedType: "Unsupported type",
+    badKey: "Map keys must be strings"
+};
+
+if(typeof module !== "undefined" && module.exports){
+    module.exports = MessagePack;
+}
@@ -0,0 +1,314 @@
+/**
+ * Protocol.
+ * Messages travel in a versioned envelope, {v, route, id, data}.
+ * Responses from the server also have a status,
+ * and an error and error code when they fail.
+ * Text frames are JSON. Binary frames start with a byte of Protocol.flag,
+ * followed by the envelope as MessagePack or JSON, which may be deflated.
+ * The version, encoding and compression are negotiated when authenticating.
+ * Shared by the server and the browser.
+ */
+class Protocol {
+
+    /**
+     * Create an error with a protocol error code
+     * @param {string} name - key of Protocol.error
+     * @return {Error}
+     */
+    static createError(name){
+        let error = new Error(Protocol.error[name]);
+        error.code = Protocol.errorCode[name];
+        return error;
+    }
+
+    /**
+     * Check if a value is a plain object
+     * @param {*} value
+     * @return {boolean}
+     */
+    static isObject(value){
+        return value !== null
+            && typeof value === "object"
+            && !Array.isArray(value)
+            && !(value instanceof Uint8Array);
+    }
+
+    /**
+     * Check if a value matches a type in the schema
+     * @param {*} value
+     * @param {string} type - "integer", "string", "object" or "array"
+     * @return {boolean}
+     */
+    static isType(value, type){
+        switch(type){
+            case "integer":
+                return Number.isInteger(value);
+            case "string":
+                return typeof value === "string";
+            case "object":
+                return Protocol.isObject(value);
+            case "array":
+                return Array.isArray(value);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Check if a decoded frame is an envelope,
+     * rather than a message from before envelopes
+     * @param {object} value
+     * @return {boolean}
+     */
+    static isEnvelope(value){
+        return Object.prototype.hasOwnProperty.call(value, "v");
+    }
+
+    /**
+     * Flatten an envelope into a message, the data with the route.
+     * Keys that could change the message's prototype are skipped.
+     * @param {object} envelope
+     * @return {object}
+     */
+    static toMessage(envelope){
+        let message = {};
+        let data = envelope.data || {};
+        for(let key of Object.keys(data)){
+            if(Protocol.unsafeKeys.indexOf(key) === -1){
+                message[key] = data[key];
+            }
+        }
+        message.route = envelope.route;
+        return message;
+    }
+
+    /**
+     * Validate an envelope against Protocol.envelopeSchema.
+     * Throws a protocol error if it is invalid.
+     * @param {object} envelope
+     * @return {object} the envelope
+     */
+    static validateEnvelope(envelope){
+        if(!Protocol.isObject(envelope)){
+            throw Protocol.createError("badEnvelope");
+        }
+        if(Number.isInteger(envelope.v) && Protocol.versions.indexOf(envelope.v) === -1){
+            throw Protocol.createError("unsupportedVersion");
+        }
+        for(let key in envelope){
+            if(!Object.prototype.hasOwnProperty.call(Protocol.envelopeSchema, key)){
+                throw Protocol.createError("badEnvelope");
+            }
+        }
+        for(let key in Protocol.envelopeSchema){
+            let rule = Protocol.envelopeSchema[key];
+            let value = envelope[key];
+            if(typeof value === "undefined"){
+                if(rule.required){
+                    throw Protocol.createError("badEnvelope");
+                }
+                continue;
+            }
+            if(!Protocol.isType(value, rule.type) || (rule.maxLength && value.length > rule.maxLength)){
+                throw Protocol.createError("badEnvelope");
+            }
+        }
+        return envelope;
+    }
+
+    /**
+     * Create what a client offers to the server when authenticating
+     * @param {string[]} encodings - most preferred first
+     * @param {string[]} compression - most preferred first
+     * @return {object}
+     */
+    static createOffer(encodings, compression){
+        return {
+            versions: Protocol.versions.slice(),
+            encodings: encodings,
+            compression: compression
+        };
+    }
+
+    /**
+     * Pick the protocol to use from what a client offers.
+     * The highest common version is picked,
+     * and the client's most preferred encoding and compression.
+     * Throws a protocol error if nothing in common is found.
+     * @param {object} offer - see Protocol.createOffer
+     * @param {object} supported - what the server supports
+     * @param {string[]} supported.encodings
+     * @param {string[]} supported.compression
+     * @return {{v: number, encoding: string, compression: string|null}}
+     */
+    static negotiate(offer, supported){
+        if(!Protocol.isObject(offer)
+            || !Array.isArray(offer.versions)
+            || !Array.isArray(offer.encodings)
+            || (typeof offer.compression !== "undefined" && !Array.isArray(offer.compression))){
+            throw Protocol.createError("badEnvelope");
+        }
+        let versions = offer.versions.filter(function(version){
+            return Protocol.versions.indexOf(version) > -1;
+        });
+        if(!versions.length){
+            throw Protocol.createError("unsupportedVersion");
+        }
+        let encoding = offer.encodings.find(function(encoding){
+            return supported.encodings.indexOf(encoding) > -1;
+        });
+        if(!encoding){
+            throw Protocol.createError("unsupportedEncoding");
+        }
+        let compression = (offer.compression || []).find(function(compression){
+            return supported.compression.indexOf(compression) > -1;
+        });
+        return {
+            v: Math.max.apply(null, versions),
+            encoding: encoding,
+            compression: compression || null
+        };
+    }
+
+    /**
+     * Encode an envelope into a frame.
+     * JSON is sent as text, anything else as binary.
+     * @param {object} envelope
+     * @param {string} encoding - one of Protocol.encoding
+     * @return {string|Uint8Array}
+     */
+    static encode(envelope, encoding){
+        if(encoding === Protocol.encoding.json){
+            return JSON.stringify(envelope);
+        }
+        let payload = Protocol.messagePack.encode(envelope);
+        let frame = new Uint8Array(payload.length + 1);
+        frame[0] = 0;
+        frame.set(payload, 1);
+        return frame;
+    }
+
+    /**
+     * Compress a frame
+     * @param {string|Uint8Array} frame - from Protocol.encode
+     * @param {function} deflate - raw deflates bytes
+     * @return {Uint8Array}
+     */
+    static compress(frame, deflate){
+        let flags = Protocol.flag.compressed;
+        let payload = null;
+        if(typeof frame === "string"){
+            flags |= Protocol.flag.json;
+            payload = Protocol.messagePack.textEncoder.encode(frame);
+        }
+        else {
+            flags |= frame[0];
+            payload = frame.subarray(1);
+        }
+        let compressed = deflate(payload);
+        let result = new Uint8Array(compressed.length + 1);
+        result[0] = flags;
+        result.set(compressed, 1);
+        return result;
+    }
+
+    /**
+     * Split a frame into its flags and payload.
+     * Throws a protocol error if the frame is not valid.
+     * @param {string|ArrayBuffer|Uint8Array} frame
+     * @return {{compressed: boolean, json: boolean, payload: string|Uint8Array}}
+     */
+    static unpack(frame){
+        if(typeof frame === "string"){
+            return {compressed: false, json: true, payload: frame};
+        }
+        let bytes = frame instanceof ArrayBuffer ? new Uint8Array(frame) : frame;
+        if(!(bytes instanceof Uint8Array) || bytes.length < 2 || bytes[0] & ~Protocol.flag.all){
+            throw Protocol.createError("badFrame");
+        }
+        return {
+            compressed: (bytes[0] & Protocol.flag.compressed) > 0,
+            json: (bytes[0] & Protocol.flag.json) > 0,
+            payload: bytes.subarray(1)
+        };
+    }
+
+    /**
+     * Decode the uncompressed payload of a frame into an object.
+     * Envelopes are validated, older messages are only checked to be objects.
+     * Throws a protocol error if the payload is not valid.
+     * @param {string|Uint8Array} payload
+     * @param {boolean} json - whether the payload is JSON rather than MessagePack
+     * @return {object}
+     */
+    static decode(payload, json){
+        let value = null;
+        try {
+            if(!json){
+                value = Protocol.messagePack.decode(payload);
+            }
+            else {
+                if(typeof payload !== "string"){
+                    payload = Protocol.messagePack.textDecoder.decode(payload);
+                }
+                value = JSON.parse(payload);
+            }
+        }
+        catch(e){
+            throw Protocol.createError("badFrame");
+        }
+        if(!Protocol.isObject(value)){
+            throw Protocol.createError("badFrame");
+        }
+        if(Protocol.isEnvelope(value)){
+            Protocol.validateEnvelope(value);
+        }
+        return value;
+    }
+}
+Protocol.version = 1;
+Protocol.versions = [1];
+Protocol.encoding = {
+    json: "json",
+    msgpack: "msgpack"
+};
+Protocol.compression = {
+    deflate: "deflate"
+};
+Protocol.flag = {
+    compressed: 1,
+    json: 2,
+    all: 3
+};
+Protocol.envelopeSchema = {
+    v: {type: "integer", required: true},
+    route: {type: "string", required: true, maxLength: 128},
+    id: {type: "integer", required: true},
+    data: {type: "object"},
+    status: {type: "integer"},
+    error: {type: "string"},
+    code: {type: "integer"}
+};
+Protocol.unsafeKeys = ["__proto__", "constructor", "prototype"];
+// in the range of application close codes, so they can also close a socket
+Protocol.errorCode = {
+    badFrame: 4000,
+    badEnvelope: 4001,
+    unsupportedVersion: 4002,
+    unsupportedEncoding: 4003
+};
+Protocol.error = {
+    badFrame: "Frame could not be decoded",
+    badEnvelope: "Envelope is invalid",
+    unsupportedVersion: "Protocol version is not supported",
+    unsupportedEncoding: "Encoding is not supported"
+};
+
+if(typeof module !== "undefined" && module.exports){
+    Protocol.messagePack = require('./messagePack');
+    module.exports = Protocol;
+}
+else {
+    // loaded after messagePack.js
+    Protocol.messagePack = MessagePack;
+}
@@ -0,0 +1,224 @@
+/**
+ * Thread template.
+ * A side panel with a message from a room and the replies to it.
+ * Only one thread is open at a time.
+ * @extends {Template}
+ */
+class ThreadTemplate extends Template {
+
+    /**
+     * Constructor
+     * @param {object} [options={}]
+     * @return {ThreadTemplate}
+     */
+    constructor(options = {}){
+        let defaults = {
+            elements: {
+                room: '[data-name="room"]',
+                closeButton: '.thread-close',
+                parent: '.thread-parent',
+                olderButton: '.thread-older',
+                chat: '.thread-chat',
+                textInput: '[name="text"]',
+                submitButton: '[type="submit"]'
+            }
+        };
+        super(Object.extend(defaults, options));
+        let self = this;
+        this.parentManager = new ChatRoomMessageTemplateManager(this.elements.parent);
+        this.messageManager = new ChatRoomMessageTemplateManager(this.elements.chat);
+        for(let manager of [this.parentManager, this.messageManager]){
+            manager.on('edit', function(data){
+                self.emit('messageedit', Object.assign({room: self.room}, data));
+            });
+            manager.on('delete', function(data){
+                self.emit('messagedelete', Object.assign({room: self.room}, data));
+            });
+            manager.on('react', function(data){
+                self.emit('messagereact', Object.assign({room: self.room}, data));
+            });
+        }
+        this.room = null;
+        this.parentId = null;
+        this.oldestMessageId = null;
+        this.isLoadingHistory = false;
+        this.hasMoreHistory = false;
+        this.hide();
+        return this;
+    }
+
+    /**
+     * Connected callback
+     */
+    connectedCallback(){
+        super.connectedCallback();
+        this.attachDomHandlers();
+    }
+
+    /**
+     * Attach DOM handlers
+     * @return {ThreadTemplate}
+     */
+    attachDomHandlers(){
+        let self = this;
+        this.elements.closeButton.addEventListener('click', function(){
+            self.close();
+        });
+        this.elements.olderButton.addEventListener('click', function(){
+            self.requestHistory();
+        });
+        this.elements.submitButton.addEventListener('click', function(){
+            self.submit();
+        });
+        this.elements.textInput.addEventListener('keyup', function(event){
+            if(event.keyCode === 13){
+                self.submit();
+            }
+        });
+        return this;
+    }
+
+    /**
+     * Check if a thread is open
+     * @param {string} [room] - also check that it is in this room
+     * @param {string} [id] - also check that it is the thread of this message
+     * @return {boolean}
+     */
+    isOpen(room, id){
+        if(this.parentId === null){
+            return false;
+        }
+        return (!room || room === this.room) && (!id || id === this.parentId);
+    }
+
+    /**
+     * Open the thread of a message, replacing any open thread
+     * @param {string} room
+     * @param {object} parent - the message that started the thread
+     * @param {object} viewer - who is viewing the thread
+     * @param {string} viewer.userId
+     * @param {boolean} viewer.canModerate
+     * @return {ThreadTemplate}
+     */
+    open(room, parent, viewer){
+        this.room = room;
+        this.parentId = parent.id;
+        this.oldestMessageId = null;
+        this.isLoadingHistory = false;
+        this.hasMoreHistory = false;
+        this.elements.room.textContent = room;
+        this.parentManager.empty();
+        this.messageManager.empty();
+        this.parentManager.setViewer(viewer.userId, viewer.canModerate);
+        this.messageManager.setViewer(viewer.userId, viewer.canModerate);
+        this.parentManager.appendMessage(parent.id, parent);
+        Template.display(this.elements.olderButton, false);
+        this.show();
+        return this;
+    }
+
+    /**
+     * Close the thread
+     * @return {ThreadTemplate}
+     */
+    close(){
+        this.room = null;
+        this.parentId = null;
+        this.hide();
+        return this;
+    }
+
+    /**
+     * Request replies older than the oldest one rendered.
+     * Does nothing if a request is in progress
+     * or if there are no more replies.
+     * @return {ThreadTemplate}
+     */
+    requestHistory(){
+        if(this.isLoadingHistory || !this.hasMoreHistory){
+            return this;
+        }
+        this.isLoadingHistory = true;
+        this.emit('history', {
+            room: this.room,
+            id: this.parentId,
+            before: this.oldestMessageId
+        });
+        return this;
+    }
+
+    /**
+     * Prepend older replies.
+     * @param {object[]} messages - oldest first
+     * @param {number} limit - the amount of replies that were requested
+     * @return {ThreadTemplate}
+     */
+    prependMessages(messages, limit){
+        let isFirstPage = this.oldestMessageId === null;
+        this.messageManager.prependMessages(messages);
+        if(messages.length){
+            this.oldestMessageId = messages[0].id;
+        }
+        this.hasMoreHistory = messages.length >= limit;
+        this.isLoadingHistory = false;
+        Template.display(this.elements.olderButton, this.hasMoreHistory);
+        if(isFirstPage){
+            this.scrollChatToBottom();
+        }
+        return this;
+    }
+
+    /**
+     * Append a reply
+     * @param {object} message
+     * @return {ThreadTemplate}
+     */
+    appendMessage(message){
+        this.messageManager.appendMessage(message.id, message);
+        if(this.oldestMessageId === null){
+            this.oldestMessageId = message.id;
+        }
+        this.scrollChatToBottom();
+        return this;
+    }
+
+    /**
+     * Update the message that started the thread, or one of its replies
+     * @param {object} message
+     * @return {ThreadTemplate}
+     */
+    updateMessage(message){
+        this.parentManager.updateMessage(message.id, message);
+        this.messageManager.updateMessage(message.id, message);
+        return this;
+    }
+
+    /**
+     * Serialize and submit the reply.
+     * Empty replies are not submitted.
+     * @return {ThreadTemplate}
+     */
+    submit(){
+        let text = this.elements.textInput.value;
+        if(!text.trim().length){
+            return this;
+        }
+        this.emit('message', {
+            room: this.room,
+            parentId: this.parentId,
+            text: text
+        });
+        this.elements.textInput.value = "";
+        return this;
+    }
+
+    /**
+     * Scroll the replies to the bottom
+     * @return {ThreadTemplate}
+     */
+    scrollChatToBottom(){
+        this.elements.chat.scrollTop = this.elements.chat.scrollHeight - this.elements.chat.clientHeight;
+        return this;
+    }
+}
+customElements.define('template-thread', ThreadTemplate);
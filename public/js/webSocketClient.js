@@ -1,5 +1,19 @@
 /**
- * Web socket client
+ * Web socket client.
+ * JSON messages sent while the socket is closed or not yet authenticated
+ * are queued, and sent once the server accepts the session again.
+ * Messages on paced routes are sent no faster than the send rate,
+ * the same limit the server puts on them, and wait in the queue until they can be,
+ * so a long queue is not rejected for flooding when it is flushed.
+ * Answers heartbeats from the server, and pings it to measure latency.
+ * Emits "state" with one of WebSocketClient.state when the connection changes,
+ * and "latency" with the round trip time in ms when a ping is answered.
+ * A lost connection is retried with an exponential backoff and jitter,
+ * so clients do not all reconnect at the same moment.
+ * Emits "reconnecting" with the attempt and the delay in ms before it.
+ * Frames are sent in the protocol negotiated when authenticating, see Protocol.
+ * Frames that cannot be decoded are dropped, and emitted as an "error"
+ * with a protocol error code. Errors thrown while handling a message are emitted too.
  * @extends {EventSystem}
  */
 class WebSocketClient extends EventSystem {
@@ -16,8 +30,16 @@ class WebSocketClient extends EventSystem {
             port: 443,
             autoReconnect: true,
             maxReconnectAttempts: 0,
-            reconnectIntervalTimer: 5000,
-            id: null
+            reconnectDelay: 1000,
+            maxReconnectDelay: 30000,
+            stableConnectionTime: 10000,
+            maxQueueLength: 100,
+            pacedRoutes: [],
+            sendRate: {capacity: 5, interval: 5000},
+            pingInterval: 15000,
+            encoding: Protocol.encoding.json,
+            id: null,
+            token: null
         };
         for (let k in defaults) {
             if (options.hasOwnProperty(k) && typeof options[k] !== "undefined") {
@@ -27,14 +49,56 @@ class WebSocketClient extends EventSystem {
         this.ip = defaults.ip;
         this.port = defaults.port;
         this.id = defaults.id;
+        this.token = defaults.token;
         this.ws = null;
-        this.lastPingSent = 0;
-        this.latency = 0;
-        this.reconnectInterval = null;
+        this.latency = null;
+        this.pingInterval = defaults.pingInterval;
+        this.pingTimer = null;
+        this.state = WebSocketClient.state.offline;
+        // preferred, the server may pick another
+        this.encoding = defaults.encoding;
+        this.protocol = null;
+        this.lastId = 0;
+        this.receiving = Promise.resolve();
+        this.reconnectTimer = null;
         this.reconnectAttempts = 0;
-        this.reconnectIntervalTimer = defaults.reconnectIntervalTimer;
+        this.reconnectDelay = defaults.reconnectDelay;
+        this.maxReconnectDelay = defaults.maxReconnectDelay;
         this.maxReconnectAttempts = defaults.maxReconnectAttempts;
+        this.stableConnectionTime = defaults.stableConnectionTime;
+        this.stableTimer = null;
         this.autoReconnect = defaults.autoReconnect;
+        this.maxQueueLength = defaults.maxQueueLength;
+        this.queue = [];
+        this.flushTimer = null;
+        this.pacedRoutes = new Set(defaults.pacedRoutes);
+        this.sendRate = defaults.sendRate;
+        // refilled a little at a time, like the server's token buckets
+        this.sendTokens = this.sendRate.capacity;
+        this.lastRefill = Date.now();
+        this.isAuthenticated = false;
+        this.attachWindowHandlers();
+        return this;
+    }
+
+    /**
+     * Attach handlers to the window.
+     * When the network comes back, or the page is looked at again,
+     * a waiting reconnect is tried right away.
+     * @return {WebSocketClient}
+     */
+    attachWindowHandlers(){
+        let self = this;
+        window.addEventListener('online', function(){
+            if(self.isReconnecting()){
+                self.reconnect();
+            }
+        });
+        document.addEventListener('visibilitychange', function(){
+            if(!document.hidden && self.isReconnecting()){
+                self.reconnect();
+            }
+        });
         return this;
     }
     
@@ -48,6 +112,68 @@ class WebSocketClient extends EventSystem {
         return this;
     }
 
+    /**
+     * Set the session token.
+     * The token is presented to the server each time the socket opens.
+     * @param {string|null} token
+     * @return {WebSocketClient}
+     */
+    setToken(token){
+        this.token = token;
+        return this;
+    }
+
+    /**
+     * Present the session token to the server,
+     * and offer the protocols this client supports.
+     * Without a token, the server will treat the socket as a guest.
+     * This is always sent as JSON, as no protocol is picked yet.
+     * @return {WebSocketClient}
+     */
+    authenticate(){
+        let encodings = [this.encoding];
+        if(this.encoding !== Protocol.encoding.json){
+            encodings.push(Protocol.encoding.json);
+        }
+        let compression = [];
+        if(typeof DecompressionStream !== "undefined"){
+            compression.push(Protocol.compression.deflate);
+        }
+        return this.send(JSON.stringify({
+            v: Protocol.version,
+            route: WebSocketClient.route.auth,
+            id: ++this.lastId,
+            data: {
+                token: this.token,
+                protocol: Protocol.createOffer(encodings, compression)
+            }
+        }));
+    }
+
+    /**
+     * Set the connection state and emit it if it changed
+     * @param {string} state - one of WebSocketClient.state
+     * @return {WebSocketClient}
+     */
+    setState(state){
+        if(this.state !== state){
+            this.state = state;
+            this.emit('state', state);
+        }
+        return this;
+    }
+
+    /**
+     * Check if the socket is open and authenticated,
+     * so messages can be sent instead of queued
+     * @return {boolean}
+     */
+    isReady(){
+        return this.ws !== null 
+            && this.ws.readyState === WebSocket.OPEN 
+            && this.isAuthenticated;
+    }
+
     /**
      * Connect the websocket to the server.
      * The only way to connect/reconnect is to recreate the socket.
@@ -58,21 +184,40 @@ class WebSocketClient extends EventSystem {
         if(this.id !== null){
             url += "/?id=" + this.id;
         }
-        this.close();
+        this.closeSocket();
+        this.setState(WebSocketClient.state.connecting);
         this.ws = new WebSocket(url);
+        this.ws.binaryType = "arraybuffer";
         this.attachWebSocketHandlers();
         return this;
     }
     
     /**
-     * Close the WebSocket and set it to null
+     * Close the WebSocket, stop reconnecting and go offline
      * @return {WebSocketClient}
      */
     close(){
+        this.stopAutoReconnect();
+        this.reconnectAttempts = 0;
+        this.closeSocket();
+        return this.setState(WebSocketClient.state.offline);
+    }
+
+    /**
+     * Close the WebSocket and set it to null
+     * @return {WebSocketClient}
+     */
+    closeSocket(){
+        this.stopPinging();
+        this.stopFlushing();
+        clearTimeout(this.stableTimer);
+        this.stableTimer = null;
         if(this.ws){
             this.ws.close();
         }
         this.ws = null;
+        this.isAuthenticated = false;
+        this.protocol = null;
         return this;
     }
 
@@ -82,47 +227,156 @@ class WebSocketClient extends EventSystem {
      */
     attachWebSocketHandlers() {
         let self = this;
+        let ws = this.ws;
         this.ws.addEventListener('open', function(e){
-            console.log(e);
             self.stopAutoReconnect();
+            // the backoff starts over only once the connection has lasted
+            self.stableTimer = setTimeout(function(){
+                self.stableTimer = null;
+                self.reconnectAttempts = 0;
+            }, self.stableConnectionTime);
+            self.authenticate();
             self.emit('open', e);
         });
-        this.ws.addEventListener('message', function(data){
-            console.log(data);
-            if(data.data === "ping"){
-                self.send("pong");
-            }
-            else if(data.data === "pong"){
-                self.recordLatency();
-            }
-            else {
-                let json = {};
-                try{
-                    json = JSON.parse(data.data);
-                    self.emit('message', json);   
-                }
-                catch(e){
-                    console.error(e);
-                }
-            }
+        this.ws.addEventListener('message', function(event){
+            // decompressing takes a while, but frames are handled in order
+            self.receiving = self.receiving
+                .then(function(){
+                    return self.decodeFrame(event.data);
+                })
+                .then(function(json){
+                    if(self.ws === ws){
+                        self.handleMessage(json);
+                    }
+                }, function(error){
+                    self.emit('error', error);
+                })
+                .catch(function(error){
+                    // thrown by a listener of the message
+                    self.emit('error', error);
+                });
         });
         this.ws.addEventListener('error', function(error){
-            console.log(error);
             self.emit('error', error);
-            if(self.autoReconnect && self.reconnectInterval === null){
-                self.startAutoReconnect();
-            }  
         });
         this.ws.addEventListener('close', function(e){
-            console.log(e);
+            // an old socket that was replaced by connect() can close late
+            let isCurrent = self.ws === ws;
+            if(isCurrent){
+                self.isAuthenticated = false;
+                self.stopPinging();
+                self.stopFlushing();
+                clearTimeout(self.stableTimer);
+                self.stableTimer = null;
+            }
             self.emit('close', e);
-            if(!e.wasClean && self.autoReconnect && self.reconnectInterval === null){
+            if(!isCurrent){
+                return;
+            }
+            if(!e.wasClean && self.autoReconnect){
                 self.startAutoReconnect();
             }
+            else {
+                self.setState(WebSocketClient.state.offline);
+            }
         });
         return this;
     }
 
+    /**
+     * Decode a frame from the server.
+     * Rejects with a protocol error if the frame is not valid.
+     * Once a protocol is picked, every frame must be an envelope.
+     * @param {string|ArrayBuffer} frame
+     * @return {Promise<object>}
+     */
+    decodeFrame(frame){
+        let self = this;
+        return Promise.resolve()
+            .then(function(){
+                let unpacked = Protocol.unpack(frame);
+                if(!unpacked.compressed){
+                    return Protocol.decode(unpacked.payload, unpacked.json);
+                }
+                return WebSocketClient.inflate(unpacked.payload)
+                    .then(function(payload){
+                        return Protocol.decode(payload, unpacked.json);
+                    });
+            })
+            .then(function(json){
+                if(self.protocol && !Protocol.isEnvelope(json)){
+                    throw Protocol.createError("badEnvelope");
+                }
+                return json;
+            });
+    }
+
+    /**
+     * Decompress raw deflated bytes
+     * @param {Uint8Array} bytes
+     * @return {Promise<Uint8Array>}
+     */
+    static inflate(bytes){
+        let stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+        return new Response(stream).arrayBuffer()
+            .then(function(buffer){
+                return new Uint8Array(buffer);
+            })
+            .catch(function(){
+                throw Protocol.createError("badFrame");
+            });
+    }
+
+    /**
+     * Handle a decoded message from the server.
+     * Heartbeats are answered here, everything else is emitted.
+     * @param {object} json
+     * @return {WebSocketClient}
+     */
+    handleMessage(json){
+        if(json.route === WebSocketClient.route.ping){
+            return this.pong(json.data.timestamp);
+        }
+        if(json.route === WebSocketClient.route.pong){
+            return this.recordLatency(json.data.timestamp);
+        }
+        // listeners can send right away in response to the auth,
+        // and what was queued goes after them
+        let isAuth = json.route === WebSocketClient.route.auth && json.status === 1;
+        if(isAuth){
+            this.protocol = json.data.protocol || null;
+            this.isAuthenticated = true;
+            this.setState(WebSocketClient.state.open);
+        }
+        this.emit('message', json);
+        if(isAuth){
+            this.flushQueue();
+            this.startPinging();
+        }
+        return this;
+    }
+
+    /**
+     * Encode a message in the negotiated protocol.
+     * Everything but the route is sent as the data of the envelope.
+     * @param {object} json
+     * @param {string} json.route
+     * @return {string|Uint8Array}
+     */
+    encode(json){
+        if(!this.protocol){
+            return JSON.stringify(json);
+        }
+        let data = Object.assign({}, json);
+        delete data.route;
+        return Protocol.encode({
+            v: this.protocol.v,
+            route: json.route,
+            id: ++this.lastId,
+            data: data
+        }, this.protocol.encoding);
+    }
+
     /**
      * Send a message through the socket
      * @param {*} msg
@@ -134,24 +388,155 @@ class WebSocketClient extends EventSystem {
     }
 
     /**
-     * Send a JSON message through the socket
+     * Send a JSON message through the socket.
+     * If the socket is not ready, or the message has to wait its turn, it is queued.
      * @param {object} json
      * @return {WebSocketClient}
      */
     sendJson(json) {
-        return this.send(JSON.stringify(json));
+        if(!this.isReady()){
+            return this.enqueue(json);
+        }
+        if(this.queue.length || this.getSendWait(json)){
+            this.enqueue(json);
+            return this.flushQueue();
+        }
+        return this.sendPaced(json);
+    }
+
+    /**
+     * Check if a message is on a paced route
+     * @param {object} json
+     * @param {string} json.route
+     * @return {boolean}
+     */
+    isPaced(json){
+        return this.pacedRoutes.has(json.route);
+    }
+
+    /**
+     * Add the send tokens that have refilled since the last refill
+     * @return {WebSocketClient}
+     */
+    refillSendTokens(){
+        let now = Date.now();
+        let refilled = (now - this.lastRefill) * this.sendRate.capacity / this.sendRate.interval;
+        this.sendTokens = Math.min(this.sendRate.capacity, this.sendTokens + refilled);
+        this.lastRefill = now;
+        return this;
+    }
+
+    /**
+     * Check how long a message has to wait until it can be sent
+     * @param {object} json
+     * @return {number} ms, 0 if it can be sent now
+     */
+    getSendWait(json){
+        if(!this.isPaced(json)){
+            return 0;
+        }
+        this.refillSendTokens();
+        if(this.sendTokens >= 1){
+            return 0;
+        }
+        return Math.ceil((1 - this.sendTokens) * this.sendRate.interval / this.sendRate.capacity);
+    }
+
+    /**
+     * Send a JSON message through the socket,
+     * taking a send token if it is on a paced route
+     * @param {object} json
+     * @return {WebSocketClient}
+     */
+    sendPaced(json){
+        if(this.isPaced(json)){
+            this.refillSendTokens();
+            this.sendTokens = Math.max(0, this.sendTokens - 1);
+        }
+        return this.send(this.encode(json));
     }
 
     /**
-     * Start trying to reconnect to the server on an interval
+     * Queue a JSON message to send once the socket is ready.
+     * If the queue is full, the oldest message is dropped.
+     * @param {object} json
+     * @return {WebSocketClient}
+     */
+    enqueue(json){
+        this.queue.push(json);
+        if(this.queue.length > this.maxQueueLength){
+            let dropped = this.queue.shift();
+            this.emit('drop', dropped);
+        }
+        return this;
+    }
+
+    /**
+     * Send queued messages, oldest first.
+     * When the next one has to wait for the send rate,
+     * the rest are sent once it can be.
+     * @return {WebSocketClient}
+     */
+    flushQueue(){
+        let self = this;
+        this.stopFlushing();
+        while(this.queue.length && this.isReady()){
+            let wait = this.getSendWait(this.queue[0]);
+            if(wait){
+                this.flushTimer = setTimeout(function(){
+                    self.flushTimer = null;
+                    self.flushQueue();
+                }, wait);
+                break;
+            }
+            this.sendPaced(this.queue.shift());
+        }
+        return this;
+    }
+
+    /**
+     * Stop waiting to send the rest of the queue
+     * @return {WebSocketClient}
+     */
+    stopFlushing(){
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        return this;
+    }
+
+    /**
+     * Drop every queued message
+     * @return {WebSocketClient}
+     */
+    clearQueue(){
+        this.stopFlushing();
+        this.queue = [];
+        return this;
+    }
+
+    /**
+     * Schedule the next attempt to reconnect to the server.
+     * Each attempt waits longer than the last, up to the max delay.
+     * Goes offline if max attempts has been reached.
      * @return {WebSocketClient}
      */
     startAutoReconnect() {
         let self = this;
-        this.reconnectAttempts = 0;
-        this.reconnectInterval = setInterval(function(){
+        if(this.reconnectTimer !== null){
+            return this;
+        }
+        if(this.maxReconnectAttempts && this.reconnectAttempts >= this.maxReconnectAttempts){
+            return this.setState(WebSocketClient.state.offline);
+        }
+        let delay = this.getReconnectDelay(this.reconnectAttempts);
+        this.reconnectTimer = setTimeout(function(){
             self.reconnect();
-        }, this.reconnectIntervalTimer);
+        }, delay);
+        this.setState(WebSocketClient.state.reconnecting);
+        this.emit('reconnecting', {
+            attempt: this.reconnectAttempts + 1,
+            delay: delay
+        });
         return this;
     }
 
@@ -160,51 +545,123 @@ class WebSocketClient extends EventSystem {
      * @return {WebSocketClient}
      */
     stopAutoReconnect() {
-        clearInterval(this.reconnectInterval);
-        this.reconnectInterval = null;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
         return this;
     }
 
     /**
-     * Try to reconnect to the server.
-     * Will bail if max attempts has been reached.
+     * Check if an attempt to reconnect is waiting
+     * @return {boolean}
+     */
+    isReconnecting(){
+        return this.reconnectTimer !== null;
+    }
+
+    /**
+     * Get the delay before a reconnect attempt.
+     * The delay doubles with each attempt, up to the max delay,
+     * and a random half of it is taken off.
+     * @param {number} attempt - attempts made so far
+     * @return {number} ms
+     */
+    getReconnectDelay(attempt){
+        let delay = Math.min(this.maxReconnectDelay, this.reconnectDelay * Math.pow(2, attempt));
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    /**
+     * Try to reconnect to the server right away,
+     * instead of waiting for the next attempt
      * @return {WebSocketClient}
      */
     reconnect(){
-        if(!this.maxReconnectAttempts || this.reconnectAttempts < this.maxReconnectAttempts){
-            this.reconnectAttempts++;
-            this.connect();
-        }
-        else {
-            this.stopAutoReconnect();
+        this.stopAutoReconnect();
+        this.reconnectAttempts++;
+        return this.connect();
+    }
+
+    /**
+     * Ping the server on an interval, and right away
+     * @return {WebSocketClient}
+     */
+    startPinging(){
+        let self = this;
+        this.stopPinging();
+        if(!this.pingInterval){
+            return this;
         }
+        this.pingTimer = setInterval(function(){
+            self.ping();
+        }, this.pingInterval);
+        return this.ping();
+    }
+
+    /**
+     * Stop pinging the server
+     * @return {WebSocketClient}
+     */
+    stopPinging(){
+        clearInterval(this.pingTimer);
+        this.pingTimer = null;
         return this;
     }
 
     /**
-     * Ping the web socket
+     * Ping the server.
+     * The server sends the timestamp back to measure the latency.
+     * Pings are not queued, as a late answer measures nothing.
      * @return {WebSocketClient}
      */
     ping(){
-        this.lastPingSent = performance.now();
-        return this.send({route: "/ping"});
+        if(!this.isReady()){
+            return this;
+        }
+        return this.send(this.encode({
+            route: WebSocketClient.route.ping,
+            timestamp: performance.now()
+        }));
     }
 
     /**
-     * Pong the web socket
+     * Answer a heartbeat from the server
+     * @param {number} timestamp - the timestamp of the heartbeat
      * @return {WebSocketClient}
      */
-    pong(){
-        return this.send({route: "/pong"});
+    pong(timestamp){
+        if(!this.isReady()){
+            return this;
+        }
+        return this.send(this.encode({
+            route: WebSocketClient.route.pong,
+            timestamp: timestamp
+        }));
     }
 
     /**
-     * Record the latency as betweeb 
-     * now and when the last ping was sent
+     * Record the latency as between
+     * now and when a ping was sent
+     * @param {number} timestamp - when the ping was sent
      * @return {WebSocketClient}
      */
-    recordLatency(){
-        this.latency = performance.now() - this.lastPingSent;
+    recordLatency(timestamp){
+        if(!Number.isFinite(timestamp)){
+            return this;
+        }
+        this.latency = Math.round(performance.now() - timestamp);
+        this.emit('latency', this.latency);
         return this;
     }
-}
\ No newline at end of file
+}
+// reconnecting is waiting for the next attempt, which is connecting again
+WebSocketClient.state = {
+    connecting: "connecting",
+    open: "open",
+    reconnecting: "reconnecting",
+    offline: "offline"
+};
+WebSocketClient.route = {
+    auth: "/auth",
+    ping: "/ping",
+    pong: "/pong"
+};
\ No newline at end of file
@@ -0,0 +1,111 @@
+require('@voliware/node-server');
+const assert = require('assert');
+const AttachmentManager = require('../chat/attachments/attachmentManager');
+const MemoryAttachmentStore = require('../chat/storage/memoryAttachmentStore');
+
+describe("AttachmentManager", function(){
+
+	let manager = null;
+
+	beforeEach(function(){
+		manager = new AttachmentManager({
+			store: new MemoryAttachmentStore(),
+			thumbnailer: {
+				create: function(){
+					return Promise.resolve(Buffer.from("thumbnail"));
+				}
+			},
+			maxSize: 64
+		});
+	});
+
+	it("knows images by their first bytes", function(){
+		let png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]);
+		let webp = Buffer.from("RIFF\x00\x00\x00\x00WEBPVP8 ", "latin1");
+		assert.strictEqual(AttachmentManager.getImageType(png), "image/png");
+		assert.strictEqual(AttachmentManager.getImageType(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), "image/jpeg");
+		assert.strictEqual(AttachmentManager.getImageType(Buffer.from("GIF89a")), "image/gif");
+		assert.strictEqual(AttachmentManager.getImageType(webp), "image/webp");
+		assert.strictEqual(AttachmentManager.getImageType(Buffer.from("RIFF")), null);
+		assert.strictEqual(AttachmentManager.getImageType(Buffer.from("<svg>")), null);
+	});
+
+	it("rejects files that are empty, too large, not allowed or not what they claim to be", function(){
+		let user = {id: "u1"};
+		let uploads = [
+			{filename: "a.txt", type: "text/plain", data: Buffer.alloc(0)},
+			{filename: "a.txt", type: "text/plain", data: Buffer.alloc(65)},
+			{filename: "a.html", type: "text/html", data: Buffer.from("<script>")},
+			{filename: "a.png", type: "image/png", data: Buffer.from("<svg onload=alert(1)>")}
+		];
+		return Promise.all(uploads.map(function(file){
+				return manager.upload(user, file)
+					.then(function(){
+						return null;
+					}, function(error){
+						return error.status + " " + error.message;
+					});
+			}))
+			.then(function(errors){
+				assert.deepStrictEqual(errors, [
+					"400 " + AttachmentManager.error.empty,
+					"413 " + AttachmentManager.error.tooLarge,
+					"415 " + AttachmentManager.error.typeNotAllowed,
+					"415 " + AttachmentManager.error.typeMismatch
+				]);
+			});
+	});
+
+	it("gives images a thumbnail and cleans file names", function(){
+		let png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]);
+		let attachment = null;
+		return manager.upload({id: "u1"}, {filename: "../../a\"b.png", type: "IMAGE/PNG", data: png})
+			.then(function(result){
+				attachment = result;
+				assert.strictEqual(attachment.name, "ab.png");
+				assert.strictEqual(attachment.type, "image/png");
+				assert.strictEqual(attachment.thumbnail, true);
+				return manager.readFile(attachment.id, true);
+			})
+			.then(function(file){
+				assert.strictEqual(file.data.toString(), "thumbnail");
+				return manager.upload({id: "u1"}, {filename: "a.txt", type: "text/plain", data: Buffer.from("a")});
+			})
+			.then(function(result){
+				assert.strictEqual(result.thumbnail, false);
+			});
+	});
+
+	it("deletes uploads that expire before they are sent", function(){
+		let user = {id: "u1"};
+		let file = {filename: "a.txt", type: "text/plain", data: Buffer.from("a")};
+		let sent = null;
+		let unsent = null;
+		return Promise.all([manager.upload(user, file), manager.upload(user, file)])
+			.then(function(attachments){
+				sent = attachments[0];
+				unsent = attachments[1];
+				return manager.addRoom(sent.id, "general");
+			})
+			.then(function(){
+				return manager.deleteExpired();
+			})
+			.then(function(deleted){
+				// neither has expired yet
+				assert.strictEqual(deleted, 0);
+				manager.expireAfter = -1;
+				return manager.deleteExpired();
+			})
+			.then(function(deleted){
+				assert.strictEqual(deleted, 1);
+				return manager.store.getAttachment(unsent.id);
+			})
+			.then(function(attachment){
+				assert.strictEqual(attachment, null);
+				return manager.store.getAttachment(sent.id);
+			})
+			.then(function(attachment){
+				assert.deepStrictEqual(attachment.rooms, ["general"]);
+			});
+	});
+});
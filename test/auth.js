@@ -0,0 +1,143 @@
+require('@voliware/node-server');
+const assert = require('assert');
+const AccountManager = require('../chat/auth/accountManager');
+const SessionManager = require('../chat/auth/sessionManager');
+const MemorySessionStore = require('../chat/storage/memorySessionStore');
+const MemoryUserStore = require('../chat/storage/memoryUserStore');
+
+describe("SessionManager", function(){
+
+	it("only stores a hash of the token", function(){
+		let store = new MemorySessionStore();
+		let sessionManager = new SessionManager({store: store});
+		return sessionManager.createSession("u1")
+			.then(function(token){
+				assert.strictEqual(store.sessions.has(token), false);
+				assert.strictEqual(store.sessions.has(SessionManager.hashToken(token)), true);
+				return sessionManager.getSessionUserId(token);
+			})
+			.then(function(userId){
+				assert.strictEqual(userId, "u1");
+			});
+	});
+
+	it("shares sessions between managers with the same store", function(){
+		let store = new MemorySessionStore();
+		let first = new SessionManager({store: store});
+		let second = new SessionManager({store: store});
+		let token = null;
+		return first.createSession("u1")
+			.then(function(result){
+				token = result;
+				return second.getSessionUserId(token);
+			})
+			.then(function(userId){
+				assert.strictEqual(userId, "u1");
+				return second.deleteSession(token);
+			})
+			.then(function(){
+				return first.getSessionUserId(token);
+			})
+			.then(function(userId){
+				assert.strictEqual(userId, null);
+			});
+	});
+
+	it("deletes expired sessions", function(){
+		let store = new MemorySessionStore();
+		let sessionManager = new SessionManager({store: store, sessionLength: -1});
+		return sessionManager.createSession("u1")
+			.then(function(token){
+				return sessionManager.getSessionUserId(token);
+			})
+			.then(function(userId){
+				assert.strictEqual(userId, null);
+				assert.strictEqual(store.sessions.size, 0);
+			});
+	});
+});
+
+describe("AccountManager", function(){
+
+	let accountManager = null;
+
+	beforeEach(function(){
+		accountManager = new AccountManager({
+			userStore: new MemoryUserStore(),
+			sessionManager: new SessionManager({store: new MemorySessionStore()})
+		});
+	});
+
+	it("registers a user and authenticates the session", function(){
+		return accountManager.register({name: "alice", email: "alice@example.com", password: "password1"})
+			.then(function(session){
+				assert.strictEqual(session.user.name, "alice");
+				assert.strictEqual(typeof session.user.passwordHash, "undefined");
+				return accountManager.authenticate(session.token);
+			})
+			.then(function(user){
+				assert.strictEqual(user.name, "alice");
+			});
+	});
+
+	it("logs in with the right password only", function(){
+		return accountManager.register({name: "alice", email: "alice@example.com", password: "password1"})
+			.then(function(){
+				return accountManager.login({name: "alice", password: "password2"});
+			})
+			.then(function(){
+				assert.fail("logged in with the wrong password");
+			}, function(error){
+				assert.strictEqual(error.message, AccountManager.error.badCredentials);
+				assert.strictEqual(error.status, 401);
+				return accountManager.login({name: "alice", password: "password1"});
+			})
+			.then(function(session){
+				assert.strictEqual(session.user.name, "alice");
+			});
+	});
+
+	it("stops authenticating a session once logged out", function(){
+		let token = null;
+		return accountManager.register({name: "alice", email: "alice@example.com", password: "password1"})
+			.then(function(session){
+				token = session.token;
+				return accountManager.logout(token);
+			})
+			.then(function(){
+				return accountManager.authenticate(token);
+			})
+			.then(function(user){
+				assert.strictEqual(user, null);
+			});
+	});
+
+	it("does not authenticate an empty token", function(){
+		return accountManager.authenticate("")
+			.then(function(user){
+				assert.strictEqual(user, null);
+			});
+	});
+
+	it("rejects names reserved by a name check", function(){
+		accountManager.addNameCheck(function(name){
+			return Promise.resolve(name.toLowerCase() === "helper");
+		});
+		return accountManager.register({name: "Helper", email: "helper@example.com", password: "password1"})
+			.then(function(){
+				assert.fail("registered a reserved name");
+			}, function(error){
+				assert.strictEqual(error.message, AccountManager.error.nameTaken);
+				assert.strictEqual(error.status, 409);
+				return accountManager.register({name: "alice", email: "alice@example.com", password: "password1"});
+			})
+			.then(function(session){
+				return accountManager.rename(session.user.id, "helper");
+			})
+			.then(function(){
+				assert.fail("renamed to a reserved name");
+			}, function(error){
+				assert.strictEqual(error.message, AccountManager.error.nameTaken);
+			});
+	});
+});
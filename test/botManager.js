@@ -0,0 +1,95 @@
+require('@voliware/node-server');
+const assert = require('assert');
+const BotManager = require('../chat/bots/botManager');
+const MemoryBotStore = require('../chat/storage/memoryBotStore');
+const MemoryUserStore = require('../chat/storage/memoryUserStore');
+
+describe("BotManager", function(){
+
+	let userStore = null;
+	let botManager = null;
+
+	beforeEach(function(){
+		userStore = new MemoryUserStore();
+		botManager = new BotManager({store: new MemoryBotStore(), userStore: userStore});
+	});
+
+	it("creates a bot and authenticates its token", function(){
+		return botManager.createBot({name: "Deploy", rooms: ["ops", "ops"]})
+			.then(function(result){
+				assert.strictEqual(result.bot.name, "Deploy");
+				assert.deepStrictEqual(result.bot.rooms, ["ops"]);
+				assert.strictEqual(typeof result.bot.tokenHash, "undefined");
+				return botManager.authenticate(result.token);
+			})
+			.then(function(bot){
+				assert.strictEqual(bot.name, "Deploy");
+				assert.strictEqual(BotManager.canPost(bot, "ops"), true);
+				assert.strictEqual(BotManager.canPost(bot, "general"), false);
+				return botManager.authenticate("not a token");
+			})
+			.then(function(bot){
+				assert.strictEqual(bot, null);
+			});
+	});
+
+	it("does not take the name of a user or another bot", function(){
+		return userStore.createUser({id: "u1", name: "alice", email: "", passwordHash: ""})
+			.then(function(){
+				return botManager.createBot({name: "Alice"});
+			})
+			.then(function(){
+				assert.fail("took a user's name");
+			}, function(error){
+				assert.strictEqual(error.message, BotManager.error.nameTaken);
+				assert.strictEqual(error.status, 409);
+				return botManager.createBot({name: "Deploy"});
+			})
+			.then(function(){
+				return botManager.createBot({name: "deploy"});
+			})
+			.then(function(){
+				assert.fail("took another bot's name");
+			}, function(error){
+				assert.strictEqual(error.message, BotManager.error.nameTaken);
+			});
+	});
+
+	it("revokes the token of a deleted bot", function(){
+		let token = null;
+		return botManager.createBot({name: "Deploy"})
+			.then(function(result){
+				token = result.token;
+				return botManager.deleteBot(result.bot.id);
+			})
+			.then(function(){
+				return botManager.authenticate(token);
+			})
+			.then(function(bot){
+				assert.strictEqual(bot, null);
+				return botManager.deleteBot("missing");
+			})
+			.then(function(){
+				assert.fail("deleted a missing bot");
+			}, function(error){
+				assert.strictEqual(error.status, 404);
+			});
+	});
+
+	it("shares bots between managers with the same store", function(){
+		let store = new MemoryBotStore();
+		let first = new BotManager({store: store});
+		let second = new BotManager({store: store});
+		return first.createBot({name: "Deploy"})
+			.then(function(result){
+				return second.authenticate(result.token);
+			})
+			.then(function(bot){
+				assert.strictEqual(bot.name, "Deploy");
+				return second.serializeBots();
+			})
+			.then(function(bots){
+				assert.strictEqual(bots.length, 1);
+			});
+	});
+});
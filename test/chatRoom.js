@@ -0,0 +1,77 @@
+require('@voliware/node-server');
+const assert = require('assert');
+const ChatRoom = require('../chat/chatRoom');
+
+describe("ChatRoom", function(){
+
+	it("counts users on other nodes as members", function(){
+		let room = new ChatRoom({name: "a", maxClients: 2});
+		room.addClient("c1", {id: "c1", user: {id: "u1", name: "alice"}});
+		room.addRemoteUser("node2", {id: "u2", name: "bob"});
+		assert.strictEqual(room.isMember("u1"), true);
+		assert.strictEqual(room.isMember("u2"), true);
+		assert.strictEqual(room.hasUser("u2"), false);
+		assert.strictEqual(room.isFull("u3"), true);
+		assert.strictEqual(room.isFull("u2"), false);
+		room.removeRemoteUser("node2", "u2");
+		assert.strictEqual(room.isMember("u2"), false);
+		assert.strictEqual(room.isFull("u3"), false);
+	});
+
+	it("asks for the password of a locked room", function(){
+		let room = new ChatRoom({name: "a", owner: "owner"});
+		return room.setPassword("secret")
+			.then(function(){
+				assert.strictEqual(room.isLocked(), true);
+				return Promise.all([
+					room.canJoin("u1"),
+					room.canJoin("u1", "wrong"),
+					room.canJoin("u1", "secret"),
+					room.canJoin("owner")
+				]);
+			})
+			.then(function(results){
+				assert.deepStrictEqual(results, [false, false, true, true]);
+				return room.setPassword("");
+			})
+			.then(function(){
+				assert.strictEqual(room.isLocked(), false);
+				return room.canJoin("u1");
+			})
+			.then(function(canJoin){
+				assert.strictEqual(canJoin, true);
+			});
+	});
+
+	it("only lets the owner and invited users into an invite only room", function(){
+		let room = new ChatRoom({name: "a", owner: "owner", inviteOnly: true});
+		room.invite("u1");
+		room.invite("u2");
+		room.revokeInvite("u2");
+		room.ban("u3");
+		room.invite("u3");
+		return Promise.all([
+				room.canJoin("owner"),
+				room.canJoin("u1"),
+				room.canJoin("u2"),
+				room.canJoin("u3"),
+				room.canJoin("u4")
+			])
+			.then(function(results){
+				assert.deepStrictEqual(results, [true, true, false, false, false]);
+			});
+	});
+
+	it("does not serialize the password or invites", function(){
+		let room = new ChatRoom({name: "a", inviteOnly: true});
+		room.invite("u1");
+		return room.setPassword("secret")
+			.then(function(){
+				let data = room.serialize();
+				assert.strictEqual(data.locked, true);
+				assert.strictEqual(data.inviteOnly, true);
+				assert.strictEqual(JSON.stringify(data).includes(room.passwordHash), false);
+				assert.strictEqual("invites" in data, false);
+			});
+	});
+});
@@ -0,0 +1,286 @@
+require('@voliware/node-server');
+const assert = require('assert');
+const Protocol = require('../public/js/protocol');
+const ChatServer = require('../chat/chatServer');
+const AccountManager = require('../chat/auth/accountManager');
+const AttachmentManager = require('../chat/attachments/attachmentManager');
+const PresenceManager = require('../chat/presence/presenceManager');
+const CommandRegistry = require('../chat/commands/commandRegistry');
+const FakeClient = require('./helpers/fakeClient');
+
+describe("ChatServer", function(){
+
+	let server = null;
+
+	beforeEach(function(){
+		server = new ChatServer();
+	});
+
+	it("only pages history by a string id and an integer limit", function(){
+		let pages = [];
+		let getMessages = server.messageStore.getMessages.bind(server.messageStore);
+		server.messageStore.getMessages = function(room, options){
+			pages.push(options);
+			return getMessages(room, options);
+		};
+		return FakeClient.connect(server)
+			.then(function(client){
+				return client.request({
+						route: ChatServer.route.roomHistory,
+						room: ChatServer.generalChatName,
+						before: {$gt: ""},
+						limit: "1000"
+					})
+					.then(function(reply){
+						assert.strictEqual(reply.status, 1);
+						assert.strictEqual(reply.data.before, null);
+						return client.request({
+							route: ChatServer.route.roomHistory,
+							room: ChatServer.generalChatName,
+							before: "m1",
+							limit: 5
+						});
+					});
+			})
+			.then(function(){
+				assert.deepStrictEqual(pages, [
+					{before: null, limit: server.historyLength},
+					{before: "m1", limit: 5}
+				]);
+			});
+	});
+
+	it("only pages direct messages by a string id and an integer limit", function(){
+		let pages = [];
+		let getMessages = server.messageStore.getMessages.bind(server.messageStore);
+		server.messageStore.getMessages = function(room, options){
+			pages.push(options);
+			return getMessages(room, options);
+		};
+		return FakeClient.connect(server)
+			.then(function(client){
+				return client.request({
+					route: ChatServer.route.directHistory,
+					with: "u2",
+					before: {$ne: null},
+					limit: 2.5
+				});
+			})
+			.then(function(reply){
+				assert.strictEqual(reply.status, 1);
+				assert.deepStrictEqual(pages, [{before: null, limit: server.historyLength}]);
+			});
+	});
+
+	it("answers a frame that fails to decode with a protocol error", function(){
+		let logged = [];
+		server.logger.error = function(error){
+			logged.push(error);
+		};
+		server.protocolCodec.decode = function(){
+			throw new Error("boom");
+		};
+		let client = new FakeClient();
+		server.attachClientHandlers(client);
+		client.receive({route: ChatServer.route.auth});
+		let reply = client.last(ChatServer.route.error);
+		assert.strictEqual(reply.status, 0);
+		assert.strictEqual(reply.code, Protocol.errorCode.badFrame);
+		assert.strictEqual(logged[0].message, "boom");
+		client.disconnect();
+	});
+
+	it("does not let a guest take the name of a bot", function(){
+		let client = null;
+		return server.botManager.createBot({name: "Deploy"})
+			.then(function(){
+				return FakeClient.connect(server);
+			})
+			.then(function(result){
+				client = result;
+				return server.renameUser(client.user, "deploy");
+			})
+			.then(function(){
+				assert.fail("took a bot's name");
+			}, function(error){
+				assert.strictEqual(error.message, AccountManager.error.nameTaken);
+				return server.renameUser(client.user, "Visitor");
+			})
+			.then(function(user){
+				assert.strictEqual(user.name, "Visitor");
+				assert.strictEqual(client.user.name, "Visitor");
+			});
+	});
+
+	it("only lets members of a room read what was sent to it", function(){
+		let sender = null;
+		let member = null;
+		let attachment = null;
+		let file = {filename: "notes.txt", type: "text/plain", data: Buffer.from("notes")};
+		return Promise.all([FakeClient.connect(server), FakeClient.connect(server)])
+			.then(function(clients){
+				sender = clients[0];
+				member = clients[1];
+				return server.attachmentManager.upload(sender.user, file);
+			})
+			.then(function(result){
+				attachment = result;
+				return server.readAttachment(member.user, attachment.id);
+			})
+			.then(function(){
+				assert.fail("read an upload that was not sent");
+			}, function(error){
+				assert.strictEqual(error.status, 404);
+				return sender.request({
+					route: ChatServer.route.roomMessage,
+					room: ChatServer.generalChatName,
+					text: "",
+					attachments: [attachment.id]
+				});
+			})
+			.then(function(reply){
+				assert.strictEqual(reply.status, 1);
+				return server.readAttachment(member.user, attachment.id);
+			})
+			.then(function(file){
+				assert.strictEqual(file.data.toString(), "notes");
+				return server.readAttachment({id: "stranger"}, attachment.id);
+			})
+			.then(function(){
+				assert.fail("read an attachment of a room it is not in");
+			}, function(error){
+				assert.strictEqual(error.message, AttachmentManager.error.notFound);
+			});
+	});
+
+	it("rate limits uploads for each user", function(){
+		server = new ChatServer({rateLimits: {user: {upload: {capacity: 1, interval: 60000}}}});
+		let user = {id: "u1"};
+		return server.takeUpload(user)
+			.then(function(){
+				return server.takeUpload({id: "u2"});
+			})
+			.then(function(){
+				return server.takeUpload(user);
+			})
+			.then(function(){
+				assert.fail("uploaded too often");
+			}, function(error){
+				assert.strictEqual(error.status, 429);
+			});
+	});
+
+	it("tells the rooms of a user when it goes away", function(){
+		return Promise.all([FakeClient.connect(server), FakeClient.connect(server)])
+			.then(function(clients){
+				let idle = clients[0];
+				let other = clients[1];
+				server.presenceManager.users.get(idle.user.id).lastActivity -= server.presenceManager.awayTimeout;
+				server.presenceManager.checkIdleUsers();
+				let update = other.last(ChatServer.route.roomUserStatus);
+				assert.deepStrictEqual(update.data, {
+					room: ChatServer.generalChatName,
+					id: idle.user.id,
+					status: PresenceManager.status.away
+				});
+			});
+	});
+
+	it("drops clients that stop answering heartbeats", function(){
+		return Promise.all([FakeClient.connect(server), FakeClient.connect(server)])
+			.then(function(clients){
+				let dead = clients[0];
+				let alive = clients[1];
+				for(let i = 0; i <= server.heartbeatMonitor.maxMissed; i++){
+					server.heartbeatMonitor.beat();
+					let ping = alive.last(ChatServer.route.ping);
+					alive.receive({route: ChatServer.route.pong, timestamp: ping.data.timestamp});
+				}
+				assert.strictEqual(dead.isClosed, true);
+				assert.strictEqual(alive.isClosed, false);
+				assert.strictEqual(server.getRoom(ChatServer.generalChatName).hasUser(dead.user.id), false);
+				assert.strictEqual(server.getRoom(ChatServer.generalChatName).hasUser(alive.user.id), true);
+			});
+	});
+
+	it("only runs commands that the client has permission for", function(){
+		server.registerCommand({
+			name: "wave",
+			permission: CommandRegistry.permission.member,
+			handler: function(client, args, room){
+				return room.name;
+			}
+		});
+		return FakeClient.connect(server)
+			.then(function(client){
+				return client.request({route: ChatServer.route.command, text: "/wave"})
+					.then(function(reply){
+						assert.strictEqual(reply.error, ChatServer.error.permissionDenied);
+						return client.request({route: ChatServer.route.command, text: "/wave", room: ChatServer.generalChatName});
+					})
+					.then(function(reply){
+						assert.strictEqual(reply.status, 1);
+						assert.strictEqual(reply.data.result, ChatServer.generalChatName);
+						return client.request({route: ChatServer.route.command, text: "/ban someone", room: ChatServer.generalChatName});
+					})
+					.then(function(reply){
+						assert.strictEqual(reply.error, ChatServer.error.permissionDenied);
+						return client.request({route: ChatServer.route.command, text: "/nope"});
+					})
+					.then(function(reply){
+						assert.strictEqual(reply.error, ChatServer.error.unknownCommand);
+					});
+			});
+	});
+
+	it("lets users moderate the users they outrank, and audits it", function(){
+		let room = server.getRoom(ChatServer.generalChatName);
+		let owner = null;
+		let target = null;
+		let run = function(client, text){
+			return client.request({route: ChatServer.route.command, text: text, room: room.name});
+		};
+		return Promise.all([FakeClient.connect(server), FakeClient.connect(server)])
+			.then(function(clients){
+				owner = clients[0];
+				target = clients[1];
+				room.owner = owner.user.id;
+				return run(owner, "/mute " + target.user.name + " 5 spam");
+			})
+			.then(function(reply){
+				assert.strictEqual(reply.status, 1);
+				return target.request({route: ChatServer.route.roomMessage, room: room.name, text: "hi"});
+			})
+			.then(function(reply){
+				assert.strictEqual(reply.error, ChatServer.error.muted);
+				return run(target, "/kick " + owner.user.name);
+			})
+			.then(function(reply){
+				assert.strictEqual(reply.error, ChatServer.error.permissionDenied);
+				return run(owner, "/mod " + target.user.name);
+			})
+			.then(function(reply){
+				assert.strictEqual(reply.status, 1);
+				return run(target, "/kick " + owner.user.name);
+			})
+			.then(function(reply){
+				assert.strictEqual(reply.error, ChatServer.error.cannotModerate);
+				return run(owner, "/ban " + target.user.name + " flooding");
+			})
+			.then(function(reply){
+				assert.strictEqual(reply.status, 1);
+				assert.strictEqual(room.hasUser(target.user.id), false);
+				assert.strictEqual(room.isBanned(target.user.id), true);
+				return server.getAuditLog({room: room.name});
+			})
+			.then(function(entries){
+				assert.deepStrictEqual(entries.map(function(entry){
+					return entry.action + ":" + entry.actorId + ":" + entry.targetId;
+				}), [
+					ChatServer.moderationAction.ban + ":" + owner.user.id + ":" + target.user.id,
+					ChatServer.moderationAction.addModerator + ":" + owner.user.id + ":" + target.user.id,
+					ChatServer.moderationAction.mute + ":" + owner.user.id + ":" + target.user.id
+				]);
+			});
+	});
+});
@@ -0,0 +1,231 @@
+require('@voliware/node-server');
+const assert = require('assert');
+const EventEmitter = require('events').EventEmitter;
+const Net = require('net');
+const ClusterAdapter = require('../chat/cluster/clusterAdapter');
+const IpcClusterAdapter = require('../chat/cluster/ipcClusterAdapter');
+const RedisClusterAdapter = require('../chat/cluster/redisClusterAdapter');
+const RespParser = require('../chat/cluster/respParser');
+
+/**
+ * Create IPC channels that relay to each other,
+ * as the primary process relays between workers
+ * @param {number} count
+ * @return {EventEmitter[]}
+ */
+function createChannels(count){
+	let channels = [];
+	for(let i = 0; i < count; i++){
+		let channel = new EventEmitter();
+		channel.send = function(message){
+			let copy = JSON.parse(JSON.stringify(message));
+			setImmediate(function(){
+				for(let other of channels){
+					if(other !== channel){
+						other.emit('message', copy);
+					}
+				}
+			});
+		};
+		channels.push(channel);
+	}
+	return channels;
+}
+
+/**
+ * Start a server that speaks just enough of Redis
+ * to SUBSCRIBE and PUBLISH
+ * @return {Promise<Server>}
+ */
+function startRedisServer(){
+	let subscribers = new Map();
+	let server = Net.createServer(function(socket){
+		let parser = new RespParser(function(command){
+			if(command[0] === "SUBSCRIBE"){
+				subscribers.set(socket, command[1]);
+				socket.write(RespParser.encodeCommand(["subscribe", command[1], "1"]));
+			}
+			else if(command[0] === "PUBLISH"){
+				socket.write(":1\r\n");
+				for(let [subscriber, channel] of subscribers){
+					if(channel === command[1]){
+						subscriber.write(RespParser.encodeCommand(["message", channel, command[2]]));
+					}
+				}
+			}
+		});
+		socket.on('data', function(chunk){
+			parser.push(chunk);
+		});
+		socket.on('close', function(){
+			subscribers.delete(socket);
+		});
+		socket.on('error', function(){});
+	});
+	return new Promise(function(resolve){
+		server.listen(0, "127.0.0.1", function(){
+			resolve(server);
+		});
+	});
+}
+
+/**
+ * Wait for an event
+ * @param {EventEmitter} emitter
+ * @param {string} event
+ * @return {Promise<Array>} the arguments of the event
+ */
+function waitFor(emitter, event){
+	return new Promise(function(resolve){
+		emitter.once(event, function(){
+			resolve(Array.from(arguments));
+		});
+	});
+}
+
+describe("ClusterAdapter", function(){
+
+	it("must be extended", function(){
+		let adapter = new ClusterAdapter();
+		assert.throws(function(){
+			adapter.send({});
+		});
+		return adapter.connect()
+			.then(function(){
+				assert.fail("connected");
+			}, function(error){
+				assert.ok(error instanceof Error);
+			});
+	});
+});
+
+describe("IpcClusterAdapter", function(){
+
+	let adapters = [];
+
+	afterEach(function(){
+		return Promise.all(adapters.map(function(adapter){
+				return adapter.close();
+			}))
+			.then(function(){
+				adapters = [];
+			});
+	});
+
+	it("tells each node when another joins, publishes and leaves", function(){
+		let channels = createChannels(2);
+		let first = new IpcClusterAdapter({channel: channels[0], nodeId: "a"});
+		let second = new IpcClusterAdapter({channel: channels[1], nodeId: "b"});
+		adapters = [first, second];
+		let joined = waitFor(first, 'join');
+		return first.connect()
+			.then(function(){
+				return second.connect();
+			})
+			.then(function(){
+				return joined;
+			})
+			.then(function(args){
+				assert.strictEqual(args[0], "b");
+				let received = waitFor(second, 'message');
+				first.publish("room.update", {name: "a"});
+				return received;
+			})
+			.then(function(args){
+				assert.deepStrictEqual(args, ["room.update", {name: "a"}, "a"]);
+				let left = waitFor(first, 'leave');
+				second.close();
+				return left;
+			})
+			.then(function(args){
+				assert.strictEqual(args[0], "b");
+				assert.strictEqual(first.nodes.size, 0);
+			});
+	});
+
+	it("forgets a node that stops sending heartbeats", function(){
+		let channels = createChannels(2);
+		let options = {heartbeatInterval: 20, maxMissed: 2};
+		let first = new IpcClusterAdapter(Object.assign({channel: channels[0], nodeId: "a"}, options));
+		let second = new IpcClusterAdapter(Object.assign({channel: channels[1], nodeId: "b"}, options));
+		adapters = [first, second];
+		let joined = waitFor(first, 'join');
+		return first.connect()
+			.then(function(){
+				return second.connect();
+			})
+			.then(function(){
+				return joined;
+			})
+			.then(function(){
+				// hang without leaving
+				let left = waitFor(first, 'leave');
+				second.stopHeartbeat();
+				channels[1].removeListener('message', second.onMessage);
+				second.onMessage = null;
+				return left;
+			})
+			.then(function(args){
+				assert.strictEqual(args[0], "b");
+			});
+	});
+
+	it("rejects when there is no IPC channel", function(){
+		let adapter = new IpcClusterAdapter({channel: {}});
+		return adapter.connect()
+			.then(function(){
+				assert.fail("connected");
+			}, function(error){
+				assert.strictEqual(error.message, IpcClusterAdapter.error.noChannel);
+			});
+	});
+});
+
+describe("RedisClusterAdapter", function(){
+
+	let server = null;
+	let adapters = [];
+
+	beforeEach(function(){
+		return startRedisServer()
+			.then(function(result){
+				server = result;
+			});
+	});
+
+	afterEach(function(){
+		return Promise.all(adapters.map(function(adapter){
+				return adapter.close();
+			}))
+			.then(function(){
+				adapters = [];
+				return new Promise(function(resolve){
+					server.close(resolve);
+				});
+			});
+	});
+
+	it("publishes through Redis to the other nodes", function(){
+		let url = "redis://127.0.0.1:" + server.address().port;
+		let first = new RedisClusterAdapter({url: url, nodeId: "a"});
+		let second = new RedisClusterAdapter({url: url, nodeId: "b"});
+		adapters = [first, second];
+		let joined = waitFor(first, 'join');
+		return first.connect()
+			.then(function(){
+				return second.connect();
+			})
+			.then(function(){
+				return joined;
+			})
+			.then(function(args){
+				assert.strictEqual(args[0], "b");
+				let received = waitFor(first, 'message');
+				second.publish("room.delete", {name: "a"});
+				return received;
+			})
+			.then(function(args){
+				assert.deepStrictEqual(args, ["room.delete", {name: "a"}, "b"]);
+			});
+	});
+});
@@ -0,0 +1,67 @@
+require('@voliware/node-server');
+const assert = require('assert');
+const CommandRegistry = require('../chat/commands/commandRegistry');
+
+describe("CommandRegistry", function(){
+
+	let registry = null;
+
+	beforeEach(function(){
+		registry = new CommandRegistry();
+		registry.register({
+			name: "Join",
+			syntax: "<room> [password]",
+			handler: function(){}
+		});
+		registry.register({
+			name: "topic",
+			syntax: "<room> <text...>",
+			permission: CommandRegistry.permission.owner,
+			handler: function(){}
+		});
+	});
+
+	it("splits input into the command name and the rest", function(){
+		assert.deepStrictEqual(CommandRegistry.parseInput("  /JOIN General pw "), {name: "join", input: "General pw"});
+		assert.deepStrictEqual(CommandRegistry.parseInput("/help"), {name: "help", input: ""});
+		assert.strictEqual(CommandRegistry.parseInput("hello"), null);
+		assert.strictEqual(CommandRegistry.parseInput("/"), null);
+		assert.strictEqual(CommandRegistry.parseInput({text: "/help"}), null);
+	});
+
+	it("parses arguments by the command syntax", function(){
+		let join = registry.get("JOIN");
+		let topic = registry.get("topic");
+		assert.deepStrictEqual(registry.parseArgs(join, "General"), {room: "General"});
+		assert.deepStrictEqual(registry.parseArgs(join, " General  pw "), {room: "General", password: "pw"});
+		assert.strictEqual(registry.parseArgs(join, ""), null);
+		assert.strictEqual(registry.parseArgs(join, "General pw extra"), null);
+		assert.deepStrictEqual(registry.parseArgs(topic, "General a new  topic"), {room: "General", text: "a new  topic"});
+		assert.strictEqual(registry.parseArgs(topic, "General"), null);
+	});
+
+	it("rejects invalid commands", function(){
+		assert.throws(function(){
+			registry.register({name: "two words", handler: function(){}});
+		});
+		assert.throws(function(){
+			registry.register({name: "nohandler"});
+		});
+		assert.throws(function(){
+			registry.register({name: "god", permission: "god", handler: function(){}});
+		});
+		assert.throws(function(){
+			registry.register({name: "bad", syntax: "room", handler: function(){}});
+		});
+	});
+
+	it("defaults to the user permission", function(){
+		assert.strictEqual(registry.get("join").permission, CommandRegistry.permission.user);
+		assert.deepStrictEqual(CommandRegistry.serializeCommand(registry.get("topic")), {
+			name: "topic",
+			usage: "/topic <room> <text...>",
+			description: "",
+			permission: CommandRegistry.permission.owner
+		});
+	});
+});
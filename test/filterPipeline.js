@@ -0,0 +1,146 @@
+require('@voliware/node-server');
+const assert = require('assert');
+const ChatRoom = require('../chat/chatRoom');
+const FilterPipeline = require('../chat/filters/filterPipeline');
+const MessageFilter = require('../chat/filters/messageFilter');
+const MaxLengthFilter = require('../chat/filters/maxLengthFilter');
+const ProfanityFilter = require('../chat/filters/profanityFilter');
+const CapsFilter = require('../chat/filters/capsFilter');
+const SpamFilter = require('../chat/filters/spamFilter');
+const LinkFilter = require('../chat/filters/linkFilter');
+
+/**
+ * Create a filter that flags every message
+ * @param {string} name
+ * @return {MessageFilter}
+ */
+function createFlagFilter(name){
+	let filter = new MessageFilter({name: name});
+	filter.filter = function(){
+		return MessageFilter.flag("flagged by " + name);
+	};
+	return filter;
+}
+
+describe("FilterPipeline", function(){
+
+	let pipeline = null;
+
+	beforeEach(function(){
+		pipeline = new FilterPipeline();
+		pipeline.add(new MaxLengthFilter({maxLength: 20}));
+		pipeline.add(new ProfanityFilter());
+		pipeline.add(new CapsFilter({minLetters: 4}));
+	});
+
+	it("passes modified text on to the next filter", function(){
+		return pipeline.run("WHAT THE SHIT", {client: null, room: null})
+			.then(function(result){
+				assert.deepStrictEqual(result, {accepted: true, text: "what the s***", flags: []});
+			});
+	});
+
+	it("stops at the first rejection", function(){
+		let ran = false;
+		let last = new MessageFilter({name: "last"});
+		last.filter = function(){
+			ran = true;
+			return MessageFilter.accept();
+		};
+		pipeline.add(last);
+		return pipeline.run("this message is far too long", {client: null, room: null})
+			.then(function(result){
+				assert.deepStrictEqual(result, {accepted: false, filter: "length", reason: MaxLengthFilter.reason.tooLong});
+				assert.strictEqual(ran, false);
+			});
+	});
+
+	it("collects flags without stopping the message", function(){
+		pipeline.add(createFlagFilter("a"));
+		pipeline.add(createFlagFilter("b"), 0);
+		return pipeline.run("hello", {client: null, room: null})
+			.then(function(result){
+				assert.strictEqual(result.accepted, true);
+				assert.deepStrictEqual(result.flags, [
+					{filter: "b", reason: "flagged by b"},
+					{filter: "a", reason: "flagged by a"}
+				]);
+			});
+	});
+
+	it("lets rooms turn off filters that are not required", function(){
+		let room = new ChatRoom({name: "a"});
+		room.setFilterEnabled("profanity", false);
+		room.setFilterEnabled("length", false);
+		return pipeline.run("oh shit", {client: null, room: room})
+			.then(function(result){
+				assert.strictEqual(result.text, "oh shit");
+				return pipeline.run("this message is far too long", {client: null, room: room});
+			})
+			.then(function(result){
+				assert.strictEqual(result.accepted, false);
+			});
+	});
+
+	it("gives filters the options of the room", function(){
+		let room = new ChatRoom({name: "a"});
+		pipeline.add(new LinkFilter());
+		room.setFilterOptions("links", {deny: ["example.com"]});
+		return pipeline.run("www.example.com", {client: null, room: room})
+			.then(function(result){
+				assert.strictEqual(result.reason, LinkFilter.reason.denied);
+				return pipeline.run("www.example.com", {client: null, room: null});
+			})
+			.then(function(result){
+				assert.strictEqual(result.accepted, true);
+			});
+	});
+
+	it("replaces a filter with the same name in place", function(){
+		pipeline.add(new ProfanityFilter({mode: ProfanityFilter.mode.reject}));
+		assert.deepStrictEqual(pipeline.filters.map(function(filter){
+			return filter.name;
+		}), ["length", "profanity", "caps"]);
+		assert.strictEqual(pipeline.get("profanity").mode, ProfanityFilter.mode.reject);
+		pipeline.remove("caps");
+		assert.strictEqual(pipeline.get("caps"), undefined);
+	});
+});
+
+describe("MessageFilters", function(){
+
+	it("masks, rejects or flags profanity", function(){
+		let mask = new ProfanityFilter({words: ["darn"]});
+		let reject = new ProfanityFilter({words: ["darn"], mode: ProfanityFilter.mode.reject});
+		let flag = new ProfanityFilter({words: ["darn"], mode: ProfanityFilter.mode.flag});
+		assert.deepStrictEqual(mask.filter("Darn it, darnit"), MessageFilter.modify("D*** it, darnit"));
+		assert.deepStrictEqual(reject.filter("darn"), MessageFilter.reject(ProfanityFilter.reason.profanity));
+		assert.deepStrictEqual(flag.filter("darn"), MessageFilter.flag(ProfanityFilter.reason.profanity));
+		assert.deepStrictEqual(mask.filter("fine"), MessageFilter.accept());
+	});
+
+	it("leaves short or mostly lower case messages alone", function(){
+		let caps = new CapsFilter();
+		assert.deepStrictEqual(caps.filter("OK LOL"), MessageFilter.accept());
+		assert.deepStrictEqual(caps.filter("Hello There Everyone"), MessageFilter.accept());
+		assert.deepStrictEqual(caps.filter("HELLO THERE EVERYONE"), MessageFilter.modify("hello there everyone"));
+	});
+
+	it("shortens repeated characters and rejects repeated words", function(){
+		let spam = new SpamFilter({maxRepeatedCharacters: 3, maxRepeatedWords: 2});
+		assert.deepStrictEqual(spam.filter("nooooo"), MessageFilter.modify("nooo"));
+		assert.deepStrictEqual(spam.filter("buy buy buy"), MessageFilter.reject(SpamFilter.reason.repeatedWords));
+		assert.deepStrictEqual(spam.filter("buy buy now"), MessageFilter.accept());
+	});
+
+	it("allows or denies links by domain and subdomain", function(){
+		let links = new LinkFilter();
+		let allow = {options: {allow: ["example.com"]}};
+		let deny = {options: {deny: ["example.com"]}};
+		assert.deepStrictEqual(links.filter("https://docs.example.com/a", allow), MessageFilter.accept());
+		assert.deepStrictEqual(links.filter("https://badexample.com", allow), MessageFilter.reject(LinkFilter.reason.notAllowed));
+		assert.deepStrictEqual(links.filter("http://WWW.Example.com", deny), MessageFilter.reject(LinkFilter.reason.denied));
+		assert.deepStrictEqual(links.filter("http://example.org", deny), MessageFilter.accept());
+		assert.deepStrictEqual(links.filter("http://example.com", {options: {}}), MessageFilter.accept());
+	});
+});
@@ -0,0 +1,49 @@
+require('@voliware/node-server');
+const assert = require('assert');
+const HeartbeatMonitor = require('../chat/presence/heartbeatMonitor');
+
+describe("HeartbeatMonitor", function(){
+
+	let monitor = null;
+	let pinged = null;
+	let timedOut = null;
+
+	beforeEach(function(){
+		monitor = new HeartbeatMonitor({maxMissed: 2});
+		pinged = [];
+		timedOut = [];
+		monitor.on('ping', function(client){
+			pinged.push(client.id);
+		});
+		monitor.on('timeout', function(client){
+			timedOut.push(client.id);
+		});
+	});
+
+	it("times out clients that miss too many heartbeats", function(){
+		let quiet = {id: "c1"};
+		let answering = {id: "c2"};
+		monitor.add(quiet);
+		monitor.add(answering);
+		for(let i = 0; i < 3; i++){
+			monitor.beat();
+			monitor.receive(answering);
+		}
+		assert.deepStrictEqual(pinged, ["c1", "c2", "c1", "c2", "c2"]);
+		assert.deepStrictEqual(timedOut, ["c1"]);
+		// a client that timed out is no longer monitored
+		monitor.beat();
+		assert.deepStrictEqual(timedOut, ["c1"]);
+	});
+
+	it("stops monitoring removed clients", function(){
+		let client = {id: "c1"};
+		monitor.add(client);
+		monitor.remove(client);
+		for(let i = 0; i < 3; i++){
+			monitor.beat();
+		}
+		assert.deepStrictEqual(pinged, []);
+		assert.deepStrictEqual(timedOut, []);
+	});
+});
@@ -0,0 +1,113 @@
+const EventEmitter = require('events').EventEmitter;
+
+let lastId = 0;
+
+/**
+ * Fake Client.
+ * Stands in for a WebSocket client of a ChatServer,
+ * keeping every message the server sends it.
+ * @extends {EventEmitter}
+ */
+class FakeClient extends EventEmitter {
+
+	/**
+	 * Constructor
+	 * @param {string} [ip="127.0.0.1"]
+	 * @return {FakeClient}
+	 */
+	constructor(ip = "127.0.0.1"){
+		super();
+		this.id = "client" + (++lastId);
+		this.ip = ip;
+		this.received = [];
+		this.isClosed = false;
+		return this;
+	}
+
+	/**
+	 * Keep a message from the server
+	 * @param {string} data - JSON
+	 * @return {FakeClient}
+	 */
+	send(data){
+		this.received.push(JSON.parse(data));
+		return this;
+	}
+
+	/**
+	 * Send a message to the server
+	 * @param {object} message
+	 * @return {FakeClient}
+	 */
+	receive(message){
+		this.emit('message', JSON.stringify(message));
+		return this;
+	}
+
+	/**
+	 * Send a message to the server and wait for the reply on its route
+	 * @param {object} message
+	 * @param {string} [route=message.route]
+	 * @return {Promise<object>}
+	 */
+	request(message, route = message.route){
+		let self = this;
+		let count = this.received.length;
+		this.receive(message);
+		return new Promise(function(resolve, reject){
+			let tries = 0;
+			let timer = setInterval(function(){
+				let reply = self.received.slice(count).find(function(received){
+					return received.route === route;
+				});
+				if(reply || ++tries > 100){
+					clearInterval(timer);
+					return reply ? resolve(reply) : reject(new Error("No reply to " + route));
+				}
+			}, 5);
+		});
+	}
+
+	/**
+	 * Get the last message received on a route
+	 * @param {string} route
+	 * @return {object|null}
+	 */
+	last(route){
+		for(let i = this.received.length - 1; i >= 0; i--){
+			if(this.received[i].route === route){
+				return this.received[i];
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Close the connection
+	 * @return {FakeClient}
+	 */
+	disconnect(){
+		if(!this.isClosed){
+			this.isClosed = true;
+			this.emit('disconnect');
+		}
+		return this;
+	}
+
+	/**
+	 * Connect a client to a server and authenticate it
+	 * @param {ChatServer} server
+	 * @param {string} [token] - a session token, or connect as a guest
+	 * @return {Promise<FakeClient>}
+	 */
+	static connect(server, token){
+		let client = new FakeClient();
+		server.attachClientHandlers(client);
+		return client.request({route: "/auth", token: token})
+			.then(function(){
+				return client;
+			});
+	}
+}
+
+module.exports = FakeClient;
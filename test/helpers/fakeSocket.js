@@ -0,0 +1,68 @@
+const EventEmitter = require('events').EventEmitter;
+
+/**
+ * Fake Socket.
+ * Stands in for a net or dgram socket, keeping what is written to it.
+ * @extends {EventEmitter}
+ */
+class FakeSocket extends EventEmitter {
+
+	/**
+	 * Constructor
+	 * @return {FakeSocket}
+	 */
+	constructor(){
+		super();
+		this.remoteAddress = "127.0.0.1";
+		this.written = [];
+		this.ended = false;
+		return this;
+	}
+
+	/**
+	 * Set the encoding of received data
+	 * @return {FakeSocket}
+	 */
+	setEncoding(){
+		return this;
+	}
+
+	/**
+	 * Turn off Nagle's algorithm
+	 * @return {FakeSocket}
+	 */
+	setNoDelay(){
+		return this;
+	}
+
+	/**
+	 * Keep data written to a stream socket
+	 * @param {string} data
+	 * @return {FakeSocket}
+	 */
+	write(data){
+		this.written.push(data);
+		return this;
+	}
+
+	/**
+	 * Keep a datagram sent from a dgram socket
+	 * @param {Buffer} data
+	 * @return {FakeSocket}
+	 */
+	send(data){
+		this.written.push(data.toString());
+		return this;
+	}
+
+	/**
+	 * End a stream socket
+	 * @return {FakeSocket}
+	 */
+	end(){
+		this.ended = true;
+		return this;
+	}
+}
+
+module.exports = FakeSocket;
@@ -0,0 +1,128 @@
+require('@voliware/node-server');
+const assert = require('assert');
+const ChatServer = require('../chat/chatServer');
+const IrcClient = require('../chat/transports/ircClient');
+const FakeClient = require('./helpers/fakeClient');
+const FakeSocket = require('./helpers/fakeSocket');
+
+/**
+ * Wait for the server to answer
+ * @return {Promise}
+ */
+function wait(){
+	return new Promise(function(resolve){
+		setTimeout(resolve, 50);
+	});
+}
+
+describe("IrcClient", function(){
+
+	let server = null;
+	let socket = null;
+	let client = null;
+	let messages = null;
+
+	beforeEach(function(){
+		server = new ChatServer();
+		socket = new FakeSocket();
+		client = new IrcClient(socket, {chatServer: server});
+		messages = [];
+		client.on('message', function(message){
+			messages.push(JSON.parse(message));
+		});
+	});
+
+	it("parses lines into commands and params", function(){
+		assert.deepStrictEqual(IrcClient.parseLine("@time=1 :nick!u@h privmsg #a :hi there :)"), {
+			command: "PRIVMSG",
+			params: ["#a", "hi there :)"]
+		});
+		assert.deepStrictEqual(IrcClient.parseLine("JOIN #a,#b key"), {command: "JOIN", params: ["#a,#b", "key"]});
+		assert.strictEqual(IrcClient.parseLine("   "), null);
+	});
+
+	it("authenticates once NICK and USER are given", function(){
+		client.handleLine("JOIN #General");
+		assert.deepStrictEqual(socket.written, [":chatserver 451 * :You have not registered\r\n"]);
+		client.handleLine("PASS token");
+		client.handleLine("NICK alice");
+		assert.deepStrictEqual(messages, []);
+		client.handleLine("USER alice 0 * :Alice");
+		assert.deepStrictEqual(messages, [{route: ChatServer.route.auth, token: "token"}]);
+	});
+
+	it("translates commands into chat server messages", function(){
+		client.isRegistered = true;
+		client.user = {id: "u1", name: "alice"};
+		client.channels.set(ChatServer.generalChatName, {topic: "", users: new Map()});
+		let channel = IrcClient.getChannel(ChatServer.generalChatName);
+		client.handleLine(`PRIVMSG ${channel} :hello`);
+		client.handleLine(`PRIVMSG ${channel} :\u0001ACTION waves\u0001`);
+		client.handleLine("PRIVMSG bob :psst");
+		client.handleLine(`KICK ${channel} bob :bye`);
+		client.handleLine(`TOPIC ${channel} :new topic`);
+		client.handleLine(`PART ${channel}`);
+		client.handleLine("NICK alicia");
+		assert.deepStrictEqual(messages, [
+			{route: ChatServer.route.roomMessage, room: ChatServer.generalChatName, text: "hello"},
+			{route: ChatServer.route.roomMessage, room: ChatServer.generalChatName, text: "waves", action: true},
+			{route: ChatServer.route.command, text: "/msg bob psst"},
+			{route: ChatServer.route.command, room: ChatServer.generalChatName, text: "/kick bob bye"},
+			{route: ChatServer.route.command, room: ChatServer.generalChatName, text: "/topic new topic"},
+			{route: ChatServer.route.roomLeave, room: ChatServer.generalChatName},
+			{route: ChatServer.route.command, text: "/nick alicia"}
+		]);
+	});
+
+	it("answers commands it cannot send with numerics", function(){
+		client.isRegistered = true;
+		client.nick = "alice";
+		client.handleLine("PRIVMSG #nowhere :hi");
+		client.handleLine("JOIN");
+		client.handleLine("FOO");
+		client.handleLine("NICK bad!nick");
+		assert.deepStrictEqual(socket.written, [
+			":chatserver 404 alice #nowhere :Cannot send to channel\r\n",
+			":chatserver 461 alice JOIN :Not enough parameters\r\n",
+			":chatserver 421 alice FOO :Unknown command\r\n",
+			":chatserver 432 alice bad!nick :Erroneous nickname\r\n"
+		]);
+		assert.deepStrictEqual(messages, []);
+	});
+
+	it("chats with other clients through the chat server", function(){
+		let channel = IrcClient.getChannel(ChatServer.generalChatName);
+		let other = null;
+		server.attachClientHandlers(client);
+		client.handleLine("NICK ircuser");
+		client.handleLine("USER ircuser 0 * :IRC User");
+		return wait()
+			.then(function(){
+				let lines = socket.written.join("");
+				assert.ok(lines.includes(" 001 "));
+				assert.ok(lines.includes(" NICK :ircuser\r\n"));
+				return FakeClient.connect(server);
+			})
+			.then(function(result){
+				other = result;
+				socket.written = [];
+				return other.request({route: ChatServer.route.roomMessage, room: ChatServer.generalChatName, text: "one\ntwo"});
+			})
+			.then(function(){
+				let prefix = `:${other.user.name}!${other.user.id}@chatserver`;
+				assert.deepStrictEqual(socket.written.filter(function(line){
+					return line.includes("PRIVMSG");
+				}), [
+					`${prefix} PRIVMSG ${channel} :one\r\n`,
+					`${prefix} PRIVMSG ${channel} :two\r\n`
+				]);
+				client.close();
+			});
+	});
+
+	it("does not let text start a new line", function(){
+		client.nick = "alice";
+		client.sendNotice("hi\r\nQUIT :bye");
+		assert.deepStrictEqual(socket.written, [":chatserver NOTICE alice :hi QUIT :bye\r\n"]);
+	});
+});
@@ -0,0 +1,69 @@
+require('@voliware/node-server');
+const assert = require('assert');
+const Markdown = require('../chat/format/markdown');
+
+describe("Markdown", function(){
+
+	it("parses bold, italics, code and code blocks", function(){
+		assert.deepStrictEqual(Markdown.parse("**a _b_** `*c*`\n```js\nlet d;```"), [
+			{type: "bold", children: [
+				{type: "text", text: "a "},
+				{type: "italic", children: [{type: "text", text: "b"}]}
+			]},
+			{type: "text", text: " "},
+			{type: "code", text: "*c*"},
+			{type: "text", text: "\n"},
+			{type: "codeblock", language: "js", text: "let d;"}
+		]);
+	});
+
+	it("keeps markup as text", function(){
+		assert.deepStrictEqual(Markdown.parse("<img src=x onerror=alert(1)>"), [
+			{type: "text", text: "<img src=x onerror=alert(1)>"}
+		]);
+	});
+
+	it("only links to safe urls", function(){
+		assert.deepStrictEqual(Markdown.parse("[site](https://example.com) [bad](javascript:alert(1))"), [
+			{type: "link", url: "https://example.com", text: "site"},
+			{type: "text", text: " [bad](javascript:alert(1))"}
+		]);
+		assert.deepStrictEqual(Markdown.parse("see https://example.com/a."), [
+			{type: "text", text: "see "},
+			{type: "link", url: "https://example.com/a", text: "https://example.com/a"},
+			{type: "text", text: "."}
+		]);
+	});
+
+	it("checks that urls are web or mail links", function(){
+		assert.strictEqual(Markdown.isSafeUrl("https://example.com"), true);
+		assert.strictEqual(Markdown.isSafeUrl("HTTP://example.com"), true);
+		assert.strictEqual(Markdown.isSafeUrl("mailto:a@example.com"), true);
+		assert.strictEqual(Markdown.isSafeUrl("javascript:alert(1)"), false);
+		assert.strictEqual(Markdown.isSafeUrl("JavaScript:alert(1)"), false);
+		assert.strictEqual(Markdown.isSafeUrl("data:text/html,hi"), false);
+		assert.strictEqual(Markdown.isSafeUrl("//example.com"), false);
+		assert.strictEqual(Markdown.isSafeUrl("https://example.com/a b"), false);
+	});
+
+	it("stops nesting after the max depth", function(){
+		assert.deepStrictEqual(Markdown.parseInline("**a**", Markdown.maxDepth), [
+			{type: "bold", children: [{type: "text", text: "a"}]}
+		]);
+		assert.deepStrictEqual(Markdown.parseInline("**a**", Markdown.maxDepth + 1), [
+			{type: "text", text: "**a**"}
+		]);
+	});
+
+	it("resolves mentions of known users, and leaves the rest as text", function(){
+		let nodes = Markdown.parse("hi @Alice and @nobody");
+		let result = Markdown.resolveMentions(nodes, [{id: "u1", name: "alice"}]);
+		assert.deepStrictEqual(result.nodes, [
+			{type: "text", text: "hi "},
+			{type: "mention", name: "alice", id: "u1"},
+			{type: "text", text: " and @nobody"}
+		]);
+		assert.deepStrictEqual(result.mentions, ["u1"]);
+		assert.deepStrictEqual(Markdown.parse("a@example.com"), [{type: "text", text: "a@example.com"}]);
+	});
+});
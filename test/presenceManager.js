@@ -0,0 +1,47 @@
+require('@voliware/node-server');
+const assert = require('assert');
+const PresenceManager = require('../chat/presence/presenceManager');
+
+describe("PresenceManager", function(){
+
+	let presence = null;
+	let changes = null;
+
+	beforeEach(function(){
+		presence = new PresenceManager({awayTimeout: 1000});
+		changes = [];
+		presence.on('status', function(userId, status){
+			changes.push(userId + ":" + status);
+		});
+	});
+
+	it("keeps a user online until its last socket disconnects", function(){
+		presence.connect("u1");
+		presence.connect("u1");
+		presence.disconnect("u1");
+		assert.strictEqual(presence.getStatus("u1"), PresenceManager.status.online);
+		presence.disconnect("u1");
+		assert.strictEqual(presence.getStatus("u1"), PresenceManager.status.offline);
+		assert.deepStrictEqual(changes, ["u1:online", "u1:offline"]);
+	});
+
+	it("marks idle users away until they are active again", function(){
+		presence.connect("u1");
+		presence.connect("u2");
+		presence.users.get("u1").lastActivity -= 1000;
+		presence.checkIdleUsers();
+		presence.checkIdleUsers();
+		assert.strictEqual(presence.getStatus("u1"), PresenceManager.status.away);
+		assert.strictEqual(presence.getStatus("u2"), PresenceManager.status.online);
+		presence.touch("u1");
+		assert.strictEqual(presence.getStatus("u1"), PresenceManager.status.online);
+		assert.deepStrictEqual(changes, ["u1:online", "u2:online", "u1:away", "u1:online"]);
+	});
+
+	it("ignores users that are not connected", function(){
+		presence.touch("u1");
+		presence.disconnect("u1");
+		assert.strictEqual(presence.getStatus("u1"), PresenceManager.status.offline);
+		assert.deepStrictEqual(changes, []);
+	});
+});
@@ -0,0 +1,173 @@
+require('@voliware/node-server');
+const assert = require('assert');
+const Protocol = require('../public/js/protocol');
+const MessagePack = require('../public/js/messagePack');
+const ProtocolCodec = require('../chat/protocol/protocolCodec');
+
+/**
+ * Get the protocol error code a function throws
+ * @param {function} fn
+ * @return {number|null}
+ */
+function getErrorCode(fn){
+	try {
+		fn();
+	}
+	catch(error){
+		return error.code;
+	}
+	return null;
+}
+
+describe("MessagePack", function(){
+
+	it("encodes values in their smallest format", function(){
+		assert.deepStrictEqual(Array.from(MessagePack.encode(1)), [0x01]);
+		assert.deepStrictEqual(Array.from(MessagePack.encode(-1)), [0xff]);
+		assert.deepStrictEqual(Array.from(MessagePack.encode(256)), [0xcd, 0x01, 0x00]);
+		assert.deepStrictEqual(Array.from(MessagePack.encode("a")), [0xa1, 0x61]);
+		assert.deepStrictEqual(Array.from(MessagePack.encode([])), [0x90]);
+		assert.deepStrictEqual(Array.from(MessagePack.encode({})), [0x80]);
+		assert.deepStrictEqual(Array.from(MessagePack.encode(null)), [0xc0]);
+		assert.deepStrictEqual(Array.from(MessagePack.encode(true)), [0xc3]);
+	});
+
+	it("decodes what it encodes", function(){
+		let value = {
+			small: 5,
+			negative: -40000,
+			large: Math.pow(2, 40),
+			float: 1.5,
+			text: "héllo ✓",
+			long: "x".repeat(70000),
+			list: [null, false, [1, {a: "b"}]],
+			bytes: new Uint8Array([1, 2, 3])
+		};
+		let decoded = MessagePack.decode(MessagePack.encode(value));
+		assert.deepStrictEqual(Object.assign({}, decoded, {bytes: Array.from(decoded.bytes)}), Object.assign({}, value, {bytes: [1, 2, 3]}));
+		assert.deepStrictEqual(MessagePack.decode(MessagePack.encode({a: undefined, b: 1})), {b: 1});
+	});
+
+	it("rejects extra or missing bytes", function(){
+		assert.throws(function(){
+			MessagePack.decode(new Uint8Array([0x01, 0x02]));
+		});
+		assert.throws(function(){
+			MessagePack.decode(new Uint8Array([0xa2, 0x61]));
+		});
+	});
+});
+
+describe("Protocol", function(){
+
+	it("validates envelopes", function(){
+		let envelope = {v: 1, route: "/ping", id: 1, data: {}};
+		assert.strictEqual(Protocol.validateEnvelope(envelope), envelope);
+		assert.strictEqual(getErrorCode(function(){
+			Protocol.validateEnvelope({v: 1, route: "/ping"});
+		}), Protocol.errorCode.badEnvelope);
+		assert.strictEqual(getErrorCode(function(){
+			Protocol.validateEnvelope({v: 1, route: "/ping", id: 1, extra: true});
+		}), Protocol.errorCode.badEnvelope);
+		assert.strictEqual(getErrorCode(function(){
+			Protocol.validateEnvelope({v: 1, route: "/ping", id: "1"});
+		}), Protocol.errorCode.badEnvelope);
+		assert.strictEqual(getErrorCode(function(){
+			Protocol.validateEnvelope({v: 1, route: "/" + "a".repeat(128), id: 1});
+		}), Protocol.errorCode.badEnvelope);
+		assert.strictEqual(getErrorCode(function(){
+			Protocol.validateEnvelope({v: 99, route: "/ping", id: 1});
+		}), Protocol.errorCode.unsupportedVersion);
+	});
+
+	it("rejects frames with unknown flags", function(){
+		assert.strictEqual(getErrorCode(function(){
+			Protocol.unpack(new Uint8Array([0x04, 0x80]));
+		}), Protocol.errorCode.badFrame);
+		assert.strictEqual(getErrorCode(function(){
+			Protocol.unpack(new Uint8Array([0x00]));
+		}), Protocol.errorCode.badFrame);
+		assert.strictEqual(getErrorCode(function(){
+			Protocol.decode("[1]", true);
+		}), Protocol.errorCode.badFrame);
+	});
+});
+
+describe("ProtocolCodec", function(){
+
+	let codec = null;
+
+	beforeEach(function(){
+		codec = new ProtocolCodec();
+	});
+
+	it("does not let a message change its prototype", function(){
+		let frame = '{"v": 1, "route": "/room/message", "id": 1, "data": {"__proto__": {"admin": true}, "constructor": 1, "text": "hi"}}';
+		let message = codec.decode(frame, true);
+		assert.strictEqual(Object.getPrototypeOf(message), Object.prototype);
+		assert.strictEqual(message.admin, undefined);
+		assert.deepStrictEqual(Object.keys(message), ["text", "route"]);
+		let packed = Protocol.encode({v: 1, route: "/room/message", id: 2, data: JSON.parse('{"__proto__": {"admin": true}}')}, Protocol.encoding.msgpack);
+		message = codec.decode(Buffer.from(packed), true);
+		assert.strictEqual(message.admin, undefined);
+	});
+
+	it("negotiates the client's preferred protocol", function(){
+		let offer = Protocol.createOffer([Protocol.encoding.json, Protocol.encoding.msgpack], [Protocol.compression.deflate]);
+		assert.deepStrictEqual(codec.negotiate(offer), {v: 1, encoding: Protocol.encoding.json, compression: Protocol.compression.deflate});
+		offer = Protocol.createOffer([Protocol.encoding.msgpack, Protocol.encoding.json], []);
+		assert.deepStrictEqual(codec.negotiate(offer), {v: 1, encoding: Protocol.encoding.msgpack, compression: null});
+		// clients that cannot receive binary frames only get JSON
+		offer = Protocol.createOffer([Protocol.encoding.msgpack, Protocol.encoding.json], [Protocol.compression.deflate]);
+		assert.deepStrictEqual(codec.negotiate(offer, false), {v: 1, encoding: Protocol.encoding.json, compression: null});
+		assert.strictEqual(getErrorCode(function(){
+			codec.negotiate(Protocol.createOffer(["xml"], []));
+		}), Protocol.errorCode.unsupportedEncoding);
+		assert.strictEqual(getErrorCode(function(){
+			codec.negotiate({versions: [2], encodings: [Protocol.encoding.json]});
+		}), Protocol.errorCode.unsupportedVersion);
+	});
+
+	it("encodes and decodes messages in every protocol", function(){
+		let message = {route: "/room/message", status: 1, data: {text: "hi ".repeat(1000)}};
+		let protocols = [
+			{v: 1, encoding: Protocol.encoding.json, compression: null},
+			{v: 1, encoding: Protocol.encoding.json, compression: Protocol.compression.deflate},
+			{v: 1, encoding: Protocol.encoding.msgpack, compression: null},
+			{v: 1, encoding: Protocol.encoding.msgpack, compression: Protocol.compression.deflate}
+		];
+		for(let protocol of protocols){
+			let frame = codec.encode(message, protocol);
+			if(protocol.compression){
+				assert.strictEqual(frame[0] & Protocol.flag.compressed, Protocol.flag.compressed);
+				assert.ok(frame.length < message.data.text.length);
+			}
+			assert.deepStrictEqual(codec.decode(frame, true), {text: message.data.text, route: message.route});
+		}
+		assert.strictEqual(typeof codec.encode(message, null), "string");
+	});
+
+	it("shares frames between clients with the same protocol", function(){
+		let cache = new Map();
+		let protocol = {v: 1, encoding: Protocol.encoding.msgpack, compression: null};
+		let frame = codec.encode({route: "/ping", status: 1}, protocol, cache);
+		assert.strictEqual(codec.encode({route: "/ping", status: 1}, protocol, cache), frame);
+		assert.notStrictEqual(codec.encode({route: "/ping", status: 1}, null, cache), frame);
+	});
+
+	it("does not inflate frames past the max length", function(){
+		codec = new ProtocolCodec({maxFrameLength: 1024});
+		let protocol = {v: 1, encoding: Protocol.encoding.json, compression: Protocol.compression.deflate};
+		let frame = codec.encode({route: "/ping", status: 1, data: {text: "a".repeat(4096)}}, protocol);
+		assert.strictEqual(getErrorCode(function(){
+			codec.decode(frame);
+		}), Protocol.errorCode.badFrame);
+	});
+
+	it("only accepts messages without an envelope when allowed", function(){
+		assert.deepStrictEqual(codec.decode('{"route": "/ping"}'), {route: "/ping"});
+		assert.strictEqual(getErrorCode(function(){
+			codec.decode('{"route": "/ping"}', true);
+		}), Protocol.errorCode.badEnvelope);
+	});
+});
@@ -0,0 +1,69 @@
+require('@voliware/node-server');
+const assert = require('assert');
+const RateLimiter = require('../chat/limits/rateLimiter');
+const TokenBucket = require('../chat/limits/tokenBucket');
+
+describe("TokenBucket", function(){
+
+	it("allows actions until it is empty", function(){
+		let bucket = new TokenBucket({capacity: 2, interval: 60000});
+		assert.strictEqual(bucket.getWait(), 0);
+		bucket.take();
+		bucket.take();
+		let wait = bucket.getWait();
+		assert.ok(wait > 0 && wait <= 30000);
+	});
+});
+
+describe("RateLimiter", function(){
+
+	let rateLimiter = null;
+
+	beforeEach(function(){
+		rateLimiter = new RateLimiter({
+			connection: {
+				message: {capacity: 2, interval: 60000}
+			},
+			user: {
+				message: {capacity: 3, interval: 60000}
+			},
+			muteAfter: 2,
+			disconnectAfter: 3
+		});
+	});
+
+	it("limits each connection", function(){
+		assert.strictEqual(rateLimiter.take("message", "c1", "u1"), 0);
+		assert.strictEqual(rateLimiter.take("message", "c1", "u1"), 0);
+		assert.ok(rateLimiter.take("message", "c1", "u1") > 0);
+	});
+
+	it("limits each user across connections", function(){
+		assert.strictEqual(rateLimiter.take("message", "c1", "u1"), 0);
+		assert.strictEqual(rateLimiter.take("message", "c1", "u1"), 0);
+		assert.strictEqual(rateLimiter.take("message", "c2", "u1"), 0);
+		assert.ok(rateLimiter.take("message", "c2", "u1") > 0);
+		assert.strictEqual(rateLimiter.take("message", "c3", "u2"), 0);
+	});
+
+	it("does not take a token when the action is refused", function(){
+		rateLimiter.take("message", "c1", "u1");
+		rateLimiter.take("message", "c1", "u1");
+		rateLimiter.take("message", "c1", "u1");
+		assert.strictEqual(rateLimiter.take("message", "c2", "u1"), 0);
+	});
+
+	it("catches repeated messages to the same place", function(){
+		assert.strictEqual(rateLimiter.isRepeat("u1", "a", "hi"), false);
+		assert.strictEqual(rateLimiter.isRepeat("u1", "a", "hi"), true);
+		assert.strictEqual(rateLimiter.isRepeat("u1", "b", "hi"), false);
+		assert.strictEqual(rateLimiter.isRepeat("u2", "a", "hi"), false);
+	});
+
+	it("escalates from a warning to a mute to a disconnect", function(){
+		assert.strictEqual(rateLimiter.addViolation("u1"), RateLimiter.action.warning);
+		assert.strictEqual(rateLimiter.addViolation("u1"), RateLimiter.action.mute);
+		assert.strictEqual(rateLimiter.isMuted("u1"), true);
+		assert.strictEqual(rateLimiter.addViolation("u1"), RateLimiter.action.disconnect);
+	});
+});
@@ -0,0 +1,216 @@
+require('@voliware/node-server');
+const assert = require('assert');
+const MemoryMessageStore = require('../chat/storage/memoryMessageStore');
+const MemorySessionStore = require('../chat/storage/memorySessionStore');
+const MemoryWebhookStore = require('../chat/storage/memoryWebhookStore');
+const MemoryBotStore = require('../chat/storage/memoryBotStore');
+
+describe("MemoryMessageStore", function(){
+
+	let store = null;
+
+	beforeEach(function(){
+		store = new MemoryMessageStore();
+	});
+
+	it("pages through messages, oldest first", function(){
+		return Promise.all([
+				store.saveMessage({id: "1", room: "a", timestamp: 1}),
+				store.saveMessage({id: "2", room: "a", timestamp: 2}),
+				store.saveMessage({id: "3", room: "a", timestamp: 3})
+			])
+			.then(function(){
+				return store.getMessages("a", {limit: 2});
+			})
+			.then(function(messages){
+				assert.deepStrictEqual(messages.map(function(message){
+					return message.id;
+				}), ["2", "3"]);
+				return store.getMessages("a", {before: "2", limit: 2});
+			})
+			.then(function(messages){
+				assert.deepStrictEqual(messages.map(function(message){
+					return message.id;
+				}), ["1"]);
+				return store.getMessages("b");
+			})
+			.then(function(messages){
+				assert.strictEqual(messages.length, 0);
+			});
+	});
+
+	it("hands out sequence numbers for each room", function(){
+		return store.nextSequence("a")
+			.then(function(sequence){
+				assert.strictEqual(sequence, 1);
+				return store.nextSequence("a");
+			})
+			.then(function(sequence){
+				assert.strictEqual(sequence, 2);
+				return store.nextSequence("b");
+			})
+			.then(function(sequence){
+				assert.strictEqual(sequence, 1);
+			});
+	});
+
+	it("saves a client id only once for each sender", function(){
+		let message = {id: "1", room: "a", senderId: "u1", text: "hi", timestamp: 1, clientId: "c1"};
+		return store.saveMessage(message)
+			.then(function(saved){
+				assert.deepStrictEqual(saved, message);
+				return store.saveMessage(Object.assign({}, message, {id: "2"}));
+			})
+			.then(function(saved){
+				assert.strictEqual(saved, null);
+				return store.saveMessage(Object.assign({}, message, {id: "3", senderId: "u2"}));
+			})
+			.then(function(saved){
+				assert.strictEqual(saved.id, "3");
+				return store.getMessageByClientId("a", "u1", "c1");
+			})
+			.then(function(existing){
+				assert.strictEqual(existing.id, "1");
+			});
+	});
+
+	it("deletes the messages of a room", function(){
+		return Promise.all([
+				store.saveMessage({id: "1", room: "a", timestamp: 1}),
+				store.saveMessage({id: "2", room: "a", timestamp: 2}),
+				store.saveMessage({id: "3", room: "b", timestamp: 3})
+			])
+			.then(function(){
+				return store.deleteRoom("a");
+			})
+			.then(function(count){
+				assert.strictEqual(count, 2);
+				return Promise.all([store.getMessages("a"), store.getMessages("b")]);
+			})
+			.then(function(results){
+				assert.strictEqual(results[0].length, 0);
+				assert.strictEqual(results[1].length, 1);
+			});
+	});
+
+	it("knows which attachments messages still have", function(){
+		let attachments = [{id: "f1"}];
+		return Promise.all([
+				store.saveMessage({id: "1", room: "a", timestamp: 1, attachments: attachments}),
+				store.saveMessage({id: "2", room: "b", timestamp: 2, attachments: attachments})
+			])
+			.then(function(){
+				return store.updateMessage("a", "1", {attachments: []});
+			})
+			.then(function(){
+				return store.isAttachmentUsed("f1");
+			})
+			.then(function(used){
+				assert.strictEqual(used, true);
+				return store.updateMessage("b", "2", {attachments: []});
+			})
+			.then(function(){
+				return store.isAttachmentUsed("f1");
+			})
+			.then(function(used){
+				assert.strictEqual(used, false);
+			});
+	});
+});
+
+describe("MemorySessionStore", function(){
+
+	it("saves, gets and deletes sessions", function(){
+		let store = new MemorySessionStore();
+		let session = {id: "s1", userId: "u1", expires: Date.now() + 1000};
+		return store.saveSession(session)
+			.then(function(){
+				return store.getSession("s1");
+			})
+			.then(function(saved){
+				assert.deepStrictEqual(saved, session);
+				return store.deleteSession("s1");
+			})
+			.then(function(){
+				return store.getSession("s1");
+			})
+			.then(function(saved){
+				assert.strictEqual(saved, null);
+			});
+	});
+
+	it("drops expired sessions when saving", function(){
+		let store = new MemorySessionStore();
+		return store.saveSession({id: "old", userId: "u1", expires: Date.now() - 1})
+			.then(function(){
+				return store.saveSession({id: "new", userId: "u1", expires: Date.now() + 1000});
+			})
+			.then(function(){
+				assert.strictEqual(store.sessions.has("old"), false);
+				assert.strictEqual(store.sessions.has("new"), true);
+			});
+	});
+});
+
+describe("MemoryWebhookStore", function(){
+
+	it("keeps webhooks by room", function(){
+		let store = new MemoryWebhookStore();
+		return Promise.all([
+				store.saveWebhook({id: "w1", room: "a"}),
+				store.saveWebhook({id: "w2", room: "a"}),
+				store.saveWebhook({id: "w3", room: "b"})
+			])
+			.then(function(){
+				return store.getRoomWebhooks("a");
+			})
+			.then(function(webhooks){
+				assert.deepStrictEqual(webhooks.map(function(webhook){
+					return webhook.id;
+				}), ["w1", "w2"]);
+				return store.deleteWebhook("w1");
+			})
+			.then(function(deleted){
+				assert.strictEqual(deleted, true);
+				return store.deleteRoomWebhooks("a");
+			})
+			.then(function(count){
+				assert.strictEqual(count, 1);
+				return store.getWebhook("w3");
+			})
+			.then(function(webhook){
+				assert.strictEqual(webhook.room, "b");
+			});
+	});
+});
+
+describe("MemoryBotStore", function(){
+
+	it("does not create two bots with the same name", function(){
+		let store = new MemoryBotStore();
+		return store.createBot({id: "b1", name: "Helper", tokenHash: "h1"})
+			.then(function(bot){
+				assert.strictEqual(bot.id, "b1");
+				return store.createBot({id: "b2", name: "helper", tokenHash: "h2"});
+			})
+			.then(function(bot){
+				assert.strictEqual(bot, null);
+				return store.getBotByName("HELPER");
+			})
+			.then(function(bot){
+				assert.strictEqual(bot.id, "b1");
+				return store.getBotByTokenHash("h1");
+			})
+			.then(function(bot){
+				assert.strictEqual(bot.id, "b1");
+				return store.deleteBot("b1");
+			})
+			.then(function(deleted){
+				assert.strictEqual(deleted, true);
+				return store.getBots();
+			})
+			.then(function(bots){
+				assert.strictEqual(bots.length, 0);
+			});
+	});
+});
@@ -0,0 +1,129 @@
+require('@voliware/node-server');
+const assert = require('assert');
+const ChatServer = require('../chat/chatServer');
+const TcpClient = require('../chat/transports/tcpClient');
+const UdpClient = require('../chat/transports/udpClient');
+const UdpTransport = require('../chat/transports/udpTransport');
+const FakeSocket = require('./helpers/fakeSocket');
+
+/**
+ * Collect the messages a client emits
+ * @param {EventEmitter} client
+ * @return {string[]}
+ */
+function collectMessages(client){
+	let messages = [];
+	client.on('message', function(message){
+		messages.push(message);
+	});
+	return messages;
+}
+
+describe("TcpClient", function(){
+
+	it("emits a message for each whole line", function(){
+		let client = new TcpClient(new FakeSocket());
+		let messages = collectMessages(client);
+		client.receive('{"a": 1}\n{"b"');
+		client.receive(': 2}\r\n\n  \n{"c": 3}');
+		assert.deepStrictEqual(messages, ['{"a": 1}', '{"b": 2}']);
+		client.receive("\n");
+		assert.deepStrictEqual(messages, ['{"a": 1}', '{"b": 2}', '{"c": 3}']);
+	});
+
+	it("sends each message as a line", function(){
+		let socket = new FakeSocket();
+		let client = new TcpClient(socket);
+		client.send('{"a": 1}');
+		assert.deepStrictEqual(socket.written, ['{"a": 1}\n']);
+		client.close();
+		client.send('{"b": 2}');
+		assert.strictEqual(socket.written.length, 1);
+	});
+
+	it("disconnects clients that send lines that are too long", function(){
+		let socket = new FakeSocket();
+		let client = new TcpClient(socket, {maxLineLength: 8});
+		let errors = [];
+		let disconnects = 0;
+		client.on('error', function(error){
+			errors.push(error.message);
+		});
+		client.on('disconnect', function(){
+			disconnects++;
+		});
+		client.receive("12345678\n");
+		client.receive("123456789");
+		socket.emit('close');
+		assert.deepStrictEqual(errors, [TcpClient.error.lineTooLong]);
+		assert.strictEqual(socket.ended, true);
+		assert.strictEqual(disconnects, 1);
+	});
+
+	it("talks to a chat server", function(){
+		let server = new ChatServer();
+		let socket = new FakeSocket();
+		let client = new TcpClient(socket);
+		server.attachClientHandlers(client);
+		socket.emit('data', JSON.stringify({route: ChatServer.route.auth}) + "\n");
+		return new Promise(function(resolve){
+				setTimeout(resolve, 50);
+			})
+			.then(function(){
+				let replies = socket.written.map(function(line){
+					assert.strictEqual(line[line.length - 1], "\n");
+					return JSON.parse(line);
+				});
+				let auth = replies.find(function(reply){
+					return reply.route === ChatServer.route.auth;
+				});
+				assert.strictEqual(auth.status, 1);
+				client.close();
+			});
+	});
+});
+
+describe("UdpClient", function(){
+
+	it("emits a message for each line of a datagram", function(){
+		let client = new UdpClient(new FakeSocket(), "127.0.0.1", 5000);
+		let messages = collectMessages(client);
+		client.receive('{"a": 1}\r\n\n{"b": 2}');
+		assert.deepStrictEqual(messages, ['{"a": 1}', '{"b": 2}']);
+	});
+
+	it("drops messages too large for a datagram", function(){
+		let socket = new FakeSocket();
+		let client = new UdpClient(socket, "127.0.0.1", 5000);
+		let errors = [];
+		client.on('error', function(error){
+			errors.push(error.message);
+		});
+		client.send('{"a": 1}');
+		client.send("a".repeat(UdpClient.maxDatagramLength + 1));
+		assert.deepStrictEqual(socket.written, ['{"a": 1}']);
+		assert.deepStrictEqual(errors, [UdpClient.error.messageTooLong]);
+	});
+});
+
+describe("UdpTransport", function(){
+
+	it("creates a client for each address and port", function(){
+		let transport = new UdpTransport({maxClients: 2});
+		let connections = [];
+		transport.socket = new FakeSocket();
+		transport.on('connection', function(client){
+			connections.push(client);
+		});
+		transport.handleDatagram(Buffer.from("{}"), {address: "10.0.0.1", port: 1});
+		transport.handleDatagram(Buffer.from("{}"), {address: "10.0.0.1", port: 1});
+		transport.handleDatagram(Buffer.from("{}"), {address: "10.0.0.1", port: 2});
+		// past the max clients, datagrams from new addresses are dropped
+		transport.handleDatagram(Buffer.from("{}"), {address: "10.0.0.2", port: 1});
+		assert.strictEqual(connections.length, 2);
+		assert.deepStrictEqual(Array.from(transport.clients.keys()), ["10.0.0.1:1", "10.0.0.1:2"]);
+		connections[0].disconnect();
+		transport.handleDatagram(Buffer.from("{}"), {address: "10.0.0.2", port: 1});
+		assert.deepStrictEqual(Array.from(transport.clients.keys()), ["10.0.0.1:2", "10.0.0.2:1"]);
+	});
+});
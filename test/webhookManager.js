@@ -0,0 +1,165 @@
+require('@voliware/node-server');
+const assert = require('assert');
+const Http = require('http');
+const WebhookManager = require('../chat/webhooks/webhookManager');
+const MemoryWebhookStore = require('../chat/storage/memoryWebhookStore');
+
+/**
+ * Start a server that receives webhook deliveries.
+ * Each request is answered with the next status, then 200.
+ * @param {number[]} statuses
+ * @param {function} onDelivery - called with the request and raw body
+ * @return {Promise<Server>}
+ */
+function startReceiver(statuses, onDelivery){
+	let server = Http.createServer(function(request, response){
+		let body = "";
+		request.on('data', function(chunk){
+			body += chunk;
+		});
+		request.on('end', function(){
+			response.statusCode = statuses.length ? statuses.shift() : 200;
+			response.end();
+			onDelivery(request, body);
+		});
+	});
+	return new Promise(function(resolve){
+		server.listen(0, "127.0.0.1", function(){
+			resolve(server);
+		});
+	});
+}
+
+describe("WebhookManager", function(){
+
+	let webhookManager = null;
+	let server = null;
+
+	beforeEach(function(){
+		webhookManager = new WebhookManager({
+			store: new MemoryWebhookStore(),
+			maxPerRoom: 2,
+			retryDelay: 10
+		});
+	});
+
+	afterEach(function(){
+		webhookManager.stop();
+		if(server){
+			server.close();
+			server = null;
+		}
+	});
+
+	it("validates webhooks", function(){
+		return webhookManager.addWebhook("a", {url: "ftp://example.com"})
+			.then(function(){
+				assert.fail("added an invalid url");
+			}, function(error){
+				assert.strictEqual(error.message, WebhookManager.error.invalidUrl);
+				assert.strictEqual(error.status, 400);
+				return webhookManager.addWebhook("a", {url: "http://example.com", events: ["nothing"]});
+			})
+			.then(function(){
+				assert.fail("added invalid events");
+			}, function(error){
+				assert.strictEqual(error.message, WebhookManager.error.invalidEvents);
+				return webhookManager.addWebhook("a", {url: "http://example.com", secret: "short"});
+			})
+			.then(function(){
+				assert.fail("added a short secret");
+			}, function(error){
+				assert.strictEqual(error.message, WebhookManager.error.invalidSecret);
+			});
+	});
+
+	it("limits the webhooks of each room", function(){
+		let url = "http://example.com";
+		return webhookManager.addWebhook("a", {url: url})
+			.then(function(){
+				return webhookManager.addWebhook("a", {url: url});
+			})
+			.then(function(){
+				return webhookManager.addWebhook("a", {url: url});
+			})
+			.then(function(){
+				assert.fail("added too many webhooks");
+			}, function(error){
+				assert.strictEqual(error.message, WebhookManager.error.tooManyWebhooks);
+				assert.strictEqual(error.status, 409);
+			});
+	});
+
+	it("removes webhooks only from their own room", function(){
+		let id = null;
+		return webhookManager.addWebhook("a", {url: "http://example.com"})
+			.then(function(result){
+				id = result.webhook.id;
+				assert.strictEqual(typeof result.webhook.secret, "undefined");
+				return webhookManager.removeWebhook("b", id);
+			})
+			.then(function(){
+				assert.fail("removed a webhook from another room");
+			}, function(error){
+				assert.strictEqual(error.status, 404);
+				return webhookManager.removeWebhook("a", id);
+			})
+			.then(function(){
+				return webhookManager.getRoomWebhooks("a");
+			})
+			.then(function(webhooks){
+				assert.strictEqual(webhooks.length, 0);
+			});
+	});
+
+	it("delivers signed events, retrying until they are accepted", function(){
+		let secret = null;
+		let deliveries = [];
+		return startReceiver([503], function(request, body){
+				deliveries.push({headers: request.headers, body: body});
+			})
+			.then(function(result){
+				server = result;
+				let url = "http://127.0.0.1:" + server.address().port + "/hook";
+				return webhookManager.addWebhook("a", {url: url, events: [WebhookManager.event.message]});
+			})
+			.then(function(result){
+				secret = result.secret;
+				let delivered = new Promise(function(resolve){
+					webhookManager.once('delivered', resolve);
+				});
+				webhookManager.dispatch("a", WebhookManager.event.join, {});
+				webhookManager.dispatch("a", WebhookManager.event.message, {text: "hi"});
+				return delivered;
+			})
+			.then(function(){
+				assert.strictEqual(deliveries.length, 2);
+				let delivery = deliveries[1];
+				let headers = delivery.headers;
+				assert.strictEqual(headers['x-webhook-event'], WebhookManager.event.message);
+				assert.ok(WebhookManager.verify(secret, headers['x-webhook-timestamp'], delivery.body, headers['x-webhook-signature']));
+				assert.strictEqual(JSON.parse(delivery.body).data.text, "hi");
+			});
+	});
+
+	it("gives up on deliveries the receiver rejects", function(){
+		return startReceiver([400], function(){})
+			.then(function(result){
+				server = result;
+				let url = "http://127.0.0.1:" + server.address().port;
+				return webhookManager.addWebhook("a", {url: url});
+			})
+			.then(function(){
+				let failed = new Promise(function(resolve){
+					webhookManager.once('failed', function(webhook, delivery, error){
+						resolve(error);
+					});
+				});
+				webhookManager.dispatch("a", WebhookManager.event.leave, {});
+				return failed;
+			})
+			.then(function(error){
+				assert.strictEqual(error.status, 400);
+			});
+	});
+});